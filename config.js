@@ -1,4 +1,5 @@
 // config.js
+import fs from 'fs';
 import dotenv from 'dotenv';
 
 dotenv.config();
@@ -15,25 +16,164 @@ class Config {
     static DEFAULT_MODEL = process.env.DEFAULT_MODEL || 'claude-3-5-sonnet-20241022';
     static DEFAULT_MAX_TOKENS = parseInt(process.env.DEFAULT_MAX_TOKENS || '1024');
 
+    // 模型提供方配置（anthropic | glm | openai | ollama）
+    // 未指定时与旧版一致：配置了 ANTHROPIC_AUTH_TOKEN 即使用智谱AI
+    static DEFAULT_PROVIDER = process.env.DEFAULT_PROVIDER || (process.env.ANTHROPIC_AUTH_TOKEN ? 'glm' : 'anthropic');
+    static PROVIDER_TIMEOUT = parseInt(process.env.PROVIDER_TIMEOUT || '120000'); // 毫秒
+
+    // 智谱AI（兼容Anthropic API），未单独配置时沿用 ANTHROPIC_AUTH_TOKEN / ANTHROPIC_BASE_URL
+    static GLM_AUTH_TOKEN = process.env.GLM_AUTH_TOKEN || process.env.ANTHROPIC_AUTH_TOKEN;
+    static GLM_BASE_URL = process.env.GLM_BASE_URL || process.env.ANTHROPIC_BASE_URL || 'https://open.bigmodel.cn/api/anthropic';
+    static GLM_MODEL = process.env.GLM_MODEL || 'GLM-4.7';
+
+    // OpenAI 兼容接口（Chat Completions）
+    static OPENAI_API_KEY = process.env.OPENAI_API_KEY;
+    static OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
+    static OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4o-mini';
+
+    // 本地 Ollama 服务
+    static OLLAMA_BASE_URL = process.env.OLLAMA_BASE_URL || 'http://localhost:11434';
+    static OLLAMA_MODEL = process.env.OLLAMA_MODEL || 'llama3.1';
+
     // 成本控制配置
     static BUDGET_LIMIT = parseFloat(process.env.BUDGET_LIMIT || '0.50');
     static WARN_THRESHOLD = parseFloat(process.env.WARN_THRESHOLD || '0.80');
+    // BUDGET_LIMIT 的周期（daily | weekly | monthly | total）和策略（hard 拒绝请求 | soft 只警告）
+    static BUDGET_PERIOD = process.env.BUDGET_PERIOD || 'daily';
+    static BUDGET_POLICY = process.env.BUDGET_POLICY || 'hard';
+    // 其他预算，格式: 范围:周期:金额[:策略]，逗号分隔，如 global:monthly:5,user:daily:0.2,mode=coding:weekly:1:soft
+    static BUDGETS = process.env.BUDGETS || '';
+    // 发送前估算：请求可能超出预算时 block（拒绝）| degrade（改用 BUDGET_FALLBACK_MODEL 或降低 max_tokens）| off
+    static BUDGET_GUARD = process.env.BUDGET_GUARD || 'degrade';
+    static BUDGET_FALLBACK_MODEL = process.env.BUDGET_FALLBACK_MODEL || '';
+    static BUDGET_MIN_MAX_TOKENS = parseInt(process.env.BUDGET_MIN_MAX_TOKENS || '256');
+    // 价格表中没有的模型：block（拒绝请求，无法计入预算）| allow（成本按 0 计算并标记为未定价）
+    static UNPRICED_MODELS = process.env.UNPRICED_MODELS || 'block';
+    // 客户端可以在请求中指定的模型（逗号分隔），未设置时为价格表中的模型；各提供方的默认模型和模式中配置的模型总是允许
+    static ALLOWED_MODELS = process.env.ALLOWED_MODELS || '';
+    // 用量账本中保留明细的天数，更早的记录按月移到归档文件（0 表示不轮转；至少 32 天，覆盖每月预算）
+    static LEDGER_RETENTION_DAYS = parseInt(process.env.LEDGER_RETENTION_DAYS || '90');
+    // 预计成本达到该金额（美元）时发送前需要确认，0 表示不确认
+    static CONFIRM_COST_ABOVE = parseFloat(process.env.CONFIRM_COST_ABOVE || '0');
 
     // 缓存配置
     static ENABLE_CACHE = process.env.ENABLE_CACHE === 'true';
     static CACHE_MAX_SIZE = parseInt(process.env.CACHE_MAX_SIZE || '100');
 
+    // 缓存存储后端：memory | json（data/cache.json）| log（追加日志）| db（单文件分页存储）| redis
+    static CACHE_BACKEND = process.env.CACHE_BACKEND || 'json';
+    static CACHE_FLUSH_DELAY = parseInt(process.env.CACHE_FLUSH_DELAY || '1000'); // json 后端的防抖延迟（毫秒）
+    static REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+    static REDIS_PREFIX = process.env.REDIS_PREFIX || 'clever:cache:';
+
+    // 语义缓存：精确匹配未命中时，按问题相似度查找（同一模型、系统提示、温度内）
+    static SEMANTIC_CACHE = process.env.SEMANTIC_CACHE === 'true';
+    static SEMANTIC_CACHE_THRESHOLD = parseFloat(process.env.SEMANTIC_CACHE_THRESHOLD || '0.85');
+    static SEMANTIC_CACHE_EMBEDDER = process.env.SEMANTIC_CACHE_EMBEDDER || 'ngram'; // ngram | openai | ollama
+    static EMBEDDING_MODEL = process.env.EMBEDDING_MODEL; // 未设置时使用各向量接口的默认模型
+
+    // 缓存上下文策略：history（整个对话历史）| recent（最近 N 轮）| standalone（只缓存不依赖上文的问题）
+    static CACHE_CONTEXT_POLICY = process.env.CACHE_CONTEXT_POLICY || 'recent';
+    static CACHE_CONTEXT_TURNS = parseInt(process.env.CACHE_CONTEXT_TURNS || '2');
+
+    // 对话保存配置
+    static AUTO_SAVE_CONVERSATIONS = process.env.AUTO_SAVE_CONVERSATIONS !== 'false';
+
+    // 停止生成时的处理：keep（保留已生成的部分，标记 stopReason: user_cancelled）| discard（丢弃本轮对话）
+    static CANCEL_POLICY = process.env.CANCEL_POLICY || 'keep';
+
+    // API 调用重试：可重试的错误（429、529、5xx、网络错误、超时）按指数退避重试，服务端返回 retry-after 时按其等待
+    static RETRY_MAX_ATTEMPTS = parseInt(process.env.RETRY_MAX_ATTEMPTS || '3'); // 每个模型的最多尝试次数（1 表示不重试）
+    static RETRY_BASE_DELAY = parseInt(process.env.RETRY_BASE_DELAY || '1000'); // 毫秒
+    static RETRY_MAX_DELAY = parseInt(process.env.RETRY_MAX_DELAY || '30000'); // 毫秒，retry-after 超过此值时不再重试
+    // 熔断：同一模型连续失败达到阈值后暂停调用，冷却后放行一次试探请求
+    static CIRCUIT_BREAKER_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD || '5'); // 0 表示不熔断
+    static CIRCUIT_BREAKER_COOLDOWN = parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN || '60000'); // 毫秒
+    // 故障转移：主模型重试失败或熔断后改用备用模型（提供方为空时与主模型相同）
+    static FAILOVER_PROVIDER = process.env.FAILOVER_PROVIDER || '';
+    static FAILOVER_MODEL = process.env.FAILOVER_MODEL || '';
+
+    // Anthropic 提示缓存：为系统提示和稳定的历史前缀添加 cache_control 断点
+    static ENABLE_PROMPT_CACHING = process.env.ENABLE_PROMPT_CACHING === 'true';
+
+    // 上下文窗口配置
+    static ENABLE_CONTEXT_SUMMARY = process.env.ENABLE_CONTEXT_SUMMARY !== 'false';
+    static CONTEXT_MAX_INPUT_TOKENS = parseInt(process.env.CONTEXT_MAX_INPUT_TOKENS || '0'); // 0 表示按模型上下文窗口
+    static CONTEXT_SUMMARY_THRESHOLD = parseFloat(process.env.CONTEXT_SUMMARY_THRESHOLD || '0.80');
+    static CONTEXT_SUMMARY_MAX_TOKENS = parseInt(process.env.CONTEXT_SUMMARY_MAX_TOKENS || '800');
+
+    // 工具调用配置
+    static ENABLE_TOOLS = process.env.ENABLE_TOOLS === 'true';
+    static TOOL_MAX_ITERATIONS = parseInt(process.env.TOOL_MAX_ITERATIONS || '5');
+    static TOOL_SANDBOX_DIR = process.env.TOOL_SANDBOX_DIR || 'data/sandbox';
+
+    // Web会话配置
+    static SESSION_IDLE_TIMEOUT = parseInt(process.env.SESSION_IDLE_TIMEOUT || '1800000'); // 毫秒，默认30分钟
+    // 同时在线的会话数上限（总数和每个用户，不认证时按客户端IP），达到上限时移除最久未活动且没有进行中回复的会话
+    static MAX_SESSIONS = parseInt(process.env.MAX_SESSIONS || '50');
+    static MAX_SESSIONS_PER_USER = parseInt(process.env.MAX_SESSIONS_PER_USER || '10');
+    // WebSocket 传输（/api/ws，不可用时网页回退到 SSE）及心跳间隔（毫秒）
+    static ENABLE_WEBSOCKET = process.env.ENABLE_WEBSOCKET !== 'false';
+    static WS_HEARTBEAT_INTERVAL = parseInt(process.env.WS_HEARTBEAT_INTERVAL || '25000');
+    // 除本站外允许建立 WebSocket 连接的页面来源（逗号分隔，如 https://app.example.com）
+    static WS_ALLOWED_ORIGINS = process.env.WS_ALLOWED_ORIGINS || '';
+    // 流式回复的重放缓冲：回复结束后保留的时间（毫秒）及每个回复最多缓冲的事件数，用于断线重连后继续接收
+    static STREAM_REPLAY_TTL = parseInt(process.env.STREAM_REPLAY_TTL || '60000');
+    static STREAM_REPLAY_MAX_EVENTS = parseInt(process.env.STREAM_REPLAY_MAX_EVENTS || '5000');
+    // 客户端全部断开后等待重连的时间（毫秒），超时未重连则停止生成（部分回复按 cancelPolicy 处理）
+    static STREAM_RESUME_WINDOW = parseInt(process.env.STREAM_RESUME_WINDOW || '30000');
+
+    // 限流（每分钟，按固定的一分钟窗口计算，0 表示不限制）：请求数和 tokens 分别按客户端IP和用户计算
+    static RATE_LIMIT_IP_REQUESTS = parseInt(process.env.RATE_LIMIT_IP_REQUESTS || '300');
+    static RATE_LIMIT_USER_REQUESTS = parseInt(process.env.RATE_LIMIT_USER_REQUESTS || '120');
+    static RATE_LIMIT_IP_TOKENS = parseInt(process.env.RATE_LIMIT_IP_TOKENS || '0');
+    static RATE_LIMIT_USER_TOKENS = parseInt(process.env.RATE_LIMIT_USER_TOKENS || '0');
+    // 限流计数的存储：memory（本进程）| redis（多个进程共享，使用 REDIS_URL）
+    static RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+    static RATE_LIMIT_PREFIX = process.env.RATE_LIMIT_PREFIX || 'clever:ratelimit:';
+    // 兼容接口每个用户同时进行的请求数（流式和非流式，0 表示不限制；旧名称 MAX_CONCURRENT_STREAMS）、单条消息的最大字符数、请求体大小上限
+    // 网页会话的回复共用对话历史，每个会话同时只能进行一个回复，不可配置
+    static MAX_CONCURRENT_COMPAT_REQUESTS = parseInt(process.env.MAX_CONCURRENT_COMPAT_REQUESTS || process.env.MAX_CONCURRENT_STREAMS || '1');
+    static MAX_MESSAGE_LENGTH = parseInt(process.env.MAX_MESSAGE_LENGTH || '20000');
+    static REQUEST_BODY_LIMIT = process.env.REQUEST_BODY_LIMIT || '256kb';
+    // 部署在反向代理之后时设置（true、跳数或 Express 的 trust proxy 值），以便按真实客户端IP限流
+    static TRUST_PROXY = process.env.TRUST_PROXY || '';
+
+    // Web认证：none（不认证，单用户）| token（静态 API 令牌）| local（本地账号密码）| proxy（可信反向代理的用户头）
+    static AUTH_MODE = process.env.AUTH_MODE || 'none';
+    // 静态令牌，格式: 用户ID=令牌，逗号分隔，如 alice=tok-abc,bob=tok-def
+    static AUTH_TOKENS = process.env.AUTH_TOKENS || '';
+    // 管理员用户ID（token 和 proxy 模式；local 模式的角色保存在账号中），逗号分隔
+    static AUTH_ADMINS = process.env.AUTH_ADMINS || '';
+    // 本地账号文件，以及账号为空时自动创建的管理员
+    static AUTH_USERS_FILE = process.env.AUTH_USERS_FILE || 'data/users.json';
+    static AUTH_ADMIN_USERNAME = process.env.AUTH_ADMIN_USERNAME || '';
+    static AUTH_ADMIN_PASSWORD = process.env.AUTH_ADMIN_PASSWORD || '';
+    static AUTH_LOGIN_TTL = parseInt(process.env.AUTH_LOGIN_TTL || '604800000'); // 毫秒，登录令牌有效期，默认7天
+    // 反向代理传入用户ID的请求头，只信任来自这些地址的请求
+    static AUTH_PROXY_HEADER = process.env.AUTH_PROXY_HEADER || 'x-forwarded-user';
+    static AUTH_PROXY_TRUSTED = process.env.AUTH_PROXY_TRUSTED || '127.0.0.1,::1,::ffff:127.0.0.1';
+
     // 日志配置
     static LOG_LEVEL = process.env.LOG_LEVEL || 'info';
 
-    // 模型价格配置（美元/百万tokens）
-    static MODEL_PRICES = {
-        'claude-3-5-sonnet-20241022': { input: 3, output: 15, name: 'Claude 3.5 Sonnet' },
-        'claude-3-opus-20240229': { input: 15, output: 75, name: 'Claude 3 Opus' },
-        'claude-3-haiku-20240307': { input: 0.25, output: 1.25, name: 'Claude 3 Haiku' },
-        'GLM-4.7': { input: 0.5, output: 0.5, name: '智谱 GLM-4.7' }
+    // 模型价格表（JSON 文件，默认使用项目自带的 prices.json）
+    static PRICES_FILE = process.env.PRICES_FILE || '';
+    // 显示货币及汇率（1 单位价格表货币折合多少显示货币）；预算金额仍按价格表货币计算
+    static PRICE_CURRENCY = process.env.PRICE_CURRENCY || 'USD';
+    static EXCHANGE_RATE = parseFloat(process.env.EXCHANGE_RATE || '1');
+
+    // 模型上下文窗口（tokens）
+    static MODEL_CONTEXT_WINDOWS = {
+        'claude-3-5-sonnet-20241022': 200000,
+        'claude-3-opus-20240229': 200000,
+        'claude-3-haiku-20240307': 200000,
+        'GLM-4.7': 128000
     };
 
+    // 未知模型使用的保守上下文窗口
+    static DEFAULT_CONTEXT_WINDOW = 100000;
+
     /**
      * 验证配置
      * @throws {Error} 如果配置无效
@@ -41,16 +181,30 @@ class Config {
     static validate() {
         const errors = [];
 
-        // 智谱AI兼容模式：如果有 AUTH_TOKEN，则不需要 API_KEY
-        if (this.ANTHROPIC_AUTH_TOKEN) {
-            // 智谱模式，不需要验证 API_KEY 格式
-            if (!this.ANTHROPIC_BASE_URL) {
-                errors.push('❌ 使用智谱AI时必须配置 ANTHROPIC_BASE_URL');
-            }
-        } else if (!this.ANTHROPIC_API_KEY) {
-            errors.push('❌ 未找到 ANTHROPIC_API_KEY！请在.env文件中配置');
-        } else if (!this.ANTHROPIC_API_KEY.startsWith('sk-ant-')) {
-            errors.push('❌ ANTHROPIC_API_KEY 格式无效');
+        // 只验证默认提供方的凭据，其他提供方在首次使用时检查
+        switch (this.DEFAULT_PROVIDER) {
+            case 'anthropic':
+                if (!this.ANTHROPIC_API_KEY) {
+                    errors.push('❌ 未找到 ANTHROPIC_API_KEY！请在.env文件中配置');
+                } else if (!this.ANTHROPIC_API_KEY.startsWith('sk-ant-')) {
+                    errors.push('❌ ANTHROPIC_API_KEY 格式无效');
+                }
+                break;
+            case 'glm':
+                if (!this.GLM_AUTH_TOKEN) {
+                    errors.push('❌ 使用智谱AI时必须配置 ANTHROPIC_AUTH_TOKEN（或 GLM_AUTH_TOKEN）');
+                }
+                break;
+            case 'openai':
+                // 本地或自建的兼容服务通常不需要 Key
+                if (!this.OPENAI_API_KEY && this.OPENAI_BASE_URL.startsWith('https://api.openai.com')) {
+                    errors.push('❌ 使用 OpenAI 时必须配置 OPENAI_API_KEY');
+                }
+                break;
+            case 'ollama':
+                break;
+            default:
+                errors.push(`❌ 未知的 DEFAULT_PROVIDER: ${this.DEFAULT_PROVIDER}（可选 anthropic、glm、openai、ollama）`);
         }
 
         if (this.DEFAULT_MAX_TOKENS < 1 || this.DEFAULT_MAX_TOKENS > 8192) {
@@ -61,6 +215,100 @@ class Config {
             errors.push('❌ BUDGET_LIMIT 必须大于0');
         }
 
+        if (!['daily', 'weekly', 'monthly', 'total'].includes(this.BUDGET_PERIOD)) {
+            errors.push(`❌ 未知的 BUDGET_PERIOD: ${this.BUDGET_PERIOD}（可选 daily、weekly、monthly、total）`);
+        }
+
+        if (!['hard', 'soft'].includes(this.BUDGET_POLICY)) {
+            errors.push(`❌ 未知的 BUDGET_POLICY: ${this.BUDGET_POLICY}（可选 hard、soft）`);
+        }
+
+        if (!['keep', 'discard'].includes(this.CANCEL_POLICY)) {
+            errors.push(`❌ 未知的 CANCEL_POLICY: ${this.CANCEL_POLICY}（可选 keep、discard）`);
+        }
+
+        if (!['block', 'degrade', 'off'].includes(this.BUDGET_GUARD)) {
+            errors.push(`❌ 未知的 BUDGET_GUARD: ${this.BUDGET_GUARD}（可选 block、degrade、off）`);
+        }
+
+        if (!(this.LEDGER_RETENTION_DAYS === 0 || this.LEDGER_RETENTION_DAYS >= 32)) {
+            errors.push('❌ LEDGER_RETENTION_DAYS 必须为 0 或至少 32');
+        }
+
+        if (!['block', 'allow'].includes(this.UNPRICED_MODELS)) {
+            errors.push(`❌ 未知的 UNPRICED_MODELS: ${this.UNPRICED_MODELS}（可选 block、allow）`);
+        }
+
+        if (this.PRICES_FILE && !fs.existsSync(this.PRICES_FILE)) {
+            errors.push(`❌ 找不到价格表文件: ${this.PRICES_FILE}`);
+        }
+
+        if (!(this.EXCHANGE_RATE > 0)) {
+            errors.push('❌ EXCHANGE_RATE 必须大于0');
+        }
+
+        if (!Number.isInteger(this.RETRY_MAX_ATTEMPTS) || this.RETRY_MAX_ATTEMPTS < 1) {
+            errors.push('❌ RETRY_MAX_ATTEMPTS 必须是大于0的整数');
+        }
+
+        if (!(this.RETRY_BASE_DELAY >= 0) || !(this.RETRY_MAX_DELAY >= this.RETRY_BASE_DELAY)) {
+            errors.push('❌ RETRY_BASE_DELAY 不能小于0，且不能大于 RETRY_MAX_DELAY');
+        }
+
+        if (!(this.CIRCUIT_BREAKER_THRESHOLD >= 0) || !(this.CIRCUIT_BREAKER_COOLDOWN > 0)) {
+            errors.push('❌ CIRCUIT_BREAKER_THRESHOLD 不能小于0，CIRCUIT_BREAKER_COOLDOWN 必须大于0');
+        }
+
+        if (this.FAILOVER_PROVIDER && !['anthropic', 'glm', 'openai', 'ollama'].includes(this.FAILOVER_PROVIDER)) {
+            errors.push(`❌ 未知的 FAILOVER_PROVIDER: ${this.FAILOVER_PROVIDER}（可选 anthropic、glm、openai、ollama）`);
+        }
+
+        if (!['none', 'token', 'local', 'proxy'].includes(this.AUTH_MODE)) {
+            errors.push(`❌ 未知的 AUTH_MODE: ${this.AUTH_MODE}（可选 none、token、local、proxy）`);
+        }
+
+        if (this.AUTH_MODE === 'token' && !this.AUTH_TOKENS) {
+            errors.push('❌ AUTH_MODE=token 时必须配置 AUTH_TOKENS');
+        }
+
+        if (!(this.AUTH_LOGIN_TTL > 0)) {
+            errors.push('❌ AUTH_LOGIN_TTL 必须大于0');
+        }
+
+        const rateLimits = ['RATE_LIMIT_IP_REQUESTS', 'RATE_LIMIT_USER_REQUESTS', 'RATE_LIMIT_IP_TOKENS', 'RATE_LIMIT_USER_TOKENS', 'MAX_CONCURRENT_COMPAT_REQUESTS'];
+        for (const name of rateLimits) {
+            if (!Number.isInteger(this[name]) || this[name] < 0) {
+                errors.push(`❌ ${name} 必须是不小于0的整数`);
+            }
+        }
+
+        if (!(this.WS_HEARTBEAT_INTERVAL >= 1000)) {
+            errors.push('❌ WS_HEARTBEAT_INTERVAL 不能小于 1000 毫秒');
+        }
+
+        if (!Number.isInteger(this.STREAM_REPLAY_TTL) || this.STREAM_REPLAY_TTL < 0 || !(this.STREAM_REPLAY_MAX_EVENTS > 0)) {
+            errors.push('❌ STREAM_REPLAY_TTL 必须是不小于0的整数，STREAM_REPLAY_MAX_EVENTS 必须大于0');
+        }
+        if (!Number.isInteger(this.STREAM_RESUME_WINDOW) || this.STREAM_RESUME_WINDOW < 0) {
+            errors.push('❌ STREAM_RESUME_WINDOW 必须是不小于0的整数');
+        }
+
+        if (!['memory', 'redis'].includes(this.RATE_LIMIT_STORE)) {
+            errors.push(`❌ 未知的 RATE_LIMIT_STORE: ${this.RATE_LIMIT_STORE}（可选 memory、redis）`);
+        }
+
+        if (!(this.MAX_MESSAGE_LENGTH > 0)) {
+            errors.push('❌ MAX_MESSAGE_LENGTH 必须大于0');
+        }
+
+        if (!['memory', 'json', 'log', 'db', 'redis'].includes(this.CACHE_BACKEND)) {
+            errors.push(`❌ 未知的 CACHE_BACKEND: ${this.CACHE_BACKEND}（可选 memory、json、log、db、redis）`);
+        }
+
+        if (!['history', 'recent', 'standalone'].includes(this.CACHE_CONTEXT_POLICY)) {
+            errors.push(`❌ 未知的 CACHE_CONTEXT_POLICY: ${this.CACHE_CONTEXT_POLICY}（可选 history、recent、standalone）`);
+        }
+
         if (errors.length > 0) {
             throw new Error(errors.join('\n'));
         }
@@ -69,12 +317,12 @@ class Config {
     }
 
     /**
-     * 获取模型价格信息
+     * 获取模型上下文窗口大小
      * @param {string} model - 模型名称
-     * @returns {object} 价格信息
+     * @returns {number} 上下文窗口（tokens）
      */
-    static getModelPrice(model = this.DEFAULT_MODEL) {
-        return this.MODEL_PRICES[model] || this.MODEL_PRICES[this.DEFAULT_MODEL];
+    static getContextWindow(model = this.DEFAULT_MODEL) {
+        return this.MODEL_CONTEXT_WINDOWS[model] || this.DEFAULT_CONTEXT_WINDOW;
     }
 
     /**
@@ -82,10 +330,13 @@ class Config {
      */
     static printSummary() {
         console.log('\n📋 配置信息:');
-        console.log(`   模型: ${this.getModelPrice().name}`);
+        console.log(`   提供方: ${this.DEFAULT_PROVIDER}`);
+        console.log(`   模型: ${this.DEFAULT_MODEL}`);
         console.log(`   最大Tokens: ${this.DEFAULT_MAX_TOKENS}`);
-        console.log(`   预算限制: $${this.BUDGET_LIMIT.toFixed(2)}`);
+        console.log(`   预算限制: $${this.BUDGET_LIMIT.toFixed(2)}（${this.BUDGET_PERIOD}，${this.BUDGET_POLICY}）`);
+        console.log(`   预算保护: ${this.BUDGET_GUARD}${this.BUDGET_FALLBACK_MODEL ? `（备用模型 ${this.BUDGET_FALLBACK_MODEL}）` : ''}`);
         console.log(`   缓存: ${this.ENABLE_CACHE ? '✅ 启用' : '❌ 禁用'}`);
+        console.log(`   重试: 最多 ${this.RETRY_MAX_ATTEMPTS} 次${this.FAILOVER_PROVIDER || this.FAILOVER_MODEL ? `（备用 ${[this.FAILOVER_PROVIDER, this.FAILOVER_MODEL].filter(Boolean).join('/')}）` : ''}`);
         console.log('');
     }
 }
@@ -1,24 +1,324 @@
 // public/app.js
 
+// 仪表盘图表尺寸（SVG viewBox，随容器宽度缩放）
+const CHART = { width: 560, height: 160, left: 56, right: 8, top: 8, bottom: 22 };
+
+// 断线重连间隔（毫秒，逐次加倍）及连续失败多少次后放弃
+// （WebSocket 进行中的回复报错，未连接过时改用 SSE；SSE 回复报错）
+const RECONNECT = { initial: 1000, max: 15000, attempts: 5 };
+
+/**
+ * 聊天 WebSocket 客户端（/api/ws）
+ * 断线后自动重连，并按最后收到的事件ID继续接收进行中的回复；
+ * 连接不可用时 isReady 为 false，调用方改用 SSE
+ */
+class ChatSocket {
+    /**
+     * @param {object} options - 配置项
+     * @param {function} options.getUrl - 返回连接地址（包含会话ID和令牌）
+     * @param {function} options.onStatus - 收到助手状态
+     * @param {function} options.onBudget - 收到预算变化
+     * @param {function} options.onUnauthorized - 登录失效
+     * @param {function} options.onReady - 连接就绪，收到服务器分配的会话ID (sessionId) => void
+     */
+    constructor(options) {
+        this.options = options;
+        this.ws = null;
+        this.ready = false;
+        this.everConnected = false;
+        this.failures = 0;
+        this.closed = false;
+        this.nextRequestId = 1;
+        // 进行中的回复：requestId -> { streamId, lastEventId, onEvent, reject, cancelRequested }
+        this.pending = new Map();
+    }
+
+    get isReady() {
+        return this.ready;
+    }
+
+    connect() {
+        this.closed = false;
+        clearTimeout(this.retryTimer);
+
+        const ws = new WebSocket(this.options.getUrl());
+        this.ws = ws;
+
+        ws.onmessage = (event) => {
+            if (ws === this.ws) {
+                this.handleMessage(JSON.parse(event.data));
+            }
+        };
+        ws.onclose = (event) => {
+            if (ws === this.ws) {
+                this.handleClose(event.code);
+            }
+        };
+    }
+
+    /**
+     * 主动关闭（退出登录、切换用户），不再重连
+     */
+    close() {
+        this.closed = true;
+        this.ready = false;
+        clearTimeout(this.retryTimer);
+        clearTimeout(this.watchdog);
+
+        if (this.ws) {
+            this.ws.onclose = null;
+            this.ws.close();
+            this.ws = null;
+        }
+        this.rejectPending(new Error('连接已关闭'));
+    }
+
+    send(data) {
+        this.ws.send(JSON.stringify(data));
+    }
+
+    /**
+     * 一段时间没有收到任何消息（包括心跳）时视为连接已断开
+     * @param {number} interval - 服务器的心跳间隔
+     */
+    resetWatchdog(interval = this.heartbeatInterval) {
+        clearTimeout(this.watchdog);
+        if (interval) {
+            this.watchdog = setTimeout(() => this.ws?.close(), interval * 2.5);
+        }
+    }
+
+    handleMessage(message) {
+        this.resetWatchdog();
+
+        switch (message.type) {
+            case 'ready':
+                this.ready = true;
+                this.everConnected = true;
+                this.failures = 0;
+                this.heartbeatInterval = message.heartbeatInterval;
+                this.options.onReady?.(message.sessionId);
+                this.resetWatchdog();
+                this.resumePending();
+                break;
+
+            case 'status':
+                this.options.onStatus(message.data);
+                break;
+
+            case 'budget':
+                this.options.onBudget(message.data);
+                break;
+
+            case 'accepted': {
+                const request = this.pending.get(message.requestId);
+                if (request) {
+                    request.streamId = message.streamId;
+                    if (request.cancelRequested) {
+                        this.send({ type: 'cancel', streamId: message.streamId });
+                    }
+                }
+                break;
+            }
+
+            case 'stream': {
+                const request = this.findByStream(message.streamId);
+                if (!request) break;
+
+                request.lastEventId = message.eventId;
+                if (message.data.type === 'end' || message.data.type === 'error') {
+                    this.pending.delete(request.id);
+                }
+                request.onEvent(message.data);
+                break;
+            }
+
+            case 'error': {
+                if (message.status === 401) {
+                    this.options.onUnauthorized();
+                }
+                const request = message.requestId
+                    ? this.pending.get(message.requestId)
+                    : this.findByStream(message.streamId);
+                if (request) {
+                    this.pending.delete(request.id);
+                    request.reject(new Error(message.error));
+                }
+                break;
+            }
+        }
+    }
+
+    findByStream(streamId) {
+        return [...this.pending.values()].find(request => request.streamId === streamId);
+    }
+
+    /**
+     * 重连后继续接收进行中的回复（尚未收到任何事件的从头接收）
+     */
+    resumePending() {
+        for (const request of this.pending.values()) {
+            if (request.streamId) {
+                this.send({ type: 'resume', lastEventId: request.lastEventId || `${request.streamId}:0` });
+                if (request.cancelRequested) {
+                    this.send({ type: 'cancel', streamId: request.streamId });
+                }
+            } else {
+                // 断线前没有收到 accepted，无法确认服务器是否已开始生成
+                this.pending.delete(request.id);
+                request.reject(new Error('连接已断开，请重试'));
+            }
+        }
+    }
+
+    rejectPending(error) {
+        for (const request of this.pending.values()) {
+            request.reject(error);
+        }
+        this.pending.clear();
+    }
+
+    handleClose(code) {
+        this.ready = false;
+        this.ws = null;
+        clearTimeout(this.watchdog);
+
+        if (this.closed) return;
+
+        // 1008：登录已失效，重新登录后再连接
+        if (code === 1008) {
+            this.rejectPending(new Error('登录已失效'));
+            this.options.onUnauthorized();
+            return;
+        }
+
+        this.failures++;
+        if (this.failures >= RECONNECT.attempts) {
+            this.rejectPending(new Error('连接已断开'));
+            // 从未连接成功（服务器未启用 WebSocket 或被代理拦截），之后一直使用 SSE
+            if (!this.everConnected) return;
+        }
+
+        const delay = Math.min(RECONNECT.initial * 2 ** (this.failures - 1), RECONNECT.max);
+        this.retryTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    /**
+     * 开始流式回复
+     * @param {object} message - send | regenerate | edit 消息（不含 requestId）
+     * @param {function} onEvent - 收到回复的事件（与 SSE 的事件相同）
+     * @returns {{done: Promise, cancel: function}} done 在 end 或 error 事件后完成
+     */
+    stream(message, onEvent) {
+        const id = String(this.nextRequestId++);
+        const request = { id, streamId: null, lastEventId: null, onEvent, cancelRequested: false };
+
+        const done = new Promise((resolve, reject) => {
+            request.reject = reject;
+            request.onEvent = (data) => {
+                try {
+                    onEvent(data);
+                    if (data.type === 'end') resolve();
+                } catch (error) {
+                    this.pending.delete(id);
+                    reject(error);
+                }
+            };
+        });
+
+        this.pending.set(id, request);
+        this.send({ ...message, requestId: id });
+
+        return {
+            done,
+            cancel: () => {
+                request.cancelRequested = true;
+                if (request.streamId && this.ready) {
+                    this.send({ type: 'cancel', streamId: request.streamId });
+                }
+            }
+        };
+    }
+}
+
 class ChatApp {
     constructor() {
         this.apiBase = '/api';
         this.currentMode = 'learning';
         this.isStreaming = false;
+        this.sessionId = this.getSessionId();
+        // 登录令牌（token / local 认证方式）及当前用户
+        this.authToken = localStorage.getItem('authToken');
+        this.authMode = 'none';
+        this.user = null;
+        // 当前显示的分支（GET /api/messages 的结果，带兄弟分支信息）
+        this.branch = [];
+        // WebSocket 连接（不可用时流式请求使用 SSE）
+        this.socket = null;
 
         this.initElements();
         this.attachEventListeners();
         this.loadInitialData();
     }
 
+    /**
+     * 获取当前标签页的会话ID（每个标签页独立会话）
+     * 会话ID由服务器分配，还没有时为 null
+     */
+    getSessionId() {
+        return sessionStorage.getItem('sessionId');
+    }
+
+    /**
+     * 记住服务器分配的会话ID（首次请求或会话过期后服务器会分配新ID）
+     * @param {string} sessionId - 响应头 X-Session-Id 或 WebSocket ready 消息中的会话ID
+     */
+    setSessionId(sessionId) {
+        if (sessionId && sessionId !== this.sessionId) {
+            this.sessionId = sessionId;
+            sessionStorage.setItem('sessionId', sessionId);
+        }
+    }
+
+    /**
+     * 放弃当前会话ID（切换用户时，不沿用上一个用户的会话）
+     */
+    resetSessionId() {
+        sessionStorage.removeItem('sessionId');
+        this.sessionId = null;
+    }
+
+    /**
+     * 构建请求头
+     */
+    getHeaders() {
+        const headers = {
+            'Content-Type': 'application/json'
+        };
+
+        if (this.sessionId) {
+            headers['X-Session-Id'] = this.sessionId;
+        }
+        if (this.authToken) {
+            headers.Authorization = `Bearer ${this.authToken}`;
+        }
+
+        return headers;
+    }
+
     initElements() {
         // 聊天元素
         this.chatMessages = document.getElementById('chat-messages');
         this.chatInput = document.getElementById('chat-input');
         this.btnSend = document.getElementById('btn-send');
+        this.btnStop = document.getElementById('btn-stop');
+        this.keepPartial = document.getElementById('keep-partial');
+        this.keepPartial.checked = localStorage.getItem('cancelPolicy') !== 'discard';
+        this.costEstimate = document.getElementById('cost-estimate');
 
         // 侧边栏元素
         this.modeList = document.getElementById('mode-list');
+        this.conversationList = document.getElementById('conversation-list');
         this.currentModeDisplay = document.getElementById('current-mode');
         this.chatRoundsDisplay = document.getElementById('chat-rounds');
         this.tokenUsageDisplay = document.getElementById('token-usage');
@@ -34,12 +334,29 @@ class ChatApp {
         // 模态框
         this.reportModal = document.getElementById('report-modal');
         this.reportContent = document.getElementById('report-content');
+        this.analyticsContent = document.getElementById('analytics-content');
+        this.analyticsDays = document.getElementById('analytics-days');
+        this.modalTabs = document.querySelectorAll('.modal-tab');
         this.btnCloseModal = document.getElementById('btn-close-modal');
+        this.usersContent = document.getElementById('users-content');
+        this.tabUsers = document.getElementById('tab-users');
+
+        // 登录
+        this.loginModal = document.getElementById('login-modal');
+        this.loginForm = document.getElementById('login-form');
+        this.loginError = document.getElementById('login-error');
+        this.userInfo = document.getElementById('user-info');
+        this.userName = document.getElementById('user-name');
+        this.btnLogout = document.getElementById('btn-logout');
     }
 
     attachEventListeners() {
         // 发送消息
         this.btnSend.addEventListener('click', () => this.sendMessage());
+        this.btnStop.addEventListener('click', () => this.stopGeneration());
+        this.keepPartial.addEventListener('change', () => {
+            localStorage.setItem('cancelPolicy', this.keepPartial.checked ? 'keep' : 'discard');
+        });
         this.chatInput.addEventListener('keydown', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
@@ -51,6 +368,7 @@ class ChatApp {
         this.chatInput.addEventListener('input', () => {
             this.chatInput.style.height = 'auto';
             this.chatInput.style.height = Math.min(this.chatInput.scrollHeight, 150) + 'px';
+            this.scheduleEstimate();
         });
 
         // 操作按钮
@@ -58,6 +376,22 @@ class ChatApp {
         this.btnReport.addEventListener('click', () => this.showReport());
         this.btnReset.addEventListener('click', () => this.resetSession());
         this.btnCloseModal.addEventListener('click', () => this.hideModal());
+        this.modalTabs.forEach(tab => {
+            tab.addEventListener('click', () => this.switchReportTab(tab.dataset.tab));
+        });
+        this.analyticsDays.addEventListener('change', () => {
+            this.loadAnalytics();
+            if (this.user?.role === 'admin') {
+                this.loadUsers();
+            }
+        });
+
+        // 登录和退出
+        this.loginForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+        this.btnLogout.addEventListener('click', () => this.logout());
 
         // 点击模态框外部关闭
         this.reportModal.addEventListener('click', (e) => {
@@ -69,34 +403,430 @@ class ChatApp {
 
     async loadInitialData() {
         try {
+            // 确认登录状态（未登录时显示登录框，登录后重新加载）
+            if (!await this.checkAuth()) {
+                return;
+            }
+
+            // 加载状态（同时取得服务器分配的会话ID）
+            await this.updateStatus();
+
+            // 建立 WebSocket 连接（接收状态和预算推送）
+            this.connectSocket();
+
             // 加载模式列表
             await this.loadModes();
 
-            // 加载状态
-            await this.updateStatus();
+            // 加载历史对话
+            await this.loadConversations();
         } catch (error) {
             this.showError('加载数据失败: ' + error.message);
         }
     }
 
+    /**
+     * 获取认证方式和当前用户
+     * @returns {boolean} 是否已登录
+     */
+    async checkAuth() {
+        const config = await this.fetchWithAuth('/auth/config');
+        this.authMode = config.data?.mode || 'none';
+
+        const response = await this.fetchWithAuth('/auth/me');
+        if (!response.success) {
+            return false;
+        }
+
+        this.user = response.data.user;
+        this.userInfo.classList.toggle('hidden', this.authMode === 'none');
+        this.userName.textContent = `👤 ${this.user.id}${this.user.role === 'admin' ? '（管理员）' : ''}`;
+        // 反向代理认证由代理负责登录和退出
+        this.btnLogout.classList.toggle('hidden', this.authMode === 'proxy');
+        this.tabUsers.classList.toggle('hidden', this.user.role !== 'admin');
+        return true;
+    }
+
+    /**
+     * 显示登录框（按认证方式显示账号密码或令牌）
+     * @param {string} message - 提示信息
+     */
+    showLogin(message = '') {
+        document.getElementById('login-account-fields').classList.toggle('hidden', this.authMode !== 'local');
+        document.getElementById('login-token-fields').classList.toggle('hidden', this.authMode !== 'token');
+        this.loginForm.querySelector('button').classList.toggle('hidden', this.authMode === 'proxy');
+        this.loginError.textContent = this.authMode === 'proxy' ? '未通过反向代理认证，请联系管理员' : message;
+        this.loginModal.classList.remove('hidden');
+    }
+
+    async login() {
+        let token;
+
+        if (this.authMode === 'local') {
+            const response = await this.fetchWithAuth('/auth/login', {
+                method: 'POST',
+                body: JSON.stringify({
+                    username: document.getElementById('login-username').value.trim(),
+                    password: document.getElementById('login-password').value
+                })
+            });
+
+            if (!response.success) {
+                this.loginError.textContent = response.error;
+                return;
+            }
+            token = response.data.token;
+        } else {
+            token = document.getElementById('login-token').value.trim();
+        }
+
+        this.authToken = token;
+        localStorage.setItem('authToken', token);
+        this.resetSessionId();
+        this.loginForm.reset();
+        this.loginModal.classList.add('hidden');
+        await this.loadInitialData();
+    }
+
+    async logout() {
+        await this.fetchWithAuth('/auth/logout', { method: 'POST' });
+
+        this.socket?.close();
+        this.authToken = null;
+        localStorage.removeItem('authToken');
+        this.resetSessionId();
+        location.reload();
+    }
+
+    /**
+     * 连接 WebSocket（浏览器不能设置请求头，会话ID和令牌通过查询参数传入）
+     */
+    connectSocket() {
+        this.socket?.close();
+
+        this.socket = new ChatSocket({
+            getUrl: () => {
+                const params = new URLSearchParams();
+                if (this.sessionId) {
+                    params.set('sessionId', this.sessionId);
+                }
+                if (this.authToken) {
+                    params.set('token', this.authToken);
+                }
+                const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+                return `${protocol}//${location.host}${this.apiBase}/ws?${params}`;
+            },
+            onStatus: (data) => this.renderStatus(data),
+            onBudget: (budget) => this.renderBudget(budget),
+            onUnauthorized: () => this.showLogin('登录已失效，请重新登录'),
+            onReady: (sessionId) => this.setSessionId(sessionId)
+        });
+        this.socket.connect();
+    }
+
     async loadModes() {
         const response = await this.fetchWithAuth('/modes');
 
         if (response.success) {
+            this.modes = response.data;
             this.renderModes(response.data);
         }
     }
 
+    async loadConversations() {
+        const response = await this.fetchWithAuth('/conversations');
+
+        if (response.success) {
+            this.renderConversations(response.data.conversations, response.data.current);
+        }
+    }
+
+    renderConversations(conversations, currentId) {
+        this.conversationList.innerHTML = '';
+
+        if (conversations.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'conversation-empty';
+            empty.textContent = '暂无历史对话';
+            this.conversationList.appendChild(empty);
+            return;
+        }
+
+        conversations.forEach(conv => {
+            const item = document.createElement('div');
+            item.className = `conversation-item ${conv.id === currentId ? 'active' : ''}`;
+
+            const title = document.createElement('div');
+            title.className = 'conversation-title';
+            title.textContent = conv.title;
+            title.title = conv.title;
+
+            const modeName = (this.modes || []).find(m => m.id === conv.mode)?.name || conv.mode || '-';
+            const meta = document.createElement('div');
+            meta.className = 'conversation-meta';
+            meta.textContent = `${new Date(conv.updatedAt).toLocaleString('zh-CN')} · ${modeName}`;
+
+            const btnDelete = document.createElement('button');
+            btnDelete.className = 'conversation-delete';
+            btnDelete.textContent = '×';
+            btnDelete.title = '删除对话';
+            btnDelete.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.deleteConversation(conv.id);
+            });
+
+            item.appendChild(title);
+            item.appendChild(meta);
+            item.appendChild(btnDelete);
+            item.addEventListener('click', () => this.resumeConversation(conv.id));
+            this.conversationList.appendChild(item);
+        });
+    }
+
+    async resumeConversation(id) {
+        if (this.isStreaming) return;
+
+        try {
+            const response = await this.fetchWithAuth(`/conversations/${encodeURIComponent(id)}/load`, { method: 'POST' });
+
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+
+            this.renderHistory(response.data.messages);
+            if (response.data.mode) {
+                this.currentMode = response.data.mode;
+                await this.loadModes();
+            }
+            await this.updateStatus();
+            await this.loadConversations();
+            this.addSystemMessage(`已恢复对话: ${response.data.title || id}`);
+        } catch (error) {
+            this.showError('恢复对话失败: ' + error.message);
+        }
+    }
+
+    async deleteConversation(id) {
+        if (!confirm('确定要删除这个对话吗？')) return;
+
+        const response = await this.fetchWithAuth(`/conversations/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+        if (response.success) {
+            await this.loadConversations();
+        } else {
+            this.showError('删除对话失败: ' + response.error);
+        }
+    }
+
+    renderHistory(messages) {
+        this.chatMessages.innerHTML = '';
+        this.branch = messages;
+
+        messages.forEach((msg, index) => {
+            let contentDiv = null;
+
+            if (typeof msg.content === 'string') {
+                contentDiv = this.addMessage(msg.role, msg.content);
+                if (msg.stopReason === 'user_cancelled') {
+                    contentDiv.parentElement.classList.add('cancelled');
+                }
+            } else {
+                // 内容块：文本与工具调用分别显示
+                for (const block of msg.content) {
+                    if (block.type === 'text' && block.text) {
+                        this.addMessage(msg.role, block.text);
+                    } else if (block.type === 'tool_use') {
+                        this.addToolEvent({ type: 'tool_use', name: block.name, input: block.input });
+                    } else if (block.type === 'tool_result') {
+                        this.addToolEvent({ type: 'tool_result', name: '工具', content: String(block.content), isError: block.is_error });
+                    }
+                }
+            }
+
+            this.addMessageActions(msg, contentDiv, index);
+        });
+    }
+
+    /**
+     * 是否为工具结果消息（不能编辑，也不会有其他分支）
+     */
+    isToolResult(msg) {
+        return Array.isArray(msg.content) && msg.content.some(block => block.type === 'tool_result');
+    }
+
+    /**
+     * 消息下方的操作：切换兄弟分支、编辑用户消息、重新生成一轮对话的最终回复
+     */
+    addMessageActions(msg, contentDiv, index) {
+        if (this.isToolResult(msg)) return;
+
+        const actions = document.createElement('div');
+        actions.className = `message-actions ${msg.role}`;
+
+        const addButton = (text, title, onClick, disabled = false) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.title = title;
+            button.disabled = disabled;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        };
+
+        if (msg.siblingIds && msg.siblingIds.length > 1) {
+            addButton('‹', '上一个版本', () => this.switchSibling(msg, -1), msg.siblingIndex === 0);
+            const counter = document.createElement('span');
+            counter.textContent = `${msg.siblingIndex + 1} / ${msg.siblingIds.length}`;
+            actions.appendChild(counter);
+            addButton('›', '下一个版本', () => this.switchSibling(msg, 1), msg.siblingIndex === msg.siblingIds.length - 1);
+        }
+
+        if (msg.role === 'user' && contentDiv) {
+            addButton('✏️ 编辑', '编辑并重新发送', () => this.startEdit(msg, contentDiv));
+        }
+
+        // 工具调用的中间回复之后还有同一轮的消息，只在最终回复上重新生成
+        const next = this.branch[index + 1];
+        if (msg.role === 'assistant' && !(next && this.isToolResult(next))) {
+            addButton('↻ 重新生成', '重新生成这条回复', () => this.regenerateMessage(msg));
+        }
+
+        if (actions.childElementCount > 0) {
+            this.chatMessages.appendChild(actions);
+        }
+    }
+
+    /**
+     * 重新获取当前分支并渲染（保留欢迎消息和尚未消失的提示）
+     */
+    async refreshBranch() {
+        const response = await this.fetchWithAuth('/messages');
+        if (!response.success) return;
+
+        const kept = [...this.chatMessages.querySelectorAll('#welcome-message, .system-message')];
+        this.renderHistory(response.data.messages);
+        this.chatMessages.prepend(...kept.filter(el => el.id === 'welcome-message'));
+        this.chatMessages.append(...kept.filter(el => el.id !== 'welcome-message'));
+    }
+
+    async switchSibling(msg, delta) {
+        if (this.isStreaming) return;
+
+        const targetId = msg.siblingIds[msg.siblingIndex + delta];
+        const response = await this.fetchWithAuth(`/messages/${encodeURIComponent(targetId)}/switch`, { method: 'POST' });
+
+        if (response.success) {
+            this.renderHistory(response.data.messages);
+            await this.updateStatus();
+        } else {
+            this.showError('切换分支失败: ' + response.error);
+        }
+    }
+
+    /**
+     * 在消息气泡中编辑用户消息
+     */
+    startEdit(msg, contentDiv) {
+        if (this.isStreaming || contentDiv.querySelector('.message-editor')) return;
+
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+
+        const textarea = document.createElement('textarea');
+        textarea.value = msg.content;
+        textarea.rows = Math.min(msg.content.split('\n').length + 1, 8);
+
+        const buttons = document.createElement('div');
+        const save = document.createElement('button');
+        save.textContent = '保存并发送';
+        const cancel = document.createElement('button');
+        cancel.textContent = '取消';
+        buttons.append(save, cancel);
+        editor.append(textarea, buttons);
+
+        const restore = () => {
+            contentDiv.innerHTML = this.formatMessage(msg.content);
+        };
+        cancel.addEventListener('click', restore);
+        save.addEventListener('click', () => {
+            const content = textarea.value.trim();
+            if (!content || content === msg.content) {
+                restore();
+                return;
+            }
+            this.editMessage(msg, content);
+        });
+
+        contentDiv.replaceChildren(editor);
+        textarea.focus();
+    }
+
+    /**
+     * 编辑后从这条消息重新对话（原消息及其后续保留为其他分支）
+     */
+    async editMessage(msg, content) {
+        const index = this.branch.indexOf(msg);
+
+        await this.runBranchRequest({ type: 'edit', messageId: msg.id, content }, () => {
+            this.renderHistory(this.branch.slice(0, index));
+            this.addMessage('user', content);
+        });
+    }
+
+    /**
+     * 重新生成回复：保留这一轮的用户问题，之后的内容由新回复替换（原回复保留为其他分支）
+     */
+    async regenerateMessage(msg) {
+        let start = this.branch.indexOf(msg);
+        while (start > 0 && (this.branch[start].role !== 'user' || this.isToolResult(this.branch[start]))) {
+            start--;
+        }
+
+        await this.runBranchRequest({ type: 'regenerate', messageId: msg.id }, () => {
+            this.renderHistory(this.branch.slice(0, start + 1));
+        });
+    }
+
+    /**
+     * 执行编辑或重新生成的流式请求，结束后按服务器上的当前分支重新渲染
+     * @param {object} request - 流式请求（见 streamMessage）
+     * @param {function} render - 请求前渲染截断后的分支
+     */
+    async runBranchRequest(request, render) {
+        if (this.isStreaming) return;
+
+        this.setStreamingState(true);
+
+        try {
+            render();
+            const typingId = this.addTypingIndicator();
+            await this.streamMessage(request, typingId);
+            await this.updateStatus();
+            await this.loadConversations();
+        } catch (error) {
+            this.showError('请求失败: ' + error.message);
+        } finally {
+            this.setStreamingState(false);
+            await this.refreshBranch();
+        }
+    }
+
     renderModes(modes) {
         this.modeList.innerHTML = '';
 
         modes.forEach(mode => {
             const item = document.createElement('div');
             item.className = `mode-item ${mode.id === this.currentMode ? 'active' : ''}`;
-            item.innerHTML = `
-                <div class="mode-name">${mode.name}</div>
-                <div class="mode-desc">${mode.systemPrompt.substring(0, 30)}...</div>
-            `;
+
+            // 自定义模式的名称和提示由用户输入，使用 textContent 避免注入
+            const name = document.createElement('div');
+            name.className = 'mode-name';
+            name.textContent = mode.builtin ? mode.name : `${mode.name} ✦`;
+
+            const desc = document.createElement('div');
+            desc.className = 'mode-desc';
+            desc.textContent = `${mode.systemPrompt.substring(0, 30)}...`;
+
+            item.appendChild(name);
+            item.appendChild(desc);
 
             item.addEventListener('click', () => this.switchMode(mode.id));
             this.modeList.appendChild(item);
@@ -113,6 +843,7 @@ class ChatApp {
                 this.currentMode = mode;
                 await this.loadModes(); // 重新渲染模式列表
                 await this.updateStatus();
+                await this.loadConversations();
                 this.addSystemMessage(`已切换到 ${response.data.modeName} 模式`);
             }
         } catch (error) {
@@ -124,28 +855,130 @@ class ChatApp {
         const response = await this.fetchWithAuth('/status');
 
         if (response.success) {
-            const data = response.data;
-
-            this.currentModeDisplay.textContent = data.modeName || '-';
-            this.chatRoundsDisplay.textContent = data.conversation.rounds || 0;
-            this.tokenUsageDisplay.textContent = data.tokens.totalTokens?.toLocaleString() || 0;
-            this.currentCostDisplay.textContent = '$' + (data.budget.currentCost || 0).toFixed(6);
-            this.headerModeName.textContent = data.modeName || '智能助手';
+            this.renderStatus(response.data);
+        }
+    }
 
-            // 更新连接状态
+    /**
+     * 显示助手状态（GET /api/status 或 WebSocket 推送）
+     */
+    renderStatus(data) {
+        this.currentModeDisplay.textContent = data.modeName || '-';
+        this.chatRoundsDisplay.textContent = data.conversation.rounds || 0;
+        this.tokenUsageDisplay.textContent = data.tokens.totalTokens?.toLocaleString() || 0;
+        this.currentCostDisplay.textContent = data.tokens.displayCost || '$0.000000';
+        this.renderBudget(data.budget);
+        this.headerModeName.textContent = data.modeName || '智能助手';
+
+        // 更新连接状态（生成期间保持“输入中”）
+        if (!this.isStreaming) {
             this.connectionStatus.className = 'status-indicator online';
             this.connectionStatus.textContent = '已连接';
         }
     }
 
+    /**
+     * 悬停显示各项预算的使用情况
+     */
+    renderBudget(budget) {
+        this.currentCostDisplay.title = (budget.budgets || [])
+            .map(item => `${item.label}: ${item.display}`)
+            .join('\n');
+    }
+
+    /**
+     * 输入停顿后刷新成本估算
+     */
+    scheduleEstimate() {
+        clearTimeout(this.estimateTimer);
+        this.estimateTimer = setTimeout(() => this.updateEstimate(), 500);
+    }
+
+    async fetchEstimate(message) {
+        const response = await this.fetchWithAuth('/estimate', {
+            method: 'POST',
+            body: JSON.stringify({ message })
+        });
+
+        return response.success ? response.data : null;
+    }
+
+    async updateEstimate() {
+        const message = this.chatInput.value.trim();
+
+        if (!message) {
+            this.renderEstimate(null);
+            return;
+        }
+
+        try {
+            this.renderEstimate(await this.fetchEstimate(message));
+        } catch {
+            this.renderEstimate(null);
+        }
+    }
+
+    renderEstimate(preview) {
+        this.costEstimate.classList.remove('warning', 'danger');
+
+        if (!preview) {
+            this.costEstimate.textContent = '';
+            return;
+        }
+
+        const { estimate } = preview;
+        let text = `预计 ≤ ${estimate.displayCost}（~${estimate.inputTokens} 输入 + 最多 ${estimate.maxTokens} 输出 tokens）`;
+
+        if (preview.action === 'degrade') {
+            text += ` · 预算不足，将改用 ${preview.degraded.to.model}`;
+            this.costEstimate.classList.add('warning');
+        } else if (preview.reason === 'unpriced') {
+            text += ' · 模型未定价，无法计入预算';
+            this.costEstimate.classList.add('danger');
+        } else if (preview.action === 'block' || preview.isOverBudget) {
+            text += ' · 超出剩余预算';
+            this.costEstimate.classList.add('danger');
+        }
+
+        if (!estimate.priced && preview.reason !== 'unpriced') {
+            text += ' · 模型未定价';
+        }
+
+        this.costEstimate.textContent = text;
+        this.costEstimate.title = `模型: ${estimate.model}，剩余预算: ${estimate.displayHeadroom || '不限'}`;
+    }
+
+    /**
+     * 预计成本较高时请求确认（CONFIRM_COST_ABOVE）
+     * @returns {Promise<boolean>} 是否继续发送
+     */
+    async confirmCost(message) {
+        let preview;
+        try {
+            preview = await this.fetchEstimate(message);
+        } catch {
+            return true;
+        }
+
+        if (!preview || preview.action === 'block' || !preview.estimate.requiresConfirmation) {
+            return true;
+        }
+
+        return confirm(`本次请求预计最多花费 ${preview.estimate.displayCost}，确定发送吗？`);
+    }
+
     async sendMessage() {
         const message = this.chatInput.value.trim();
 
         if (!message || this.isStreaming) return;
 
+        if (!(await this.confirmCost(message))) return;
+
         // 清空输入框
+        clearTimeout(this.estimateTimer);
         this.chatInput.value = '';
         this.chatInput.style.height = 'auto';
+        this.renderEstimate(null);
 
         // 添加用户消息
         this.addMessage('user', message);
@@ -158,77 +991,275 @@ class ChatApp {
             const typingId = this.addTypingIndicator();
 
             // 使用流式 API
-            await this.streamMessage(message, typingId);
+            await this.streamMessage({ type: 'send', message }, typingId);
 
             // 更新状态
             await this.updateStatus();
+            await this.loadConversations();
         } catch (error) {
             this.showError('发送消息失败: ' + error.message);
         } finally {
             this.setStreamingState(false);
+            // 显示消息ID对应的编辑、重新生成和分支切换操作
+            await this.refreshBranch();
         }
     }
 
-    async streamMessage(message, typingId) {
+    /**
+     * 发送流式请求并显示回复（WebSocket 可用时使用 WebSocket，否则使用 SSE）
+     * @param {object} request - { type: send, message } | { type: regenerate, messageId } | { type: edit, messageId, content }
+     * @param {string} typingId - 打字指示器ID
+     */
+    async streamMessage(request, typingId) {
+        // 停止生成：服务器中止上游请求，部分回复按所选策略保留或丢弃
+        const cancelPolicy = this.keepPartial.checked ? 'keep' : 'discard';
+        const state = { typingId, cancelPolicy, assistantMessage: null, fullContent: '' };
+        const options = { cancelPolicy };
+
         try {
-            const response = await fetch(`${this.apiBase}/chat/stream`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ message })
-            });
+            if (this.socket?.isReady) {
+                const stream = this.socket.stream({ ...request, options }, data => this.handleStreamEvent(data, state));
+                this.stopCurrent = () => stream.cancel();
+                await stream.done;
+            } else {
+                await this.streamOverSse(request, options, state);
+            }
+        } catch (error) {
+            this.removeTypingIndicator(typingId);
+            throw error;
+        } finally {
+            this.stopCurrent = null;
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-
-            const reader = response.body.getReader();
-            const decoder = new TextDecoder();
-
-            let assistantMessage = null;
-            let fullContent = '';
-
-            while (true) {
-                const { done, value } = await reader.read();
-
-                if (done) break;
-
-                const chunk = decoder.decode(value);
-                const lines = chunk.split('\n');
-
-                for (const line of lines) {
-                    if (line.startsWith('data: ')) {
-                        try {
-                            const data = JSON.parse(line.slice(6));
-
-                            if (data.type === 'start') {
-                                // 移除打字指示器，创建助手消息
-                                this.removeTypingIndicator(typingId);
-                                assistantMessage = this.addMessage('assistant', '');
-                            } else if (data.type === 'content') {
-                                // 追加内容
-                                fullContent += data.content;
-                                this.updateMessageContent(assistantMessage, fullContent);
-                            } else if (data.type === 'error') {
-                                throw new Error(data.error);
-                            } else if (data.type === 'end') {
-                                // 流结束
-                                if (!data.success) {
-                                    throw new Error(data.error || '请求失败');
-                                }
-                            }
-                        } catch (e) {
-                            if (e.message) throw e;
-                        }
+    /**
+     * 流式请求的 SSE 接口
+     */
+    getStreamPath(request) {
+        const messagePath = `/messages/${encodeURIComponent(request.messageId)}`;
+
+        switch (request.type) {
+            case 'regenerate':
+                return { path: `${messagePath}/regenerate/stream`, body: {} };
+            case 'edit':
+                return { path: `${messagePath}/edit/stream`, body: { content: request.content } };
+            default:
+                return { path: '/chat/stream', body: { message: request.message } };
+        }
+    }
+
+    /**
+     * 通过 SSE 接收回复
+     * 连接中断时按最后收到的事件ID重新连接并继续接收（不重新发送消息），停止生成时通知服务器
+     */
+    async streamOverSse(request, options, state) {
+        const { path, body } = this.getStreamPath(request);
+        const sse = { streamId: null, lastEventId: null, ended: false, cancelRequested: false };
+
+        this.stopCurrent = () => {
+            sse.cancelRequested = true;
+            if (sse.streamId) {
+                this.cancelSseStream(sse.streamId);
+            }
+        };
+
+        let response = await this.openSse(path, {
+            method: 'POST',
+            body: JSON.stringify({ ...body, options })
+        });
+
+        sse.streamId = response.headers.get('X-Stream-Id');
+        if (sse.cancelRequested) {
+            this.cancelSseStream(sse.streamId);
+        }
+
+        for (let failures = 0; ;) {
+            if (response) {
+                await this.readSse(response, sse, state);
+                if (sse.ended) return;
+            }
+
+            if (++failures > RECONNECT.attempts) {
+                throw new Error('连接已断开');
+            }
+            const delay = Math.min(RECONNECT.initial * 2 ** (failures - 1), RECONNECT.max);
+            await new Promise(resolve => setTimeout(resolve, delay));
+
+            // 回复已结束并过期（410）时抛出错误，结束后重新加载的分支中包含完整回复
+            try {
+                response = await this.openSse('/chat/stream', {
+                    headers: { ...this.getHeaders(), 'Last-Event-ID': sse.lastEventId || `${sse.streamId}:0` }
+                });
+                failures = 0;
+            } catch (error) {
+                if (!(error instanceof TypeError)) throw error;
+                response = null;
+            }
+        }
+    }
+
+    /**
+     * 打开 SSE 请求（网络错误时 fetch 抛出 TypeError）
+     */
+    async openSse(path, options) {
+        const response = await fetch(`${this.apiBase}${path}`, {
+            headers: this.getHeaders(),
+            credentials: this.getCredentials(),
+            ...options
+        });
+        this.setSessionId(response.headers.get('X-Session-Id'));
+
+        if (response.status === 401) {
+            this.showLogin('登录已失效，请重新登录');
+        }
+
+        // 限流（429）、消息过长（413）、回复已过期（410）等错误带有说明
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || `HTTP ${response.status}`);
+        }
+
+        return response;
+    }
+
+    /**
+     * 读取 SSE 响应直到结束或连接中断，记录最后收到的事件ID
+     */
+    async readSse(response, sse, state) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        // 一个事件可能跨多个数据块，保留最后一行未完成的部分
+        let buffer = '';
+        let eventId = null;
+
+        while (true) {
+            let chunk;
+            try {
+                chunk = await reader.read();
+            } catch {
+                return;
+            }
+
+            if (chunk.done) return;
+
+            buffer += decoder.decode(chunk.value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                // 字段格式为 "名称: 值"，冒号后的空格可以省略，行尾可能带 \r；空行和注释（以冒号开头）跳过
+                const colon = line.indexOf(':');
+                if (colon <= 0) continue;
+
+                const field = line.slice(0, colon);
+                const value = line.slice(colon + 1).replace(/^ /, '').replace(/\r$/, '');
+
+                if (field === 'id') {
+                    eventId = value;
+                } else if (field === 'data') {
+                    // 重连时从下一个事件继续，无法解析的事件也不再重放
+                    sse.lastEventId = eventId;
+
+                    let data;
+                    try {
+                        data = JSON.parse(value);
+                    } catch {
+                        console.warn('忽略无法解析的事件:', value);
+                        continue;
                     }
+
+                    sse.ended = data.type === 'end';
+                    this.handleStreamEvent(data, state);
                 }
             }
+        }
+    }
 
-        } catch (error) {
-            this.removeTypingIndicator(typingId);
-            throw error;
+    /**
+     * 停止 SSE 回复（服务器随即中止上游请求，之后收到 cancelled 的 end 事件）
+     */
+    async cancelSseStream(streamId) {
+        const response = await this.fetchWithAuth(`/chat/stream/${encodeURIComponent(streamId)}/cancel`, { method: 'POST' });
+
+        if (!response.success) {
+            this.showError('停止生成失败: ' + response.error);
+        }
+    }
+
+    /**
+     * 显示回复的一个事件（SSE 与 WebSocket 相同）
+     * @param {object} data - 事件
+     * @param {object} state - { typingId, cancelPolicy, assistantMessage, fullContent }
+     */
+    handleStreamEvent(data, state) {
+        if (data.type === 'start') {
+            // 移除打字指示器，创建助手消息
+            this.removeTypingIndicator(state.typingId);
+            state.assistantMessage = this.addMessage('assistant', '');
+        } else if (data.type === 'content') {
+            // 工具调用之后的文本使用新的消息气泡
+            if (!state.assistantMessage) {
+                state.assistantMessage = this.addMessage('assistant', '');
+                state.fullContent = '';
+            }
+            // 追加内容
+            state.fullContent += data.content;
+            this.updateMessageContent(state.assistantMessage, state.fullContent);
+        } else if (data.type === 'tool_use' || data.type === 'tool_result') {
+            // 丢弃空的消息气泡，显示工具事件
+            if (state.assistantMessage && !state.fullContent) {
+                state.assistantMessage.parentElement.remove();
+            }
+            state.assistantMessage = null;
+            this.addToolEvent(data);
+        } else if (data.type === 'context') {
+            this.addSystemMessage(`较早的 ${data.compressedMessages} 条消息已压缩为摘要`);
+        } else if (data.type === 'degraded') {
+            this.addSystemMessage(`剩余预算不足，本次改用 ${data.to.model}（max_tokens ${data.to.maxTokens}）`);
+        } else if (data.type === 'retry') {
+            this.addSystemMessage(`↻ ${data.model} 第 ${data.attempt} 次请求失败（${data.category}），${(data.retryInMs / 1000).toFixed(1)} 秒后重试`);
+        } else if (data.type === 'failover') {
+            this.addSystemMessage(`🔀 ${data.from.model} 不可用（${data.category}），已切换到备用模型 ${data.to.model}`);
+        } else if (data.type === 'error') {
+            throw new Error(data.error);
+        } else if (data.type === 'end') {
+            // 流结束（停止生成时服务器返回 cancelled）
+            if (data.cancelled) {
+                this.showCancelled(state.assistantMessage, state.fullContent, state.cancelPolicy);
+                return;
+            }
+            if (!data.success) {
+                throw new Error(data.error || '请求失败');
+            }
+            if (data.fromCache) {
+                this.addSystemMessage(data.cacheMatch === 'semantic'
+                    ? `💾 来自缓存（相似问题，相似度 ${(data.similarity * 100).toFixed(0)}%）`
+                    : '💾 来自缓存');
+            }
         }
     }
 
+    stopGeneration() {
+        if (this.stopCurrent) {
+            this.stopCurrent();
+        }
+    }
+
+    /**
+     * 停止生成后的显示：保留时标记为已停止，丢弃或尚无内容时移除部分回复
+     */
+    showCancelled(contentDiv, content, policy) {
+        const kept = policy === 'keep' && content;
+
+        if (contentDiv && !kept) {
+            contentDiv.parentElement.remove();
+        } else if (contentDiv) {
+            contentDiv.parentElement.classList.add('cancelled');
+        }
+
+        this.addSystemMessage(kept ? '⏹ 已停止生成，部分回复已保留' : '⏹ 已停止生成，本轮对话未保存');
+    }
+
     addMessage(role, content) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${role}`;
@@ -258,6 +1289,21 @@ class ChatApp {
         this.scrollToBottom();
     }
 
+    addToolEvent(data) {
+        const eventDiv = document.createElement('div');
+        eventDiv.className = `tool-event ${data.isError ? 'error' : ''}`;
+
+        if (data.type === 'tool_use') {
+            eventDiv.textContent = `🔧 调用工具 ${data.name}(${JSON.stringify(data.input)})`;
+        } else {
+            const preview = data.content.length > 200 ? data.content.substring(0, 200) + '...' : data.content;
+            eventDiv.textContent = `${data.isError ? '⚠️' : '📎'} ${data.name} → ${preview}`;
+        }
+
+        this.chatMessages.appendChild(eventDiv);
+        this.scrollToBottom();
+    }
+
     addTypingIndicator() {
         const id = 'typing-' + Date.now();
         const messageDiv = document.createElement('div');
@@ -340,6 +1386,8 @@ class ChatApp {
         this.isStreaming = isStreaming;
         this.chatInput.disabled = isStreaming;
         this.btnSend.disabled = isStreaming;
+        this.btnSend.classList.toggle('hidden', isStreaming);
+        this.btnStop.classList.toggle('hidden', !isStreaming);
 
         if (isStreaming) {
             this.connectionStatus.className = 'status-indicator offline';
@@ -359,7 +1407,7 @@ class ChatApp {
         if (response.success) {
             // 清空消息显示，保留欢迎消息
             this.chatMessages.innerHTML = `
-                <div class="message assistant">
+                <div id="welcome-message" class="message assistant">
                     <div class="message-avatar">🤖</div>
                     <div class="message-content">
                         <p>对话历史已清空。我们可以开始新的对话！</p>
@@ -367,6 +1415,7 @@ class ChatApp {
                 </div>
             `;
             await this.updateStatus();
+            await this.loadConversations();
         }
     }
 
@@ -376,9 +1425,357 @@ class ChatApp {
         if (response.success) {
             this.renderReport(response.data);
             this.reportModal.classList.remove('hidden');
+            await this.loadAnalytics();
+        }
+    }
+
+    switchReportTab(name) {
+        this.modalTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.tab === name));
+        this.analyticsContent.classList.toggle('hidden', name !== 'analytics');
+        this.reportContent.classList.toggle('hidden', name !== 'report');
+        this.usersContent.classList.toggle('hidden', name !== 'users');
+        this.analyticsDays.classList.toggle('hidden', name === 'report');
+
+        if (name === 'users') {
+            this.loadUsers();
         }
     }
 
+    /**
+     * 所有用户的用量（仅管理员）
+     */
+    async loadUsers() {
+        this.usersContent.innerHTML = '<p class="hint">加载中...</p>';
+
+        const response = await this.fetchWithAuth(`/users?days=${this.analyticsDays.value}`);
+        this.usersContent.innerHTML = '';
+
+        if (!response.success) {
+            this.usersContent.innerHTML = `<p class="hint">加载用户失败: ${this.escapeHtml(response.error)}</p>`;
+            return;
+        }
+
+        if (response.data.users.length === 0) {
+            this.usersContent.innerHTML = `<p class="hint">${response.data.range.from} ~ ${response.data.range.to} 没有用量记录</p>`;
+            return;
+        }
+
+        response.data.users.forEach(user => {
+            const item = document.createElement('div');
+            item.className = 'report-item';
+
+            const name = document.createElement('span');
+            name.className = 'report-label';
+            name.textContent = `${user.id}${user.role === 'admin' ? '（管理员）' : ''}`;
+
+            const value = document.createElement('span');
+            value.className = 'report-value';
+            value.textContent = `${user.display} · ${user.calls} 次 · ${(user.inputTokens + user.outputTokens).toLocaleString()} tokens`;
+
+            item.appendChild(name);
+            item.appendChild(value);
+            this.usersContent.appendChild(item);
+        });
+    }
+
+    async loadAnalytics() {
+        this.analyticsContent.innerHTML = '<p class="hint">加载中...</p>';
+
+        try {
+            const response = await this.fetchWithAuth(`/analytics?days=${this.analyticsDays.value}`);
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.renderAnalytics(response.data);
+        } catch (error) {
+            this.analyticsContent.innerHTML = '';
+            const message = document.createElement('p');
+            message.className = 'hint';
+            message.textContent = '加载用量分析失败: ' + error.message;
+            this.analyticsContent.appendChild(message);
+        }
+    }
+
+    /**
+     * 用量分析仪表盘（图表为内联 SVG，不依赖第三方库）
+     */
+    renderAnalytics(data) {
+        const { summary, daily } = data;
+        const number = value => value.toLocaleString();
+        const percent = value => value === null ? '-' : `${(value * 100).toFixed(1)}%`;
+        const latency = value => value === null ? '-' : value >= 1000 ? `${(value / 1000).toFixed(1)}s` : `${value}ms`;
+        const money = value => value.toFixed(value >= 1 ? 2 : 4);
+
+        if (summary.calls === 0 && summary.cacheHits + summary.cacheMisses === 0) {
+            this.analyticsContent.innerHTML = `<p class="hint">${data.range.from} ~ ${data.range.to} 没有用量记录</p>`;
+            return;
+        }
+
+        // 图表使用显示货币
+        const points = daily.map(day => ({
+            ...day,
+            cacheTokens: day.cacheReadTokens + day.cacheWriteTokens,
+            displayValue: day.cost * data.exchangeRate
+        }));
+
+        this.analyticsContent.innerHTML = `
+            <div class="analytics-cards">
+                ${this.renderStatCard('请求次数', number(summary.calls))}
+                ${this.renderStatCard('总Tokens', number(summary.totalTokens))}
+                ${this.renderStatCard('成本', summary.displayCost)}
+                ${this.renderStatCard('平均耗时', latency(summary.avgLatencyMs))}
+                ${this.renderStatCard('缓存命中率', percent(summary.cacheHitRate))}
+                ${this.renderStatCard('对话数', number(summary.conversations))}
+            </div>
+
+            <div class="report-section">
+                <h3>🔢 每日 Tokens</h3>
+                ${this.renderBarChart(points, [
+                    { key: 'inputTokens', label: '输入', color: '#10a37f' },
+                    { key: 'outputTokens', label: '输出', color: '#6366f1' },
+                    { key: 'cacheTokens', label: '提示缓存', color: '#f59e0b' }
+                ], number)}
+            </div>
+
+            <div class="report-section">
+                <h3>💰 每日成本（${data.displayCurrency}）</h3>
+                ${this.renderLineChart(points, 'displayValue', '#b45309', money)}
+            </div>
+
+            <div class="report-section">
+                <h3>💾 缓存命中率</h3>
+                ${this.renderLineChart(points, 'cacheHitRate', '#10a37f', value => `${Math.round(value * 100)}%`, 1)}
+            </div>
+
+            <div class="report-section">
+                <h3>⏱️ 平均耗时</h3>
+                ${this.renderLineChart(points, 'avgLatencyMs', '#6366f1', latency)}
+            </div>
+
+            <div class="analytics-columns">
+                <div class="report-section">
+                    <h3>🎭 按模式</h3>
+                    ${this.renderBreakdown(data.byMode)}
+                </div>
+                <div class="report-section">
+                    <h3>🤖 按模型</h3>
+                    ${this.renderBreakdown(data.byModel)}
+                </div>
+            </div>
+
+            <div class="report-section">
+                <h3>🏆 成本最高的对话</h3>
+                <div id="analytics-top-conversations"></div>
+            </div>
+        `;
+
+        this.renderTopConversations(data.topConversations);
+    }
+
+    renderStatCard(label, value) {
+        return `
+            <div class="analytics-card">
+                <span class="report-label">${label}</span>
+                <span class="analytics-card-value">${value}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * 图表坐标轴：三条横向网格线及首、中、尾日期
+     * @param {Array<object>} points - 每日数据
+     * @param {number} max - 纵轴最大值
+     * @param {function} format - 纵轴数值格式
+     */
+    renderChartAxes(points, max, format) {
+        const plotHeight = CHART.height - CHART.top - CHART.bottom;
+        const grid = [0, 0.5, 1].map(ratio => {
+            const y = CHART.top + plotHeight * (1 - ratio);
+            return `
+                <line x1="${CHART.left}" x2="${CHART.width - CHART.right}" y1="${y}" y2="${y}" class="chart-grid" />
+                <text x="${CHART.left - 6}" y="${y + 4}" text-anchor="end" class="chart-label">${format(max * ratio)}</text>
+            `;
+        }).join('');
+
+        const labels = [...new Set([0, Math.floor((points.length - 1) / 2), points.length - 1])].map(index => {
+            const x = this.chartX(index, points.length);
+            return `<text x="${x}" y="${CHART.height - 6}" text-anchor="middle" class="chart-label">${points[index].date.slice(5)}</text>`;
+        }).join('');
+
+        return grid + labels;
+    }
+
+    /**
+     * 第 index 个数据点的横坐标（柱子中心）
+     */
+    chartX(index, count) {
+        const plotWidth = CHART.width - CHART.left - CHART.right;
+        return CHART.left + plotWidth * (index + 0.5) / count;
+    }
+
+    /**
+     * 纵坐标
+     */
+    chartY(value, max) {
+        const plotHeight = CHART.height - CHART.top - CHART.bottom;
+        return CHART.top + plotHeight * (1 - value / max);
+    }
+
+    /**
+     * 堆叠柱状图
+     * @param {Array<object>} points - 每日数据
+     * @param {Array<object>} series - [{ key, label, color }]，按顺序自下而上堆叠
+     * @param {function} format - 数值格式
+     */
+    renderBarChart(points, series, format) {
+        const totals = points.map(point => series.reduce((sum, item) => sum + point[item.key], 0));
+        const max = Math.max(...totals) || 1;
+        const barWidth = Math.max((CHART.width - CHART.left - CHART.right) / points.length * 0.7, 1);
+
+        const bars = points.map((point, index) => {
+            const x = this.chartX(index, points.length) - barWidth / 2;
+            const tooltip = [point.date, ...series.map(item => `${item.label}: ${format(point[item.key])}`)].join('\n');
+            let stacked = 0;
+
+            const rects = series.map(item => {
+                const value = point[item.key];
+                if (value <= 0) {
+                    return '';
+                }
+                const y = this.chartY(stacked + value, max);
+                const height = this.chartY(stacked, max) - y;
+                stacked += value;
+                return `<rect x="${x}" y="${y}" width="${barWidth}" height="${height}" fill="${item.color}" />`;
+            }).join('');
+
+            return `<g><title>${tooltip}</title>${rects}</g>`;
+        }).join('');
+
+        const legend = series.map(item => `
+            <span class="chart-legend-item"><i style="background: ${item.color}"></i>${item.label}</span>
+        `).join('');
+
+        return `
+            <svg class="chart" viewBox="0 0 ${CHART.width} ${CHART.height}">
+                ${this.renderChartAxes(points, max, format)}
+                ${bars}
+            </svg>
+            <div class="chart-legend">${legend}</div>
+        `;
+    }
+
+    /**
+     * 折线图（值为 null 的日期断开）
+     * @param {Array<object>} points - 每日数据
+     * @param {string} key - 数值字段
+     * @param {string} color - 颜色
+     * @param {function} format - 数值格式
+     * @param {number} fixedMax - 固定的纵轴最大值（如命中率为 1）
+     */
+    renderLineChart(points, key, color, format, fixedMax = null) {
+        const values = points.map(point => point[key]);
+        const max = fixedMax || Math.max(0, ...values.filter(value => value !== null)) || 1;
+
+        let path = '';
+        let drawing = false;
+        const dots = [];
+
+        values.forEach((value, index) => {
+            if (value === null) {
+                drawing = false;
+                return;
+            }
+
+            const x = this.chartX(index, points.length);
+            const y = this.chartY(value, max);
+            path += `${drawing ? 'L' : 'M'}${x.toFixed(1)},${y.toFixed(1)} `;
+            drawing = true;
+            dots.push(`<circle cx="${x}" cy="${y}" r="2.5" fill="${color}"><title>${points[index].date}: ${format(value)}</title></circle>`);
+        });
+
+        return `
+            <svg class="chart" viewBox="0 0 ${CHART.width} ${CHART.height}">
+                ${this.renderChartAxes(points, max, format)}
+                <path d="${path}" fill="none" stroke="${color}" stroke-width="2" />
+                ${dots.join('')}
+            </svg>
+        `;
+    }
+
+    /**
+     * 分组占比条（按成本，未产生成本时按 tokens）
+     * @param {Array<object>} groups - [{ name, calls, totalTokens, cost, displayCost }]
+     */
+    renderBreakdown(groups) {
+        if (groups.length === 0) {
+            return '<p class="hint">暂无数据</p>';
+        }
+
+        const byCost = groups.some(group => group.cost > 0);
+        const total = groups.reduce((sum, group) => sum + (byCost ? group.cost : group.totalTokens), 0) || 1;
+
+        return groups.map(group => {
+            const share = (byCost ? group.cost : group.totalTokens) / total * 100;
+            return `
+                <div class="breakdown-item" title="${group.calls} 次请求">
+                    <div class="breakdown-header">
+                        <span class="breakdown-name">${this.escapeHtml(group.name)}</span>
+                        <span class="report-label">${group.displayCost} · ${group.totalTokens.toLocaleString()} tokens</span>
+                    </div>
+                    <svg class="breakdown-bar" viewBox="0 0 100 6" preserveAspectRatio="none">
+                        <rect width="100" height="6" class="breakdown-track" />
+                        <rect width="${share.toFixed(2)}" height="6" fill="#10a37f" />
+                    </svg>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 成本最高的对话（已保存的对话可点击恢复）
+     */
+    renderTopConversations(conversations) {
+        const container = document.getElementById('analytics-top-conversations');
+
+        if (conversations.length === 0) {
+            container.innerHTML = '<p class="hint">暂无数据</p>';
+            return;
+        }
+
+        conversations.forEach((conv, index) => {
+            const item = document.createElement('div');
+            item.className = `report-item top-conversation ${conv.saved ? 'saved' : ''}`;
+
+            // 对话标题由用户内容生成，使用 textContent 避免注入
+            const title = document.createElement('span');
+            title.className = 'report-label';
+            title.textContent = `${index + 1}. ${conv.title || `未保存的对话 ${conv.conversationId}`}`;
+            title.title = conv.saved ? '点击恢复此对话' : '';
+
+            const value = document.createElement('span');
+            value.className = 'report-value';
+            value.textContent = `${conv.displayCost} · ${conv.calls} 次 · ${conv.totalTokens.toLocaleString()} tokens`;
+
+            item.appendChild(title);
+            item.appendChild(value);
+            if (conv.saved) {
+                item.addEventListener('click', () => {
+                    this.hideModal();
+                    this.resumeConversation(conv.conversationId);
+                });
+            }
+            container.appendChild(item);
+        });
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     renderReport(data) {
         this.reportContent.innerHTML = `
             <div class="report-section">
@@ -395,6 +1792,14 @@ class ChatApp {
                     <span class="report-label">对话轮数</span>
                     <span class="report-value">${data.conversation.rounds || 0}</span>
                 </div>
+                <div class="report-item">
+                    <span class="report-label">上下文大小</span>
+                    <span class="report-value">~${data.conversation.context.estimatedPromptTokens} / ${data.conversation.context.inputLimit}</span>
+                </div>
+                <div class="report-item">
+                    <span class="report-label">已压缩消息</span>
+                    <span class="report-value">${data.conversation.context.compressedMessages} 条 (~${data.conversation.context.compressedTokens} → ${data.conversation.context.summaryTokens} tokens)</span>
+                </div>
             </div>
 
             <div class="report-section">
@@ -409,11 +1814,11 @@ class ChatApp {
                 </div>
                 <div class="report-item">
                     <span class="report-label">输入Token</span>
-                    <span class="report-value">${data.tokens.summary.inputTokens || 0}</span>
+                    <span class="report-value">${data.tokens.summary.totalInputTokens || 0}</span>
                 </div>
                 <div class="report-item">
                     <span class="report-label">输出Token</span>
-                    <span class="report-value">${data.tokens.summary.outputTokens || 0}</span>
+                    <span class="report-value">${data.tokens.summary.totalOutputTokens || 0}</span>
                 </div>
             </div>
 
@@ -455,17 +1860,29 @@ class ChatApp {
         alert(message);
     }
 
+    /**
+     * 还没有会话ID时不发送 Cookie，避免新标签页沿用其他标签页的会话
+     */
+    getCredentials() {
+        return this.sessionId ? 'same-origin' : 'omit';
+    }
+
     async fetchWithAuth(url, options = {}) {
         const defaultOptions = {
-            headers: {
-                'Content-Type': 'application/json'
-            }
+            headers: this.getHeaders(),
+            credentials: this.getCredentials()
         };
 
         const response = await fetch(`${this.apiBase}${url}`, {
             ...defaultOptions,
             ...options
         });
+        this.setSessionId(response.headers.get('X-Session-Id'));
+
+        // 未登录或令牌失效
+        if (response.status === 401) {
+            this.showLogin(this.authToken ? '登录已失效，请重新登录' : '');
+        }
 
         return await response.json();
     }
@@ -0,0 +1,111 @@
+// src/core/cache-context.js
+import crypto from 'crypto';
+import Config from '../../config.js';
+
+// 缓存上下文策略
+export const CACHE_CONTEXT_POLICIES = ['history', 'recent', 'standalone'];
+
+// 依赖上文的问题特征（指代词、承接词、"再来一个"之类的追问）
+const CONTEXT_DEPENDENT_PATTERNS = [
+    /^(它|他|她|这|那|这个|那个|这些|那些|这里|那里|上面|上述|前面|刚才|之前|其中|继续|接着|然后|还有|另外|再|换|为什么|为啥|怎么会|所以|那么|那)/,
+    /(上面|上述|前面|刚才|之前|你说的|你提到|这段|这个例子|上一个|另一个|再举|再给|再来|再写|再解释|换一种|换个|详细一点|简单一点|具体一点|展开|继续)/,
+    /^(it|its|that|this|these|those|they|them|then|and|but|so|also|why|how come|what about|and then)\b/i,
+    /\b(another|more examples?|again|continue|go on|the above|previous|earlier|you (said|mentioned)|same (thing|way)|elaborate|rewrite it|explain (it|that|this))\b/i
+];
+
+// 过短的输入（如"然后呢？""why?"）通常是追问
+const MIN_STANDALONE_LENGTH = 4;
+
+/**
+ * 判断问题是否依赖对话上文
+ * @param {string} message - 用户输入
+ * @returns {boolean} 是否依赖上文
+ */
+export function isContextDependent(message) {
+    const text = (message || '').trim();
+
+    if (text.replace(/[\p{P}\p{S}\s]/gu, '').length < MIN_STANDALONE_LENGTH) {
+        return true;
+    }
+
+    return CONTEXT_DEPENDENT_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/**
+ * 计算消息列表的指纹
+ * @param {Array<object>} messages - 消息（role、content）
+ * @param {string|null} summary - 较早对话的摘要
+ * @returns {string} 指纹
+ */
+export function fingerprintMessages(messages, summary = null) {
+    const data = {
+        summary,
+        messages: messages.map(msg => [msg.role, msg.content])
+    };
+
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify(data))
+        .digest('hex')
+        .substring(0, 16);
+}
+
+/**
+ * 取最近 N 轮对话（从第 N 个用户提问开始，工具结果不算作提问）
+ * @param {Array<object>} messages - 消息历史
+ * @param {number} turns - 轮数
+ * @returns {Array<object>} 最近的消息
+ */
+export function getRecentTurns(messages, turns) {
+    if (turns <= 0) {
+        return [];
+    }
+
+    let count = 0;
+    for (let i = messages.length - 1; i >= 0; i--) {
+        if (messages[i].role === 'user' && typeof messages[i].content === 'string' && ++count === turns) {
+            return messages.slice(i);
+        }
+    }
+
+    return messages;
+}
+
+/**
+ * 根据策略计算缓存上下文
+ * - history：整个对话历史（含摘要）都参与缓存键
+ * - recent：最近 N 轮对话参与缓存键
+ * - standalone：只缓存不依赖上文的问题（有历史时，依赖上文的问题不读写缓存）
+ * @param {string} message - 用户输入
+ * @param {Array<object>} history - 之前的消息历史
+ * @param {object} options - 配置项
+ * @param {string} options.policy - 策略
+ * @param {number} options.turns - recent 策略的轮数
+ * @param {string|null} options.summary - 较早对话的摘要
+ * @returns {{cacheable: boolean, context: string|null}} 是否可缓存，以及上下文指纹（无上下文时为 null）
+ */
+export function resolveCacheContext(message, history, options = {}) {
+    const policy = options.policy || Config.CACHE_CONTEXT_POLICY;
+    const summary = options.summary || null;
+
+    if (history.length === 0 && !summary) {
+        return { cacheable: true, context: null };
+    }
+
+    switch (policy) {
+        case 'history':
+            return { cacheable: true, context: fingerprintMessages(history, summary) };
+
+        case 'recent': {
+            const turns = options.turns !== undefined ? options.turns : Config.CACHE_CONTEXT_TURNS;
+            const recent = getRecentTurns(history, turns);
+            return { cacheable: true, context: recent.length > 0 ? fingerprintMessages(recent) : null };
+        }
+
+        case 'standalone':
+            return { cacheable: !isContextDependent(message), context: null };
+
+        default:
+            throw new Error(`未知的缓存上下文策略: ${policy}（可选 ${CACHE_CONTEXT_POLICIES.join('、')}）`);
+    }
+}
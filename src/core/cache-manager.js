@@ -2,19 +2,58 @@
 import crypto from 'crypto';
 import Config from '../../config.js';
 import logger from '../utils/logger.js';
-import fs from 'fs';
-import path from 'path';
+import SemanticIndex from './semantic-index.js';
+import { createEmbedder } from '../providers/embedding-provider.js';
+import { createCacheStore } from '../storage/store-factory.js';
+import MemoryStore from '../storage/memory-store.js';
+import { formatDate } from './usage-report.js';
+
+// 命中率趋势保留的天数
+const CACHE_TREND_DAYS = 90;
+
+/**
+ * 初始统计信息
+ */
+function createStats() {
+    return {
+        hits: 0,
+        exactHits: 0,
+        semanticHits: 0,
+        misses: 0,
+        sets: 0,
+        deletes: 0,
+        evictions: 0
+    };
+}
+
+/**
+ * 按天累计查找结果（保留最近 CACHE_TREND_DAYS 天）
+ * @param {object} daily - { 'YYYY-MM-DD': { hits, misses } }
+ * @param {string} date - 日期
+ * @param {{hits: number, misses: number}} counts - 要累加的次数
+ */
+function addDaily(daily, date, { hits, misses }) {
+    const day = daily[date] ||= { hits: 0, misses: 0 };
+    day.hits += hits;
+    day.misses += misses;
+
+    const dates = Object.keys(daily).sort();
+    for (const old of dates.slice(0, Math.max(0, dates.length - CACHE_TREND_DAYS))) {
+        delete daily[old];
+    }
+}
 
 /**
  * 缓存项
  */
 class CacheItem {
-    constructor(key, value, ttl = 3600000) {
+    constructor(key, value, ttl = 3600000, meta = null) {
         this.key = key;
         this.value = value;
         this.createdAt = Date.now();
         this.ttl = ttl; // 毫秒
         this.hits = 0;
+        this.meta = meta; // 语义索引信息 { scope, vector, embedder }
     }
 
     isExpired() {
@@ -24,6 +63,159 @@ class CacheItem {
     touch() {
         this.hits++;
     }
+
+    toJSON() {
+        return {
+            key: this.key,
+            value: this.value,
+            createdAt: this.createdAt,
+            ttl: this.ttl,
+            hits: this.hits,
+            meta: this.meta
+        };
+    }
+
+    static fromJSON(json) {
+        const item = new CacheItem(json.key, json.value, json.ttl, json.meta || null);
+        item.createdAt = json.createdAt;
+        item.hits = json.hits || 0;
+        return item;
+    }
+}
+
+/**
+ * 缓存视图
+ * 共享底层 CacheManager 的存储，但维护独立的统计信息（用于多会话场景）；
+ * 指定 partition 时只读写该分区的缓存项（如按用户区分，避免把一个用户的回复返回给另一个用户）
+ */
+class CacheView {
+    /**
+     * @param {CacheManager} parent - 底层缓存
+     * @param {object} options - 配置项
+     * @param {string} options.partition - 分区（计入缓存键和语义查找的作用域）
+     */
+    constructor(parent, options = {}) {
+        this.parent = parent;
+        this.partition = options.partition || null;
+        this.ownKeys = new Set(); // 本视图写入的键
+        this.stats = createStats();
+    }
+
+    /**
+     * 附加分区的缓存参数
+     * @param {object} options - 影响回复的参数
+     */
+    withPartition(options = {}) {
+        return this.partition ? { ...options, partition: this.partition } : options;
+    }
+
+    get enabled() {
+        return this.parent.enabled;
+    }
+
+    get maxSize() {
+        return this.parent.maxSize;
+    }
+
+    generateKey(message, options = {}) {
+        return this.parent.generateKey(message, this.withPartition(options));
+    }
+
+    get(key) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const value = this.parent.get(key, this.partition);
+        if (value === null) {
+            this.stats.misses++;
+        } else {
+            this.stats.hits++;
+            this.stats.exactHits++;
+        }
+        return value;
+    }
+
+    async lookup(message, options = {}) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const hit = await this.parent.lookup(message, this.withPartition(options));
+        if (!hit) {
+            this.stats.misses++;
+        } else {
+            this.stats.hits++;
+            this.stats[hit.match === 'semantic' ? 'semanticHits' : 'exactHits']++;
+        }
+        return hit;
+    }
+
+    async store(message, options, value, ttl = null) {
+        const key = await this.parent.store(message, this.withPartition(options), value, ttl);
+        if (key) {
+            this.ownKeys.add(key);
+            this.stats.sets++;
+        }
+        return key;
+    }
+
+    set(key, value, ttl = null) {
+        const stored = this.parent.set(key, value, ttl);
+        if (stored) {
+            this.ownKeys.add(key);
+            this.stats.sets++;
+        }
+        return stored;
+    }
+
+    delete(key) {
+        const deleted = this.parent.delete(key);
+        if (deleted) {
+            this.ownKeys.delete(key);
+            this.stats.deletes++;
+        }
+        return deleted;
+    }
+
+    /**
+     * 清空本视图写入的缓存项并重置统计（不影响其他会话）
+     */
+    clear() {
+        for (const key of this.ownKeys) {
+            this.parent.delete(key);
+        }
+        this.ownKeys.clear();
+        this.stats = createStats();
+    }
+
+    getStats() {
+        const hitRate = this.stats.hits + this.stats.misses > 0
+            ? (this.stats.hits / (this.stats.hits + this.stats.misses) * 100).toFixed(2)
+            : 0;
+
+        return {
+            ...this.stats,
+            size: this.parent.cache.size,
+            maxSize: this.maxSize,
+            hitRate: `${hitRate}%`,
+            utilization: `${((this.parent.cache.size / this.maxSize) * 100).toFixed(2)}%`,
+            semantic: this.parent.getSemanticStats()
+        };
+    }
+
+    printStats() {
+        CacheManager.prototype.printStats.call(this);
+    }
+
+    /**
+     * 每日命中率趋势（默认为本视图的分区）
+     * @param {number} since - 起始时间戳
+     * @param {string|null} partition - 分区，null 表示所有分区
+     */
+    getHitTrend(since = 0, partition = this.partition) {
+        return this.parent.getHitTrend(since, partition);
+    }
 }
 
 /**
@@ -38,22 +230,28 @@ class CacheManager {
         this.cache = new Map();
         this.accessOrder = []; // 用于LRU
 
-        // 持久化配置
+        // 持久化配置：可注入存储后端，否则按 CACHE_BACKEND 创建
         this.persistenceEnabled = options.persist !== false;
-        this.cacheFile = path.join(process.cwd(), 'data', 'cache.json');
+        this.storage = options.store ||
+            (this.persistenceEnabled ? createCacheStore(options.backend) : new MemoryStore());
+
+        // 语义缓存（可选）：精确匹配未命中时按问题相似度查找
+        const semantic = options.semantic || {};
+        const semanticEnabled = semantic.enabled !== undefined ? semantic.enabled : Config.SEMANTIC_CACHE;
+        this.semanticIndex = semanticEnabled
+            ? new SemanticIndex({
+                embedder: semantic.embedder || createEmbedder(),
+                threshold: semantic.threshold || Config.SEMANTIC_CACHE_THRESHOLD
+            })
+            : null;
 
         // 统计
-        this.stats = {
-            hits: 0,
-            misses: 0,
-            sets: 0,
-            deletes: 0,
-            evictions: 0
-        };
+        this.stats = createStats();
+        this.daily = {}; // 每日查找结果 { 'YYYY-MM-DD': { hits, misses } }，用于命中率趋势
+        this.partitionDaily = {}; // 各分区的每日查找结果 { 分区: { 'YYYY-MM-DD': { hits, misses } } }
 
-        if (this.persistenceEnabled) {
-            this.load();
-        }
+        // 异步加载持久化的缓存（lookup 会等待加载完成）
+        this.ready = this.load();
     }
 
     /**
@@ -65,10 +263,7 @@ class CacheManager {
     generateKey(message, options = {}) {
         const keyData = {
             message: message,
-            model: options.model || Config.DEFAULT_MODEL,
-            maxTokens: options.maxTokens || Config.DEFAULT_MAX_TOKENS,
-            temperature: options.temperature,
-            systemPrompt: options.systemPrompt
+            ...this.getScopeData(options)
         };
 
         const hash = crypto
@@ -80,33 +275,175 @@ class CacheManager {
     }
 
     /**
-     * 获取缓存
-     * @param {string} key - 缓存键
-     * @returns {any} 缓存值或null
+     * 影响回复内容的参数（语义查找只在相同参数内进行）
+     * @param {object} options - 选项（context 为对话上文的指纹，partition 为视图的分区）
      */
-    get(key) {
-        if (!this.enabled) {
-            return null;
+    getScopeData(options = {}) {
+        const scope = {
+            provider: options.provider,
+            model: options.model || Config.DEFAULT_MODEL,
+            maxTokens: options.maxTokens || Config.DEFAULT_MAX_TOKENS,
+            temperature: options.temperature,
+            systemPrompt: options.systemPrompt,
+            context: options.context || null
+        };
+
+        // 没有分区时缓存键与之前的版本相同
+        if (options.partition) {
+            scope.partition = options.partition;
         }
+        return scope;
+    }
 
+    /**
+     * 生成语义查找的作用域
+     * @param {object} options - 选项
+     * @returns {string} 作用域哈希
+     */
+    generateScope(options = {}) {
+        return crypto
+            .createHash('sha256')
+            .update(JSON.stringify(this.getScopeData(options)))
+            .digest('hex')
+            .substring(0, 16);
+    }
+
+    /**
+     * 读取未过期的缓存项（不计入统计）
+     * @param {string} key - 缓存键
+     * @returns {CacheItem|null} 缓存项
+     */
+    getItem(key) {
         const item = this.cache.get(key);
 
         if (!item) {
-            this.stats.misses++;
             return null;
         }
 
-        // 检查是否过期
         if (item.isExpired()) {
             this.delete(key);
-            this.stats.misses++;
             return null;
         }
 
-        // 更新访问顺序
         this.updateAccessOrder(key);
         item.touch();
+        return item;
+    }
+
+    /**
+     * 按问题查找缓存：先精确匹配，未命中且启用语义缓存时按相似度查找
+     * @param {string} message - 问题
+     * @param {object} options - 影响回复的参数（provider、model、temperature、systemPrompt、maxTokens）
+     * @returns {Promise<{key: string, value: any, match: string, similarity: number}|null>} 命中结果
+     */
+    async lookup(message, options = {}) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        await this.ready;
+
+        const key = this.generateKey(message, options);
+        const item = this.getItem(key);
+
+        if (item) {
+            this.stats.hits++;
+            this.stats.exactHits++;
+            this.countLookup(true, options.partition);
+            logger.info(`💾 缓存命中: ${key}`);
+            return { key, value: item.value, match: 'exact', similarity: 1 };
+        }
+
+        if (this.semanticIndex) {
+            try {
+                const match = await this.semanticIndex.search(
+                    message,
+                    this.generateScope(options),
+                    candidate => this.cache.has(candidate) && !this.cache.get(candidate).isExpired()
+                );
+                const matched = match && this.getItem(match.key);
+
+                if (matched) {
+                    this.stats.hits++;
+                    this.stats.semanticHits++;
+                    this.countLookup(true, options.partition);
+                    logger.info(`💾 语义缓存命中: ${match.key} (相似度 ${match.similarity.toFixed(3)})`);
+                    return { key: match.key, value: matched.value, match: 'semantic', similarity: match.similarity };
+                }
+            } catch (error) {
+                logger.warn(`语义缓存查找失败: ${error.message}`);
+            }
+        }
+
+        this.stats.misses++;
+        this.countLookup(false, options.partition);
+        return null;
+    }
+
+    /**
+     * 按问题写入缓存（启用语义缓存时同时写入语义索引）
+     * @param {string} message - 问题
+     * @param {object} options - 影响回复的参数
+     * @param {any} value - 缓存值
+     * @param {number} ttl - 过期时间（毫秒）
+     * @returns {Promise<string|null>} 缓存键，未写入时为 null
+     */
+    async store(message, options, value, ttl = null) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        await this.ready;
+
+        const key = this.generateKey(message, options);
+        let meta = null;
+
+        if (this.semanticIndex) {
+            try {
+                meta = {
+                    scope: this.generateScope(options),
+                    vector: await this.semanticIndex.embed(message),
+                    embedder: this.semanticIndex.embedder.name
+                };
+            } catch (error) {
+                // 向量生成失败时仍保留精确匹配缓存
+                logger.warn(`生成语义向量失败: ${error.message}`);
+            }
+        }
+
+        if (!this.set(key, value, ttl, meta)) {
+            return null;
+        }
+
+        if (meta) {
+            this.semanticIndex.add(key, meta.scope, meta.vector);
+        }
+
+        return key;
+    }
+
+    /**
+     * 获取缓存
+     * @param {string} key - 缓存键
+     * @param {string|null} partition - 缓存键所属的分区（用于分区的命中率趋势）
+     * @returns {any} 缓存值或null
+     */
+    get(key, partition = null) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const item = this.getItem(key);
+
+        if (!item) {
+            this.stats.misses++;
+            this.countLookup(false, partition);
+            return null;
+        }
+
         this.stats.hits++;
+        this.stats.exactHits++;
+        this.countLookup(true, partition);
 
         logger.info(`💾 缓存命中: ${key}`);
         return item.value;
@@ -117,8 +454,9 @@ class CacheManager {
      * @param {string} key - 缓存键
      * @param {any} value - 缓存值
      * @param {number} ttl - 过期时间（毫秒）
+     * @param {object} meta - 语义索引信息（可选）
      */
-    set(key, value, ttl = null) {
+    set(key, value, ttl = null, meta = null) {
         if (!this.enabled) {
             return false;
         }
@@ -128,15 +466,15 @@ class CacheManager {
             this.evictLRU();
         }
 
-        const item = new CacheItem(key, value, ttl || this.defaultTTL);
+        const item = new CacheItem(key, value, ttl || this.defaultTTL, meta);
         this.cache.set(key, item);
+        if (!meta && this.semanticIndex) {
+            this.semanticIndex.remove(key);
+        }
         this.updateAccessOrder(key);
         this.stats.sets++;
 
-        // 持久化
-        if (this.persistenceEnabled) {
-            this.save();
-        }
+        this.persist(storage => storage.set(key, item.toJSON()));
 
         return true;
     }
@@ -149,15 +487,25 @@ class CacheManager {
         const deleted = this.cache.delete(key);
         if (deleted) {
             this.accessOrder = this.accessOrder.filter(k => k !== key);
+            this.semanticIndex?.remove(key);
             this.stats.deletes++;
 
-            if (this.persistenceEnabled) {
-                this.save();
-            }
+            this.persist(storage => storage.delete(key));
         }
         return deleted;
     }
 
+    /**
+     * 把写入同步到存储后端（异步执行，失败只记录日志）
+     * @param {Function} operation - (storage) => Promise
+     */
+    persist(operation) {
+        this.storage.setStats(this.snapshotStats());
+        operation(this.storage).catch(error => {
+            logger.error(`保存缓存失败 (${this.storage.name}): ${error.message}`);
+        });
+    }
+
     /**
      * 更新访问顺序（LRU）
      */
@@ -179,7 +527,9 @@ class CacheManager {
 
         const lruKey = this.accessOrder.shift();
         this.cache.delete(lruKey);
+        this.semanticIndex?.remove(lruKey);
         this.stats.evictions++;
+        this.persist(storage => storage.delete(lruKey));
 
         logger.warn(`缓存已淘汰: ${lruKey}`);
     }
@@ -191,17 +541,10 @@ class CacheManager {
         const size = this.cache.size;
         this.cache.clear();
         this.accessOrder = [];
-        this.stats = {
-            hits: 0,
-            misses: 0,
-            sets: 0,
-            deletes: 0,
-            evictions: 0
-        };
+        this.semanticIndex?.clear();
+        this.stats = createStats(); // 每日命中率趋势保留
 
-        if (this.persistenceEnabled) {
-            this.save();
-        }
+        this.persist(storage => storage.clear());
 
         logger.info(`缓存已清空: 删除 ${size} 项`);
     }
@@ -244,6 +587,56 @@ class CacheManager {
         return cleaned;
     }
 
+    /**
+     * 按天记录查找结果（总计和所属分区）
+     * @param {boolean} hit - 是否命中
+     * @param {string|null} partition - 分区
+     */
+    countLookup(hit, partition = null) {
+        const date = formatDate(Date.now());
+        const counts = { hits: hit ? 1 : 0, misses: hit ? 0 : 1 };
+        addDaily(this.daily, date, counts);
+        if (partition) {
+            addDaily(this.partitionDaily[partition] ||= {}, date, counts);
+        }
+    }
+
+    /**
+     * 每日命中率趋势
+     * @param {number} since - 起始时间戳
+     * @param {string|null} partition - 分区（如用户ID），null 表示所有分区的合计
+     * @returns {Array<{date: string, hits: number, misses: number, hitRate: number}>} 按日期排序，hitRate 为 0-1
+     */
+    getHitTrend(since = 0, partition = null) {
+        const from = formatDate(since);
+        const daily = partition ? this.partitionDaily[partition] || {} : this.daily;
+        return Object.entries(daily)
+            .filter(([date]) => date >= from)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([date, { hits, misses }]) => ({
+                date,
+                hits,
+                misses,
+                hitRate: hits + misses > 0 ? hits / (hits + misses) : 0
+            }));
+    }
+
+    /**
+     * 持久化的统计信息（含每日查找结果）
+     */
+    snapshotStats() {
+        return { ...this.stats, daily: this.daily, partitionDaily: this.partitionDaily };
+    }
+
+    /**
+     * 创建共享存储的缓存视图
+     * @param {object} options - { partition }，指定分区时只读写该分区的缓存项
+     * @returns {CacheView} 独立统计的缓存视图
+     */
+    createView(options = {}) {
+        return new CacheView(this, options);
+    }
+
     /**
      * 获取统计信息
      */
@@ -257,7 +650,25 @@ class CacheManager {
             size: this.cache.size,
             maxSize: this.maxSize,
             hitRate: `${hitRate}%`,
-            utilization: `${((this.cache.size / this.maxSize) * 100).toFixed(2)}%`
+            utilization: `${((this.cache.size / this.maxSize) * 100).toFixed(2)}%`,
+            backend: this.storage.getInfo(),
+            semantic: this.getSemanticStats()
+        };
+    }
+
+    /**
+     * 语义缓存配置及索引大小
+     */
+    getSemanticStats() {
+        if (!this.semanticIndex) {
+            return { enabled: false };
+        }
+
+        return {
+            enabled: true,
+            embedder: this.semanticIndex.embedder.name,
+            threshold: this.semanticIndex.threshold,
+            indexed: this.semanticIndex.size
         };
     }
 
@@ -272,76 +683,89 @@ class CacheManager {
         console.log('='.repeat(50));
         console.log(`   状态: ${this.enabled ? '✅ 启用' : '❌ 禁用'}`);
         console.log(`   容量: ${stats.size} / ${stats.maxSize} (${stats.utilization})`);
-        console.log(`   命中: ${stats.hits} 次`);
+        console.log(`   命中: ${stats.hits} 次（精确 ${stats.exactHits}，语义 ${stats.semanticHits}）`);
         console.log(`   未命中: ${stats.misses} 次`);
         console.log(`   命中率: ${stats.hitRate}`);
         console.log(`   设置: ${stats.sets} 次`);
         console.log(`   淘汰: ${stats.evictions} 次`);
+        console.log(`   存储后端: ${stats.backend.name}`);
+        if (stats.semantic.enabled) {
+            console.log(`   语义缓存: ${stats.semantic.embedder}，阈值 ${stats.semantic.threshold}，已索引 ${stats.semantic.indexed} 项`);
+        }
         console.log('='.repeat(50) + '\n');
     }
 
     /**
-     * 保存到文件
+     * 把缓冲的写入落盘
      */
-    save() {
-        try {
-            const data = {
-                version: 1,
-                savedAt: Date.now(),
-                cache: Array.from(this.cache.entries()).map(([key, item]) => ({
-                    key,
-                    value: item.value,
-                    createdAt: item.createdAt,
-                    ttl: item.ttl,
-                    hits: item.hits
-                })),
-                stats: this.stats
-            };
-
-            const dir = path.dirname(this.cacheFile);
-            if (!fs.existsSync(dir)) {
-                fs.mkdirSync(dir, { recursive: true });
-            }
+    async flush() {
+        this.storage.setStats(this.snapshotStats());
+        await this.storage.flush();
+    }
 
-            fs.writeFileSync(this.cacheFile, JSON.stringify(data, null, 2), 'utf8');
-            return true;
-        } catch (error) {
-            logger.error(`保存缓存失败: ${error.message}`);
-            return false;
-        }
+    /**
+     * 关闭存储后端（进程退出前调用）
+     */
+    async close() {
+        this.storage.setStats(this.snapshotStats());
+        await this.storage.close();
     }
 
     /**
-     * 从文件加载
+     * 从存储后端加载
+     * 加载完成前写入的项保留（不被旧数据覆盖）
      */
-    load() {
+    async load() {
         try {
-            if (!fs.existsSync(this.cacheFile)) {
-                return false;
+            const { entries, stats } = await this.storage.load();
+            const now = Date.now();
+            const loadedKeys = [];
+
+            // 按写入时间排列，容量不足时先淘汰最早的项
+            for (const record of [...entries].sort((a, b) => a.createdAt - b.createdAt)) {
+                if (this.cache.has(record.key) || now - record.createdAt >= record.ttl) {
+                    continue;
+                }
+
+                const cacheItem = CacheItem.fromJSON(record);
+                this.cache.set(record.key, cacheItem);
+                loadedKeys.push(record.key);
+
+                // 只恢复由当前向量生成器生成的语义索引
+                if (this.semanticIndex && cacheItem.meta && cacheItem.meta.embedder === this.semanticIndex.embedder.name) {
+                    this.semanticIndex.add(record.key, cacheItem.meta.scope, cacheItem.meta.vector);
+                }
             }
 
-            const content = fs.readFileSync(this.cacheFile, 'utf8');
-            const data = JSON.parse(content);
+            // 加载的项比加载期间写入的项更早
+            this.accessOrder = [...loadedKeys, ...this.accessOrder];
 
-            this.cache.clear();
-            this.accessOrder = [];
+            if (stats) {
+                const { daily, partitionDaily, ...counters } = stats;
+                this.stats = { ...createStats(), ...counters };
 
-            for (const item of data.cache) {
-                if (Date.now() - item.createdAt < item.ttl) {
-                    const cacheItem = new CacheItem(item.key, item.value, item.ttl);
-                    cacheItem.createdAt = item.createdAt;
-                    cacheItem.hits = item.hits || 0;
-                    this.cache.set(item.key, cacheItem);
-                    this.accessOrder.push(item.key);
+                // 合并加载期间的查找结果
+                for (const [date, day] of Object.entries(daily || {})) {
+                    addDaily(this.daily, date, day);
+                }
+                for (const [partition, days] of Object.entries(partitionDaily || {})) {
+                    for (const [date, day] of Object.entries(days)) {
+                        addDaily(this.partitionDaily[partition] ||= {}, date, day);
+                    }
                 }
             }
 
-            this.stats = data.stats || this.stats;
+            // 存储中的项可能多于当前容量（如调小了 CACHE_MAX_SIZE）
+            while (this.cache.size > this.maxSize) {
+                this.evictLRU();
+            }
 
-            logger.info(`缓存已加载: ${this.cache.size} 项`);
+            if (entries.length > 0) {
+                logger.info(`缓存已加载 (${this.storage.name}): ${this.cache.size} 项`);
+            }
             return true;
         } catch (error) {
-            logger.error(`加载缓存失败: ${error.message}`);
+            logger.error(`加载缓存失败 (${this.storage.name}): ${error.message}`);
             return false;
         }
     }
@@ -359,4 +783,5 @@ class CacheManager {
     }
 }
 
+export { CacheView };
 export default CacheManager;
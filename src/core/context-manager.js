@@ -0,0 +1,137 @@
+// src/core/context-manager.js
+import Config from '../../config.js';
+import logger from '../utils/logger.js';
+import { estimateContentTokens } from '../utils/token-estimator.js';
+
+// 摘要生成使用的系统提示
+const SUMMARY_SYSTEM_PROMPT = '你是一个对话摘要助手。请将给定的对话压缩为简洁的摘要，保留用户的身份信息、目标、已讨论的关键概念、结论和未解决的问题。只输出摘要正文。';
+
+/**
+ * 上下文窗口管理器
+ * 按模型的上下文窗口估算提示大小，超出阈值时将较早的对话压缩为滚动摘要
+ */
+class ContextManager {
+    /**
+     * @param {object} options - 配置项
+     * @param {boolean} options.enabled - 是否启用自动摘要
+     * @param {number} options.maxInputTokens - 输入token上限（0 表示按模型上下文窗口计算）
+     * @param {number} options.threshold - 触发压缩的比例（相对输入上限）
+     * @param {number} options.targetRatio - 压缩后目标比例（相对触发阈值）
+     * @param {number} options.summaryMaxTokens - 摘要的最大输出token
+     * @param {string} options.summaryModel - 生成摘要使用的模型（默认与对话相同）
+     */
+    constructor(options = {}) {
+        this.enabled = options.enabled !== undefined ? options.enabled : Config.ENABLE_CONTEXT_SUMMARY;
+        this.maxInputTokens = options.maxInputTokens || Config.CONTEXT_MAX_INPUT_TOKENS;
+        this.threshold = options.threshold || Config.CONTEXT_SUMMARY_THRESHOLD;
+        this.targetRatio = options.targetRatio || 0.5;
+        this.summaryMaxTokens = options.summaryMaxTokens || Config.CONTEXT_SUMMARY_MAX_TOKENS;
+        this.summaryModel = options.summaryModel || null;
+    }
+
+    /**
+     * 获取输入token上限（上下文窗口减去预留的输出token）
+     * @param {string} model - 模型名称
+     * @param {number} maxTokens - 最大输出token
+     * @returns {number} 输入token上限
+     */
+    getInputLimit(model, maxTokens) {
+        if (this.maxInputTokens > 0) {
+            return this.maxInputTokens;
+        }
+
+        return Math.max(Config.getContextWindow(model) - maxTokens, 0);
+    }
+
+    /**
+     * 触发压缩的token数
+     */
+    getTriggerTokens(model, maxTokens) {
+        return Math.floor(this.getInputLimit(model, maxTokens) * this.threshold);
+    }
+
+    /**
+     * 压缩后的目标token数
+     */
+    getTargetTokens(model, maxTokens) {
+        return Math.floor(this.getTriggerTokens(model, maxTokens) * this.targetRatio);
+    }
+
+    /**
+     * 选择压缩分界点
+     * 分界点必须是普通用户消息（不是 tool_result），以保证保留部分以 user 开头且工具调用成对
+     * @param {Array<Message>} messages - 完整消息历史
+     * @param {number} start - 当前已被摘要覆盖的消息数
+     * @param {number} targetTokens - 目标token数
+     * @param {number} fixedTokens - 系统提示、摘要等固定开销
+     * @returns {number} 第一条保留消息的下标（等于 start 表示无法压缩）
+     */
+    findCutIndex(messages, start, targetTokens, fixedTokens = 0) {
+        let remaining = messages.slice(start)
+            .reduce((sum, msg) => sum + estimateContentTokens(msg.content), 0);
+        let lastBoundary = start;
+
+        for (let i = start; i < messages.length; i++) {
+            const msg = messages[i];
+
+            if (i > start && msg.role === 'user' && !msg.isToolMessage()) {
+                lastBoundary = i;
+                if (fixedTokens + remaining <= targetTokens) {
+                    return i;
+                }
+            }
+
+            remaining -= estimateContentTokens(msg.content);
+        }
+
+        // 无法压缩到目标以内时，尽量只保留最后一轮
+        return lastBoundary;
+    }
+
+    /**
+     * 调用模型生成滚动摘要
+     * @param {BaseProvider} provider - 模型提供方
+     * @param {object} params - 参数
+     * @param {string} params.model - 模型名称
+     * @param {string} params.previousSummary - 已有摘要
+     * @param {Array<Message>} params.messages - 需要压缩的消息
+     * @returns {Promise<{content: string, usage: object}>} 摘要及用量
+     */
+    async summarize(provider, { model, previousSummary = null, messages }) {
+        const transcript = messages
+            .map(msg => `${msg.role === 'user' ? '用户' : '助手'}: ${msg.getText()}`)
+            .join('\n\n');
+
+        const parts = [];
+        if (previousSummary) {
+            parts.push(`已有摘要：\n${previousSummary}`);
+        }
+        parts.push(`需要合并进摘要的新对话：\n${transcript}`);
+
+        logger.info(`正在生成对话摘要: 压缩 ${messages.length} 条消息`);
+
+        const response = await provider.createMessage({
+            model: this.summaryModel || model,
+            max_tokens: this.summaryMaxTokens,
+            system: SUMMARY_SYSTEM_PROMPT,
+            messages: [{ role: 'user', content: parts.join('\n\n') }]
+        });
+
+        const content = response.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('')
+            .trim();
+
+        if (!content) {
+            throw new Error('摘要内容为空');
+        }
+
+        return {
+            content,
+            usage: response.usage
+        };
+    }
+}
+
+export default ContextManager;
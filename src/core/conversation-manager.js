@@ -1,7 +1,10 @@
 // src/core/conversation-manager.js
-import Anthropic from '@anthropic-ai/sdk';
 import Config from '../../config.js';
 import logger from '../utils/logger.js';
+import ContextManager from './context-manager.js';
+import { getRetryPolicy } from './retry-policy.js';
+import { getDefaultProviders } from '../providers/provider-factory.js';
+import { estimateTokens, estimateContentTokens, estimatePromptTokens } from '../utils/token-estimator.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -9,65 +12,252 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// 对话ID格式（防止路径穿越）
+const CONVERSATION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// 自动标题的最大长度
+const TITLE_MAX_LENGTH = 30;
+
+// 用户停止生成时的停止原因
+export const CANCELLED_STOP_REASON = 'user_cancelled';
+
+// 对话文件格式版本（2：消息带 id / parentId，非当前分支的消息保存在 branches 中）
+export const CONVERSATION_FORMAT_VERSION = 2;
+
+/**
+ * 生成消息ID
+ */
+function generateMessageId() {
+    return `msg-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 6)}`;
+}
+
+/**
+ * 创建分支操作的错误（路由按 status 返回）
+ */
+function branchError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
 /**
  * 消息类
+ * 消息通过 parentId 组成树：同一 parentId 的消息互为兄弟分支（如重新生成的回复、编辑后的问题）
  */
 class Message {
-    constructor(role, content, timestamp = Date.now()) {
+    constructor(role, content, timestamp = Date.now(), stopReason = null, id = generateMessageId(), parentId = null) {
+        this.id = id;
+        this.parentId = parentId;
         this.role = role;
         this.content = content;
         this.timestamp = timestamp;
+        this.stopReason = stopReason; // 只标记未完整生成的回复（如 user_cancelled）
     }
 
     toJSON() {
-        return {
+        const json = {
+            id: this.id,
+            parentId: this.parentId,
             role: this.role,
             content: this.content,
             timestamp: this.timestamp
         };
+
+        if (this.stopReason) {
+            json.stopReason = this.stopReason;
+        }
+
+        return json;
     }
 
     static fromJSON(json) {
-        return new Message(json.role, json.content, json.timestamp);
+        return new Message(json.role, json.content, json.timestamp, json.stopReason || null, json.id || undefined, json.parentId ?? null);
+    }
+
+    /**
+     * 是否为工具调用相关消息（tool_use 或 tool_result 内容块）
+     */
+    isToolMessage() {
+        return Array.isArray(this.content) &&
+            this.content.some(block => block.type === 'tool_use' || block.type === 'tool_result');
+    }
+
+    /**
+     * 获取可读文本（内容块中的工具调用以简短标记表示）
+     */
+    getText() {
+        if (typeof this.content === 'string') {
+            return this.content;
+        }
+
+        return this.content.map(block => {
+            if (block.type === 'text') return block.text;
+            if (block.type === 'tool_use') return `[调用工具 ${block.name}: ${JSON.stringify(block.input)}]`;
+            if (block.type === 'tool_result') return `[工具结果: ${block.content}]`;
+            return '';
+        }).join('\n');
     }
 }
 
 /**
- * 对话管理器核心类
- * 负责管理对话历史、调用API、维护上下文
+ * 提取内容中的文本（支持字符串或内容块数组）
+ * @param {string|Array<object>} content - 消息内容
+ * @returns {string} 文本
  */
-class ConversationManager {
-    constructor(options = {}) {
-        // 构建 Anthropic 客户端配置
-        const clientConfig = {
-            apiKey: Config.ANTHROPIC_API_KEY || Config.ANTHROPIC_AUTH_TOKEN
-        };
+function extractText(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
 
-        // 如果配置了自定义 BASE_URL，添加到配置中
-        if (Config.ANTHROPIC_BASE_URL) {
-            clientConfig.baseURL = Config.ANTHROPIC_BASE_URL;
-        }
+    return (content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+}
 
-        // 智谱AI可能需要额外的认证头
-        if (Config.ANTHROPIC_AUTH_TOKEN && !Config.ANTHROPIC_API_KEY) {
-            clientConfig.defaultHeaders = {
-                'Authorization': `Bearer ${Config.ANTHROPIC_AUTH_TOKEN}`
-            };
+/**
+ * 根据第一轮对话生成标题
+ * 优先使用用户的第一个问题；问题过短时（如"你好"）使用助手回复的第一句
+ * @param {Array<object>} messages - 消息列表
+ * @returns {string|null} 标题
+ */
+function generateTitle(messages) {
+    const firstUser = messages.find(msg => msg.role === 'user' && typeof msg.content === 'string');
+    if (!firstUser) {
+        return null;
+    }
+
+    let text = firstUser.content.replace(/\s+/g, ' ').trim();
+
+    if (text.length < 4) {
+        const firstAssistant = messages.find(msg => msg.role === 'assistant' && typeof msg.content === 'string');
+        if (firstAssistant) {
+            text = firstAssistant.content.replace(/\s+/g, ' ').trim().split(/[。！？.!?\n]/)[0] || text;
         }
+    }
+
+    return text.length > TITLE_MAX_LENGTH ? text.substring(0, TITLE_MAX_LENGTH) + '…' : text;
+}
+
+/**
+ * 空的累计用量
+ */
+function emptyUsage() {
+    return { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0 };
+}
 
-        this.client = new Anthropic(clientConfig);
+/**
+ * 累加一次调用的用量
+ * @param {object} total - 累计用量
+ * @param {object} usage - 本次用量（提示缓存字段可省略）
+ */
+function addUsage(total, usage) {
+    total.inputTokens += usage.inputTokens || 0;
+    total.outputTokens += usage.outputTokens || 0;
+    total.cacheReadTokens += usage.cacheReadTokens || 0;
+    total.cacheWriteTokens += usage.cacheWriteTokens || 0;
+}
 
+/**
+ * 附加总 tokens（包含提示缓存读取/写入）
+ * @param {object} usage - 累计用量
+ */
+function withTotal(usage) {
+    return {
+        ...usage,
+        totalTokens: usage.inputTokens + usage.outputTokens + usage.cacheReadTokens + usage.cacheWriteTokens
+    };
+}
+
+/**
+ * 失败请求已消耗的用量（未消耗时返回 null）
+ * @param {object} usage - 累计用量
+ */
+function failedUsage(usage) {
+    if (withTotal(usage).totalTokens === 0) {
+        return null;
+    }
+
+    return withTotal(usage);
+}
+
+/**
+ * 被中止的流式请求已消耗的用量
+ * 提供方通常在流结束时才报告输出 tokens（OpenAI 兼容接口连输入也是），缺少的部分按请求参数和已生成的内容估算；
+ * 没有收到任何流式事件时视为请求未被处理
+ * @param {object} response - readStream() 的结果
+ * @param {object} params - 请求参数
+ */
+function cancelledUsage(response, params) {
+    if (!response.started) {
+        return emptyUsage();
+    }
+
+    return {
+        ...response.usage,
+        inputTokens: response.usage.inputTokens || estimatePromptTokens(params),
+        outputTokens: response.usage.outputTokens || estimateContentTokens(response.content)
+    };
+}
+
+/**
+ * 为内容添加 cache_control（复制内容，不修改历史）
+ * @param {string|Array<object>} content - 消息内容或系统提示
+ */
+function markCacheBreakpoint(content) {
+    const blocks = typeof content === 'string'
+        ? [{ type: 'text', text: content }]
+        : content.map(block => ({ ...block }));
+
+    if (blocks.length > 0) {
+        blocks[blocks.length - 1].cache_control = { type: 'ephemeral' };
+    }
+    return blocks;
+}
+
+/**
+ * 对话管理器核心类
+ * 负责管理对话历史、调用API、维护上下文
+ */
+class ConversationManager {
+    constructor(options = {}) {
+        // 模型提供方（可按请求通过 options.provider 切换）
+        this.providers = options.providers || getDefaultProviders();
+        this.provider = this.providers.get(options.provider).name;
+
+        // 当前分支（从根到叶的消息路径，即发送给模型的历史）及所有分支的消息
         this.conversationHistory = [];
+        this.messageTree = new Map();
         this.systemPrompt = options.systemPrompt || null;
-        this.model = options.model || Config.DEFAULT_MODEL;
+        this.model = options.model || this.providers.get(this.provider).defaultModel || Config.DEFAULT_MODEL;
         this.maxTokens = options.maxTokens || Config.DEFAULT_MAX_TOKENS;
         this.temperature = options.temperature || 0.7;
 
+        // 工具调用（可选的 ToolRegistry）
+        this.tools = options.tools || null;
+        this.maxToolIterations = options.maxToolIterations || Config.TOOL_MAX_ITERATIONS;
+
+        // 重试、熔断与故障转移（默认使用全局策略，熔断状态在所有会话间共享）
+        this.retryPolicy = options.retryPolicy || getRetryPolicy();
+
+        // 提示缓存（仅对支持 cache_control 的提供方生效）
+        this.promptCaching = options.promptCaching ?? Config.ENABLE_PROMPT_CACHING;
+
+        // 上下文窗口管理：较早的对话被压缩为滚动摘要（原始消息仍保留在历史中）
+        this.contextManager = new ContextManager(options.context);
+        this.summary = null;
+
         // 会话ID
         this.sessionId = options.sessionId || this.generateSessionId();
 
-        // 数据目录
-        this.dataDir = path.join(process.cwd(), 'data');
+        // 对话ID及元数据（每次清空历史会开始新的对话）
+        this.conversationId = this.generateConversationId();
+        this.title = null;
+        this.mode = options.mode || null;
+        this.createdAt = new Date().toISOString();
+
+        // 数据目录（多用户时每个用户独立）
+        this.dataDir = options.dataDir || path.join(process.cwd(), 'data');
         this.ensureDataDir();
     }
 
@@ -75,6 +265,10 @@ class ConversationManager {
         return `session-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     }
 
+    generateConversationId() {
+        return `conv-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    }
+
     ensureDataDir() {
         if (!fs.existsSync(this.dataDir)) {
             fs.mkdirSync(this.dataDir, { recursive: true });
@@ -93,20 +287,196 @@ class ConversationManager {
     /**
      * 添加消息到历史记录
      * @param {string} role - 角色 (user/assistant)
-     * @param {string} content - 消息内容
+     * @param {string|Array<object>} content - 消息内容（文本或内容块）
+     * @param {string} stopReason - 未完整生成的回复的停止原因（可选）
      */
-    addMessage(role, content) {
-        const message = new Message(role, content);
+    addMessage(role, content, stopReason = null) {
+        const message = new Message(role, content, Date.now(), stopReason, undefined, this.getLeafId());
         this.conversationHistory.push(message);
-        logger.info(`添加${role}消息: ${content.substring(0, 50)}...`);
+        this.messageTree.set(message.id, message);
+        logger.info(`添加${role}消息: ${message.getText().substring(0, 50)}...`);
+
+        // 第一轮对话完成后自动生成标题
+        if (role === 'assistant' && !this.title) {
+            this.title = generateTitle(this.conversationHistory);
+        }
+
+        return message;
+    }
+
+    /**
+     * 移除当前分支中指定位置之后的消息（本轮失败或丢弃时回滚，不保留为分支）
+     * @param {number} length - 保留的消息数
+     */
+    discardFrom(length) {
+        for (const message of this.conversationHistory.splice(length)) {
+            this.messageTree.delete(message.id);
+        }
+    }
+
+    /**
+     * 当前分支最后一条消息的ID（空对话为 null）
+     */
+    getLeafId() {
+        const last = this.conversationHistory[this.conversationHistory.length - 1];
+        return last ? last.id : null;
+    }
+
+    /**
+     * 获取消息（包括其他分支中的消息）
+     * @param {string} messageId - 消息ID
+     * @throws {Error} 消息不存在时抛出错误（status 404）
+     */
+    getMessage(messageId) {
+        const message = this.messageTree.get(messageId);
+        if (!message) {
+            throw branchError(`消息不存在: ${messageId}`, 404);
+        }
         return message;
     }
 
+    /**
+     * 子消息（即下一条消息的各个分支），按创建时间排序
+     * @param {string|null} parentId - 父消息ID（null 表示第一条消息）
+     */
+    getChildren(parentId) {
+        return [...this.messageTree.values()]
+            .filter(message => message.parentId === parentId)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * 从第一条消息到指定消息的路径
+     * @param {string|null} messageId - 消息ID
+     * @returns {Array<Message>} 路径（messageId 为 null 时为空）
+     */
+    getPathTo(messageId) {
+        const path = [];
+        for (let message = this.messageTree.get(messageId); message; message = this.messageTree.get(message.parentId)) {
+            path.unshift(message);
+        }
+        return path;
+    }
+
+    /**
+     * 切换当前分支
+     * 新分支在摘要覆盖的范围内与原分支分叉时摘要不再适用，需要时重新生成
+     * @param {Array<Message>} path - 新分支（从根到叶的消息路径）
+     */
+    setActivePath(path) {
+        let common = 0;
+        while (common < path.length && path[common] === this.conversationHistory[common]) {
+            common++;
+        }
+
+        if (this.summary && common < this.summary.messageCount) {
+            logger.info('新分支不包含已摘要的消息，已清除对话摘要');
+            this.summary = null;
+        }
+
+        this.conversationHistory = path;
+    }
+
+    /**
+     * 切换到指定消息所在的分支，其后沿每层最新的消息到叶子
+     * @param {string} messageId - 消息ID（通常是兄弟分支中的一条）
+     * @returns {Array<object>} 新的当前分支（getActiveBranch() 的结果）
+     */
+    switchBranch(messageId) {
+        const path = this.getPathTo(this.getMessage(messageId).id);
+
+        for (let children = this.getChildren(messageId); children.length > 0; children = this.getChildren(path[path.length - 1].id)) {
+            path.push(children[children.length - 1]);
+        }
+
+        this.setActivePath(path);
+        logger.info(`已切换到分支: ${messageId}`);
+        return this.getActiveBranch();
+    }
+
+    /**
+     * 将当前分支回退到指定消息，之后的消息保留为其他分支
+     * @param {string|null} messageId - 回退到的消息（null 表示回退到对话开头）
+     * @returns {object} 回退记录，用于 restoreRewind()
+     */
+    rewindTo(messageId) {
+        const rewind = { previousLeafId: this.getLeafId(), summary: this.summary };
+        this.setActivePath(this.getPathTo(messageId));
+        rewind.leafId = this.getLeafId();
+        return rewind;
+    }
+
+    /**
+     * 回退后没有产生新消息时（请求失败、被拒绝或停止后丢弃）回到原分支
+     * @param {object} rewind - rewindTo() 的结果
+     */
+    restoreRewind(rewind) {
+        if (this.getLeafId() === rewind.leafId) {
+            this.conversationHistory = this.getPathTo(rewind.previousLeafId);
+            this.summary = rewind.summary;
+        }
+    }
+
+    /**
+     * 准备重新生成回复：回退到这一轮的用户问题，新回复将成为原回复的兄弟分支
+     * @param {string|null} messageId - 助手消息ID（默认当前分支的最后一条回复）
+     * @returns {object} 回退记录
+     */
+    rewindForRegenerate(messageId = null) {
+        const message = messageId
+            ? this.getMessage(messageId)
+            : this.conversationHistory.findLast(msg => msg.role === 'assistant');
+
+        if (!message || message.role !== 'assistant') {
+            throw branchError(message ? '只能重新生成助手的回复' : '没有可以重新生成的回复', 400);
+        }
+
+        // 工具调用的中间消息属于同一轮，回到这一轮开始时的用户问题
+        let question = this.messageTree.get(message.parentId);
+        while (question && (question.role !== 'user' || question.isToolMessage())) {
+            question = this.messageTree.get(question.parentId);
+        }
+        if (!question) {
+            throw branchError('找不到这条回复对应的用户消息', 400);
+        }
+
+        return this.rewindTo(question.id);
+    }
+
+    /**
+     * 准备编辑用户消息：回退到这条消息之前，编辑后的消息将成为原消息的兄弟分支
+     * @param {string} messageId - 用户消息ID
+     * @returns {object} 回退记录
+     */
+    rewindForEdit(messageId) {
+        const message = this.getMessage(messageId);
+
+        if (message.role !== 'user' || message.isToolMessage()) {
+            throw branchError('只能编辑用户输入的消息', 400);
+        }
+
+        return this.rewindTo(message.parentId);
+    }
+
+    /**
+     * 当前分支的消息，附带兄弟分支信息（供界面切换）
+     * @returns {Array<object>} [{ ...消息, siblingIds, siblingIndex }]
+     */
+    getActiveBranch() {
+        return this.conversationHistory.map(message => {
+            const siblingIds = this.getChildren(message.parentId).map(sibling => sibling.id);
+            return { ...message.toJSON(), siblingIds, siblingIndex: siblingIds.indexOf(message.id) };
+        });
+    }
+
     /**
      * 获取格式化的消息历史（用于API调用）
+     * 已被摘要覆盖的消息不再发送
      */
     getFormattedHistory() {
-        return this.conversationHistory.map(msg => ({
+        const start = this.summary ? this.summary.messageCount : 0;
+
+        return this.conversationHistory.slice(start).map(msg => ({
             role: msg.role,
             content: msg.content
         }));
@@ -126,235 +496,636 @@ class ConversationManager {
 
         const trimmed = this.conversationHistory.slice(-maxMessages);
         logger.warn(`历史记录已裁剪: 保留最近 ${maxRounds} 轮对话`);
+
+        // 保留的第一条消息成为根，被裁剪的消息及从中分出的其他分支一并移除
+        trimmed[0].parentId = null;
+        for (const [id, message] of this.messageTree) {
+            let node = message;
+            while (node && node !== trimmed[0]) {
+                node = this.messageTree.get(node.parentId);
+            }
+            if (!node) {
+                this.messageTree.delete(id);
+            }
+        }
+
+        // 调整摘要覆盖的消息数
+        if (this.summary) {
+            const removed = this.conversationHistory.length - trimmed.length;
+            this.summary.messageCount = Math.max(this.summary.messageCount - removed, 0);
+        }
+
         this.conversationHistory = trimmed;
     }
 
     /**
-     * 发送聊天消息
-     * @param {string} userInput - 用户输入
+     * 解析本次请求使用的提供方和模型
+     * 请求切换到其他提供方但未指定模型时，使用该提供方的默认模型
+     * @param {object} options - 可选参数（provider、model）
+     * @returns {{provider: BaseProvider, model: string}} 提供方及模型
+     */
+    resolveTarget(options = {}) {
+        const provider = this.providers.get(options.provider || this.provider);
+        const switched = provider.name !== this.provider;
+        const model = options.model || (switched && provider.defaultModel) || this.model;
+
+        return { provider, model };
+    }
+
+    /**
+     * 本次请求依次尝试的目标：主目标，以及配置了故障转移时的备用目标
+     * options.failover 为 false 时不切换；备用提供方未注册时只记录警告
+     * @param {object} options - 可选参数（provider、model、failover）
+     * @returns {Array<{provider: BaseProvider, model: string}>} 目标列表
+     */
+    resolveTargets(options = {}) {
+        const primary = this.resolveTarget(options);
+        const targets = [primary];
+
+        if (options.failover === false || !this.retryPolicy.hasFailover()) {
+            return targets;
+        }
+
+        const { provider: providerName, model } = this.retryPolicy.failover;
+        if (providerName && !this.providers.has(providerName)) {
+            logger.warn(`未注册的备用提供方: ${providerName}，不进行故障转移`);
+            return targets;
+        }
+
+        const provider = providerName ? this.providers.get(providerName) : primary.provider;
+        const fallback = { provider, model: model || provider.defaultModel || primary.model };
+        if (fallback.provider !== primary.provider || fallback.model !== primary.model) {
+            targets.push(fallback);
+        }
+
+        return targets;
+    }
+
+    /**
+     * 按目标构建带提示缓存断点的请求参数
      * @param {object} options - 可选参数
-     * @returns {Promise<object>} 响应结果
+     * @param {{provider: BaseProvider, model: string}} target - 本次调用的目标
+     * @returns {object} API参数
      */
-    async chat(userInput, options = {}) {
-        // 添加用户消息
-        this.addMessage('user', userInput);
+    buildTargetParams(options, target) {
+        const params = this.buildApiParams({ ...options, provider: target.provider.name, model: target.model });
+        return this.applyPromptCaching(params, target.provider);
+    }
 
-        // 准备API参数
+    /**
+     * 构建API请求参数（Anthropic Messages 格式，由提供方转换）
+     * @param {object} options - 可选参数
+     * @returns {object} API参数
+     */
+    buildApiParams(options = {}) {
         const apiParams = {
-            model: options.model || this.model,
+            model: this.resolveTarget(options).model,
             max_tokens: options.maxTokens || this.maxTokens,
             messages: this.getFormattedHistory()
         };
 
-        if (this.systemPrompt) {
-            apiParams.system = this.systemPrompt;
+        const system = this.getEffectiveSystemPrompt();
+        if (system) {
+            apiParams.system = system;
         }
 
         if (options.temperature !== undefined) {
             apiParams.temperature = options.temperature;
         }
 
-        // 调用API
-        try {
-            logger.info('正在调用Claude API...');
-            const response = await this.client.messages.create(apiParams);
+        if (this.toolsEnabled(options)) {
+            apiParams.tools = this.tools.getDefinitions();
+        }
 
-            // 提取回复
-            const assistantText = response.content[0].text;
+        return apiParams;
+    }
 
-            // 保存助手回复
-            this.addMessage('assistant', assistantText);
+    /**
+     * 为请求添加提示缓存断点（提供方不支持或未启用时原样返回）
+     * 断点依次为：系统提示（连同其前的工具定义）、倒数第二条用户消息（命中上一轮写入的前缀）、
+     * 最后一条用户消息（写入本轮前缀供下一轮读取），不超过接口限制的 4 个
+     * @param {object} params - buildApiParams() 的结果
+     * @param {BaseProvider} provider - 提供方
+     * @returns {object} API参数
+     */
+    applyPromptCaching(params, provider) {
+        if (!this.promptCaching || !provider.supportsPromptCaching) {
+            return params;
+        }
 
-            // 返回结果
-            return {
-                success: true,
-                content: assistantText,
-                usage: {
-                    inputTokens: response.usage.input_tokens,
-                    outputTokens: response.usage.output_tokens,
-                    totalTokens: response.usage.input_tokens + response.usage.output_tokens
-                },
-                model: response.model,
-                stopReason: response.stop_reason
+        const cached = { ...params, messages: [...params.messages] };
+
+        if (cached.system) {
+            cached.system = markCacheBreakpoint(cached.system);
+        }
+
+        const userIndexes = cached.messages
+            .map((msg, index) => (msg.role === 'user' ? index : -1))
+            .filter(index => index !== -1)
+            .slice(-2);
+
+        for (const index of userIndexes) {
+            cached.messages[index] = {
+                ...cached.messages[index],
+                content: markCacheBreakpoint(cached.messages[index].content)
             };
+        }
+
+        return cached;
+    }
+
+    /**
+     * 发送前估算一次请求
+     * 输入按系统提示、格式化历史和新消息估算，输出按 max_tokens 计（最坏情况）
+     * @param {string|null} userInput - 用户输入（null 表示回复当前分支最后的用户消息）
+     * @param {object} options - 可选参数（provider、model、maxTokens）
+     * @returns {{provider: string, model: string, inputTokens: number, maxTokens: number}}
+     */
+    estimateRequest(userInput, options = {}) {
+        const { provider, model } = this.resolveTarget(options);
+        const params = this.buildApiParams(options);
+        if (userInput !== null) {
+            params.messages = [...params.messages, { role: 'user', content: userInput }];
+        }
+
+        return {
+            provider: provider.name,
+            model,
+            inputTokens: estimatePromptTokens(params),
+            maxTokens: params.max_tokens
+        };
+    }
+
+    /**
+     * 获取实际发送的系统提示（附加对话摘要）
+     */
+    getEffectiveSystemPrompt() {
+        if (!this.summary || !this.summary.content) {
+            return this.systemPrompt;
+        }
+
+        const summaryBlock = `以下是此前对话的摘要，请在回答时参考：\n${this.summary.content}`;
+        return this.systemPrompt ? `${this.systemPrompt}\n\n${summaryBlock}` : summaryBlock;
+    }
+
+    /**
+     * 检查提示大小，超出阈值时将较早的对话压缩为摘要
+     * @param {object} options - 可选参数
+     * @param {function} onChunk - 流式回调（可选）
+     * @returns {Promise<object>} 生成摘要消耗的用量
+     */
+    async prepareContext(options = {}, onChunk = null) {
+        const usage = emptyUsage();
 
+        if (!this.contextManager.enabled) {
+            return usage;
+        }
+
+        const { provider, model } = this.resolveTarget(options);
+        const maxTokens = options.maxTokens || this.maxTokens;
+        const params = this.buildApiParams(options);
+        const promptTokens = estimatePromptTokens(params);
+
+        if (promptTokens <= this.contextManager.getTriggerTokens(model, maxTokens)) {
+            return usage;
+        }
+
+        const start = this.summary ? this.summary.messageCount : 0;
+        const fixedTokens = estimateTokens(this.systemPrompt) +
+            this.contextManager.summaryMaxTokens +
+            (params.tools ? estimateTokens(JSON.stringify(params.tools)) : 0);
+        const cut = this.contextManager.findCutIndex(
+            this.conversationHistory,
+            start,
+            this.contextManager.getTargetTokens(model, maxTokens),
+            fixedTokens
+        );
+
+        if (cut <= start) {
+            logger.warn(`提示大小约 ${promptTokens} tokens，已无可压缩的历史`);
+            return usage;
+        }
+
+        const compressed = this.conversationHistory.slice(start, cut);
+        const compressedTokens = compressed.reduce((sum, msg) => sum + estimateContentTokens(msg.content), 0);
+        let content = this.summary ? this.summary.content : null;
+
+        try {
+            const result = await this.contextManager.summarize(provider, {
+                model,
+                previousSummary: content,
+                messages: compressed
+            });
+            content = result.content;
+            addUsage(usage, result.usage);
         } catch (error) {
-            logger.error(`API调用失败: ${error.message}`);
+            // 摘要失败时直接省略较早的对话，避免请求超出上下文窗口
+            logger.warn(`生成对话摘要失败，将省略较早的 ${compressed.length} 条消息: ${error.message}`);
+        }
 
-            // 移除失败的用户消息
-            this.conversationHistory.pop();
+        this.summary = {
+            content,
+            messageCount: cut,
+            compressedTokens: (this.summary ? this.summary.compressedTokens : 0) + compressedTokens,
+            summaryTokens: estimateTokens(content),
+            count: (this.summary ? this.summary.count : 0) + 1,
+            updatedAt: new Date().toISOString()
+        };
 
-            return {
-                success: false,
-                error: error.message,
-                content: null
-            };
+        logger.info(`上下文已压缩: ${cut} 条消息由摘要替代（约 ${this.summary.compressedTokens} → ${this.summary.summaryTokens} tokens）`);
+
+        if (onChunk) {
+            onChunk({
+                type: 'context',
+                compressedMessages: cut,
+                compressedTokens: this.summary.compressedTokens,
+                summaryTokens: this.summary.summaryTokens
+            });
         }
+
+        return usage;
     }
 
     /**
-     * 发送聊天消息（流式响应）
-     * @param {string} userInput - 用户输入
+     * 当前请求是否启用工具
      * @param {object} options - 可选参数
-     * @param {function} onChunk - 接收数据块的回调函数
-     * @returns {Promise<object>} 最终响应结果
      */
-    async chatStream(userInput, options = {}, onChunk = null) {
-        // 添加用户消息
-        this.addMessage('user', userInput);
+    toolsEnabled(options = {}) {
+        return !!this.tools && this.tools.size > 0 && options.tools !== false;
+    }
 
-        // 准备API参数
-        const apiParams = {
-            model: options.model || this.model,
-            max_tokens: options.maxTokens || this.maxTokens,
-            messages: this.getFormattedHistory(),
-            stream: true
+    /**
+     * 执行响应中的所有 tool_use 块
+     * @param {Array<object>} contentBlocks - 助手响应的内容块
+     * @param {function} onChunk - 流式回调（可选），用于推送工具事件
+     * @param {Array<object>} toolCalls - 收集工具调用记录
+     * @returns {Promise<Array<object>>} tool_result 内容块
+     */
+    async executeToolCalls(contentBlocks, onChunk = null, toolCalls = []) {
+        const results = [];
+
+        for (const block of contentBlocks) {
+            if (block.type !== 'tool_use') {
+                continue;
+            }
+
+            if (onChunk) {
+                onChunk({ type: 'tool_use', id: block.id, name: block.name, input: block.input });
+            }
+
+            const result = await this.tools.execute(block.name, block.input);
+
+            toolCalls.push({ name: block.name, input: block.input, isError: result.isError });
+
+            if (onChunk) {
+                onChunk({
+                    type: 'tool_result',
+                    id: block.id,
+                    name: block.name,
+                    content: result.content,
+                    isError: result.isError
+                });
+            }
+
+            results.push({
+                type: 'tool_result',
+                tool_use_id: block.id,
+                content: result.content,
+                is_error: result.isError
+            });
+        }
+
+        return results;
+    }
+
+    /**
+     * 读取提供方的统一流式事件，组装内容块并推送文本片段
+     * 中止信号触发时不抛出错误，返回已收到的部分（cancelled 为 true）
+     * @param {AsyncIterable} events - 提供方流式事件
+     * @param {function} onChunk - 接收数据块的回调函数
+     * @param {AbortSignal} signal - 中止信号
+     * @returns {Promise<object>} 组装后的响应（content、usage、model、stopReason、started、cancelled）
+     */
+    async readStream(events, onChunk = null, signal = null) {
+        const result = {
+            content: [],
+            usage: emptyUsage(),
+            model: null,
+            stopReason: null,
+            started: false,
+            cancelled: false
         };
+        let textBlock = null;
 
-        if (this.systemPrompt) {
-            apiParams.system = this.systemPrompt;
+        try {
+            for await (const event of events) {
+                if (signal?.aborted) {
+                    break;
+                }
+                result.started = true;
+
+                switch (event.type) {
+                    case 'start':
+                        result.model = event.model || result.model;
+                        break;
+
+                    case 'text':
+                        // 工具调用之后的文本开始新的文本块
+                        if (!textBlock) {
+                            textBlock = { type: 'text', text: '' };
+                            result.content.push(textBlock);
+                        }
+                        textBlock.text += event.text;
+
+                        // 调用回调函数处理每个数据块
+                        if (onChunk) {
+                            onChunk({
+                                type: 'content',
+                                content: event.text
+                            });
+                        }
+                        break;
+
+                    case 'tool_use':
+                        result.content.push({ type: 'tool_use', id: event.id, name: event.name, input: event.input });
+                        textBlock = null;
+                        break;
+
+                    case 'usage':
+                        for (const field of Object.keys(result.usage)) {
+                            if (event[field] !== undefined) {
+                                result.usage[field] = event[field];
+                            }
+                        }
+                        break;
+
+                    case 'stop':
+                        result.stopReason = event.stopReason;
+                        break;
+                }
+            }
+        } catch (error) {
+            if (!signal?.aborted) {
+                throw error;
+            }
         }
 
-        if (options.temperature !== undefined) {
-            apiParams.temperature = options.temperature;
+        // 完整结束后才触发的中止不影响结果
+        if (signal?.aborted && !result.stopReason) {
+            result.cancelled = true;
+            result.stopReason = CANCELLED_STOP_REASON;
         }
 
-        let fullContent = '';
-        let inputTokens = 0;
-        let outputTokens = 0;
-        let model = this.model;
-        let stopReason = null;
+        return result;
+    }
 
+    /**
+     * 发送聊天消息
+     * 启用工具时执行 请求 → tool_use → tool_result 循环，直到模型给出最终回复
+     * 每次API调用按重试策略执行，切换到备用模型后本轮后续调用都使用备用模型
+     * @param {string|null} userInput - 用户输入（null 表示回复当前分支最后的用户消息，用于重新生成）
+     * @param {object} options - 可选参数
+     * @returns {Promise<object>} 响应结果（attempts 为每次尝试的记录）
+     */
+    async chat(userInput, options = {}) {
+        const historyLength = this.conversationHistory.length;
+        const usage = emptyUsage();
+        const toolCalls = [];
+        const attempts = [];
+
+        // 添加用户消息
+        if (userInput !== null) {
+            this.addMessage('user', userInput);
+        }
+
+        // 调用API
         try {
-            logger.info('正在调用Claude API（流式）...');
-
-            const stream = await this.client.messages.create(apiParams);
-
-            for await (const event of stream) {
-                if (event.type === 'content_block_delta') {
-                    const chunk = event.delta.text;
-                    fullContent += chunk;
-
-                    // 调用回调函数处理每个数据块
-                    if (onChunk && chunk) {
-                        onChunk({
-                            type: 'content',
-                            content: chunk
-                        });
-                    }
-                } else if (event.type === 'message_start') {
-                    if (event.message && event.message.usage) {
-                        inputTokens = event.message.usage.input_tokens;
-                    }
-                } else if (event.type === 'message_delta') {
-                    if (event.usage) {
-                        outputTokens = event.usage.output_tokens;
-                    }
-                    if (event.delta) {
-                        stopReason = event.delta.stop_reason;
-                    }
-                } else if (event.type === 'message_stop') {
-                    // 流结束
+            let targets = this.resolveTargets(options);
+            const [{ provider, model }] = targets;
+
+            // 必要时压缩较早的对话
+            addUsage(usage, await this.prepareContext(options));
+
+            logger.info(`正在调用 ${provider.name} API (${model})...`);
+
+            let response;
+            for (let iteration = 0; ; iteration++) {
+                const run = await this.retryPolicy.execute(
+                    targets,
+                    target => target.provider.createMessage(this.buildTargetParams(options, target)),
+                    { signal: options.signal }
+                );
+                attempts.push(...run.attempts);
+                targets = targets.slice(targets.indexOf(run.target));
+                response = run.result;
+                addUsage(usage, response.usage);
+
+                if (response.stopReason !== 'tool_use' || !this.toolsEnabled(options)) {
+                    break;
+                }
+                if (iteration + 1 >= this.maxToolIterations) {
+                    throw new Error(`工具调用超过最大迭代次数 (${this.maxToolIterations})`);
                 }
+
+                // 保存工具调用及结果，继续下一轮
+                this.addMessage('assistant', response.content);
+                this.addMessage('user', await this.executeToolCalls(response.content, null, toolCalls));
             }
 
+            // 提取回复
+            const assistantText = extractText(response.content);
+
             // 保存助手回复
-            this.addMessage('assistant', fullContent);
+            this.addMessage('assistant', assistantText);
 
-            // 返回最终结果
+            // 返回结果
+            const [target] = targets;
             return {
                 success: true,
-                content: fullContent,
-                usage: {
-                    inputTokens,
-                    outputTokens,
-                    totalTokens: inputTokens + outputTokens
-                },
-                model,
-                stopReason
+                content: assistantText,
+                usage: withTotal(usage),
+                model: response.model || target.model,
+                provider: target.provider.name,
+                stopReason: response.stopReason,
+                toolCalls,
+                attempts,
+                failover: target.provider !== provider || target.model !== model
             };
 
         } catch (error) {
             logger.error(`API调用失败: ${error.message}`);
 
-            // 移除失败的用户消息
-            this.conversationHistory.pop();
-
-            // 通知错误
-            if (onChunk) {
-                onChunk({
-                    type: 'error',
-                    error: error.message
-                });
-            }
+            // 移除本轮新增的消息
+            this.discardFrom(historyLength);
 
             return {
                 success: false,
                 error: error.message,
-                content: null
+                errorCategory: error.category || null,
+                content: null,
+                usage: failedUsage(usage),
+                attempts: [...attempts, ...(error.attempts || [])]
             };
         }
     }
 
     /**
-     * 发送聊天消息（非流式，保持向后兼容）
-     * @param {string} userInput - 用户输入
-     * @param {object} options - 可选参数
-     * @returns {Promise<object>} 响应结果
+     * 停止生成后整理对话历史
+     * keep 保留已生成的文本并标记 stopReason，尚未生成文本时与 discard 相同，移除本轮新增的消息
+     * @param {number} historyLength - 本轮开始前的历史长度
+     * @param {string} content - 已生成的文本
+     * @param {string} policy - keep | discard
+     * @returns {boolean} 是否保留
      */
-    async chat(userInput, options = {}) {
-        // 添加用户消息
-        this.addMessage('user', userInput);
-
-        // 准备API参数
-        const apiParams = {
-            model: options.model || this.model,
-            max_tokens: options.maxTokens || this.maxTokens,
-            messages: this.getFormattedHistory()
-        };
+    finishCancelled(historyLength, content, policy) {
+        const kept = policy === 'keep' && content.length > 0;
 
-        if (this.systemPrompt) {
-            apiParams.system = this.systemPrompt;
+        if (kept) {
+            this.addMessage('assistant', content, CANCELLED_STOP_REASON);
+        } else {
+            this.discardFrom(historyLength);
         }
 
-        if (options.temperature !== undefined) {
-            apiParams.temperature = options.temperature;
+        logger.info(`已停止生成（${kept ? `保留 ${content.length} 字` : '丢弃本轮对话'}）`);
+        return kept;
+    }
+
+    /**
+     * 发送聊天消息（流式响应）
+     * 启用工具时通过 onChunk 推送 tool_use / tool_result 事件
+     * options.signal 中止时停止生成：已消耗的 tokens 照常返回，已生成的部分按 options.cancelPolicy（默认 CANCEL_POLICY）保留或丢弃
+     * 只有尚未输出内容时才会重试或切换模型，并通过 onChunk 推送 retry / failover 事件
+     * @param {string|null} userInput - 用户输入（null 表示回复当前分支最后的用户消息，用于重新生成）
+     * @param {object} options - 可选参数
+     * @param {function} onChunk - 接收数据块的回调函数
+     * @returns {Promise<object>} 最终响应结果，停止生成时 cancelled 为 true
+     */
+    async chatStream(userInput, options = {}, onChunk = null) {
+        const historyLength = this.conversationHistory.length;
+        const usage = emptyUsage();
+        const toolCalls = [];
+        const attempts = [];
+        const signal = options.signal || null;
+
+        // 添加用户消息
+        if (userInput !== null) {
+            this.addMessage('user', userInput);
         }
 
-        // 调用API
         try {
-            logger.info('正在调用Claude API...');
-            const response = await this.client.messages.create(apiParams);
+            let targets = this.resolveTargets(options);
+            const [{ provider, model }] = targets;
+
+            // 必要时压缩较早的对话
+            addUsage(usage, await this.prepareContext(options, onChunk));
+
+            logger.info(`正在调用 ${provider.name} API (${model}，流式)...`);
+
+            let response;
+            for (let iteration = 0; ; iteration++) {
+                let params;
+                let emitted = false;
+                const run = await this.retryPolicy.execute(
+                    targets,
+                    target => {
+                        params = this.buildTargetParams(options, target);
+                        return this.readStream(target.provider.streamMessage(params, { signal }), chunk => {
+                            emitted = true;
+                            onChunk?.(chunk);
+                        }, signal);
+                    },
+                    { signal, canRetry: () => !emitted, onRetry: onChunk }
+                );
+                attempts.push(...run.attempts);
+                targets = targets.slice(targets.indexOf(run.target));
+                response = run.result;
+
+                if (response.cancelled) {
+                    addUsage(usage, cancelledUsage(response, params));
+                    const partial = extractText(response.content);
+
+                    return {
+                        success: true,
+                        cancelled: true,
+                        kept: this.finishCancelled(historyLength, partial, options.cancelPolicy || Config.CANCEL_POLICY),
+                        content: partial,
+                        usage: failedUsage(usage),
+                        model: response.model || run.target.model,
+                        provider: run.target.provider.name,
+                        stopReason: CANCELLED_STOP_REASON,
+                        toolCalls,
+                        attempts
+                    };
+                }
+                addUsage(usage, response.usage);
 
-            // 提取回复
-            const assistantText = response.content[0].text;
+                if (response.stopReason !== 'tool_use' || !this.toolsEnabled(options)) {
+                    break;
+                }
+                if (iteration + 1 >= this.maxToolIterations) {
+                    throw new Error(`工具调用超过最大迭代次数 (${this.maxToolIterations})`);
+                }
+
+                // 保存工具调用及结果，继续下一轮
+                this.addMessage('assistant', response.content);
+                this.addMessage('user', await this.executeToolCalls(response.content, onChunk, toolCalls));
+            }
+
+            const fullContent = extractText(response.content);
 
             // 保存助手回复
-            this.addMessage('assistant', assistantText);
+            this.addMessage('assistant', fullContent);
 
-            // 返回结果
+            // 返回最终结果
+            const [target] = targets;
             return {
                 success: true,
-                content: assistantText,
-                usage: {
-                    inputTokens: response.usage.input_tokens,
-                    outputTokens: response.usage.output_tokens,
-                    totalTokens: response.usage.input_tokens + response.usage.output_tokens
-                },
-                model: response.model,
-                stopReason: response.stop_reason
+                content: fullContent,
+                usage: withTotal(usage),
+                model: response.model || target.model,
+                provider: target.provider.name,
+                stopReason: response.stopReason,
+                toolCalls,
+                attempts,
+                failover: target.provider !== provider || target.model !== model
             };
 
         } catch (error) {
+            // 等待重试期间停止生成
+            if (signal?.aborted) {
+                return {
+                    success: true,
+                    cancelled: true,
+                    kept: this.finishCancelled(historyLength, '', options.cancelPolicy || Config.CANCEL_POLICY),
+                    content: '',
+                    usage: failedUsage(usage),
+                    stopReason: CANCELLED_STOP_REASON,
+                    toolCalls,
+                    attempts: [...attempts, ...(error.attempts || [])]
+                };
+            }
+
             logger.error(`API调用失败: ${error.message}`);
 
-            // 移除失败的用户消息
-            this.conversationHistory.pop();
+            // 移除本轮新增的消息
+            this.discardFrom(historyLength);
+
+            // 通知错误
+            if (onChunk) {
+                onChunk({
+                    type: 'error',
+                    error: error.message,
+                    errorCategory: error.category || null
+                });
+            }
 
             return {
                 success: false,
                 error: error.message,
-                content: null
+                errorCategory: error.category || null,
+                content: null,
+                usage: failedUsage(usage),
+                attempts: [...attempts, ...(error.attempts || [])]
             };
         }
     }
@@ -363,12 +1134,28 @@ class ConversationManager {
      * 获取对话历史摘要
      */
     getSummary() {
+        const activeStart = this.summary ? this.summary.messageCount : 0;
+
         return {
             sessionId: this.sessionId,
+            conversationId: this.conversationId,
+            title: this.title,
+            mode: this.mode,
             messageCount: this.conversationHistory.length,
-            rounds: Math.floor(this.conversationHistory.length / 2),
+            rounds: this.conversationHistory.filter(msg => msg.role === 'user' && !msg.isToolMessage()).length,
+            provider: this.provider,
             model: this.model,
-            hasSystemPrompt: !!this.systemPrompt
+            hasSystemPrompt: !!this.systemPrompt,
+            context: {
+                summarized: !!this.summary,
+                compressedMessages: activeStart,
+                activeMessages: this.conversationHistory.length - activeStart,
+                compressedTokens: this.summary ? this.summary.compressedTokens : 0,
+                summaryTokens: this.summary ? this.summary.summaryTokens : 0,
+                summaryCount: this.summary ? this.summary.count : 0,
+                estimatedPromptTokens: estimatePromptTokens(this.buildApiParams()),
+                inputLimit: this.contextManager.getInputLimit(this.model, this.maxTokens)
+            }
         };
     }
 
@@ -377,26 +1164,100 @@ class ConversationManager {
      */
     clearHistory() {
         this.conversationHistory = [];
+        this.messageTree = new Map();
+        this.summary = null;
+
+        // 开始新的对话，避免覆盖已保存的对话文件
+        this.conversationId = this.generateConversationId();
+        this.title = null;
+        this.createdAt = new Date().toISOString();
+
         logger.info('对话历史已清空');
     }
 
+    /**
+     * 获取对话文件路径
+     * @param {string} idOrFilename - 对话ID或文件名
+     * @returns {string} 文件路径
+     * @throws {Error} ID格式无效时抛出错误
+     */
+    getConversationPath(idOrFilename) {
+        const id = idOrFilename.replace(/^conversation-/, '').replace(/\.json$/, '');
+
+        if (!CONVERSATION_ID_PATTERN.test(id)) {
+            throw new Error(`无效的对话ID: ${idOrFilename}`);
+        }
+
+        return path.join(this.dataDir, `conversation-${id}.json`);
+    }
+
+    /**
+     * 读取已保存的对话数据
+     * @param {string} conversationId - 对话ID
+     * @returns {object|null} 对话数据
+     */
+    readConversation(conversationId) {
+        try {
+            const filepath = this.getConversationPath(conversationId);
+            const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+
+            // 兼容旧格式（以 sessionId 作为文件名，无标题）
+            return {
+                ...data,
+                conversationId: data.conversationId || path.basename(filepath, '.json').replace(/^conversation-/, ''),
+                title: data.title || generateTitle(data.messages || []),
+                updatedAt: data.updatedAt || data.createdAt
+            };
+        } catch (error) {
+            logger.error(`读取对话失败: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * 删除已保存的对话
+     * @param {string} conversationId - 对话ID
+     * @returns {boolean} 是否删除
+     */
+    deleteConversation(conversationId) {
+        try {
+            fs.unlinkSync(this.getConversationPath(conversationId));
+            logger.info(`对话已删除: ${conversationId}`);
+            return true;
+        } catch (error) {
+            logger.error(`删除对话失败: ${error.message}`);
+            return false;
+        }
+    }
+
     /**
      * 保存对话到文件
      * @param {string} filename - 文件名（可选）
      */
     saveConversation(filename = null) {
         if (!filename) {
-            filename = `conversation-${this.sessionId}.json`;
+            filename = `conversation-${this.conversationId}.json`;
         }
 
         const filepath = path.join(this.dataDir, filename);
 
+        const activeIds = new Set(this.conversationHistory.map(msg => msg.id));
+
         const data = {
+            formatVersion: CONVERSATION_FORMAT_VERSION,
+            conversationId: this.conversationId,
             sessionId: this.sessionId,
+            title: this.title,
+            mode: this.mode,
             systemPrompt: this.systemPrompt,
+            provider: this.provider,
             model: this.model,
-            createdAt: new Date().toISOString(),
-            messages: this.conversationHistory.map(msg => msg.toJSON())
+            createdAt: this.createdAt,
+            updatedAt: new Date().toISOString(),
+            summary: this.summary,
+            // 当前分支，其他分支的消息单独保存（旧版读取方只看 messages）
+            messages: this.conversationHistory.map(msg => msg.toJSON()),
+            branches: [...this.messageTree.values()].filter(msg => !activeIds.has(msg.id)).map(msg => msg.toJSON())
         };
 
         try {
@@ -411,19 +1272,39 @@ class ConversationManager {
 
     /**
      * 从文件加载对话
-     * @param {string} filename - 文件名
+     * 先完整解析文件，解析失败时当前对话保持不变
+     * @param {string} filename - 文件名或对话ID
      */
     loadConversation(filename) {
-        const filepath = path.join(this.dataDir, filename);
-
         try {
-            const content = fs.readFileSync(filepath, 'utf8');
-            const data = JSON.parse(content);
+            const filepath = this.getConversationPath(filename);
+            const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
+
+            if (!data || !Array.isArray(data.messages)) {
+                throw new Error('对话文件缺少消息列表');
+            }
+
+            const history = data.messages.map(msg => Message.fromJSON(msg));
+            // 旧格式没有消息ID和分支，按顺序串成一条分支
+            if (!data.formatVersion || data.formatVersion < 2) {
+                history.forEach((msg, index) => {
+                    msg.parentId = index > 0 ? history[index - 1].id : null;
+                });
+            }
+            const branches = (Array.isArray(data.branches) ? data.branches : []).map(msg => Message.fromJSON(msg));
 
-            this.sessionId = data.sessionId;
+            // 保留当前会话ID，对话由 conversationId 标识
+            this.conversationId = data.conversationId || path.basename(filepath, '.json').replace(/^conversation-/, '');
             this.systemPrompt = data.systemPrompt;
+            // 旧版对话文件没有 provider 字段，使用默认提供方
+            this.provider = data.provider && this.providers.has(data.provider) ? data.provider : this.providers.get().name;
             this.model = data.model;
-            this.conversationHistory = data.messages.map(msg => Message.fromJSON(msg));
+            this.mode = data.mode || null;
+            this.createdAt = data.createdAt || new Date().toISOString();
+            this.conversationHistory = history;
+            this.messageTree = new Map([...history, ...branches].map(msg => [msg.id, msg]));
+            this.title = data.title || generateTitle(history);
+            this.summary = data.summary || null;
 
             logger.info(`对话已加载: ${filename}`);
             return true;
@@ -439,14 +1320,14 @@ class ConversationManager {
      */
     exportToText(filename = null) {
         if (!filename) {
-            filename = `conversation-${this.sessionId}.txt`;
+            filename = `conversation-${this.conversationId}.txt`;
         }
 
         const filepath = path.join(this.dataDir, filename);
 
         const lines = [
             '='.repeat(60),
-            `对话记录 - ${this.sessionId}`,
+            `对话记录 - ${this.title || this.conversationId}`,
             `模型: ${this.model}`,
             `系统提示: ${this.systemPrompt || '无'}`,
             `导出时间: ${new Date().toLocaleString('zh-CN')}`,
@@ -458,7 +1339,7 @@ class ConversationManager {
             const time = new Date(msg.timestamp).toLocaleTimeString('zh-CN');
             const role = msg.role === 'user' ? '👤 用户' : '🤖 Claude';
             lines.push(`[${time}] ${role}`);
-            lines.push(msg.content);
+            lines.push(msg.getText());
             lines.push('');
         }
 
@@ -473,7 +1354,7 @@ class ConversationManager {
     }
 
     /**
-     * 获取所有保存的对话
+     * 获取所有保存的对话（按更新时间倒序）
      */
     listSavedConversations() {
         try {
@@ -483,12 +1364,23 @@ class ConversationManager {
             return files.map(f => {
                 const filepath = path.join(this.dataDir, f);
                 const stats = fs.statSync(filepath);
+                const data = this.readConversation(f) || {};
+                const messages = data.messages || [];
+
                 return {
+                    id: data.conversationId || f.replace(/^conversation-/, '').replace(/\.json$/, ''),
                     filename: f,
+                    title: data.title || '未命名对话',
+                    mode: data.mode || null,
+                    provider: data.provider || null,
+                    model: data.model || null,
+                    createdAt: data.createdAt || stats.birthtime.toISOString(),
+                    updatedAt: data.updatedAt || stats.mtime.toISOString(),
+                    messageCount: messages.length,
                     size: stats.size,
                     modified: stats.mtime
                 };
-            });
+            }).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
         } catch (error) {
             logger.error(`读取对话列表失败: ${error.message}`);
             return [];
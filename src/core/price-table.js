@@ -0,0 +1,211 @@
+// src/core/price-table.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Config from '../../config.js';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 项目自带的价格表
+const DEFAULT_PRICES_FILE = path.join(__dirname, '../../prices.json');
+
+// 常见货币的显示符号（其他货币显示货币代码）
+const CURRENCY_SYMBOLS = { USD: '$', CNY: '¥', EUR: '€', GBP: '£', JPY: '¥', HKD: 'HK$' };
+
+// 价格字段（表货币/百万tokens）
+const PRICE_FIELDS = ['input', 'output', 'cacheWrite', 'cacheRead'];
+
+/**
+ * 校验并规范化一个价格版本
+ * 未配置 cacheWrite / cacheRead 时按输入价格计算
+ * @param {string} model - 模型名称
+ * @param {object} version - { effectiveFrom, input, output, cacheWrite, cacheRead }
+ */
+function normalizeVersion(model, version) {
+    const normalized = {
+        effectiveFrom: version.effectiveFrom ? Date.parse(version.effectiveFrom) : 0,
+        input: version.input,
+        output: version.output,
+        cacheWrite: version.cacheWrite ?? version.input,
+        cacheRead: version.cacheRead ?? version.input
+    };
+
+    if (Number.isNaN(normalized.effectiveFrom)) {
+        throw new Error(`模型 ${model} 的生效日期无效: ${version.effectiveFrom}`);
+    }
+    for (const field of PRICE_FIELDS) {
+        if (typeof normalized[field] !== 'number' || normalized[field] < 0) {
+            throw new Error(`模型 ${model} 的 ${field} 价格无效`);
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * 模型价格表
+ * 从 JSON 文件加载（默认为项目根目录的 prices.json，可用 PRICES_FILE 指定）；
+ * 每个模型可以有多个按生效日期区分的价格版本，调用按发生时生效的版本计价
+ * 未收录的模型不会套用其他模型的价格，而是标记为未定价（成本计为 0）并记录警告
+ */
+class PriceTable {
+    /**
+     * @param {object} options - 配置项
+     * @param {string} options.file - 价格表文件
+     * @param {object} options.table - 直接传入价格表（不读取文件）
+     * @param {string} options.currency - 显示货币（默认 PRICE_CURRENCY）
+     * @param {number} options.exchangeRate - 1 单位表货币折合多少显示货币（默认 EXCHANGE_RATE）
+     */
+    constructor(options = {}) {
+        this.file = options.file || (Config.PRICES_FILE ? path.resolve(Config.PRICES_FILE) : DEFAULT_PRICES_FILE);
+        this.displayCurrency = options.currency || Config.PRICE_CURRENCY;
+        this.exchangeRate = options.exchangeRate ?? Config.EXCHANGE_RATE;
+        this.warnedModels = new Set();
+
+        this.load(options.table || JSON.parse(fs.readFileSync(this.file, 'utf8')));
+    }
+
+    /**
+     * 加载价格表
+     * @param {object} table - { currency, models: { 模型: { name, aliases, prices: [价格版本] } } }
+     */
+    load(table) {
+        this.currency = table.currency || 'USD';
+        this.models = new Map();
+        this.aliases = new Map();
+
+        for (const [id, model] of Object.entries(table.models || {})) {
+            if (!Array.isArray(model.prices) || model.prices.length === 0) {
+                throw new Error(`模型 ${id} 没有配置价格`);
+            }
+
+            const versions = model.prices
+                .map(version => normalizeVersion(id, version))
+                .sort((a, b) => a.effectiveFrom - b.effectiveFrom);
+
+            this.models.set(id, { id, name: model.name || id, versions });
+
+            // 模型名称不区分大小写（部分接口返回小写名称）
+            for (const alias of [id, ...(model.aliases || [])]) {
+                this.aliases.set(alias.toLowerCase(), id);
+            }
+        }
+
+        // 显示货币与表货币相同时不换算
+        if (this.displayCurrency === this.currency) {
+            this.exchangeRate = 1;
+        }
+    }
+
+    /**
+     * 查找模型在指定时间生效的价格
+     * 早于最早版本的时间使用最早版本
+     * @param {string} model - 模型名称或别名
+     * @param {number} at - 时间戳
+     * @returns {object|null} { id, name, currency, effectiveFrom, input, output, cacheWrite, cacheRead }，未收录时为 null
+     */
+    resolve(model, at = Date.now()) {
+        const id = model ? this.aliases.get(model.toLowerCase()) : null;
+        if (!id) {
+            return null;
+        }
+
+        const { name, versions } = this.models.get(id);
+        const version = versions.filter(item => item.effectiveFrom <= at).pop() || versions[0];
+
+        return { id, name, currency: this.currency, ...version };
+    }
+
+    /**
+     * 计算一次调用的成本（表货币）
+     * @param {object} usage - { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens }
+     * @param {string} model - 模型名称
+     * @param {number} at - 调用时间
+     * @returns {{cost: number, priced: boolean, currency: string, breakdown: object, cacheSavings: number}}
+     *   cacheSavings 为提示缓存节省的金额（缓存 tokens 按输入价格计算的成本减去实际成本，写入较多时可能为负）
+     */
+    calculate(usage, model, at = Date.now()) {
+        const price = this.resolve(model, at);
+        const breakdown = { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 };
+
+        if (!price) {
+            if (!this.warnedModels.has(model)) {
+                this.warnedModels.add(model);
+                logger.warn(`价格表中没有模型 ${model}，其调用成本按 0 计算并标记为未定价（请在 ${path.basename(this.file)} 中添加）`);
+            }
+            return { cost: 0, priced: false, currency: this.currency, breakdown, cacheSavings: 0 };
+        }
+
+        breakdown.input = ((usage.inputTokens || 0) / 1_000_000) * price.input;
+        breakdown.output = ((usage.outputTokens || 0) / 1_000_000) * price.output;
+        breakdown.cacheWrite = ((usage.cacheWriteTokens || 0) / 1_000_000) * price.cacheWrite;
+        breakdown.cacheRead = ((usage.cacheReadTokens || 0) / 1_000_000) * price.cacheRead;
+
+        const cacheTokens = (usage.cacheReadTokens || 0) + (usage.cacheWriteTokens || 0);
+
+        return {
+            cost: breakdown.input + breakdown.output + breakdown.cacheWrite + breakdown.cacheRead,
+            priced: true,
+            currency: this.currency,
+            breakdown,
+            cacheSavings: (cacheTokens / 1_000_000) * price.input - breakdown.cacheWrite - breakdown.cacheRead
+        };
+    }
+
+    /**
+     * 是否收录了该模型
+     */
+    has(model) {
+        return this.resolve(model) !== null;
+    }
+
+    /**
+     * 换算为显示货币
+     * @param {number} amount - 表货币金额
+     */
+    convert(amount) {
+        return amount * this.exchangeRate;
+    }
+
+    /**
+     * 格式化为显示货币
+     * @param {number} amount - 表货币金额
+     * @param {number} digits - 小数位数
+     * @returns {string} 如 $0.001200、¥0.008640
+     */
+    format(amount, digits = 6) {
+        const value = this.convert(amount).toFixed(digits);
+        const symbol = CURRENCY_SYMBOLS[this.displayCurrency];
+        return symbol ? `${symbol}${value}` : `${value} ${this.displayCurrency}`;
+    }
+
+    /**
+     * 价格表信息
+     */
+    getInfo() {
+        return {
+            file: this.file,
+            currency: this.currency,
+            displayCurrency: this.displayCurrency,
+            exchangeRate: this.exchangeRate,
+            models: [...this.models.keys()]
+        };
+    }
+}
+
+let defaultTable = null;
+
+/**
+ * 获取共享的价格表（首次使用时从文件加载）
+ * @returns {PriceTable}
+ */
+export function getPriceTable() {
+    if (!defaultTable) {
+        defaultTable = new PriceTable();
+    }
+    return defaultTable;
+}
+
+export default PriceTable;
@@ -0,0 +1,101 @@
+// src/core/provider-registry.js
+
+// 提供方名称格式
+const PROVIDER_NAME_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+/**
+ * 模型提供方注册表
+ * 按名称管理提供方实例（Anthropic、智谱AI、OpenAI 兼容接口、Ollama 等），并记录默认提供方
+ */
+class ProviderRegistry {
+    constructor() {
+        this.providers = new Map();
+        this.defaultName = null;
+    }
+
+    /**
+     * 注册提供方（第一个注册的提供方默认成为默认提供方）
+     * @param {BaseProvider} provider - 提供方实例
+     * @returns {ProviderRegistry} 当前实例（便于链式调用）
+     */
+    register(provider) {
+        if (!provider || !PROVIDER_NAME_PATTERN.test(provider.name || '')) {
+            throw new Error(`无效的提供方名称: ${provider?.name}`);
+        }
+        if (typeof provider.createMessage !== 'function' || typeof provider.streamMessage !== 'function') {
+            throw new Error(`提供方 ${provider.name} 缺少 createMessage/streamMessage`);
+        }
+        if (this.providers.has(provider.name)) {
+            throw new Error(`提供方已存在: ${provider.name}`);
+        }
+
+        this.providers.set(provider.name, provider);
+
+        if (!this.defaultName) {
+            this.defaultName = provider.name;
+        }
+
+        return this;
+    }
+
+    /**
+     * 注销提供方
+     * @param {string} name - 提供方名称
+     */
+    unregister(name) {
+        const deleted = this.providers.delete(name);
+
+        if (deleted && this.defaultName === name) {
+            this.defaultName = this.providers.keys().next().value || null;
+        }
+
+        return deleted;
+    }
+
+    has(name) {
+        return this.providers.has(name);
+    }
+
+    get size() {
+        return this.providers.size;
+    }
+
+    /**
+     * 获取提供方
+     * @param {string} name - 提供方名称（省略时返回默认提供方）
+     * @returns {BaseProvider} 提供方实例
+     * @throws {Error} 未注册时抛出错误（status = 400）
+     */
+    get(name = this.defaultName) {
+        const provider = this.providers.get(name);
+
+        if (!provider) {
+            const error = new Error(`未知的模型提供方: ${name}。可用提供方: ${Array.from(this.providers.keys()).join(', ')}`);
+            error.status = 400;
+            throw error;
+        }
+
+        return provider;
+    }
+
+    /**
+     * 设置默认提供方
+     * @param {string} name - 提供方名称
+     */
+    setDefault(name) {
+        this.get(name);
+        this.defaultName = name;
+    }
+
+    /**
+     * 列出已注册的提供方
+     */
+    list() {
+        return Array.from(this.providers.values()).map(provider => ({
+            ...provider.getInfo(),
+            isDefault: provider.name === this.defaultName
+        }));
+    }
+}
+
+export default ProviderRegistry;
@@ -0,0 +1,376 @@
+// src/core/retry-policy.js
+import Config from '../../config.js';
+import logger from '../utils/logger.js';
+
+// 可以重试的错误类别（其余类别重试也不会成功）
+export const RETRYABLE_CATEGORIES = ['rate_limit', 'overloaded', 'server', 'network', 'timeout'];
+
+// 额度不足时各家返回的状态码并不统一（400/402/403/429），按错误信息识别
+const QUOTA_PATTERN = /quota|insufficient|credit balance|billing|余额|欠费/i;
+const OVERLOADED_PATTERN = /overloaded/i;
+const TIMEOUT_PATTERN = /timed? ?out|timeout|超时/i;
+// 读取响应体时连接中断（fetch 直接抛出，未经提供方包装）
+const NETWORK_PATTERN = /terminated|socket hang up|ECONNRESET|ECONNREFUSED|EPIPE|fetch failed/i;
+
+/**
+ * 错误分类
+ * @param {Error} error - 提供方错误（providerError 创建，status 为空表示网络错误）
+ * @returns {{category: string, retryable: boolean, status: number|null}}
+ *   category: rate_limit | quota | overloaded | timeout | server | network | auth | invalid_request | circuit_open | unknown
+ */
+export function classifyError(error) {
+    const status = error.status ?? null;
+    const message = error.message || '';
+    let category;
+
+    if (error.category === 'circuit_open') {
+        category = 'circuit_open';
+    } else if ([400, 402, 403, 429].includes(status) && QUOTA_PATTERN.test(message)) {
+        category = 'quota';
+    } else if (status === 429) {
+        category = 'rate_limit';
+    } else if (status === 529 || OVERLOADED_PATTERN.test(message)) {
+        category = 'overloaded';
+    } else if (status === 408 || (status === null && TIMEOUT_PATTERN.test(message))) {
+        category = 'timeout';
+    } else if (status !== null && status >= 500) {
+        category = 'server';
+    } else if (status === 401 || status === 403) {
+        category = 'auth';
+    } else if (status !== null && status >= 400) {
+        category = 'invalid_request';
+    } else if (error.provider || NETWORK_PATTERN.test(`${message} ${error.cause?.code || ''}`)) {
+        category = 'network';
+    } else {
+        category = 'unknown';
+    }
+
+    return { category, retryable: RETRYABLE_CATEGORIES.includes(category), status };
+}
+
+/**
+ * 可中止的等待
+ * @param {number} ms - 毫秒
+ * @param {AbortSignal} signal - 中止信号
+ * @returns {Promise<boolean>} 是否等满（被中止时为 false）
+ */
+function sleep(ms, signal = null) {
+    return new Promise(resolve => {
+        if (signal?.aborted) {
+            resolve(false);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            resolve(false);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve(true);
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * 熔断器
+ * closed：正常调用；连续失败达到阈值后 open：直接拒绝；
+ * 冷却时间过后 half_open：放行一次试探请求，成功则恢复，失败则重新 open
+ */
+export class CircuitBreaker {
+    constructor(options = {}) {
+        this.threshold = options.threshold ?? Config.CIRCUIT_BREAKER_THRESHOLD; // 0 表示不熔断
+        this.cooldown = options.cooldown ?? Config.CIRCUIT_BREAKER_COOLDOWN;
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * 当前是否允许请求（open 冷却结束后转为 half_open 并放行一次）
+     */
+    allowRequest() {
+        if (this.threshold <= 0 || this.state === 'closed') {
+            return true;
+        }
+
+        if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldown) {
+            this.state = 'half_open';
+            this.trialInFlight = false;
+        }
+
+        if (this.state === 'half_open' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * 试探请求未得出结果（如被用户取消）时允许下一次试探
+     */
+    release() {
+        this.trialInFlight = false;
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * 记录一次失败
+     * @returns {boolean} 本次失败是否导致熔断
+     */
+    recordFailure() {
+        if (this.threshold <= 0) {
+            return false;
+        }
+
+        this.failures++;
+        if (this.state === 'half_open' || (this.state === 'closed' && this.failures >= this.threshold)) {
+            this.state = 'open';
+            this.openedAt = Date.now();
+            this.trialInFlight = false;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 距离允许试探还有多久（毫秒）
+     */
+    getRemainingCooldown() {
+        return this.state === 'open' ? Math.max(0, this.cooldown - (Date.now() - this.openedAt)) : 0;
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryInMs: this.getRemainingCooldown()
+        };
+    }
+}
+
+/**
+ * 重试策略
+ * 可重试的错误按指数退避（带随机抖动）重试，服务端给出 retry-after 时按其等待；
+ * 每个 提供方/模型 有独立的熔断器；主目标失败后可切换到备用模型
+ */
+class RetryPolicy {
+    constructor(options = {}) {
+        this.maxAttempts = options.maxAttempts ?? Config.RETRY_MAX_ATTEMPTS;
+        this.baseDelay = options.baseDelay ?? Config.RETRY_BASE_DELAY;
+        this.maxDelay = options.maxDelay ?? Config.RETRY_MAX_DELAY;
+        this.breakerThreshold = options.breakerThreshold ?? Config.CIRCUIT_BREAKER_THRESHOLD;
+        this.breakerCooldown = options.breakerCooldown ?? Config.CIRCUIT_BREAKER_COOLDOWN;
+
+        // 备用目标（provider 为空表示与主目标同一提供方）
+        this.failover = {
+            provider: options.failoverProvider ?? Config.FAILOVER_PROVIDER,
+            model: options.failoverModel ?? Config.FAILOVER_MODEL
+        };
+
+        // 熔断器，按 提供方/模型 区分
+        this.breakers = new Map();
+    }
+
+    /**
+     * 是否配置了备用目标
+     */
+    hasFailover() {
+        return Boolean(this.failover.provider || this.failover.model);
+    }
+
+    getBreaker(provider, model) {
+        const key = `${provider}/${model}`;
+        if (!this.breakers.has(key)) {
+            this.breakers.set(key, new CircuitBreaker({ threshold: this.breakerThreshold, cooldown: this.breakerCooldown }));
+        }
+        return this.breakers.get(key);
+    }
+
+    /**
+     * 第 attempt 次失败后的等待时间
+     * 指数退避取一半固定、一半随机（equal jitter），避免多个请求同时重试
+     * @param {number} attempt - 已失败次数（从 1 开始）
+     * @param {number|null} retryAfter - 服务端要求的等待时间（毫秒）
+     * @returns {number|null} 毫秒；retry-after 超过最大等待时间时为 null（不再重试）
+     */
+    getDelay(attempt, retryAfter = null) {
+        if (retryAfter !== null && retryAfter !== undefined) {
+            return retryAfter <= this.maxDelay ? retryAfter : null;
+        }
+
+        const exponential = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    /**
+     * 是否应切换到备用目标
+     * 认证、额度错误只有备用目标在其他提供方时才有意义
+     */
+    shouldFailover(classification, from, to) {
+        if (classification.retryable || classification.category === 'circuit_open') {
+            return true;
+        }
+        return ['auth', 'quota'].includes(classification.category) && from.provider.name !== to.provider.name;
+    }
+
+    /**
+     * 按策略执行调用
+     * @param {Array<{provider: BaseProvider, model: string}>} targets - 主目标及备用目标（依次尝试）
+     * @param {function} call - (target, attempt) => Promise，执行一次调用
+     * @param {object} options - 可选参数
+     * @param {function} options.canRetry - 失败后是否还能重试（如流式已输出内容时不能）
+     * @param {AbortSignal} options.signal - 中止信号（中止后不再重试）
+     * @param {function} options.onRetry - 每次重试或切换前的回调 (info)
+     * @returns {Promise<{result: *, target: object, attempts: Array<object>, failover: boolean}>}
+     * @throws {Error} 最后一次失败的错误，附加 attempts 和 category
+     */
+    async execute(targets, call, options = {}) {
+        const { canRetry = () => true, signal = null, onRetry = null } = options;
+        const attempts = [];
+        let lastError = null;
+        let lastClassification = null;
+
+        for (let index = 0; index < targets.length; index++) {
+            const target = targets[index];
+            const breaker = this.getBreaker(target.provider.name, target.model);
+
+            for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+                const record = {
+                    attempt: attempts.length + 1,
+                    provider: target.provider.name,
+                    model: target.model,
+                    success: false
+                };
+                attempts.push(record);
+
+                let classification;
+                if (!breaker.allowRequest()) {
+                    lastError = new Error(`[${target.provider.name}] ${target.model} 已熔断，${Math.ceil(breaker.getRemainingCooldown() / 1000)} 秒后重试`);
+                    lastError.category = 'circuit_open';
+                    classification = classifyError(lastError);
+                    Object.assign(record, { category: classification.category, error: lastError.message, durationMs: 0 });
+                    logger.warn(`${record.provider}/${record.model} 已熔断，跳过调用`);
+                } else {
+                    const startedAt = Date.now();
+                    try {
+                        const result = await call(target, record.attempt);
+                        breaker.recordSuccess();
+                        Object.assign(record, { success: true, durationMs: Date.now() - startedAt });
+
+                        if (attempts.length > 1) {
+                            logger.success(`第 ${record.attempt} 次尝试成功（${record.provider}/${record.model}）`);
+                        }
+                        return { result, target, attempts, failover: index > 0 };
+                    } catch (error) {
+                        lastError = error;
+                        classification = classifyError(error);
+                        Object.assign(record, {
+                            status: classification.status,
+                            category: classification.category,
+                            error: error.message,
+                            durationMs: Date.now() - startedAt
+                        });
+
+                        // 用户取消不计入熔断
+                        if (signal?.aborted) {
+                            breaker.release();
+                            error.category = classification.category;
+                            throw this.finalError(error, attempts);
+                        }
+                        if (!classification.retryable) {
+                            // 认证、参数等错误说明服务本身可以访问
+                            breaker.recordSuccess();
+                        } else if (breaker.recordFailure()) {
+                            logger.warn(`${record.provider}/${record.model} 连续失败 ${breaker.failures} 次，熔断 ${this.breakerCooldown}ms`);
+                        }
+                    }
+                }
+                lastError.category = classification.category;
+                lastClassification = classification;
+
+                if (!canRetry(lastError)) {
+                    throw this.finalError(lastError, attempts);
+                }
+
+                const delay = classification.retryable && attempt < this.maxAttempts
+                    ? this.getDelay(attempt, lastError.retryAfter)
+                    : null;
+
+                if (delay === null) {
+                    logger.warn(`第 ${record.attempt} 次尝试失败（${record.provider}/${record.model}，${classification.category}）: ${lastError.message}`);
+                    break;
+                }
+
+                record.retryInMs = delay;
+                logger.warn(`第 ${record.attempt} 次尝试失败（${record.provider}/${record.model}，${classification.category}），${delay}ms 后重试: ${lastError.message}`);
+                if (onRetry) {
+                    onRetry({ type: 'retry', ...record });
+                }
+                if (!await sleep(delay, signal)) {
+                    throw this.finalError(lastError, attempts);
+                }
+            }
+
+            // 切换到下一个目标
+            const next = targets[index + 1];
+            if (!next || !this.shouldFailover(lastClassification, target, next)) {
+                break;
+            }
+
+            logger.warn(`切换到备用模型 ${next.provider.name}/${next.model}（${target.provider.name}/${target.model} 不可用: ${lastClassification.category}）`);
+            if (onRetry) {
+                onRetry({
+                    type: 'failover',
+                    from: { provider: target.provider.name, model: target.model },
+                    to: { provider: next.provider.name, model: next.model },
+                    category: lastClassification.category
+                });
+            }
+        }
+
+        throw this.finalError(lastError, attempts);
+    }
+
+    /**
+     * 附加尝试记录的最终错误（category 已在失败时设置）
+     */
+    finalError(error, attempts) {
+        error.attempts = attempts;
+        return error;
+    }
+
+    /**
+     * 熔断器状态（只列出出现过失败的目标）
+     */
+    getStatus() {
+        return [...this.breakers.entries()]
+            .filter(([, breaker]) => breaker.state !== 'closed' || breaker.failures > 0)
+            .map(([key, breaker]) => ({ target: key, ...breaker.getStatus() }));
+    }
+}
+
+// 全局重试策略（熔断状态在所有会话间共享）
+let defaultPolicy = null;
+
+/**
+ * 获取全局重试策略
+ */
+export function getRetryPolicy() {
+    if (!defaultPolicy) {
+        defaultPolicy = new RetryPolicy();
+    }
+    return defaultPolicy;
+}
+
+export default RetryPolicy;
@@ -0,0 +1,367 @@
+// src/core/search-index.js
+import fs from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+// 英文单词/数字，或连续的中日韩字符
+const TOKEN_PATTERN = /[a-z0-9]+|[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]+/g;
+const LATIN_PATTERN = /^[a-z0-9]+$/;
+
+// 常见英文停用词
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+    'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
+
+// BM25 参数
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// 摘要片段的上下文长度（字符）
+const SNIPPET_RADIUS = 40;
+
+/**
+ * 简单的英文词形归一（去掉复数 s）
+ * @param {string} word - 小写单词
+ */
+function normalizeWord(word) {
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) {
+        return word.slice(0, -1);
+    }
+    return word;
+}
+
+/**
+ * 分词：英文按单词切分，中文按二元组（bigram）切分
+ * @param {string} text - 文本
+ * @returns {string[]} 词项列表
+ */
+export function tokenize(text) {
+    const tokens = [];
+
+    for (const match of (text || '').toLowerCase().matchAll(TOKEN_PATTERN)) {
+        const run = match[0];
+
+        if (LATIN_PATTERN.test(run)) {
+            if (!STOP_WORDS.has(run)) {
+                tokens.push(normalizeWord(run));
+            }
+        } else if (run.length === 1) {
+            tokens.push(run);
+        } else {
+            for (let i = 0; i < run.length - 1; i++) {
+                tokens.push(run.slice(i, i + 2));
+            }
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * 提取消息中可检索的文本（忽略工具调用块）
+ * @param {string|Array<object>} content - 消息内容
+ */
+function extractSearchableText(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+
+    return (content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('\n');
+}
+
+/**
+ * 解析日期过滤条件（仅日期时，to 包含当天）
+ * @param {string} value - 日期字符串
+ * @param {boolean} endOfDay - 是否取当天结束
+ * @returns {number|null} 时间戳
+ */
+function parseDate(value, endOfDay = false) {
+    if (!value) {
+        return null;
+    }
+
+    const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(isDateOnly ? `${value}T00:00:00` : value);
+
+    if (isNaN(date.getTime())) {
+        throw new Error(`无效的日期: ${value}`);
+    }
+
+    return isDateOnly && endOfDay ? date.getTime() + 24 * 60 * 60 * 1000 - 1 : date.getTime();
+}
+
+/**
+ * 对话全文检索索引
+ * 以消息为文档建立倒排索引，使用 BM25 排序，按文件修改时间增量更新
+ */
+class SearchIndex {
+    /**
+     * @param {object} options - 配置项
+     * @param {string} options.dataDir - 对话文件目录
+     */
+    constructor(options = {}) {
+        this.dataDir = options.dataDir || path.join(process.cwd(), 'data');
+
+        this.documents = new Map();  // docId -> { conversationId, title, mode, role, timestamp, text, length }
+        this.postings = new Map();   // term -> Map(docId -> 词频)
+        this.files = new Map();      // filename -> { mtimeMs, docIds }
+        this.totalLength = 0;
+    }
+
+    /**
+     * 同步索引与磁盘上的对话文件（新增、修改、删除）
+     * @returns {object} 更新统计
+     */
+    refresh() {
+        const stats = { indexed: 0, removed: 0 };
+
+        let filenames = [];
+        try {
+            filenames = fs.readdirSync(this.dataDir)
+                .filter(f => f.startsWith('conversation-') && f.endsWith('.json'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`读取对话目录失败: ${error.message}`);
+            }
+        }
+
+        const present = new Set(filenames);
+
+        for (const filename of this.files.keys()) {
+            if (!present.has(filename)) {
+                this.removeFile(filename);
+                stats.removed++;
+            }
+        }
+
+        for (const filename of filenames) {
+            const filepath = path.join(this.dataDir, filename);
+            const mtimeMs = fs.statSync(filepath).mtimeMs;
+            const indexed = this.files.get(filename);
+
+            if (!indexed || indexed.mtimeMs !== mtimeMs) {
+                this.removeFile(filename);
+                this.indexFile(filename, mtimeMs);
+                stats.indexed++;
+            }
+        }
+
+        if (stats.indexed > 0 || stats.removed > 0) {
+            logger.info(`搜索索引已更新: 索引 ${stats.indexed} 个文件，移除 ${stats.removed} 个文件`);
+        }
+
+        return stats;
+    }
+
+    /**
+     * 索引单个对话文件
+     * @param {string} filename - 文件名
+     * @param {number} mtimeMs - 文件修改时间
+     */
+    indexFile(filename, mtimeMs) {
+        const docIds = [];
+
+        try {
+            const data = JSON.parse(fs.readFileSync(path.join(this.dataDir, filename), 'utf8'));
+            const conversationId = data.conversationId || filename.replace(/^conversation-/, '').replace(/\.json$/, '');
+            const messages = data.messages || [];
+            const firstUser = messages.find(msg => msg.role === 'user' && typeof msg.content === 'string');
+
+            messages.forEach((msg, index) => {
+                const text = extractSearchableText(msg.content);
+                const terms = tokenize(text);
+
+                if (terms.length === 0) {
+                    return;
+                }
+
+                const docId = `${filename}#${index}`;
+                this.documents.set(docId, {
+                    conversationId,
+                    title: data.title || firstUser?.content.substring(0, 30) || '未命名对话',
+                    mode: data.mode || null,
+                    role: msg.role,
+                    messageIndex: index,
+                    timestamp: msg.timestamp,
+                    text,
+                    length: terms.length
+                });
+                this.totalLength += terms.length;
+
+                const frequencies = new Map();
+                for (const term of terms) {
+                    frequencies.set(term, (frequencies.get(term) || 0) + 1);
+                }
+                for (const [term, count] of frequencies) {
+                    if (!this.postings.has(term)) {
+                        this.postings.set(term, new Map());
+                    }
+                    this.postings.get(term).set(docId, count);
+                }
+
+                docIds.push(docId);
+            });
+        } catch (error) {
+            logger.error(`索引对话文件失败 (${filename}): ${error.message}`);
+        }
+
+        this.files.set(filename, { mtimeMs, docIds });
+    }
+
+    /**
+     * 从索引中移除文件的所有文档
+     * @param {string} filename - 文件名
+     */
+    removeFile(filename) {
+        const indexed = this.files.get(filename);
+        if (!indexed) {
+            return;
+        }
+
+        for (const docId of indexed.docIds) {
+            const doc = this.documents.get(docId);
+            this.totalLength -= doc.length;
+            this.documents.delete(docId);
+
+            for (const term of new Set(tokenize(doc.text))) {
+                const posting = this.postings.get(term);
+                if (posting) {
+                    posting.delete(docId);
+                    if (posting.size === 0) {
+                        this.postings.delete(term);
+                    }
+                }
+            }
+        }
+
+        this.files.delete(filename);
+    }
+
+    /**
+     * 搜索对话
+     * @param {string} query - 查询文本
+     * @param {object} filters - 过滤条件
+     * @param {string} filters.mode - 助手模式
+     * @param {string} filters.role - 消息角色 (user/assistant)
+     * @param {string} filters.from - 开始日期
+     * @param {string} filters.to - 结束日期
+     * @param {number} filters.limit - 最大结果数
+     * @returns {{total: number, results: Array<object>}} 排序后的结果
+     */
+    search(query, filters = {}) {
+        const terms = [...new Set(tokenize(query))];
+        if (terms.length === 0) {
+            return { total: 0, results: [] };
+        }
+
+        const from = parseDate(filters.from);
+        const to = parseDate(filters.to, true);
+        const limit = Math.min(parseInt(filters.limit) || 20, 100);
+
+        this.refresh();
+
+        const docCount = this.documents.size;
+        const avgLength = docCount > 0 ? this.totalLength / docCount : 0;
+        const scores = new Map();
+
+        for (const term of terms) {
+            const posting = this.postings.get(term);
+            if (!posting) {
+                continue;
+            }
+
+            const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5));
+
+            for (const [docId, tf] of posting) {
+                const doc = this.documents.get(docId);
+
+                if (filters.mode && doc.mode !== filters.mode) continue;
+                if (filters.role && doc.role !== filters.role) continue;
+                if (from !== null && doc.timestamp < from) continue;
+                if (to !== null && doc.timestamp > to) continue;
+
+                const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength);
+                const score = idf * (tf * (BM25_K1 + 1)) / norm;
+                const entry = scores.get(docId) || { score: 0, matched: 0 };
+
+                entry.score += score;
+                entry.matched++;
+                scores.set(docId, entry);
+            }
+        }
+
+        // 匹配词项越多越靠前，其次按 BM25 分数
+        const ranked = Array.from(scores.entries())
+            .map(([docId, entry]) => ({ docId, score: entry.score * (entry.matched / terms.length) }))
+            .sort((a, b) => b.score - a.score);
+
+        return {
+            total: ranked.length,
+            results: ranked.slice(0, limit).map(({ docId, score }) => {
+                const doc = this.documents.get(docId);
+                return {
+                    conversationId: doc.conversationId,
+                    title: doc.title,
+                    mode: doc.mode,
+                    role: doc.role,
+                    messageIndex: doc.messageIndex,
+                    timestamp: doc.timestamp,
+                    score: Number(score.toFixed(4)),
+                    ...this.buildSnippet(doc.text, terms)
+                };
+            })
+        };
+    }
+
+    /**
+     * 生成带高亮区间的摘要片段
+     * @param {string} text - 原文
+     * @param {string[]} terms - 查询词项
+     * @returns {{snippet: string, highlights: Array<[number, number]>}} 片段及高亮区间（相对片段）
+     */
+    buildSnippet(text, terms) {
+        const lower = text.toLowerCase();
+        const ranges = [];
+
+        for (const term of terms) {
+            let index = lower.indexOf(term);
+            while (index !== -1) {
+                ranges.push([index, index + term.length]);
+                index = lower.indexOf(term, index + 1);
+            }
+        }
+
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        // 合并重叠区间（中文二元组会相互重叠）
+        const merged = [];
+        for (const range of ranges) {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push([...range]);
+            }
+        }
+
+        const center = merged.length > 0 ? merged[0][0] : 0;
+        const start = Math.max(0, center - SNIPPET_RADIUS);
+        const end = Math.min(text.length, center + SNIPPET_RADIUS * 2);
+        const prefix = start > 0 ? '…' : '';
+        const suffix = end < text.length ? '…' : '';
+        const snippet = prefix + text.slice(start, end).replace(/\s/g, ' ') + suffix;
+
+        return {
+            snippet,
+            highlights: merged
+                .filter(([s, e]) => s >= start && e <= end)
+                .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length])
+        };
+    }
+}
+
+export default SearchIndex;
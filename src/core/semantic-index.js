@@ -0,0 +1,174 @@
+// src/core/semantic-index.js
+
+// n-gram 的长度范围（字符）
+const NGRAM_SIZES = [2, 3];
+
+/**
+ * 文本归一化：全角转半角、小写、去掉标点和符号、合并空白
+ * "什么是闭包？" 与 "什么是闭包" 归一化后相同
+ * @param {string} text - 原文
+ * @returns {string} 归一化文本
+ */
+export function normalizeText(text) {
+    return (text || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[\p{P}\p{S}]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * 余弦相似度（支持稠密数组和稀疏对象两种向量）
+ * @param {Array<number>|object} a - 向量
+ * @param {Array<number>|object} b - 向量
+ * @returns {number} 0-1 之间的相似度
+ */
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    if (Array.isArray(a)) {
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * (b[i] || 0);
+            normA += a[i] * a[i];
+            normB += (b[i] || 0) * (b[i] || 0);
+        }
+    } else {
+        for (const [term, weight] of Object.entries(a)) {
+            dot += weight * (b[term] || 0);
+            normA += weight * weight;
+        }
+        for (const weight of Object.values(b)) {
+            normB += weight * weight;
+        }
+    }
+
+    if (normA === 0 || normB === 0) {
+        return 0;
+    }
+
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * 本地字符 n-gram 向量（无需网络请求，中英文通用）
+ */
+export class NgramEmbedder {
+    constructor() {
+        this.name = 'ngram';
+    }
+
+    /**
+     * @param {string} text - 文本
+     * @returns {Promise<object>} 稀疏向量 { n-gram: 词频 }
+     */
+    async embed(text) {
+        const normalized = normalizeText(text);
+        const vector = {};
+
+        if (normalized.length < NGRAM_SIZES[0]) {
+            if (normalized) {
+                vector[normalized] = 1;
+            }
+            return vector;
+        }
+
+        for (const size of NGRAM_SIZES) {
+            for (let i = 0; i + size <= normalized.length; i++) {
+                const gram = normalized.slice(i, i + size);
+                vector[gram] = (vector[gram] || 0) + 1;
+            }
+        }
+
+        return vector;
+    }
+}
+
+/**
+ * 语义索引
+ * 保存缓存键对应的问题向量，在同一作用域（模型、系统提示、温度等）内查找最相似的问题
+ */
+class SemanticIndex {
+    /**
+     * @param {object} options - 配置项
+     * @param {object} options.embedder - 向量生成器 { name, embed(text) }，默认本地 n-gram
+     * @param {number} options.threshold - 相似度阈值（0-1）
+     */
+    constructor(options = {}) {
+        this.embedder = options.embedder || new NgramEmbedder();
+        this.threshold = options.threshold;
+        this.entries = new Map(); // key -> { scope, vector }
+
+        // 最近一次的向量（查找未命中后写入同一问题时复用，避免重复调用向量接口）
+        this.lastEmbedding = null;
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * 生成文本向量
+     * @param {string} text - 问题文本
+     * @returns {Promise<Array<number>|object>} 向量
+     */
+    async embed(text) {
+        if (this.lastEmbedding && this.lastEmbedding.text === text) {
+            return this.lastEmbedding.vector;
+        }
+
+        const vector = await this.embedder.embed(text);
+        this.lastEmbedding = { text, vector };
+        return vector;
+    }
+
+    /**
+     * 添加条目
+     * @param {string} key - 缓存键
+     * @param {string} scope - 作用域
+     * @param {Array<number>|object} vector - 问题向量
+     */
+    add(key, scope, vector) {
+        this.entries.set(key, { scope, vector });
+    }
+
+    remove(key) {
+        return this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * 查找同一作用域内最相似的条目
+     * @param {string} text - 问题文本
+     * @param {string} scope - 作用域
+     * @param {function} isValid - 过滤函数（如排除已过期的缓存键）
+     * @returns {Promise<{key: string, similarity: number}|null>} 超过阈值的最佳匹配
+     */
+    async search(text, scope, isValid = () => true) {
+        let best = null;
+        let vector = null;
+
+        for (const [key, entry] of this.entries) {
+            if (entry.scope !== scope || !isValid(key)) {
+                continue;
+            }
+
+            // 作用域内没有条目时不生成向量
+            vector = vector || await this.embed(text);
+            const similarity = cosineSimilarity(vector, entry.vector);
+
+            if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+                best = { key, similarity };
+            }
+        }
+
+        return best;
+    }
+}
+
+export default SemanticIndex;
@@ -1,25 +1,69 @@
 // src/core/token-tracker.js
+import path from 'path';
 import Config from '../../config.js';
 import logger from '../utils/logger.js';
+import UsageLedger, { getConfiguredBudgets, getPeriodEnd } from './usage-ledger.js';
+import { getPriceTable } from './price-table.js';
+import { normalizeFilters, buildUsageReport, formatUsageReport, getExportFilename, writeExport } from './usage-report.js';
+
+// 预算周期和范围的显示名称
+const PERIOD_LABELS = { daily: '每日', weekly: '每周', monthly: '每月', total: '累计' };
+const SCOPE_LABELS = { global: '全局', user: '用户', mode: '模式' };
 
 /**
  * Token追踪器
  * 负责追踪API调用的Token使用情况和成本
+ * 本会话的调用记录保存在内存中；预算按持久化的用量账本计算，重启和多会话下保持一致
  */
 class TokenTracker {
-    constructor(budgetLimit = Config.BUDGET_LIMIT) {
+    /**
+     * @param {number} budgetLimit - 全局预算（覆盖 BUDGET_LIMIT）
+     * @param {object} options - 配置项
+     * @param {UsageLedger} options.ledger - 用量账本（多会话共享同一实例）
+     * @param {Array<object>} options.budgets - 预算规则（默认按 .env 配置）
+     * @param {string} options.budgetScope - BUDGET_LIMIT 的范围：global（默认）| user（每个用户各自计算）
+     * @param {string} options.userId - 用户ID（用于按用户计算的预算）
+     * @param {string} options.sessionId - 会话ID（记入账本，用于按会话导出）
+     * @param {string} options.mode - 当前模式（用于按模式计算的预算）
+     * @param {PriceTable} options.pricing - 价格表（默认共享 prices.json）
+     * @param {function} options.onUsage - 每次记录调用后的回调 (record) => void（如 Web 服务器的 tokens 限流）
+     */
+    constructor(budgetLimit = Config.BUDGET_LIMIT, options = {}) {
         this.reset();
-        this.budgetLimit = budgetLimit;
+        this.budgetLimit = budgetLimit || Config.BUDGET_LIMIT;
         this.warnThreshold = Config.WARN_THRESHOLD;
         this.callHistory = [];
+
+        this.ledger = options.ledger || new UsageLedger();
+        this.budgets = options.budgets || getConfiguredBudgets(this.budgetLimit, options.budgetScope);
+        this.userId = options.userId || 'local';
+        this.sessionId = options.sessionId || null;
+        this.mode = options.mode || null;
+        this.pricing = options.pricing || getPriceTable();
+        this.onUsage = options.onUsage || null;
+    }
+
+    /**
+     * 设置计入账本的用户和模式
+     * @param {object} context - { userId, mode }
+     */
+    setContext(context = {}) {
+        if (context.userId !== undefined) {
+            this.userId = context.userId;
+        }
+        if (context.mode !== undefined) {
+            this.mode = context.mode;
+        }
     }
 
     /**
-     * 重置追踪器
+     * 重置追踪器（只清除本会话的统计，账本中的用量仍计入预算）
      */
     reset() {
         this.totalInputTokens = 0;
         this.totalOutputTokens = 0;
+        this.totalCacheReadTokens = 0;
+        this.totalCacheWriteTokens = 0;
         this.totalRequests = 0;
         this.callHistory = [];
         logger.info('Token追踪器已重置');
@@ -31,25 +75,58 @@ class TokenTracker {
      * @param {number} outputTokens - 输出tokens
      * @param {string} model - 模型名称
      * @param {string} requestId - 请求ID
+     * @param {string} provider - 模型提供方
+     * @param {object} details - 其他信息
+     * @param {number} details.cacheReadTokens - 提示缓存读取tokens（不含在 inputTokens 中）
+     * @param {number} details.cacheWriteTokens - 提示缓存写入tokens（不含在 inputTokens 中）
+     * @param {number} details.latencyMs - 请求耗时（毫秒）
+     * @param {string} details.conversationId - 对话ID
      */
-    recordCall(inputTokens, outputTokens, model = Config.DEFAULT_MODEL, requestId = null) {
+    recordCall(inputTokens, outputTokens, model = Config.DEFAULT_MODEL, requestId = null, provider = null, details = {}) {
+        const { cacheReadTokens = 0, cacheWriteTokens = 0, latencyMs = null, conversationId = null } = details;
+        const timestamp = Date.now();
+        const price = this.pricing.calculate(
+            { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens },
+            model,
+            timestamp
+        );
+
         this.totalInputTokens += inputTokens;
         this.totalOutputTokens += outputTokens;
+        this.totalCacheReadTokens += cacheReadTokens;
+        this.totalCacheWriteTokens += cacheWriteTokens;
         this.totalRequests++;
 
         const record = {
-            timestamp: Date.now(),
-            requestId: requestId || `req-${Date.now()}`,
+            timestamp,
+            requestId: requestId || `req-${timestamp}`,
             inputTokens,
             outputTokens,
-            totalTokens: inputTokens + outputTokens,
+            cacheReadTokens,
+            cacheWriteTokens,
+            totalTokens: inputTokens + outputTokens + cacheReadTokens + cacheWriteTokens,
             model,
-            cost: this.calculateSingleCallCost(inputTokens, outputTokens, model)
+            provider,
+            sessionId: this.sessionId,
+            conversationId,
+            userId: this.userId,
+            mode: this.mode,
+            latencyMs,
+            cost: price.cost,
+            cacheSavings: price.cacheSavings,
+            priced: price.priced
         };
 
         this.callHistory.push(record);
+        this.ledger.append(record);
+        if (this.onUsage) {
+            this.onUsage(record);
+        }
 
-        logger.info(`记录API调用: ${inputTokens} 输入, ${outputTokens} 输出, 成本 $${record.cost.toFixed(6)}`);
+        const cacheInfo = cacheReadTokens || cacheWriteTokens
+            ? `, ${cacheReadTokens} 缓存读取, ${cacheWriteTokens} 缓存写入`
+            : '';
+        logger.info(`记录API调用: ${inputTokens} 输入, ${outputTokens} 输出${cacheInfo}, 成本 ${record.priced ? this.pricing.format(record.cost) : '未定价'}`);
 
         // 检查预算
         this.checkBudget();
@@ -62,13 +139,11 @@ class TokenTracker {
      * @param {number} inputTokens - 输入tokens
      * @param {number} outputTokens - 输出tokens
      * @param {string} model - 模型名称
-     * @returns {number} 成本（美元）
+     * @param {object} cacheTokens - { cacheReadTokens, cacheWriteTokens }
+     * @returns {number} 成本（价格表货币；未定价的模型为 0）
      */
-    calculateSingleCallCost(inputTokens, outputTokens, model = Config.DEFAULT_MODEL) {
-        const price = Config.getModelPrice(model);
-        const inputCost = (inputTokens / 1_000_000) * price.input;
-        const outputCost = (outputTokens / 1_000_000) * price.output;
-        return inputCost + outputCost;
+    calculateSingleCallCost(inputTokens, outputTokens, model = Config.DEFAULT_MODEL, cacheTokens = {}) {
+        return this.pricing.calculate({ inputTokens, outputTokens, ...cacheTokens }, model).cost;
     }
 
     /**
@@ -79,32 +154,146 @@ class TokenTracker {
         return this.callHistory.reduce((sum, record) => sum + record.cost, 0);
     }
 
+    /**
+     * 提示缓存节省的总金额
+     * @returns {number} 节省金额（价格表货币）
+     */
+    getCacheSavings() {
+        return this.callHistory.reduce((sum, record) => sum + (record.cacheSavings || 0), 0);
+    }
+
+    /**
+     * 预算规则是否适用于当前用户和模式
+     * @param {object} rule - 预算规则
+     */
+    appliesTo(rule) {
+        switch (rule.scope) {
+            case 'user':
+                return !rule.target || rule.target === this.userId;
+            case 'mode':
+                return Boolean(this.mode) && (!rule.target || rule.target === this.mode);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * 计算单个预算的使用情况
+     * @param {object} rule - 预算规则
+     * @param {number} now - 当前时间戳
+     */
+    evaluateBudget(rule, now = Date.now()) {
+        const target = rule.scope === 'user' ? this.userId : rule.scope === 'mode' ? this.mode : null;
+        const spent = this.ledger.getPeriodTotals(rule.period, {
+            userId: rule.scope === 'user' ? target : null,
+            mode: rule.scope === 'mode' ? target : null
+        }, now).cost;
+
+        return {
+            id: target ? `${rule.scope}=${target}:${rule.period}` : `${rule.scope}:${rule.period}`,
+            label: `${SCOPE_LABELS[rule.scope]}${target ? ` ${target} ` : ''}${PERIOD_LABELS[rule.period]}预算`,
+            scope: rule.scope,
+            target,
+            period: rule.period,
+            policy: rule.policy,
+            limit: rule.limit,
+            spent,
+            display: `${this.pricing.format(spent, 4)} / ${this.pricing.format(rule.limit, 2)}`,
+            remaining: rule.limit - spent,
+            usagePercentage: ((spent / rule.limit) * 100).toFixed(2),
+            isOverBudget: spent >= rule.limit,
+            isNearLimit: spent >= rule.limit * this.warnThreshold,
+            resetsAt: getPeriodEnd(rule.period, now)
+        };
+    }
+
     /**
      * 检查预算状态
+     * 返回所有适用预算的使用情况；顶层字段对应 BUDGET_LIMIT 的预算，
+     * isOverBudget 表示有 hard 策略的预算已超出（应拒绝请求）
      * @returns {object} 预算状态
      */
     checkBudget() {
-        const currentCost = this.getTotalCost();
-        const usagePercentage = (currentCost / this.budgetLimit) * 100;
+        const now = Date.now();
+        const budgets = this.budgets
+            .filter(rule => this.appliesTo(rule))
+            .map(rule => this.evaluateBudget(rule, now));
+        const primary = budgets[0];
+        const blocking = budgets.filter(budget => budget.isOverBudget && budget.policy === 'hard');
 
         const status = {
-            currentCost,
-            budgetLimit: this.budgetLimit,
-            remaining: this.budgetLimit - currentCost,
-            usagePercentage: usagePercentage.toFixed(2),
-            isOverBudget: currentCost >= this.budgetLimit,
-            isNearLimit: currentCost >= this.budgetLimit * this.warnThreshold
+            currentCost: primary.spent,
+            budgetLimit: primary.limit,
+            remaining: primary.remaining,
+            usagePercentage: primary.usagePercentage,
+            isOverBudget: blocking.length > 0,
+            isNearLimit: budgets.some(budget => budget.isNearLimit),
+            blocking: blocking.map(budget => budget.id),
+            budgets
         };
 
-        if (status.isOverBudget) {
-            logger.error(`⚠️ 超出预算！已使用 $${currentCost.toFixed(4)} / $${this.budgetLimit.toFixed(2)}`);
-        } else if (status.isNearLimit) {
-            logger.warn(`⚠️ 即将达到预算限制！已使用 ${status.usagePercentage}%`);
+        for (const budget of budgets) {
+            const usage = `${this.pricing.format(budget.spent, 4)} / ${this.pricing.format(budget.limit, 2)}`;
+            if (budget.isOverBudget && budget.policy === 'hard') {
+                logger.error(`⚠️ 超出${budget.label}！已使用 ${usage}`);
+            } else if (budget.isOverBudget) {
+                logger.warn(`⚠️ 超出${budget.label}（仅警告）！已使用 ${usage}`);
+            } else if (budget.isNearLimit) {
+                logger.warn(`⚠️ 即将达到${budget.label}！已使用 ${budget.usagePercentage}%`);
+            }
         }
 
         return status;
     }
 
+    /**
+     * 所有 hard 预算中最少的剩余额度（没有 hard 预算时为 Infinity）
+     * @param {object} status - checkBudget() 的结果
+     * @returns {number} 剩余额度（价格表货币）
+     */
+    getHeadroom(status = this.checkBudget()) {
+        return status.budgets
+            .filter(budget => budget.policy === 'hard')
+            .reduce((min, budget) => Math.min(min, budget.remaining), Infinity);
+    }
+
+    /**
+     * 在剩余额度内最多能输出的 tokens
+     * @param {number} inputTokens - 输入tokens
+     * @param {string} model - 模型名称
+     * @param {number} headroom - 剩余额度（价格表货币）
+     * @returns {number} 最大输出tokens（额度不足以支付输入时为 0；未定价的模型只在 UNPRICED_MODELS=allow 时不受限）
+     */
+    getAffordableOutputTokens(inputTokens, model, headroom) {
+        const price = this.pricing.resolve(model);
+        if (!price) {
+            return Config.UNPRICED_MODELS === 'allow' ? Infinity : 0;
+        }
+
+        const remaining = headroom - this.calculateSingleCallCost(inputTokens, 0, model);
+        const outputPrice = price.output / 1_000_000;
+
+        if (remaining <= 0) {
+            return 0;
+        }
+        return outputPrice > 0 ? Math.floor(remaining / outputPrice) : Infinity;
+    }
+
+    /**
+     * 描述超出的预算（用于提示用户）
+     * @param {object} status - checkBudget() 的结果
+     * @returns {string} 描述
+     */
+    describeBlocking(status) {
+        return status.budgets
+            .filter(budget => status.blocking.includes(budget.id))
+            .map(budget => {
+                const resets = budget.resetsAt ? `，${new Date(budget.resetsAt).toLocaleString()} 重置` : '';
+                return `${budget.label} ${this.pricing.format(budget.spent, 4)} / ${this.pricing.format(budget.limit, 2)}${resets}`;
+            })
+            .join('；');
+    }
+
     /**
      * 获取详细报告
      * @returns {object} 详细报告
@@ -120,30 +309,49 @@ class TokenTracker {
                     calls: 0,
                     inputTokens: 0,
                     outputTokens: 0,
+                    cacheReadTokens: 0,
+                    cacheWriteTokens: 0,
                     totalTokens: 0,
-                    cost: 0
+                    cost: 0,
+                    cacheSavings: 0,
+                    name: this.pricing.resolve(record.model)?.name || record.model,
+                    priced: record.priced !== false
                 };
             }
             byModel[record.model].calls++;
             byModel[record.model].inputTokens += record.inputTokens;
             byModel[record.model].outputTokens += record.outputTokens;
+            byModel[record.model].cacheReadTokens += record.cacheReadTokens || 0;
+            byModel[record.model].cacheWriteTokens += record.cacheWriteTokens || 0;
             byModel[record.model].totalTokens += record.totalTokens;
             byModel[record.model].cost += record.cost;
+            byModel[record.model].cacheSavings += record.cacheSavings || 0;
         }
 
+        const totalCost = this.getTotalCost();
+        const cacheSavings = this.getCacheSavings();
+
         return {
             summary: {
                 totalRequests: this.totalRequests,
                 totalInputTokens: this.totalInputTokens,
                 totalOutputTokens: this.totalOutputTokens,
-                totalTokens: this.totalInputTokens + this.totalOutputTokens,
-                totalCost: budgetStatus.currentCost,
+                totalCacheReadTokens: this.totalCacheReadTokens,
+                totalCacheWriteTokens: this.totalCacheWriteTokens,
+                totalTokens: this.totalInputTokens + this.totalOutputTokens + this.totalCacheReadTokens + this.totalCacheWriteTokens,
+                totalCost,
+                currency: this.pricing.currency,
+                displayCurrency: this.pricing.displayCurrency,
+                displayCost: this.pricing.format(totalCost),
+                cacheSavings,
+                displayCacheSavings: this.pricing.format(cacheSavings),
                 averageTokensPerRequest: this.totalRequests > 0
                     ? Math.round((this.totalInputTokens + this.totalOutputTokens) / this.totalRequests)
                     : 0
             },
             budget: budgetStatus,
             byModel,
+            unpricedModels: Object.keys(byModel).filter(model => !byModel[model].priced),
             recentCalls: this.callHistory.slice(-10)
         };
     }
@@ -164,33 +372,41 @@ class TokenTracker {
         console.log(`   输入Tokens: ${report.summary.totalInputTokens.toLocaleString()}`);
         console.log(`   输出Tokens: ${report.summary.totalOutputTokens.toLocaleString()}`);
         console.log(`   总Tokens: ${report.summary.totalTokens.toLocaleString()}`);
+        if (report.summary.totalCacheReadTokens || report.summary.totalCacheWriteTokens) {
+            console.log(`   缓存读取/写入: ${report.summary.totalCacheReadTokens.toLocaleString()} / ${report.summary.totalCacheWriteTokens.toLocaleString()}`);
+        }
         console.log(`   平均每请求: ${report.summary.averageTokensPerRequest} tokens`);
 
         // 成本
         console.log('\n💰 成本统计:');
-        console.log(`   当前成本: $${report.budget.currentCost.toFixed(6)}`);
-        console.log(`   预算限制: $${report.budget.budgetLimit.toFixed(2)}`);
-        console.log(`   剩余预算: $${report.budget.remaining.toFixed(6)}`);
-        console.log(`   使用比例: ${report.budget.usagePercentage}%`);
-
-        // 预算状态
-        if (report.budget.isOverBudget) {
-            console.log('   状态: ❌ 超出预算');
-        } else if (report.budget.isNearLimit) {
-            console.log('   状态: ⚠️  接近限额');
-        } else {
-            console.log('   状态: ✅ 正常');
+        console.log(`   本会话成本: ${report.summary.displayCost}`);
+        if (report.summary.totalCacheReadTokens || report.summary.totalCacheWriteTokens) {
+            console.log(`   提示缓存节省: ${report.summary.displayCacheSavings}`);
+        }
+        if (report.unpricedModels.length > 0) {
+            console.log(`   ⚠️  未定价模型（未计入成本）: ${report.unpricedModels.join(', ')}`);
+        }
+
+        // 各项预算
+        console.log('\n📒 预算:');
+        for (const budget of report.budget.budgets) {
+            let state = '✅ 正常';
+            if (budget.isOverBudget) {
+                state = budget.policy === 'hard' ? '❌ 超出预算' : '⚠️  超出（仅警告）';
+            } else if (budget.isNearLimit) {
+                state = '⚠️  接近限额';
+            }
+            console.log(`   ${budget.label}: ${this.pricing.format(budget.spent)} / ${this.pricing.format(budget.limit, 2)} (${budget.usagePercentage}%) ${state}`);
         }
 
         // 按模型统计
         if (Object.keys(report.byModel).length > 0) {
             console.log('\n🤖 按模型统计:');
             for (const [model, stats] of Object.entries(report.byModel)) {
-                const modelName = Config.getModelPrice(model).name;
-                console.log(`   ${modelName}:`);
+                console.log(`   ${stats.name}:`);
                 console.log(`     请求: ${stats.calls} 次`);
                 console.log(`     Tokens: ${stats.totalTokens.toLocaleString()}`);
-                console.log(`     成本: $${stats.cost.toFixed(6)}`);
+                console.log(`     成本: ${stats.priced ? this.pricing.format(stats.cost) : '未定价'}`);
             }
         }
 
@@ -202,57 +418,84 @@ class TokenTracker {
      * @param {number} estimatedInputTokens - 预估输入tokens
      * @param {number} estimatedOutputTokens - 预估输出tokens
      * @param {string} model - 模型名称
+     * @param {object} budget - 预算状态（省略时重新检查）
      * @returns {object} 预算估算
      */
-    estimate(estimatedInputTokens, estimatedOutputTokens, model = Config.DEFAULT_MODEL) {
+    estimate(estimatedInputTokens, estimatedOutputTokens, model = Config.DEFAULT_MODEL, budget = this.checkBudget()) {
         const estimatedCost = this.calculateSingleCallCost(
             estimatedInputTokens,
             estimatedOutputTokens,
             model
         );
 
-        const newTotalCost = this.getTotalCost() + estimatedCost;
-        const wouldExceedBudget = newTotalCost > this.budgetLimit;
+        const newTotalCost = budget.currentCost + estimatedCost;
+        const headroom = this.getHeadroom(budget);
+        const wouldExceedBudget = estimatedCost > headroom;
 
         return {
             estimatedCost,
+            displayCost: this.pricing.format(estimatedCost, 4),
             estimatedInputTokens,
             estimatedOutputTokens,
             estimatedTotalTokens: estimatedInputTokens + estimatedOutputTokens,
-            currentTotalCost: this.getTotalCost(),
+            currentTotalCost: budget.currentCost,
             newTotalCost,
             wouldExceedBudget,
-            remainingAfterCall: this.budgetLimit - newTotalCost
+            priced: this.pricing.has(model),
+            headroom,
+            displayHeadroom: Number.isFinite(headroom) ? this.pricing.format(headroom, 4) : null,
+            remainingAfterCall: budget.budgetLimit - newTotalCost
         };
     }
 
     /**
-     * 导出历史记录为CSV
-     * @param {string} filepath - 文件路径
+     * 生成用量报告（按账本统计，可跨会话和日期）
+     * @param {object} filters - { from, to, mode, model, sessionId, userId }，日期为 YYYY-MM-DD
+     * @returns {object} 用量报告
      */
-    exportToCSV(filepath = null) {
-        if (!filepath) {
-            filepath = `token-usage-${Date.now()}.csv`;
-        }
+    getUsageReport(filters = {}) {
+        const normalized = normalizeFilters(filters);
+        return buildUsageReport(this.ledger.query(normalized), normalized, this.pricing);
+    }
 
-        const lines = [
-            'Timestamp,RequestId,Model,InputTokens,OutputTokens,TotalTokens,Cost'
-        ];
+    /**
+     * 写入报告文件
+     * @param {object} report - 用量报告
+     * @param {string} format - csv | json | markdown
+     * @param {object} options - { view: CSV 视图, filepath: 文件路径（默认 data/exports/ 下） }
+     * @returns {string} 文件路径
+     */
+    writeReport(report, format = 'csv', options = {}) {
+        const content = formatUsageReport(report, format, { view: options.view, pricing: this.pricing });
+        const filepath = options.filepath ||
+            path.join(process.cwd(), 'data', 'exports', getExportFilename(report, format));
+
+        writeExport(content, filepath);
+        logger.info(`Token用量已导出到: ${filepath}`);
+        return filepath;
+    }
 
-        for (const record of this.callHistory) {
-            const time = new Date(record.timestamp).toISOString();
-            lines.push(
-                `${time},${record.requestId},${record.model},` +
-                `${record.inputTokens},${record.outputTokens},${record.totalTokens},` +
-                `${record.cost.toFixed(6)}`
-            );
-        }
+    /**
+     * 导出用量报告
+     * @param {string} format - csv | json | markdown
+     * @param {object} filters - 筛选条件（同 getUsageReport）
+     * @param {object} options - 同 writeReport
+     * @returns {string} 文件路径
+     */
+    exportReport(format = 'csv', filters = {}, options = {}) {
+        return this.writeReport(this.getUsageReport(filters), format, options);
+    }
 
+    /**
+     * 导出本会话的调用记录为CSV
+     * @param {string} filepath - 文件路径（默认 data/exports/ 下）
+     * @returns {string|null} 文件路径，失败时为 null
+     */
+    exportToCSV(filepath = null) {
         try {
-            const fs = require('fs');
-            fs.writeFileSync(filepath, lines.join('\n'), 'utf8');
-            logger.info(`Token历史已导出到: ${filepath}`);
-            return filepath;
+            const filters = normalizeFilters({ sessionId: this.sessionId });
+            const report = buildUsageReport(this.callHistory, filters, this.pricing);
+            return this.writeReport(report, 'csv', { filepath });
         } catch (error) {
             logger.error(`导出CSV失败: ${error.message}`);
             return null;
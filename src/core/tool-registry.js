@@ -0,0 +1,160 @@
+// src/core/tool-registry.js
+import logger from '../utils/logger.js';
+
+// 工具名称格式（与 Anthropic API 要求一致）
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * 工具注册表
+ * 管理可供模型调用的工具（名称、JSON Schema、异步处理函数）
+ */
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    /**
+     * 注册工具
+     * @param {object} tool - 工具定义
+     * @param {string} tool.name - 工具名称
+     * @param {string} tool.description - 工具描述
+     * @param {object} tool.inputSchema - 输入参数的 JSON Schema
+     * @param {function} tool.handler - 异步处理函数 (input) => string|object
+     * @returns {ToolRegistry} 当前实例（便于链式调用）
+     */
+    register(tool) {
+        if (!tool || !TOOL_NAME_PATTERN.test(tool.name || '')) {
+            throw new Error(`无效的工具名称: ${tool?.name}`);
+        }
+        if (typeof tool.handler !== 'function') {
+            throw new Error(`工具 ${tool.name} 缺少 handler 函数`);
+        }
+        if (this.tools.has(tool.name)) {
+            throw new Error(`工具已存在: ${tool.name}`);
+        }
+
+        this.tools.set(tool.name, {
+            name: tool.name,
+            description: tool.description || '',
+            inputSchema: tool.inputSchema || { type: 'object', properties: {} },
+            handler: tool.handler
+        });
+
+        logger.info(`已注册工具: ${tool.name}`);
+        return this;
+    }
+
+    /**
+     * 注销工具
+     * @param {string} name - 工具名称
+     */
+    unregister(name) {
+        return this.tools.delete(name);
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    get size() {
+        return this.tools.size;
+    }
+
+    /**
+     * 列出已注册的工具
+     */
+    list() {
+        return Array.from(this.tools.values()).map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            inputSchema: tool.inputSchema
+        }));
+    }
+
+    /**
+     * 获取API格式的工具定义
+     * @returns {Array<object>} tools 参数
+     */
+    getDefinitions() {
+        return Array.from(this.tools.values()).map(tool => ({
+            name: tool.name,
+            description: tool.description,
+            input_schema: tool.inputSchema
+        }));
+    }
+
+    /**
+     * 按 Schema 校验输入（仅检查必填字段和基础类型）
+     * @param {object} schema - JSON Schema
+     * @param {object} input - 输入参数
+     * @returns {string[]} 错误列表
+     */
+    validateInput(schema, input) {
+        const errors = [];
+
+        if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+            return ['输入必须是对象'];
+        }
+
+        for (const field of schema.required || []) {
+            if (input[field] === undefined) {
+                errors.push(`缺少必填参数: ${field}`);
+            }
+        }
+
+        for (const [field, definition] of Object.entries(schema.properties || {})) {
+            const value = input[field];
+            if (value === undefined || !definition.type) {
+                continue;
+            }
+
+            const actualType = Array.isArray(value) ? 'array' : typeof value;
+            const expected = definition.type === 'integer' ? 'number' : definition.type;
+
+            if (actualType !== expected) {
+                errors.push(`参数 ${field} 类型应为 ${definition.type}`);
+            } else if (definition.type === 'integer' && !Number.isInteger(value)) {
+                errors.push(`参数 ${field} 必须是整数`);
+            } else if (definition.enum && !definition.enum.includes(value)) {
+                errors.push(`参数 ${field} 必须是 ${definition.enum.join(', ')} 之一`);
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * 执行工具
+     * 处理函数抛出的错误会被捕获并作为错误结果返回给模型
+     * @param {string} name - 工具名称
+     * @param {object} input - 输入参数
+     * @returns {Promise<{content: string, isError: boolean}>} 执行结果
+     */
+    async execute(name, input = {}) {
+        const tool = this.tools.get(name);
+
+        if (!tool) {
+            return { content: `未知工具: ${name}`, isError: true };
+        }
+
+        const errors = this.validateInput(tool.inputSchema, input);
+        if (errors.length > 0) {
+            return { content: errors.join('; '), isError: true };
+        }
+
+        try {
+            logger.info(`执行工具: ${name} ${JSON.stringify(input)}`);
+            const result = await tool.handler(input);
+
+            return {
+                content: typeof result === 'string' ? result : JSON.stringify(result),
+                isError: false
+            };
+        } catch (error) {
+            logger.error(`工具 ${name} 执行失败: ${error.message}`);
+            return { content: error.message, isError: true };
+        }
+    }
+}
+
+export default ToolRegistry;
@@ -0,0 +1,204 @@
+// src/core/usage-analytics.js
+import { formatDate } from './usage-report.js';
+import { getPriceTable } from './price-table.js';
+
+// 默认统计最近 30 天，最多 365 天
+export const DEFAULT_ANALYTICS_DAYS = 30;
+export const MAX_ANALYTICS_DAYS = 365;
+
+// 成本最高的对话显示条数
+const TOP_CONVERSATIONS = 10;
+
+/**
+ * 计算统计时间范围（包含今天在内的最近 N 天）
+ * @param {number|string} days - 天数
+ * @param {number} now - 当前时间戳
+ * @returns {{days: number, since: number, from: string, to: string}}
+ */
+export function getAnalyticsRange(days = DEFAULT_ANALYTICS_DAYS, now = Date.now()) {
+    const count = Number(days);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_ANALYTICS_DAYS) {
+        const error = new Error(`无效的天数: ${days}（1-${MAX_ANALYTICS_DAYS}）`);
+        error.status = 400;
+        throw error;
+    }
+
+    const start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - (count - 1));
+
+    return {
+        days: count,
+        since: start.getTime(),
+        from: formatDate(start.getTime()),
+        to: formatDate(now)
+    };
+}
+
+/**
+ * 空的分组统计
+ */
+function emptyBucket() {
+    return {
+        calls: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheReadTokens: 0,
+        cacheWriteTokens: 0,
+        totalTokens: 0,
+        cost: 0,
+        unpricedCalls: 0,
+        latencyTotal: 0,
+        latencyCount: 0
+    };
+}
+
+/**
+ * 累加一条账本记录
+ */
+function addEntry(bucket, entry) {
+    const cacheReadTokens = entry.cacheReadTokens || 0;
+    const cacheWriteTokens = entry.cacheWriteTokens || 0;
+
+    bucket.calls++;
+    bucket.inputTokens += entry.inputTokens;
+    bucket.outputTokens += entry.outputTokens;
+    bucket.cacheReadTokens += cacheReadTokens;
+    bucket.cacheWriteTokens += cacheWriteTokens;
+    bucket.totalTokens += entry.inputTokens + entry.outputTokens + cacheReadTokens + cacheWriteTokens;
+    bucket.cost += entry.cost;
+    if (entry.priced === false) {
+        bucket.unpricedCalls++;
+    }
+    // 早期记录没有耗时，不计入平均值
+    if (typeof entry.latencyMs === 'number') {
+        bucket.latencyTotal += entry.latencyMs;
+        bucket.latencyCount++;
+    }
+}
+
+/**
+ * 输出分组统计：平均耗时代替累计值，附加显示成本
+ * @returns {object} avgLatencyMs 在没有耗时记录时为 null
+ */
+function finishBucket(bucket, pricing) {
+    const { latencyTotal, latencyCount, ...totals } = bucket;
+    return {
+        ...totals,
+        displayCost: pricing.format(totals.cost, 4),
+        avgLatencyMs: latencyCount > 0 ? Math.round(latencyTotal / latencyCount) : null
+    };
+}
+
+/**
+ * 按键分组并按成本（其次 tokens）降序排列
+ * @param {Array<object>} entries - 账本记录
+ * @param {function} keyOf - 分组键
+ * @param {PriceTable} pricing - 价格表
+ * @returns {Array<object>} [{ key, ...统计 }]
+ */
+function rankGroups(entries, keyOf, pricing) {
+    const groups = new Map();
+    for (const entry of entries) {
+        const key = keyOf(entry);
+        if (!groups.has(key)) {
+            groups.set(key, emptyBucket());
+        }
+        addEntry(groups.get(key), entry);
+    }
+
+    return [...groups.entries()]
+        .map(([key, bucket]) => ({ key, ...finishBucket(bucket, pricing) }))
+        .sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens);
+}
+
+/**
+ * 生成用量分析（供网页仪表盘绘图）
+ * 每日数据覆盖范围内的每一天（没有调用的日期为 0），便于直接绘制折线
+ * @param {object} sources - 数据来源
+ * @param {Array<object>} sources.entries - 范围内的账本记录
+ * @param {object} sources.range - getAnalyticsRange() 的结果
+ * @param {Array<object>} sources.conversations - 已保存的对话（用于显示对话标题）
+ * @param {Array<object>} sources.cacheTrend - 缓存每日命中情况 [{ date, hits, misses }]
+ * @param {Array<object>} sources.modes - 可用模式（用于显示模式名称）
+ * @param {PriceTable} sources.pricing - 价格表
+ * @returns {object} { range, currency, summary, daily, byMode, byModel, topConversations }
+ */
+export function buildAnalytics({ entries, range, conversations = [], cacheTrend = [], modes = [], pricing = getPriceTable() }) {
+    const summary = emptyBucket();
+    entries.forEach(entry => addEntry(summary, entry));
+
+    // 每日用量与缓存命中率
+    const days = new Map();
+    for (let i = 0; i < range.days; i++) {
+        // 按日历日推进，避免夏令时切换造成重复或遗漏
+        const date = new Date(range.since);
+        date.setDate(date.getDate() + i);
+        days.set(formatDate(date.getTime()), { usage: emptyBucket(), hits: 0, misses: 0 });
+    }
+    for (const entry of entries) {
+        const day = days.get(formatDate(entry.timestamp));
+        if (day) {
+            addEntry(day.usage, entry);
+        }
+    }
+    for (const { date, hits, misses } of cacheTrend) {
+        const day = days.get(date);
+        if (day) {
+            day.hits += hits;
+            day.misses += misses;
+        }
+    }
+
+    const daily = [...days.entries()].map(([date, day]) => ({
+        date,
+        ...finishBucket(day.usage, pricing),
+        cacheHits: day.hits,
+        cacheMisses: day.misses,
+        cacheHitRate: day.hits + day.misses > 0 ? day.hits / (day.hits + day.misses) : null
+    }));
+
+    const cacheHits = daily.reduce((sum, day) => sum + day.cacheHits, 0);
+    const cacheMisses = daily.reduce((sum, day) => sum + day.cacheMisses, 0);
+
+    // 按模式、模型分组
+    const modeNames = new Map(modes.map(mode => [mode.id, mode.name]));
+    const byMode = rankGroups(entries, entry => entry.mode || '-', pricing)
+        .map(group => ({ ...group, name: modeNames.get(group.key) || group.key }));
+    const byModel = rankGroups(entries, entry => entry.model || '-', pricing)
+        .map(group => ({ ...group, name: pricing.resolve(group.key)?.name || group.key }));
+
+    // 成本最高的对话（只统计记录了对话ID的调用）
+    const saved = new Map(conversations.map(conversation => [conversation.id, conversation]));
+    const byConversation = rankGroups(entries.filter(entry => entry.conversationId), entry => entry.conversationId, pricing);
+    const topConversations = byConversation.slice(0, TOP_CONVERSATIONS).map(group => {
+        const conversation = saved.get(group.key);
+        return {
+            ...group,
+            conversationId: group.key,
+            title: conversation ? conversation.title : null,
+            mode: conversation ? conversation.mode : null,
+            updatedAt: conversation ? conversation.updatedAt : null,
+            saved: Boolean(conversation)
+        };
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        range: { days: range.days, from: range.from, to: range.to },
+        currency: pricing.currency,
+        displayCurrency: pricing.displayCurrency,
+        exchangeRate: pricing.exchangeRate,
+        summary: {
+            ...finishBucket(summary, pricing),
+            conversations: byConversation.length,
+            cacheHits,
+            cacheMisses,
+            cacheHitRate: cacheHits + cacheMisses > 0 ? cacheHits / (cacheHits + cacheMisses) : null
+        },
+        daily,
+        byMode,
+        byModel,
+        topConversations
+    };
+}
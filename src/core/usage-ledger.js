@@ -0,0 +1,514 @@
+// src/core/usage-ledger.js
+import fs from 'fs';
+import path from 'path';
+import Config from '../../config.js';
+import logger from '../utils/logger.js';
+
+// 预算周期
+export const BUDGET_PERIODS = ['daily', 'weekly', 'monthly', 'total'];
+
+// 超出预算时的处理：hard 拒绝请求，soft 只警告
+export const BUDGET_POLICIES = ['hard', 'soft'];
+
+/**
+ * 周期起点（本地时间；周从周一开始）
+ * @param {string} period - daily | weekly | monthly | total
+ * @param {number} now - 当前时间戳
+ * @returns {number} 起点时间戳
+ */
+export function getPeriodStart(period, now = Date.now()) {
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+
+    switch (period) {
+        case 'daily':
+            return date.getTime();
+        case 'weekly':
+            date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+            return date.getTime();
+        case 'monthly':
+            date.setDate(1);
+            return date.getTime();
+        case 'total':
+            return 0;
+        default:
+            throw new Error(`未知的预算周期: ${period}`);
+    }
+}
+
+/**
+ * 下一个周期的起点（total 没有重置时间，返回 null）
+ * @param {string} period - 周期
+ * @param {number} now - 当前时间戳
+ */
+export function getPeriodEnd(period, now = Date.now()) {
+    const start = new Date(getPeriodStart(period, now));
+
+    switch (period) {
+        case 'daily':
+            start.setDate(start.getDate() + 1);
+            return start.getTime();
+        case 'weekly':
+            start.setDate(start.getDate() + 7);
+            return start.getTime();
+        case 'monthly':
+            start.setMonth(start.getMonth() + 1);
+            return start.getTime();
+        default:
+            return null;
+    }
+}
+
+/**
+ * 解析预算配置
+ * 每项格式为 范围:周期:金额[:策略]，多项以逗号分隔，例如
+ *   global:weekly:2:soft,user:daily:0.2,mode=coding:daily:0.3
+ * 范围：global（所有用量）、user（每个用户各自计算）、user=<id>、mode（每个模式各自计算）、mode=<id>
+ * @param {string} spec - 配置字符串
+ * @returns {Array<object>} 预算规则 { scope, target, period, limit, policy }
+ */
+export function parseBudgets(spec) {
+    if (!spec || !spec.trim()) {
+        return [];
+    }
+
+    return spec.split(',').map(item => item.trim()).filter(Boolean).map(item => {
+        const [scopePart, period, limitText, policy = 'hard'] = item.split(':').map(part => part.trim());
+        const [scope, target = null] = scopePart.split('=');
+        const limit = parseFloat(limitText);
+
+        if (!['global', 'user', 'mode'].includes(scope) || (scope === 'global' && target)) {
+            throw new Error(`预算 "${item}" 的范围无效（可选 global、user、user=<id>、mode、mode=<id>）`);
+        }
+        if (!BUDGET_PERIODS.includes(period)) {
+            throw new Error(`预算 "${item}" 的周期无效（可选 ${BUDGET_PERIODS.join('、')}）`);
+        }
+        if (!(limit > 0)) {
+            throw new Error(`预算 "${item}" 的金额必须大于0`);
+        }
+        if (!BUDGET_POLICIES.includes(policy)) {
+            throw new Error(`预算 "${item}" 的策略无效（可选 hard、soft）`);
+        }
+
+        return { scope, target, period, limit, policy };
+    });
+}
+
+/**
+ * 按配置生成预算规则：BUDGET_LIMIT + BUDGETS 中的其他预算
+ * @param {number} limit - 默认预算金额
+ * @param {string} scope - 默认预算的范围：global（所有用量，CLI）| user（每个用户各自计算，Web 服务器）
+ */
+export function getConfiguredBudgets(limit = Config.BUDGET_LIMIT, scope = 'global') {
+    return [
+        { scope, target: null, period: Config.BUDGET_PERIOD, limit, policy: Config.BUDGET_POLICY },
+        ...parseBudgets(Config.BUDGETS)
+    ];
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 最早的记录超出保留期这么多天后才轮转（避免每天重写账本）
+const ROTATION_SLACK_DAYS = 7;
+
+/**
+ * 空的用量合计
+ */
+function emptyTotals() {
+    return { cost: 0, inputTokens: 0, outputTokens: 0, calls: 0 };
+}
+
+/**
+ * 把记录（或汇总）的用量累加到合计中
+ * @param {object} totals - 合计
+ * @param {object} record - 记录（calls 缺省为 1）
+ */
+function addTotals(totals, record) {
+    totals.cost += record.cost || 0;
+    totals.inputTokens += record.inputTokens || 0;
+    totals.outputTokens += record.outputTokens || 0;
+    totals.calls += record.calls ?? 1;
+}
+
+/**
+ * 本地时间的年月（归档文件名）
+ * @param {number} timestamp - 时间戳
+ * @returns {string} YYYY-MM
+ */
+function formatMonth(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * 持久化的用量账本（data/usage-ledger.jsonl）
+ * 每次调用追加一行 JSON；追加写入是原子的，多个会话或进程可以同时写入同一账本，
+ * 查询前读取其他写入者新增的行，因此预算在重启后和多会话间都保持一致
+ *
+ * 读取时按 周期 + 周期起点 + 范围（全部、用户、模式）累计用量，检查预算时直接读取合计，不再扫描记录；
+ * 超出保留期（LEDGER_RETENTION_DAYS）的记录按月移到归档文件（usage-ledger-YYYY-MM.jsonl），
+ * 账本中只留下按用户和模式汇总的一行（type: rollup，用于累计预算），查询更早的范围时再读取归档
+ */
+class UsageLedger {
+    /**
+     * @param {object} options - 配置项
+     * @param {string} options.file - 账本文件路径
+     * @param {boolean} options.persist - 是否持久化（false 时只保存在内存中）
+     * @param {number} options.retentionDays - 账本中保留明细的天数（0 表示不轮转）
+     */
+    constructor(options = {}) {
+        this.file = options.file || path.join(process.cwd(), 'data', 'usage-ledger.jsonl');
+        this.persistenceEnabled = options.persist !== false;
+        this.retentionDays = options.retentionDays ?? Config.LEDGER_RETENTION_DAYS;
+        this.resetState();
+
+        this.sync();
+        this.rotateIfNeeded();
+    }
+
+    /**
+     * 清空已读取的记录和合计（账本被轮转、截断或替换后重新读取）
+     */
+    resetState() {
+        this.entries = [];
+        this.aggregates = new Map(); // 周期:起点:范围 -> 合计
+        this.archivedUntil = 0; // 此前的明细已归档
+        this.oldest = Infinity; // 最早的明细时间
+        this.unordered = false; // 是否有不按时间顺序追加的记录（轮转时其他进程同时写入）
+        this.offset = 0; // 已读取的字节数
+        this.remainder = ''; // 未读完的半行
+        this.inode = null;
+    }
+
+    /**
+     * 累加到合计（汇总行只计入 total 周期）
+     * @param {object} record - 记录或汇总
+     */
+    aggregate(record) {
+        const periods = record.type === 'rollup' ? ['total'] : BUDGET_PERIODS;
+        const scopes = ['*'];
+        if (record.userId) {
+            scopes.push(`user=${record.userId}`);
+        }
+        if (record.mode) {
+            scopes.push(`mode=${record.mode}`);
+        }
+
+        for (const period of periods) {
+            const start = getPeriodStart(period, record.timestamp);
+            for (const scope of scopes) {
+                const key = `${period}:${start}:${scope}`;
+                if (!this.aggregates.has(key)) {
+                    this.aggregates.set(key, emptyTotals());
+                }
+                addTotals(this.aggregates.get(key), record);
+            }
+        }
+    }
+
+    /**
+     * 读入一条记录
+     * @param {object} record - 调用记录或汇总
+     */
+    ingest(record) {
+        this.aggregate(record);
+
+        if (record.type === 'rollup') {
+            this.archivedUntil = Math.max(this.archivedUntil, record.timestamp);
+            return;
+        }
+
+        const last = this.entries[this.entries.length - 1];
+        if (last && record.timestamp < last.timestamp) {
+            this.unordered = true;
+        }
+        this.oldest = Math.min(this.oldest, record.timestamp);
+        this.entries.push(record);
+    }
+
+    /**
+     * 读取账本文件中新增的记录
+     */
+    sync() {
+        if (!this.persistenceEnabled) {
+            return;
+        }
+
+        let fd;
+        try {
+            fd = fs.openSync(this.file, 'r');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`读取用量账本失败: ${error.message}`);
+            }
+            return;
+        }
+
+        try {
+            const stat = fs.fstatSync(fd);
+            if (stat.size < this.offset || (this.inode !== null && stat.ino !== this.inode)) {
+                // 账本被轮转、截断或替换，重新读取
+                this.resetState();
+            }
+            this.inode = stat.ino;
+            if (stat.size === this.offset) {
+                return;
+            }
+
+            const buffer = Buffer.alloc(stat.size - this.offset);
+            fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+            this.offset = stat.size;
+
+            const lines = (this.remainder + buffer.toString('utf8')).split('\n');
+            this.remainder = lines.pop();
+
+            for (const line of lines) {
+                if (!line.trim()) {
+                    continue;
+                }
+                try {
+                    this.ingest(JSON.parse(line));
+                } catch {
+                    logger.warn('用量账本中有无法解析的行，已跳过');
+                }
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * 追加一条用量记录
+     * @param {object} entry - { timestamp, requestId, sessionId, userId, mode, provider, model, inputTokens, outputTokens, cost }
+     */
+    append(entry) {
+        if (!this.persistenceEnabled) {
+            this.ingest(entry);
+            return entry;
+        }
+
+        try {
+            const dir = path.dirname(this.file);
+            if (!fs.existsSync(dir)) {
+                fs.mkdirSync(dir, { recursive: true });
+            }
+
+            fs.appendFileSync(this.file, JSON.stringify(entry) + '\n', 'utf8');
+            this.sync();
+            this.rotateIfNeeded(entry.timestamp);
+        } catch (error) {
+            // 写入失败时至少在本进程内计入预算
+            logger.error(`写入用量账本失败: ${error.message}`);
+            this.ingest(entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * 归档文件路径
+     * @param {string} month - YYYY-MM
+     */
+    getArchiveFile(month) {
+        return path.join(path.dirname(this.file), `${path.basename(this.file, '.jsonl')}-${month}.jsonl`);
+    }
+
+    /**
+     * 保留期的起点（此前的明细会被归档）
+     * @param {number} now - 当前时间戳
+     */
+    getRetentionStart(now = Date.now()) {
+        return getPeriodStart('daily', now - this.retentionDays * DAY_MS);
+    }
+
+    /**
+     * 最早的明细超出保留期一定天数后轮转账本；上次轮转中断（留下 .rotating 文件）时继续完成
+     * @param {number} now - 当前时间戳
+     */
+    rotateIfNeeded(now = Date.now()) {
+        if (!this.persistenceEnabled || !this.retentionDays) {
+            return;
+        }
+
+        const pending = fs.existsSync(`${this.file}.rotating`);
+        if (pending || this.oldest < this.getRetentionStart(now) - ROTATION_SLACK_DAYS * DAY_MS) {
+            this.rotate(now);
+        }
+    }
+
+    /**
+     * 轮转账本：保留期之前的明细按月追加到归档文件，与已有的汇总合并为每个用户和模式一行汇总，
+     * 汇总和保留期内的明细写回账本
+     * 先把账本改名再处理，其他进程在此期间追加的记录写入新的账本，不会丢失
+     * @param {number} now - 当前时间戳
+     * @returns {number} 归档的记录数
+     */
+    rotate(now = Date.now()) {
+        const rotating = `${this.file}.rotating`;
+        const cutoff = this.getRetentionStart(now);
+
+        try {
+            if (!fs.existsSync(rotating)) {
+                fs.renameSync(this.file, rotating);
+            }
+
+            const archives = new Map(); // YYYY-MM -> 行
+            const rollups = new Map(); // 用户 + 模式 -> 汇总
+            const retained = [];
+
+            for (const line of fs.readFileSync(rotating, 'utf8').split('\n')) {
+                if (!line.trim()) {
+                    continue;
+                }
+
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch {
+                    logger.warn('用量账本中有无法解析的行，已跳过');
+                    continue;
+                }
+
+                if (record.type !== 'rollup' && record.timestamp >= cutoff) {
+                    retained.push(line);
+                    continue;
+                }
+
+                const key = `${record.userId || ''}\n${record.mode || ''}`;
+                if (!rollups.has(key)) {
+                    rollups.set(key, { type: 'rollup', timestamp: cutoff, userId: record.userId, mode: record.mode, ...emptyTotals() });
+                }
+                addTotals(rollups.get(key), record);
+
+                if (record.type !== 'rollup') {
+                    const month = formatMonth(record.timestamp);
+                    if (!archives.has(month)) {
+                        archives.set(month, []);
+                    }
+                    archives.get(month).push(line);
+                }
+            }
+
+            for (const [month, lines] of archives) {
+                fs.appendFileSync(this.getArchiveFile(month), lines.join('\n') + '\n', 'utf8');
+            }
+
+            const lines = [...[...rollups.values()].map(rollup => JSON.stringify(rollup)), ...retained];
+            if (lines.length > 0) {
+                fs.appendFileSync(this.file, lines.join('\n') + '\n', 'utf8');
+            }
+            fs.unlinkSync(rotating);
+
+            const archived = [...archives.values()].reduce((sum, month) => sum + month.length, 0);
+            logger.info(`用量账本已轮转: ${archived} 条记录移到归档，保留 ${retained.length} 条`);
+            return archived;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`轮转用量账本失败: ${error.message}`);
+            }
+            return 0;
+        } finally {
+            this.sync();
+        }
+    }
+
+    /**
+     * 读取查询范围内的归档记录
+     * @param {object} filter - { since, until }
+     * @returns {Array<object>} 记录
+     */
+    readArchives(filter) {
+        const dir = path.dirname(this.file);
+        const prefix = `${path.basename(this.file, '.jsonl')}-`;
+        let names;
+        try {
+            names = fs.readdirSync(dir);
+        } catch {
+            return [];
+        }
+
+        const records = [];
+        for (const name of names.sort()) {
+            const month = name.startsWith(prefix) && name.slice(prefix.length).match(/^(\d{4})-(\d{2})\.jsonl$/);
+            if (!month) {
+                continue;
+            }
+
+            const start = new Date(Number(month[1]), Number(month[2]) - 1, 1).getTime();
+            const end = new Date(Number(month[1]), Number(month[2]), 1).getTime();
+            if ((filter.since && end <= filter.since) || (filter.until && start >= filter.until)) {
+                continue;
+            }
+
+            for (const line of fs.readFileSync(path.join(dir, name), 'utf8').split('\n')) {
+                try {
+                    if (line.trim()) {
+                        records.push(JSON.parse(line));
+                    }
+                } catch {
+                    logger.warn(`归档 ${name} 中有无法解析的行，已跳过`);
+                }
+            }
+        }
+
+        return records;
+    }
+
+    /**
+     * 查询用量记录（范围早于保留期时同时读取归档）
+     * @param {object} filter - { since, until, userId, mode, model, sessionId }（until 不含）
+     * @returns {Array<object>} 按时间排列的记录
+     */
+    query(filter = {}) {
+        this.sync();
+
+        if (this.unordered) {
+            this.entries.sort((a, b) => a.timestamp - b.timestamp);
+            this.unordered = false;
+        }
+
+        const source = this.archivedUntil && !(filter.since >= this.archivedUntil)
+            ? [...this.readArchives(filter), ...this.entries]
+            : this.entries;
+
+        return source.filter(entry =>
+            !(filter.since && entry.timestamp < filter.since) &&
+            !(filter.until && entry.timestamp >= filter.until) &&
+            !(filter.userId && entry.userId !== filter.userId) &&
+            !(filter.mode && entry.mode !== filter.mode) &&
+            !(filter.model && entry.model !== filter.model) &&
+            !(filter.sessionId && entry.sessionId !== filter.sessionId)
+        );
+    }
+
+    /**
+     * 统计用量
+     * @param {object} filter - 同 query()
+     * @returns {{cost: number, inputTokens: number, outputTokens: number, calls: number}}
+     */
+    sum(filter = {}) {
+        const total = emptyTotals();
+        for (const entry of this.query(filter)) {
+            addTotals(total, entry);
+        }
+
+        return total;
+    }
+
+    /**
+     * 预算周期内的用量（读取累计的合计，不扫描记录）
+     * @param {string} period - daily | weekly | monthly | total
+     * @param {object} scope - { userId } 或 { mode }，都省略时为全部用量
+     * @param {number} now - 当前时间戳
+     * @returns {{cost: number, inputTokens: number, outputTokens: number, calls: number}}
+     */
+    getPeriodTotals(period, scope = {}, now = Date.now()) {
+        this.sync();
+
+        const target = scope.userId ? `user=${scope.userId}` : scope.mode ? `mode=${scope.mode}` : '*';
+        const totals = this.aggregates.get(`${period}:${getPeriodStart(period, now)}:${target}`);
+        return totals ? { ...totals } : emptyTotals();
+    }
+}
+
+export default UsageLedger;
@@ -0,0 +1,354 @@
+// src/core/usage-report.js
+import fs from 'fs';
+import path from 'path';
+import { getPriceTable } from './price-table.js';
+
+// 导出格式
+export const EXPORT_FORMATS = {
+    'csv': { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    'json': { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    'markdown': { extension: 'md', contentType: 'text/markdown; charset=utf-8' }
+};
+
+// CSV 视图：逐条记录或每日汇总
+export const CSV_VIEWS = ['records', 'daily'];
+
+/**
+ * 创建参数错误（路由返回 400）
+ */
+function invalidFilter(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * 本地日期 YYYY-MM-DD
+ * @param {number} timestamp - 时间戳
+ */
+export function formatDate(timestamp) {
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * 解析日期（YYYY-MM-DD 按本地时间，也接受 ISO 时间）
+ * @param {string} value - 日期
+ * @param {boolean} endOfDay - 只有日期时是否取当天结束（用于 to，包含当天）
+ * @returns {number|null} 时间戳
+ */
+function parseDate(value, endOfDay = false) {
+    if (!value) {
+        return null;
+    }
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (match) {
+        const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+        if (endOfDay) {
+            date.setDate(date.getDate() + 1);
+        }
+        return date.getTime();
+    }
+
+    const timestamp = Date.parse(value);
+    if (Number.isNaN(timestamp)) {
+        throw invalidFilter(`无效的日期: ${value}（格式 YYYY-MM-DD）`);
+    }
+    return timestamp;
+}
+
+/**
+ * 规范化报告筛选条件
+ * @param {object} filters - { from, to, mode, model, sessionId, userId }，from/to 为 YYYY-MM-DD（to 包含当天）
+ * @returns {object} 筛选条件，附加账本查询参数 since / until
+ */
+export function normalizeFilters(filters = {}) {
+    const since = parseDate(filters.from);
+    const until = parseDate(filters.to, true);
+
+    if (since !== null && until !== null && since >= until) {
+        throw invalidFilter('开始日期不能晚于结束日期');
+    }
+
+    return {
+        from: filters.from || null,
+        to: filters.to || null,
+        mode: filters.mode || null,
+        model: filters.model || null,
+        sessionId: filters.sessionId || null,
+        userId: filters.userId || null,
+        since,
+        until
+    };
+}
+
+/**
+ * 空的用量统计
+ */
+function emptyTotals() {
+    return {
+        calls: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheReadTokens: 0,
+        cacheWriteTokens: 0,
+        totalTokens: 0,
+        cost: 0,
+        cacheSavings: 0,
+        unpricedCalls: 0
+    };
+}
+
+/**
+ * 累加一条记录
+ */
+function addEntry(totals, entry) {
+    const cacheReadTokens = entry.cacheReadTokens || 0;
+    const cacheWriteTokens = entry.cacheWriteTokens || 0;
+
+    totals.calls++;
+    totals.inputTokens += entry.inputTokens;
+    totals.outputTokens += entry.outputTokens;
+    totals.cacheReadTokens += cacheReadTokens;
+    totals.cacheWriteTokens += cacheWriteTokens;
+    totals.totalTokens += entry.inputTokens + entry.outputTokens + cacheReadTokens + cacheWriteTokens;
+    totals.cost += entry.cost;
+    totals.cacheSavings += entry.cacheSavings || 0;
+    if (entry.priced === false) {
+        totals.unpricedCalls++;
+    }
+}
+
+/**
+ * 按键分组统计
+ * @param {Array<object>} entries - 用量记录
+ * @param {function} keyOf - 分组键
+ */
+function groupTotals(entries, keyOf) {
+    const groups = {};
+    for (const entry of entries) {
+        const key = keyOf(entry) || '-';
+        addEntry(groups[key] ||= emptyTotals(), entry);
+    }
+    return groups;
+}
+
+/**
+ * 生成用量报告
+ * @param {Array<object>} entries - 已按筛选条件查询的账本记录
+ * @param {object} filters - normalizeFilters() 的结果
+ * @param {PriceTable} pricing - 价格表（用于货币信息）
+ * @returns {object} { generatedAt, currency, filters, summary, byDay, byModel, byMode, records }
+ */
+export function buildUsageReport(entries, filters = normalizeFilters(), pricing = getPriceTable()) {
+    const summary = emptyTotals();
+    entries.forEach(entry => addEntry(summary, entry));
+
+    const byDay = Object.entries(groupTotals(entries, entry => formatDate(entry.timestamp)))
+        .map(([date, totals]) => ({ date, ...totals }))
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    const { since, until, ...shownFilters } = filters;
+
+    return {
+        generatedAt: new Date().toISOString(),
+        currency: pricing.currency,
+        displayCurrency: pricing.displayCurrency,
+        exchangeRate: pricing.exchangeRate,
+        filters: shownFilters,
+        summary,
+        byDay,
+        byModel: groupTotals(entries, entry => entry.model),
+        byMode: groupTotals(entries, entry => entry.mode),
+        records: entries
+    };
+}
+
+/**
+ * CSV 字段转义
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+    return values.map(csvField).join(',');
+}
+
+/**
+ * 格式化为 CSV（成本按价格表货币）
+ * @param {object} report - 用量报告
+ * @param {string} view - records（逐条记录）| daily（每日汇总）
+ */
+function toCSV(report, view = 'records') {
+    const costHeader = `Cost(${report.currency})`;
+
+    if (view === 'daily') {
+        return [
+            csvLine(['Date', 'Calls', 'InputTokens', 'OutputTokens', 'CacheReadTokens', 'CacheWriteTokens', 'TotalTokens', costHeader]),
+            ...report.byDay.map(day => csvLine([
+                day.date, day.calls, day.inputTokens, day.outputTokens,
+                day.cacheReadTokens, day.cacheWriteTokens, day.totalTokens, day.cost.toFixed(6)
+            ]))
+        ].join('\n') + '\n';
+    }
+
+    return [
+        csvLine([
+            'Timestamp', 'Date', 'RequestId', 'SessionId', 'UserId', 'Mode', 'Provider', 'Model',
+            'InputTokens', 'OutputTokens', 'CacheReadTokens', 'CacheWriteTokens', 'TotalTokens', costHeader, 'Priced'
+        ]),
+        ...report.records.map(record => csvLine([
+            new Date(record.timestamp).toISOString(),
+            formatDate(record.timestamp),
+            record.requestId,
+            record.sessionId,
+            record.userId,
+            record.mode,
+            record.provider,
+            record.model,
+            record.inputTokens,
+            record.outputTokens,
+            record.cacheReadTokens || 0,
+            record.cacheWriteTokens || 0,
+            record.inputTokens + record.outputTokens + (record.cacheReadTokens || 0) + (record.cacheWriteTokens || 0),
+            record.cost.toFixed(6),
+            record.priced !== false
+        ]))
+    ].join('\n') + '\n';
+}
+
+/**
+ * Markdown 表格
+ * @param {Array<string>} headers - 表头
+ * @param {Array<Array>} rows - 数据行
+ */
+function markdownTable(headers, rows) {
+    const escape = value => String(value).replace(/\|/g, '\\|');
+    return [
+        `| ${headers.join(' | ')} |`,
+        `|${headers.map(() => '------').join('|')}|`,
+        ...rows.map(row => `| ${row.map(escape).join(' | ')} |`)
+    ].join('\n');
+}
+
+/**
+ * 格式化为 Markdown（成本按显示货币）
+ * @param {object} report - 用量报告
+ * @param {PriceTable} pricing - 价格表
+ */
+function toMarkdown(report, pricing) {
+    const { filters, summary } = report;
+    const number = value => value.toLocaleString();
+    const range = filters.from || filters.to ? `${filters.from || '最早'} ~ ${filters.to || '今天'}` : '全部';
+    const conditions = [
+        filters.mode && `模式 ${filters.mode}`,
+        filters.model && `模型 ${filters.model}`,
+        filters.sessionId && `会话 ${filters.sessionId}`,
+        filters.userId && `用户 ${filters.userId}`
+    ].filter(Boolean);
+    const groupRows = groups => Object.entries(groups).map(([key, totals]) => [
+        key, totals.calls, number(totals.totalTokens), pricing.format(totals.cost)
+    ]);
+
+    const lines = [
+        '# Token 使用报告',
+        '',
+        `- 生成时间: ${new Date(report.generatedAt).toLocaleString()}`,
+        `- 时间范围: ${range}`,
+        `- 筛选: ${conditions.length > 0 ? conditions.join('，') : '无'}`,
+        `- 货币: ${report.displayCurrency}${report.displayCurrency !== report.currency ? `（按 1 ${report.currency} = ${report.exchangeRate} ${report.displayCurrency} 换算）` : ''}`,
+        '',
+        '## 汇总',
+        '',
+        markdownTable(
+            ['请求', '输入', '输出', '缓存读取', '缓存写入', '总Tokens', '成本', '缓存节省'],
+            [[
+                summary.calls, number(summary.inputTokens), number(summary.outputTokens),
+                number(summary.cacheReadTokens), number(summary.cacheWriteTokens), number(summary.totalTokens),
+                pricing.format(summary.cost), pricing.format(summary.cacheSavings)
+            ]]
+        )
+    ];
+
+    if (summary.unpricedCalls > 0) {
+        lines.push('', `> ${summary.unpricedCalls} 次调用的模型未定价，未计入成本`);
+    }
+
+    lines.push(
+        '',
+        '## 每日',
+        '',
+        markdownTable(
+            ['日期', '请求', '输入', '输出', '缓存读取', '缓存写入', '成本'],
+            report.byDay.map(day => [
+                day.date, day.calls, number(day.inputTokens), number(day.outputTokens),
+                number(day.cacheReadTokens), number(day.cacheWriteTokens), pricing.format(day.cost)
+            ])
+        ),
+        '',
+        '## 按模型',
+        '',
+        markdownTable(['模型', '请求', '总Tokens', '成本'], groupRows(report.byModel)),
+        '',
+        '## 按模式',
+        '',
+        markdownTable(['模式', '请求', '总Tokens', '成本'], groupRows(report.byMode)),
+        ''
+    );
+
+    return lines.join('\n');
+}
+
+/**
+ * 格式化用量报告
+ * @param {object} report - buildUsageReport() 的结果
+ * @param {string} format - csv | json | markdown
+ * @param {object} options - { view: CSV 视图, pricing: 价格表 }
+ * @returns {string} 文件内容
+ */
+export function formatUsageReport(report, format = 'csv', options = {}) {
+    const view = options.view || 'records';
+
+    if (!EXPORT_FORMATS[format]) {
+        throw invalidFilter(`不支持的导出格式: ${format}（可选 ${Object.keys(EXPORT_FORMATS).join('、')}）`);
+    }
+    if (!CSV_VIEWS.includes(view)) {
+        throw invalidFilter(`不支持的 CSV 视图: ${view}（可选 ${CSV_VIEWS.join('、')}）`);
+    }
+
+    switch (format) {
+        case 'json':
+            return JSON.stringify(report, null, 2);
+        case 'markdown':
+            return toMarkdown(report, options.pricing || getPriceTable());
+        default:
+            return toCSV(report, view);
+    }
+}
+
+/**
+ * 导出文件名，如 token-usage-2026-10-01_2026-10-19-1792421144563.csv
+ * @param {object} report - 用量报告
+ * @param {string} format - 导出格式
+ */
+export function getExportFilename(report, format) {
+    const { from, to } = report.filters;
+    const range = from || to ? `-${from || 'start'}_${to || 'now'}` : '';
+    return `token-usage${range}-${Date.now()}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * 写入导出文件（默认 data/exports/）
+ * @param {string} content - 文件内容
+ * @param {string} filepath - 文件路径
+ * @returns {string} 文件路径
+ */
+export function writeExport(content, filepath) {
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, content, 'utf8');
+    return filepath;
+}
@@ -3,6 +3,7 @@ import readline from 'readline';
 import Config from '../config.js';
 import logger from './utils/logger.js';
 import CleverAssistant from './services/clever-assistant.js';
+import SearchIndex from './core/search-index.js';
 import chalk from 'chalk';
 import boxen from 'boxen';
 import ora from 'ora';
@@ -18,6 +19,7 @@ class ChatCLI {
         });
 
         this.assistant = null;
+        this.searchIndex = new SearchIndex();
         this.isRunning = false;
     }
 
@@ -99,6 +101,209 @@ class ChatCLI {
         console.log('');
     }
 
+    /**
+     * 显示已保存的对话列表
+     */
+    showHistory() {
+        const conversations = this.assistant.listConversations();
+
+        if (conversations.length === 0) {
+            console.log(chalk.gray('暂无已保存的对话'));
+            return;
+        }
+
+        const modes = this.assistant.getAvailableModes();
+
+        console.log('\n' + chalk.cyan.bold('📚 已保存的对话\n'));
+        conversations.forEach((conv, index) => {
+            const isCurrent = conv.id === this.assistant.conversation.conversationId;
+            const prefix = isCurrent ? chalk.green('→') : ' ';
+            const modeName = modes.find(m => m.id === conv.mode)?.name || conv.mode || '-';
+            const date = new Date(conv.updatedAt).toLocaleString('zh-CN');
+
+            console.log(`  ${prefix} ${chalk.yellow(String(index + 1).padStart(2))}. ${chalk.white(conv.title)}`);
+            console.log(`       ${chalk.gray(`${date} | ${modeName} | ${conv.messageCount} 条消息 | ${conv.id}`)}`);
+        });
+        console.log('');
+        console.log(chalk.gray('使用 /load <序号|ID> 恢复对话'));
+    }
+
+    /**
+     * 导出Token用量报告（按账本统计）
+     * 用法: /export [csv|json|markdown] [--from 日期] [--to 日期] [--mode 模式] [--model 模型] [--session current|ID] [--daily]
+     * @param {string[]} args - 命令参数
+     */
+    exportUsage(args) {
+        const filters = {};
+        const options = {};
+        let format = 'csv';
+
+        for (let i = 0; i < args.length; i++) {
+            const flag = args[i].match(/^--(from|to|mode|model|session)$/);
+            if (flag && args[i + 1]) {
+                filters[flag[1]] = args[++i];
+            } else if (args[i] === '--daily') {
+                options.view = 'daily';
+            } else {
+                format = args[i] === 'md' ? 'markdown' : args[i];
+            }
+        }
+
+        if (filters.session) {
+            filters.sessionId = filters.session === 'current' ? this.assistant.conversation.sessionId : filters.session;
+            delete filters.session;
+        }
+
+        const tracker = this.assistant.tokenTracker;
+        const report = tracker.getUsageReport(filters);
+        const filepath = tracker.writeReport(report, format, options);
+
+        console.log(chalk.green(`✓ 已导出 ${report.summary.calls} 次调用（${report.byDay.length} 天，${tracker.pricing.format(report.summary.cost)}）`));
+        console.log(chalk.gray(`  ${filepath}`));
+    }
+
+    /**
+     * 搜索已保存的对话
+     * 用法: /search <关键词> [--mode 模式] [--role user|assistant] [--from 日期] [--to 日期]
+     * @param {string[]} args - 命令参数
+     */
+    searchConversations(args) {
+        const filters = {};
+        const words = [];
+
+        for (let i = 0; i < args.length; i++) {
+            const flag = args[i].match(/^--(mode|role|from|to|limit)$/);
+            if (flag && args[i + 1]) {
+                filters[flag[1]] = args[++i];
+            } else {
+                words.push(args[i]);
+            }
+        }
+
+        if (words.length === 0) {
+            console.log(chalk.gray('用法: /search <关键词> [--mode 模式] [--role user|assistant] [--from 日期] [--to 日期]'));
+            return;
+        }
+
+        const { total, results } = this.searchIndex.search(words.join(' '), filters);
+
+        if (total === 0) {
+            console.log(chalk.gray('没有找到匹配的对话'));
+            return;
+        }
+
+        console.log('\n' + chalk.cyan.bold(`🔍 找到 ${total} 条匹配消息\n`));
+        for (const result of results) {
+            // 按高亮区间着色
+            let snippet = '';
+            let cursor = 0;
+            for (const [start, end] of result.highlights) {
+                snippet += chalk.white(result.snippet.slice(cursor, start)) + chalk.yellow.bold(result.snippet.slice(start, end));
+                cursor = end;
+            }
+            snippet += chalk.white(result.snippet.slice(cursor));
+
+            const role = result.role === 'user' ? '👤' : '🤖';
+            const date = new Date(result.timestamp).toLocaleString('zh-CN');
+            console.log(`  ${chalk.cyan(result.title)} ${chalk.gray(`(${date} | ${result.mode || '-'} | ${result.conversationId})`)}`);
+            console.log(`    ${role} ${snippet}`);
+        }
+        console.log('');
+        console.log(chalk.gray('使用 /load <ID> 恢复对话'));
+    }
+
+    /**
+     * 显示恢复对话的最近几条消息
+     * @param {number} count - 显示的消息数
+     */
+    printRecentMessages(count = 4) {
+        const messages = this.assistant.conversation.conversationHistory
+            .filter(msg => typeof msg.content === 'string')
+            .slice(-count);
+
+        for (const msg of messages) {
+            const label = msg.role === 'user' ? chalk.cyan('👤 你') : chalk.cyan.bold('🤖 Claude');
+            const text = msg.content.length > 200 ? msg.content.substring(0, 200) + '...' : msg.content;
+            console.log(`\n${label}: ${chalk.white(text)}`);
+        }
+    }
+
+    /**
+     * 交互式填写模式配置（直接回车保留默认值）
+     * @param {object} defaults - 默认值
+     * @returns {Promise<object>} 模式配置
+     */
+    async promptModeFields(defaults = {}) {
+        const ask = async (label, value) => {
+            const hint = value !== undefined && value !== '' ? chalk.gray(` [${value}]`) : '';
+            const answer = (await this.question(`  ${label}${hint}: `)).trim();
+            return answer || value;
+        };
+
+        return {
+            name: await ask('名称', defaults.name),
+            systemPrompt: await ask('系统提示', defaults.systemPrompt),
+            temperature: await ask('温度 (0-1)', defaults.temperature ?? 0.7),
+            maxTokens: await ask('最大输出Tokens', defaults.maxTokens ?? 1000),
+            provider: await ask(`提供方（${this.assistant.listProviders().map(p => p.name).join('/')}，留空使用默认）`, defaults.provider || ''),
+            model: await ask('模型（留空使用提供方的默认模型）', defaults.model || '')
+        };
+    }
+
+    /**
+     * 管理自定义模式
+     * 用法: /mode create | /mode edit <ID> | /mode clone <源ID> <新ID> | /mode delete <ID>
+     * @param {string} action - 子命令
+     * @param {string[]} args - 参数
+     */
+    async manageMode(action, args) {
+        switch (action) {
+            case 'create': {
+                console.log(chalk.cyan('\n✨ 创建自定义模式\n'));
+                const id = (await this.question('  ID（小写字母、数字、_ 或 -）: ')).trim();
+                const fields = await this.promptModeFields();
+                const mode = this.assistant.createMode({ id, ...fields });
+                console.log(chalk.green(`✓ 已创建模式: ${mode.name} (${mode.id})，使用 /mode ${mode.id} 切换`));
+                break;
+            }
+
+            case 'edit': {
+                const current = this.assistant.modes.get(args[0]);
+                if (!current) {
+                    throw new Error(`未知模式: ${args[0] || '-'}。用法: /mode edit <ID>`);
+                }
+                if (current.builtin) {
+                    throw new Error(`内置模式不可修改，可使用 /mode clone ${current.id} <新ID> 复制后编辑`);
+                }
+                console.log(chalk.cyan(`\n✏️  编辑模式: ${current.id}（回车保留原值）\n`));
+                const mode = this.assistant.updateMode(current.id, await this.promptModeFields(current));
+                console.log(chalk.green(`✓ 已更新模式: ${mode.name} (${mode.id})`));
+                break;
+            }
+
+            case 'clone': {
+                if (args.length < 2) {
+                    throw new Error('用法: /mode clone <源ID> <新ID>');
+                }
+                const mode = this.assistant.cloneMode(args[0], args[1]);
+                console.log(chalk.green(`✓ 已复制为: ${mode.name} (${mode.id})，使用 /mode edit ${mode.id} 修改`));
+                break;
+            }
+
+            case 'delete': {
+                if (!args[0]) {
+                    throw new Error('用法: /mode delete <ID>');
+                }
+                const confirm = await this.question(chalk.yellow(`确定要删除模式 ${args[0]} 吗？(y/N): `));
+                if (confirm.toLowerCase() === 'y') {
+                    this.assistant.deleteMode(args[0]);
+                    console.log(chalk.green(`✓ 已删除模式: ${args[0]}`));
+                }
+                break;
+            }
+        }
+    }
+
     /**
      * 处理命令
      * @param {string} input - 用户输入
@@ -121,16 +326,23 @@ class ChatCLI {
                 break;
 
             case '/mode':
-                if (args.length === 0) {
+                if (['create', 'edit', 'clone', 'delete'].includes(args[0])) {
+                    try {
+                        await this.manageMode(args[0], args.slice(1));
+                    } catch (error) {
+                        console.log(chalk.red(`✗ ${error.message}`));
+                    }
+                } else if (args.length === 0) {
                     const modes = this.assistant.getAvailableModes();
                     console.log('\n可用模式:');
                     for (const mode of modes) {
                         const isCurrent = mode.id === this.assistant.currentMode;
                         const prefix = isCurrent ? chalk.green('→') : ' ';
-                        console.log(`  ${prefix} ${chalk.cyan(mode.id)}: ${mode.name}`);
+                        const tag = mode.builtin ? '' : chalk.gray(' [自定义]');
+                        console.log(`  ${prefix} ${chalk.cyan(mode.id)}: ${mode.name}${tag}`);
                     }
                     console.log('');
-                    console.log(chalk.gray('使用 /mode <名称> 切换模式'));
+                    console.log(chalk.gray('使用 /mode <名称> 切换模式，/mode create|edit|clone|delete 管理自定义模式'));
                 } else {
                     try {
                         this.assistant.switchMode(args[0]);
@@ -141,6 +353,27 @@ class ChatCLI {
                 }
                 break;
 
+            case '/provider':
+                if (args.length === 0) {
+                    console.log('\n模型提供方:');
+                    for (const provider of this.assistant.listProviders()) {
+                        const isCurrent = provider.name === this.assistant.conversation.provider;
+                        const prefix = isCurrent ? chalk.green('→') : ' ';
+                        const status = provider.configured ? '' : chalk.red(' [未配置]');
+                        console.log(`  ${prefix} ${chalk.cyan(provider.name.padEnd(10))} ${chalk.gray(`${provider.type} | ${provider.defaultModel} | ${provider.baseURL || '默认地址'}`)}${status}`);
+                    }
+                    console.log('');
+                    console.log(chalk.gray(`当前模型: ${this.assistant.conversation.model}，使用 /provider <名称> [模型] 切换`));
+                } else {
+                    try {
+                        this.assistant.switchProvider(args[0], args[1]);
+                        console.log(chalk.green(`✓ 已切换到 ${this.assistant.conversation.provider} (${this.assistant.conversation.model})`));
+                    } catch (error) {
+                        console.log(chalk.red(`✗ ${error.message}`));
+                    }
+                }
+                break;
+
             case '/clear':
                 this.assistant.conversation.clearHistory();
                 console.log(chalk.green('✓ 对话历史已清空'));
@@ -157,6 +390,39 @@ class ChatCLI {
                 }
                 break;
 
+            case '/history':
+                this.showHistory();
+                break;
+
+            case '/search':
+                try {
+                    this.searchConversations(args);
+                } catch (error) {
+                    console.log(chalk.red(`✗ ${error.message}`));
+                }
+                break;
+
+            case '/load':
+                if (args.length === 0) {
+                    console.log(chalk.gray('用法: /load <对话ID|序号>，使用 /history 查看已保存的对话'));
+                    break;
+                }
+                try {
+                    // 支持使用 /history 中的序号
+                    let conversationId = args[0];
+                    if (/^\d+$/.test(conversationId)) {
+                        const conversations = this.assistant.listConversations();
+                        conversationId = conversations[parseInt(conversationId) - 1]?.id || conversationId;
+                    }
+
+                    const summary = this.assistant.loadConversation(conversationId);
+                    console.log(chalk.green(`✓ 已恢复对话: ${summary.title || summary.conversationId} (${summary.rounds} 轮)`));
+                    this.printRecentMessages();
+                } catch (error) {
+                    console.log(chalk.red(`✗ ${error.message}`));
+                }
+                break;
+
             case '/report':
             case '/r':
                 const report = this.assistant.getDetailedReport();
@@ -166,16 +432,32 @@ class ChatCLI {
                 console.log(`  会话ID: ${chalk.gray(report.conversation.sessionId)}`);
                 console.log(`  对话轮数: ${chalk.cyan(report.conversation.rounds)}`);
                 console.log(`  消息数: ${chalk.cyan(report.conversation.messageCount)}`);
+                console.log(`  上下文: ${chalk.cyan('~' + report.conversation.context.estimatedPromptTokens + ' / ' + report.conversation.context.inputLimit)} tokens`);
+                if (report.conversation.context.summarized) {
+                    console.log(`  已压缩: ${chalk.cyan(report.conversation.context.compressedMessages)} 条消息 (~${report.conversation.context.compressedTokens} → ${report.conversation.context.summaryTokens} tokens)`);
+                }
 
                 console.log('\n' + chalk.white.bold('Token统计:'));
                 console.log(`  请求次数: ${chalk.cyan(report.tokens.summary.totalRequests)}`);
                 console.log(`  总Tokens: ${chalk.cyan(report.tokens.summary.totalTokens.toLocaleString())}`);
-                console.log(`  总成本: ${chalk.yellow('$' + report.tokens.budget.currentCost.toFixed(6))}`);
-                console.log(`  剩余预算: ${chalk.yellow('$' + report.tokens.budget.remaining.toFixed(6))}`);
+                console.log(`  本会话成本: ${chalk.yellow(report.tokens.summary.displayCost)}`);
+                if (report.tokens.summary.totalCacheReadTokens || report.tokens.summary.totalCacheWriteTokens) {
+                    console.log(`  提示缓存: 读取 ${chalk.cyan(report.tokens.summary.totalCacheReadTokens.toLocaleString())} / 写入 ${chalk.cyan(report.tokens.summary.totalCacheWriteTokens.toLocaleString())} tokens，节省 ${chalk.green(report.tokens.summary.displayCacheSavings)}`);
+                }
+                if (report.tokens.unpricedModels.length > 0) {
+                    console.log(chalk.yellow(`  未定价模型（未计入成本）: ${report.tokens.unpricedModels.join(', ')}`));
+                }
+
+                console.log('\n' + chalk.white.bold('预算:'));
+                for (const budget of report.tokens.budget.budgets) {
+                    const color = budget.isOverBudget ? chalk.red : budget.isNearLimit ? chalk.yellow : chalk.green;
+                    console.log(`  ${budget.label}: ${color(budget.display)}${budget.policy === 'soft' ? chalk.gray('（仅警告）') : ''}`);
+                }
 
                 console.log('\n' + chalk.white.bold('缓存统计:'));
                 console.log(`  容量: ${chalk.cyan(report.cache.size + ' / ' + report.cache.maxSize)}`);
                 console.log(`  命中率: ${chalk.cyan(report.cache.hitRate)}`);
+                console.log(`  精确/语义命中: ${chalk.cyan(report.cache.exactHits + ' / ' + report.cache.semanticHits)}`);
                 console.log('');
                 break;
 
@@ -191,6 +473,27 @@ class ChatCLI {
                 this.assistant.cache.printStats();
                 break;
 
+            case '/export':
+                try {
+                    this.exportUsage(args);
+                } catch (error) {
+                    console.log(chalk.red(`✗ ${error.message}`));
+                    console.log(chalk.gray('用法: /export [csv|json|markdown] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--mode 模式] [--model 模型] [--session current|ID] [--daily]'));
+                }
+                break;
+
+            case '/tools':
+                if (!this.assistant.tools || this.assistant.tools.size === 0) {
+                    console.log(chalk.gray('未启用工具（在 .env 中设置 ENABLE_TOOLS=true）'));
+                } else {
+                    console.log('\n可用工具:');
+                    for (const tool of this.assistant.tools.list()) {
+                        console.log(`  ${chalk.cyan(tool.name.padEnd(15))} ${chalk.gray(tool.description)}`);
+                    }
+                    console.log('');
+                }
+                break;
+
             case '/quit':
             case '/exit':
             case '/q':
@@ -214,13 +517,29 @@ class ChatCLI {
         }
 
         // 检查预算
-        const budgetStatus = this.assistant.tokenTracker.checkBudget();
+        const budgetStatus = this.assistant.checkBudget();
         if (budgetStatus.isOverBudget) {
             console.log(chalk.red('⚠️ 已超出预算限制，无法继续对话'));
-            console.log(chalk.yellow('使用 /reset 重置或增加预算限制'));
+            console.log(chalk.yellow(this.assistant.tokenTracker.describeBlocking(budgetStatus)));
+            console.log(chalk.gray('预算按 data/usage-ledger.jsonl 中的用量计算，/reset 不会清除；可等待周期重置或调整 BUDGET_LIMIT / BUDGETS'));
             return;
         }
 
+        // 发送前估算（输出按 max_tokens 计最坏情况；命中缓存时不产生费用）
+        const preview = this.assistant.previewRequest(input);
+        const { estimate } = preview;
+        console.log(chalk.gray(`└─ 预计: ~${estimate.inputTokens} 输入 + 最多 ${estimate.maxTokens} 输出 tokens，≤ ${estimate.displayCost}（${estimate.model}${estimate.priced ? '' : '，未定价'}）`));
+        if (preview.action === 'degrade') {
+            console.log(chalk.yellow(`⚠️ 剩余预算不足，将改用 ${preview.degraded.to.model}，max_tokens ${preview.degraded.to.maxTokens}`));
+        }
+        if (preview.action !== 'block' && estimate.requiresConfirmation) {
+            const confirm = await this.question(chalk.yellow(`本次请求预计最多花费 ${estimate.displayCost}，确定发送吗？(y/N): `));
+            if (confirm.toLowerCase() !== 'y') {
+                console.log(chalk.gray('已取消'));
+                return;
+            }
+        }
+
         // 显示思考动画
         const spinner = ora({
             text: 'Claude 正在思考...',
@@ -238,15 +557,33 @@ class ChatCLI {
 
                 // 显示使用信息
                 if (response.usage) {
-                    console.log('\n' + chalk.gray(`└─ Tokens: ${response.usage.totalTokens} | 成本: $${this.assistant.tokenTracker.calculateSingleCallCost(response.usage.inputTokens, response.usage.outputTokens).toFixed(6)}`));
+                    const tracker = this.assistant.tokenTracker;
+                    const price = tracker.pricing.calculate(response.usage, response.model);
+                    const cacheInfo = response.usage.cacheReadTokens || response.usage.cacheWriteTokens
+                        ? ` | 提示缓存: 读取 ${response.usage.cacheReadTokens} / 写入 ${response.usage.cacheWriteTokens}，节省 ${tracker.pricing.format(price.cacheSavings)}`
+                        : '';
+                    console.log('\n' + chalk.gray(`└─ Tokens: ${response.usage.totalTokens} | 成本: ${price.priced ? tracker.pricing.format(price.cost) : `未定价（${response.model}）`}${cacheInfo}`));
+                }
+
+                // 重试或切换了备用模型
+                if (response.failover) {
+                    console.log(chalk.yellow(`🔀 主模型不可用，已切换到备用模型 ${response.provider}/${response.model}`));
+                }
+                if (response.attempts && response.attempts.length > 1) {
+                    console.log(chalk.gray(`↻ 共尝试 ${response.attempts.length} 次`));
                 }
 
                 // 如果来自缓存
                 if (response.fromCache) {
-                    console.log(chalk.green('💾 来自缓存'));
+                    console.log(chalk.green(response.cacheMatch === 'semantic'
+                        ? `💾 来自缓存（相似问题，相似度 ${(response.similarity * 100).toFixed(0)}%）`
+                        : '💾 来自缓存'));
                 }
             } else {
                 console.log(chalk.red(`\n✗ 错误: ${response.error}`));
+                if (response.attempts && response.attempts.length > 1) {
+                    console.log(chalk.gray(`   共尝试 ${response.attempts.length} 次（${response.errorCategory}）`));
+                }
             }
 
         } catch (error) {
@@ -304,21 +641,22 @@ class ChatCLI {
             console.error(chalk.red(`\n启动失败: ${error.message}`));
             throw error;
         } finally {
-            this.shutdown();
+            await this.shutdown();
         }
     }
 
     /**
      * 关闭应用
      */
-    shutdown() {
+    async shutdown() {
         this.isRunning = false;
 
         console.log('\n' + chalk.cyan('正在关闭...'));
 
-        // 保存对话
+        // 保存对话，并把缓冲的缓存写入落盘
         if (this.assistant) {
             this.assistant.save();
+            await this.assistant.cache.close();
         }
 
         this.rl.close();
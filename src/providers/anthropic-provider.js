@@ -0,0 +1,159 @@
+// src/providers/anthropic-provider.js
+import Anthropic from '@anthropic-ai/sdk';
+import BaseProvider, { providerError, parseRetryAfter } from './base-provider.js';
+
+/**
+ * Anthropic 及兼容 Anthropic Messages API 的服务（如智谱AI）
+ * 请求格式与内部格式一致，只需统一响应和流式事件
+ */
+class AnthropicProvider extends BaseProvider {
+    /**
+     * @param {object} options - 配置项（另见 BaseProvider）
+     * @param {string} options.authToken - Bearer Token（兼容接口使用，代替 apiKey）
+     * @param {string} options.type - anthropic 或 anthropic-compatible
+     * @param {boolean} options.promptCaching - 是否支持 cache_control（默认只有 anthropic 支持）
+     */
+    constructor(options = {}) {
+        super(options);
+        this.type = options.type || 'anthropic';
+        this.supportsPromptCaching = options.promptCaching ?? this.type === 'anthropic';
+        this.authToken = options.authToken || null;
+        this.maxTemperature = 1;
+        this.client = null;
+    }
+
+    isConfigured() {
+        return !!(this.apiKey || this.authToken);
+    }
+
+    /**
+     * 首次使用时创建 SDK 客户端（未使用的提供方无需配置凭据）
+     */
+    getClient() {
+        if (this.client) {
+            return this.client;
+        }
+
+        if (!this.isConfigured()) {
+            throw providerError(this.name, '未配置 API Key 或 Auth Token');
+        }
+
+        // 重试由 RetryPolicy 统一处理，关闭 SDK 的自动重试
+        const clientConfig = {
+            apiKey: this.apiKey || this.authToken,
+            timeout: this.timeout,
+            maxRetries: 0
+        };
+
+        if (this.baseURL) {
+            clientConfig.baseURL = this.baseURL;
+        }
+
+        // 兼容接口（如智谱AI）使用 Bearer Token 认证
+        if (this.authToken && !this.apiKey) {
+            clientConfig.defaultHeaders = {
+                'Authorization': `Bearer ${this.authToken}`
+            };
+        }
+
+        if (this.fetch !== globalThis.fetch) {
+            clientConfig.fetch = this.fetch;
+        }
+
+        this.client = new Anthropic(clientConfig);
+        return this.client;
+    }
+
+    /**
+     * 统一 SDK 错误格式
+     */
+    wrapError(error) {
+        if (error.provider) {
+            return error;
+        }
+        return providerError(this.name, error.message, error.status, parseRetryAfter(error.headers));
+    }
+
+    async createMessage(params) {
+        let response;
+
+        try {
+            response = await this.getClient().messages.create(params);
+        } catch (error) {
+            throw this.wrapError(error);
+        }
+
+        return {
+            content: response.content,
+            model: response.model,
+            stopReason: response.stop_reason,
+            usage: {
+                inputTokens: response.usage.input_tokens,
+                outputTokens: response.usage.output_tokens,
+                cacheReadTokens: response.usage.cache_read_input_tokens || 0,
+                cacheWriteTokens: response.usage.cache_creation_input_tokens || 0
+            }
+        };
+    }
+
+    async *streamMessage(params, options = {}) {
+        // tool_use 块的参数以 JSON 片段流式到达，结束时再解析
+        const toolBlocks = {};
+        let stream;
+
+        try {
+            stream = await this.getClient().messages.create({ ...params, stream: true }, { signal: options.signal });
+        } catch (error) {
+            throw this.wrapError(error);
+        }
+
+        try {
+            for await (const event of stream) {
+                if (event.type === 'message_start') {
+                    yield { type: 'start', model: event.message?.model || null };
+                    if (event.message?.usage) {
+                        yield {
+                            type: 'usage',
+                            inputTokens: event.message.usage.input_tokens,
+                            cacheReadTokens: event.message.usage.cache_read_input_tokens || 0,
+                            cacheWriteTokens: event.message.usage.cache_creation_input_tokens || 0
+                        };
+                    }
+                } else if (event.type === 'content_block_start') {
+                    if (event.content_block.type === 'tool_use') {
+                        toolBlocks[event.index] = { ...event.content_block, partialJson: '' };
+                    }
+                } else if (event.type === 'content_block_delta') {
+                    if (event.delta.type === 'input_json_delta') {
+                        toolBlocks[event.index].partialJson += event.delta.partial_json;
+                    } else if (event.delta.text) {
+                        // 部分兼容接口不发送 content_block_start，直接按文本处理
+                        yield { type: 'text', text: event.delta.text };
+                    }
+                } else if (event.type === 'content_block_stop') {
+                    const block = toolBlocks[event.index];
+                    if (block) {
+                        yield {
+                            type: 'tool_use',
+                            id: block.id,
+                            name: block.name,
+                            input: block.partialJson ? JSON.parse(block.partialJson) : {}
+                        };
+                        delete toolBlocks[event.index];
+                    }
+                } else if (event.type === 'message_delta') {
+                    if (event.usage) {
+                        yield { type: 'usage', outputTokens: event.usage.output_tokens };
+                    }
+                    if (event.delta?.stop_reason) {
+                        yield { type: 'stop', stopReason: event.delta.stop_reason };
+                    }
+                }
+            }
+        } catch (error) {
+            throw this.wrapError(error);
+        }
+    }
+}
+
+export default AnthropicProvider;
@@ -0,0 +1,227 @@
+// src/providers/base-provider.js
+import Config from '../../config.js';
+
+/**
+ * 创建带 HTTP 状态码的提供方错误
+ * @param {string} provider - 提供方名称
+ * @param {string} message - 错误信息
+ * @param {number} status - 状态码（网络错误时为 undefined）
+ * @param {number|null} retryAfter - 服务端要求的重试等待时间（毫秒）
+ */
+export function providerError(provider, message, status, retryAfter = null) {
+    const error = new Error(`[${provider}] ${message}`);
+    error.provider = provider;
+    if (status !== undefined) {
+        error.status = status;
+    }
+    if (retryAfter !== null) {
+        error.retryAfter = retryAfter;
+    }
+    return error;
+}
+
+/**
+ * 读取响应头中的重试等待时间
+ * 支持 retry-after-ms（毫秒）和 retry-after（秒数或 HTTP 日期）
+ * @param {Headers|object} headers - fetch 响应头或普通对象
+ * @returns {number|null} 毫秒，没有或无法解析时为 null
+ */
+export function parseRetryAfter(headers) {
+    if (!headers) {
+        return null;
+    }
+
+    const get = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]) ?? null;
+
+    const milliseconds = parseFloat(get('retry-after-ms'));
+    if (!Number.isNaN(milliseconds) && milliseconds >= 0) {
+        return Math.round(milliseconds);
+    }
+
+    const value = get('retry-after');
+    if (value === null) {
+        return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds) && seconds >= 0) {
+        return Math.round(seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 逐行读取响应体（SSE 与 NDJSON 共用）
+ * @param {ReadableStream} body - fetch 响应体
+ */
+export async function* readLines(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newline).replace(/\r$/, '');
+            buffer = buffer.slice(newline + 1);
+            if (line) {
+                yield line;
+            }
+        }
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) {
+        yield buffer.trim();
+    }
+}
+
+/**
+ * 提取内容中的文本（支持字符串或内容块数组）
+ * @param {string|Array<object>} content - 消息内容
+ */
+export function contentToText(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+
+    return (content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+}
+
+/**
+ * 模型提供方基类
+ *
+ * 请求参数统一使用 Anthropic Messages 格式：
+ *   { model, max_tokens, system, messages, temperature, tools }
+ * 非流式响应统一为：
+ *   { content: [text/tool_use 内容块], model, stopReason, usage: { inputTokens, outputTokens, cacheReadTokens?, cacheWriteTokens? } }
+ * 流式事件统一为：
+ *   { type: 'start', model }
+ *   { type: 'text', text }
+ *   { type: 'tool_use', id, name, input }   （参数完整后发出）
+ *   { type: 'usage', inputTokens?, outputTokens?, cacheReadTokens?, cacheWriteTokens? }
+ * 提示缓存的读取/写入 tokens 不包含在 inputTokens 中
+ *   { type: 'stop', stopReason }
+ * 停止原因统一为 end_turn | max_tokens | tool_use | stop_sequence
+ */
+class BaseProvider {
+    /**
+     * @param {object} options - 配置项
+     * @param {string} options.name - 提供方名称
+     * @param {string} options.baseURL - 接口地址
+     * @param {string} options.apiKey - API Key
+     * @param {string} options.defaultModel - 默认模型
+     * @param {number} options.timeout - 请求超时（毫秒）
+     * @param {function} options.fetch - 自定义 fetch（便于测试）
+     */
+    constructor(options = {}) {
+        this.name = options.name;
+        this.type = 'base';
+        this.baseURL = options.baseURL ? options.baseURL.replace(/\/+$/, '') : null;
+        this.apiKey = options.apiKey || null;
+        this.defaultModel = options.defaultModel || null;
+        this.timeout = options.timeout || Config.PROVIDER_TIMEOUT;
+        this.fetch = options.fetch || globalThis.fetch;
+        this.supportsPromptCaching = false;
+        // 接口接受的 temperature 上限
+        this.maxTemperature = 2;
+    }
+
+    /**
+     * 是否已配置必要的凭据
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * 发送请求（非流式）
+     * @param {object} params - Anthropic 格式的请求参数
+     * @returns {Promise<object>} 统一格式的响应
+     */
+    async createMessage(params) {
+        throw new Error(`${this.name} 未实现 createMessage`);
+    }
+
+    /**
+     * 发送请求（流式）
+     * @param {object} params - Anthropic 格式的请求参数
+     * @param {object} options - 请求选项
+     * @param {AbortSignal} options.signal - 中止信号（停止生成时中断请求和响应流）
+     * @returns {AsyncIterable<object>} 统一格式的流式事件
+     */
+    async *streamMessage(params, options = {}) {
+        throw new Error(`${this.name} 未实现 streamMessage`);
+    }
+
+    /**
+     * 发送 JSON POST 请求，非 2xx 响应转换为错误
+     * @param {string} urlPath - 相对 baseURL 的路径
+     * @param {object} body - 请求体
+     * @param {object} headers - 额外的请求头
+     * @param {AbortSignal} signal - 中止信号（同时中止响应体的读取）
+     * @returns {Promise<Response>} fetch 响应
+     */
+    async postJSON(urlPath, body, headers = {}, signal = null) {
+        // 超时只作用于等待响应头，流式响应体可以持续更久
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        let response;
+
+        try {
+            response = await this.fetch(`${this.baseURL}${urlPath}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify(body),
+                signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal
+            });
+        } catch (error) {
+            let message = `请求失败: ${error.message}`;
+            if (signal?.aborted) {
+                message = '请求已取消';
+            } else if (controller.signal.aborted) {
+                message = `请求超时（${this.timeout}ms）`;
+            }
+            throw providerError(this.name, message);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            const text = await response.text().catch(() => '');
+            let message = text || response.statusText;
+
+            try {
+                const data = JSON.parse(text);
+                message = data.error?.message || data.error || data.message || message;
+            } catch {
+                // 非 JSON 错误响应，使用原文
+            }
+
+            throw providerError(this.name, `HTTP ${response.status}: ${message}`, response.status, parseRetryAfter(response.headers));
+        }
+
+        return response;
+    }
+
+    /**
+     * 提供方信息（用于列表展示）
+     */
+    getInfo() {
+        return {
+            name: this.name,
+            type: this.type,
+            baseURL: this.baseURL,
+            defaultModel: this.defaultModel,
+            configured: this.isConfigured()
+        };
+    }
+}
+
+export default BaseProvider;
@@ -0,0 +1,78 @@
+// src/providers/embedding-provider.js
+import BaseProvider, { providerError } from './base-provider.js';
+import { NgramEmbedder } from '../core/semantic-index.js';
+import Config from '../../config.js';
+
+/**
+ * OpenAI 兼容的 /embeddings 接口
+ */
+export class OpenAIEmbedder extends BaseProvider {
+    constructor(options = {}) {
+        super(options);
+        this.type = 'openai-embedding';
+        this.model = options.model || 'text-embedding-3-small';
+        this.name = options.name || `openai:${this.model}`;
+    }
+
+    async embed(text) {
+        const headers = this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+        const response = await this.postJSON('/embeddings', { model: this.model, input: text }, headers);
+        const data = await response.json();
+
+        if (!data.data?.[0]?.embedding) {
+            throw providerError(this.name, '响应中没有 embedding');
+        }
+
+        return data.data[0].embedding;
+    }
+}
+
+/**
+ * Ollama 的 /api/embed 接口
+ */
+export class OllamaEmbedder extends BaseProvider {
+    constructor(options = {}) {
+        super(options);
+        this.type = 'ollama-embedding';
+        this.model = options.model || 'nomic-embed-text';
+        this.name = options.name || `ollama:${this.model}`;
+    }
+
+    async embed(text) {
+        const response = await this.postJSON('/api/embed', { model: this.model, input: text });
+        const data = await response.json();
+
+        if (!data.embeddings?.[0]) {
+            throw providerError(this.name, data.error || '响应中没有 embeddings');
+        }
+
+        return data.embeddings[0];
+    }
+}
+
+/**
+ * 按名称创建语义缓存使用的向量生成器
+ * @param {string} type - ngram | openai | ollama
+ * @param {object} options - 覆盖配置（baseURL、apiKey、model、fetch）
+ */
+export function createEmbedder(type = Config.SEMANTIC_CACHE_EMBEDDER, options = {}) {
+    switch (type) {
+        case 'ngram':
+            return new NgramEmbedder();
+        case 'openai':
+            return new OpenAIEmbedder({
+                baseURL: Config.OPENAI_BASE_URL,
+                apiKey: Config.OPENAI_API_KEY,
+                model: Config.EMBEDDING_MODEL || undefined,
+                ...options
+            });
+        case 'ollama':
+            return new OllamaEmbedder({
+                baseURL: Config.OLLAMA_BASE_URL,
+                model: Config.EMBEDDING_MODEL || undefined,
+                ...options
+            });
+        default:
+            throw new Error(`未知的向量生成器: ${type}（可选 ngram、openai、ollama）`);
+    }
+}
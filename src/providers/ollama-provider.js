@@ -0,0 +1,173 @@
+// src/providers/ollama-provider.js
+import BaseProvider, { providerError, readLines, contentToText } from './base-provider.js';
+
+/**
+ * 将 Anthropic 格式的消息转换为 Ollama /api/chat 消息
+ * Ollama 的工具调用没有 ID，工具结果按顺序对应
+ * @param {string} system - 系统提示
+ * @param {Array<object>} messages - Anthropic 格式消息
+ * @returns {Array<object>} Ollama 消息
+ */
+export function toOllamaMessages(system, messages) {
+    const result = system ? [{ role: 'system', content: system }] : [];
+
+    for (const msg of messages) {
+        if (typeof msg.content === 'string') {
+            result.push({ role: msg.role, content: msg.content });
+            continue;
+        }
+
+        if (msg.role === 'assistant') {
+            const toolCalls = msg.content
+                .filter(block => block.type === 'tool_use')
+                .map(block => ({ function: { name: block.name, arguments: block.input || {} } }));
+
+            result.push({
+                role: 'assistant',
+                content: contentToText(msg.content),
+                ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+            });
+            continue;
+        }
+
+        for (const block of msg.content) {
+            if (block.type === 'tool_result') {
+                result.push({ role: 'tool', content: contentToText(block.content) });
+            }
+        }
+
+        const text = contentToText(msg.content);
+        if (text) {
+            result.push({ role: 'user', content: text });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * 本地 Ollama 服务（/api/chat，流式响应为 NDJSON）
+ */
+class OllamaProvider extends BaseProvider {
+    constructor(options = {}) {
+        super(options);
+        this.type = 'ollama';
+        this.toolCallCount = 0;
+    }
+
+    /**
+     * 构建请求体
+     * @param {object} params - Anthropic 格式的请求参数
+     * @param {boolean} stream - 是否流式
+     */
+    buildBody(params, stream) {
+        const body = {
+            model: params.model,
+            messages: toOllamaMessages(params.system, params.messages),
+            stream,
+            options: { num_predict: params.max_tokens }
+        };
+
+        if (params.temperature !== undefined) {
+            body.options.temperature = params.temperature;
+        }
+        if (params.tools && params.tools.length > 0) {
+            body.tools = params.tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+            }));
+        }
+
+        return body;
+    }
+
+    /**
+     * 为工具调用生成 ID（tool_result 需要引用）
+     */
+    toToolUse(call) {
+        this.toolCallCount++;
+        return {
+            type: 'tool_use',
+            id: `toolu_ollama_${Date.now()}_${this.toolCallCount}`,
+            name: call.function.name,
+            input: call.function.arguments || {}
+        };
+    }
+
+    /**
+     * 根据结束原因和工具调用得出统一的停止原因
+     */
+    getStopReason(doneReason, hasToolCalls) {
+        if (hasToolCalls) return 'tool_use';
+        if (doneReason === 'length') return 'max_tokens';
+        return 'end_turn';
+    }
+
+    async createMessage(params) {
+        const response = await this.postJSON('/api/chat', this.buildBody(params, false));
+        const data = await response.json();
+
+        if (data.error) {
+            throw providerError(this.name, data.error);
+        }
+
+        const content = [];
+        if (data.message?.content) {
+            content.push({ type: 'text', text: data.message.content });
+        }
+        const toolCalls = data.message?.tool_calls || [];
+        for (const call of toolCalls) {
+            content.push(this.toToolUse(call));
+        }
+
+        return {
+            content,
+            model: data.model || params.model,
+            stopReason: this.getStopReason(data.done_reason, toolCalls.length > 0),
+            usage: {
+                inputTokens: data.prompt_eval_count || 0,
+                outputTokens: data.eval_count || 0
+            }
+        };
+    }
+
+    async *streamMessage(params, options = {}) {
+        const response = await this.postJSON('/api/chat', this.buildBody(params, true), {}, options.signal);
+        let started = false;
+        let hasToolCalls = false;
+
+        for await (const line of readLines(response.body)) {
+            const chunk = JSON.parse(line);
+
+            if (chunk.error) {
+                throw providerError(this.name, chunk.error);
+            }
+
+            if (!started) {
+                started = true;
+                yield { type: 'start', model: chunk.model || params.model };
+            }
+
+            if (chunk.message?.content) {
+                yield { type: 'text', text: chunk.message.content };
+            }
+
+            for (const call of chunk.message?.tool_calls || []) {
+                hasToolCalls = true;
+                const block = this.toToolUse(call);
+                yield { type: 'tool_use', id: block.id, name: block.name, input: block.input };
+            }
+
+            if (chunk.done) {
+                yield {
+                    type: 'usage',
+                    inputTokens: chunk.prompt_eval_count || 0,
+                    outputTokens: chunk.eval_count || 0
+                };
+                yield { type: 'stop', stopReason: this.getStopReason(chunk.done_reason, hasToolCalls) };
+            }
+        }
+    }
+}
+
+export default OllamaProvider;
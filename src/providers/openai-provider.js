@@ -0,0 +1,235 @@
+// src/providers/openai-provider.js
+import BaseProvider, { providerError, readLines, contentToText } from './base-provider.js';
+
+// Chat Completions 的 finish_reason 与统一停止原因的对应关系
+const STOP_REASON_MAP = {
+    stop: 'end_turn',
+    length: 'max_tokens',
+    tool_calls: 'tool_use',
+    function_call: 'tool_use',
+    content_filter: 'end_turn'
+};
+
+/**
+ * 解析工具参数 JSON
+ * 解析失败时返回空对象，由 ToolRegistry 的参数校验把错误反馈给模型
+ * @param {string} text - JSON 字符串
+ */
+function parseArguments(text) {
+    try {
+        return text ? JSON.parse(text) : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * 将 Anthropic 格式的消息转换为 Chat Completions 消息
+ * tool_use 块转换为 assistant.tool_calls，tool_result 块转换为 role: tool 消息
+ * @param {string} system - 系统提示
+ * @param {Array<object>} messages - Anthropic 格式消息
+ * @returns {Array<object>} Chat Completions 消息
+ */
+export function toOpenAIMessages(system, messages) {
+    const result = system ? [{ role: 'system', content: system }] : [];
+
+    for (const msg of messages) {
+        if (typeof msg.content === 'string') {
+            result.push({ role: msg.role, content: msg.content });
+            continue;
+        }
+
+        if (msg.role === 'assistant') {
+            const toolCalls = msg.content
+                .filter(block => block.type === 'tool_use')
+                .map(block => ({
+                    id: block.id,
+                    type: 'function',
+                    function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+                }));
+            const text = contentToText(msg.content);
+
+            result.push({
+                role: 'assistant',
+                content: text || null,
+                ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+            });
+            continue;
+        }
+
+        for (const block of msg.content) {
+            if (block.type === 'tool_result') {
+                result.push({
+                    role: 'tool',
+                    tool_call_id: block.tool_use_id,
+                    content: contentToText(block.content)
+                });
+            }
+        }
+
+        const text = contentToText(msg.content);
+        if (text) {
+            result.push({ role: 'user', content: text });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * 将工具定义转换为 function 格式
+ * @param {Array<object>} tools - Anthropic 格式工具定义
+ */
+export function toOpenAITools(tools) {
+    return tools.map(tool => ({
+        type: 'function',
+        function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.input_schema
+        }
+    }));
+}
+
+/**
+ * OpenAI 兼容的 Chat Completions 接口（OpenAI、DeepSeek、vLLM、LM Studio 等）
+ */
+class OpenAIProvider extends BaseProvider {
+    constructor(options = {}) {
+        super(options);
+        this.type = 'openai';
+    }
+
+    isConfigured() {
+        // 非官方地址（本地或自建服务）通常不需要 Key
+        return !!this.apiKey || !this.baseURL.startsWith('https://api.openai.com');
+    }
+
+    /**
+     * 构建请求体
+     * @param {object} params - Anthropic 格式的请求参数
+     * @param {boolean} stream - 是否流式
+     */
+    buildBody(params, stream) {
+        const body = {
+            model: params.model,
+            max_tokens: params.max_tokens,
+            messages: toOpenAIMessages(params.system, params.messages)
+        };
+
+        if (params.temperature !== undefined) {
+            body.temperature = params.temperature;
+        }
+        if (params.tools && params.tools.length > 0) {
+            body.tools = toOpenAITools(params.tools);
+        }
+        if (stream) {
+            body.stream = true;
+            body.stream_options = { include_usage: true };
+        }
+
+        return body;
+    }
+
+    getHeaders() {
+        return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    }
+
+    async createMessage(params) {
+        const response = await this.postJSON('/chat/completions', this.buildBody(params, false), this.getHeaders());
+        const data = await response.json();
+        const choice = data.choices?.[0];
+
+        if (!choice) {
+            throw providerError(this.name, '响应中没有 choices');
+        }
+
+        const content = [];
+        if (choice.message.content) {
+            content.push({ type: 'text', text: choice.message.content });
+        }
+        for (const call of choice.message.tool_calls || []) {
+            content.push({
+                type: 'tool_use',
+                id: call.id,
+                name: call.function.name,
+                input: parseArguments(call.function.arguments)
+            });
+        }
+
+        return {
+            content,
+            model: data.model || params.model,
+            stopReason: STOP_REASON_MAP[choice.finish_reason] || 'end_turn',
+            usage: {
+                inputTokens: data.usage?.prompt_tokens || 0,
+                outputTokens: data.usage?.completion_tokens || 0
+            }
+        };
+    }
+
+    async *streamMessage(params, options = {}) {
+        const response = await this.postJSON('/chat/completions', this.buildBody(params, true), this.getHeaders(), options.signal);
+
+        // tool_calls 按 index 分片到达，流结束时整体发出
+        const toolCalls = [];
+        let started = false;
+        let finishReason = null;
+
+        for await (const line of readLines(response.body)) {
+            if (!line.startsWith('data:')) {
+                continue;
+            }
+
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') {
+                break;
+            }
+
+            const chunk = JSON.parse(payload);
+
+            if (chunk.error) {
+                throw providerError(this.name, chunk.error.message || JSON.stringify(chunk.error));
+            }
+
+            if (!started) {
+                started = true;
+                yield { type: 'start', model: chunk.model || params.model };
+            }
+
+            const choice = chunk.choices?.[0];
+            if (choice) {
+                if (choice.delta?.content) {
+                    yield { type: 'text', text: choice.delta.content };
+                }
+
+                for (const delta of choice.delta?.tool_calls || []) {
+                    const call = toolCalls[delta.index] ||= { id: null, name: '', arguments: '' };
+                    if (delta.id) call.id = delta.id;
+                    if (delta.function?.name) call.name += delta.function.name;
+                    if (delta.function?.arguments) call.arguments += delta.function.arguments;
+                }
+
+                if (choice.finish_reason) {
+                    finishReason = choice.finish_reason;
+                }
+            }
+
+            if (chunk.usage) {
+                yield {
+                    type: 'usage',
+                    inputTokens: chunk.usage.prompt_tokens,
+                    outputTokens: chunk.usage.completion_tokens
+                };
+            }
+        }
+
+        for (const call of toolCalls.filter(Boolean)) {
+            yield { type: 'tool_use', id: call.id, name: call.name, input: parseArguments(call.arguments) };
+        }
+
+        yield { type: 'stop', stopReason: STOP_REASON_MAP[finishReason] || 'end_turn' };
+    }
+}
+
+export default OpenAIProvider;
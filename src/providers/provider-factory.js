@@ -0,0 +1,87 @@
+// src/providers/provider-factory.js
+import ProviderRegistry from '../core/provider-registry.js';
+import AnthropicProvider from './anthropic-provider.js';
+import OpenAIProvider from './openai-provider.js';
+import OllamaProvider from './ollama-provider.js';
+import Config from '../../config.js';
+
+// 提供方类型 -> 实现类
+const PROVIDER_TYPES = {
+    'anthropic': AnthropicProvider,
+    'anthropic-compatible': AnthropicProvider,
+    'openai': OpenAIProvider,
+    'ollama': OllamaProvider
+};
+
+let defaultRegistry = null;
+
+/**
+ * 按类型创建提供方
+ * @param {object} options - 提供方配置（type、name、baseURL、apiKey、authToken、defaultModel、timeout、fetch）
+ * @returns {BaseProvider} 提供方实例
+ */
+export function createProvider(options) {
+    const ProviderClass = PROVIDER_TYPES[options.type];
+
+    if (!ProviderClass) {
+        throw new Error(`未知的提供方类型: ${options.type}。可用类型: ${Object.keys(PROVIDER_TYPES).join(', ')}`);
+    }
+
+    return new ProviderClass(options);
+}
+
+/**
+ * 按 .env 配置注册内置提供方：anthropic、glm、openai、ollama
+ * 默认提供方的默认模型使用 DEFAULT_MODEL
+ * @param {ProviderRegistry} registry - 提供方注册表
+ * @returns {ProviderRegistry} 注册表
+ */
+export function registerConfiguredProviders(registry) {
+    const defaultModelFor = (name, model) => (name === Config.DEFAULT_PROVIDER ? Config.DEFAULT_MODEL : model);
+
+    registry
+        .register(createProvider({
+            type: 'anthropic',
+            name: 'anthropic',
+            apiKey: Config.ANTHROPIC_API_KEY,
+            baseURL: Config.ANTHROPIC_API_KEY ? Config.ANTHROPIC_BASE_URL : null,
+            defaultModel: defaultModelFor('anthropic', 'claude-3-5-sonnet-20241022')
+        }))
+        .register(createProvider({
+            type: 'anthropic-compatible',
+            name: 'glm',
+            authToken: Config.GLM_AUTH_TOKEN,
+            baseURL: Config.GLM_BASE_URL,
+            defaultModel: defaultModelFor('glm', Config.GLM_MODEL)
+        }))
+        .register(createProvider({
+            type: 'openai',
+            name: 'openai',
+            apiKey: Config.OPENAI_API_KEY,
+            baseURL: Config.OPENAI_BASE_URL,
+            defaultModel: defaultModelFor('openai', Config.OPENAI_MODEL)
+        }))
+        .register(createProvider({
+            type: 'ollama',
+            name: 'ollama',
+            baseURL: Config.OLLAMA_BASE_URL,
+            defaultModel: defaultModelFor('ollama', Config.OLLAMA_MODEL)
+        }));
+
+    if (registry.has(Config.DEFAULT_PROVIDER)) {
+        registry.setDefault(Config.DEFAULT_PROVIDER);
+    }
+
+    return registry;
+}
+
+/**
+ * 获取按配置创建的共享注册表（首次调用时创建）
+ */
+export function getDefaultProviders() {
+    if (!defaultRegistry) {
+        defaultRegistry = registerConfiguredProviders(new ProviderRegistry());
+    }
+
+    return defaultRegistry;
+}
@@ -0,0 +1,376 @@
+// src/server/auth.js
+import crypto from 'crypto';
+import path from 'path';
+import Config from '../../config.js';
+import logger from '../utils/logger.js';
+import UserStore, { isValidUserId } from './user-store.js';
+
+// 认证方式：none（不认证，所有请求视为本地管理员）| token | local | proxy
+export const AUTH_MODES = ['none', 'token', 'local', 'proxy'];
+
+// 不认证模式下的用户（与 CLI 相同，数据保存在 data/ 根目录）
+export const LOCAL_USER = { id: 'local', role: 'admin' };
+
+// 无需登录即可访问的接口（相对 /api）
+const PUBLIC_PATHS = new Set(['/auth/config', '/auth/login']);
+
+/**
+ * 创建带 HTTP 状态码的错误
+ * @param {string} message - 错误信息
+ * @param {number} status - 状态码
+ */
+function authError(message, status = 401) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * 令牌摘要（令牌只以摘要形式保存和查找）
+ * @param {string} token - 令牌
+ */
+function digest(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * 解析逗号分隔的列表
+ * @param {string} spec - 配置字符串
+ */
+function parseList(spec) {
+    return (spec || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * 解析静态令牌配置
+ * 每项格式为 用户ID=令牌，多项以逗号分隔，例如 alice=tok-abc,bob=tok-def
+ * @param {string} spec - 配置字符串
+ * @returns {Map<string, string>} 令牌摘要 -> 用户ID
+ */
+export function parseAuthTokens(spec) {
+    const tokens = new Map();
+
+    for (const item of parseList(spec)) {
+        const separator = item.indexOf('=');
+        const userId = item.slice(0, separator).trim();
+        const token = item.slice(separator + 1).trim();
+
+        if (separator < 1 || !token) {
+            throw new Error(`令牌 "${userId || item.slice(0, 8)}…" 的格式无效（应为 用户ID=令牌）`);
+        }
+        if (!isValidUserId(userId)) {
+            throw new Error(`令牌的用户ID无效: ${userId}`);
+        }
+
+        tokens.set(digest(token), userId);
+    }
+
+    return tokens;
+}
+
+/**
+ * 用户的数据目录（对话、自定义模式）
+ * 本地用户沿用 data/ 根目录，与 CLI 和启用认证前的数据兼容
+ * @param {string} userId - 用户ID
+ */
+export function getUserDataDir(userId) {
+    const dataDir = path.join(process.cwd(), 'data');
+    return userId === LOCAL_USER.id ? dataDir : path.join(dataDir, 'users', userId);
+}
+
+/**
+ * 只允许管理员访问的路由中间件
+ */
+export function requireAdmin(req, res, next) {
+    if (req.user?.role === 'admin') {
+        return next();
+    }
+
+    res.status(403).json({
+        success: false,
+        error: '需要管理员权限'
+    });
+}
+
+/**
+ * Web 认证
+ * 解析请求中的用户身份（Bearer 令牌、Basic 认证或代理请求头），未认证的请求返回 401
+ */
+class Authenticator {
+    /**
+     * @param {object} options - 配置项（默认按 .env 配置）
+     * @param {string} options.mode - 认证方式
+     * @param {string} options.tokens - 静态令牌（token 模式）
+     * @param {string} options.admins - 管理员用户ID，逗号分隔（token 和 proxy 模式）
+     * @param {UserStore} options.userStore - 本地账号存储（local 模式）
+     * @param {number} options.loginTtl - 登录令牌有效期（毫秒）
+     * @param {string} options.proxyHeader - 代理传入用户ID的请求头
+     * @param {string} options.proxyTrusted - 可信代理地址，逗号分隔
+     */
+    constructor(options = {}) {
+        this.mode = options.mode || Config.AUTH_MODE;
+
+        if (!AUTH_MODES.includes(this.mode)) {
+            throw new Error(`未知的 AUTH_MODE: ${this.mode}（可选 ${AUTH_MODES.join('、')}）`);
+        }
+
+        this.admins = new Set(parseList(options.admins ?? Config.AUTH_ADMINS));
+        this.loginTtl = options.loginTtl || Config.AUTH_LOGIN_TTL;
+        this.proxyHeader = (options.proxyHeader || Config.AUTH_PROXY_HEADER).toLowerCase();
+        this.proxyTrusted = new Set(parseList(options.proxyTrusted ?? Config.AUTH_PROXY_TRUSTED));
+
+        // 静态令牌（摘要 -> 用户ID）
+        this.tokens = this.mode === 'token' ? parseAuthTokens(options.tokens ?? Config.AUTH_TOKENS) : new Map();
+        if (this.mode === 'token' && this.tokens.size === 0) {
+            throw new Error('AUTH_MODE=token 时必须配置 AUTH_TOKENS');
+        }
+
+        // 本地账号及登录令牌（摘要 -> { userId, expiresAt }，只保存在内存中，重启后需要重新登录）
+        this.userStore = this.mode === 'local'
+            ? options.userStore || new UserStore({ file: path.resolve(Config.AUTH_USERS_FILE) })
+            : null;
+        this.logins = new Map();
+    }
+
+    /**
+     * 本地账号为空时按配置创建管理员
+     */
+    async bootstrap() {
+        if (this.mode !== 'local' || this.userStore.size > 0) {
+            return;
+        }
+
+        if (!Config.AUTH_ADMIN_USERNAME || !Config.AUTH_ADMIN_PASSWORD) {
+            logger.warn('还没有任何账号，请配置 AUTH_ADMIN_USERNAME 和 AUTH_ADMIN_PASSWORD 创建管理员');
+            return;
+        }
+
+        await this.userStore.create({
+            username: Config.AUTH_ADMIN_USERNAME,
+            password: Config.AUTH_ADMIN_PASSWORD,
+            role: 'admin'
+        });
+    }
+
+    /**
+     * 按用户ID确定角色（token 和 proxy 模式按 AUTH_ADMINS）
+     * @param {string} userId - 用户ID
+     */
+    toUser(userId) {
+        if (this.mode === 'none' && userId === LOCAL_USER.id) {
+            return LOCAL_USER;
+        }
+
+        return { id: userId, role: this.admins.has(userId) ? 'admin' : 'user' };
+    }
+
+    /**
+     * 读取 Authorization 请求头
+     * 没有时读取 x-api-key（Anthropic 兼容客户端传入令牌的方式），按 Bearer 令牌处理
+     * @param {object} req - 请求对象
+     * @returns {{scheme: string, credentials: string}|null}
+     */
+    getCredentials(req) {
+        const header = req.get('authorization') || '';
+        const separator = header.indexOf(' ');
+
+        if (separator < 0) {
+            const apiKey = (req.get('x-api-key') || '').trim();
+            return apiKey ? { scheme: 'bearer', credentials: apiKey } : null;
+        }
+
+        return {
+            scheme: header.slice(0, separator).toLowerCase(),
+            credentials: header.slice(separator + 1).trim()
+        };
+    }
+
+    /**
+     * 解析请求的用户身份
+     * @param {object} req - 请求对象
+     * @returns {Promise<object>} 用户 { id, role }
+     * @throws {Error} 未认证时抛出错误（status = 401）
+     */
+    async authenticate(req) {
+        switch (this.mode) {
+            case 'none':
+                return LOCAL_USER;
+            case 'proxy':
+                return this.authenticateProxy(req);
+        }
+
+        const auth = this.getCredentials(req);
+
+        if (auth?.scheme === 'bearer') {
+            const user = this.mode === 'token' ? this.authenticateToken(auth.credentials) : this.authenticateLogin(auth.credentials);
+            if (user) {
+                return user;
+            }
+            throw authError('令牌无效或已过期');
+        }
+
+        // local 模式也接受 Basic 认证（便于脚本调用）
+        if (auth?.scheme === 'basic' && this.mode === 'local') {
+            const decoded = Buffer.from(auth.credentials, 'base64').toString('utf8');
+            const separator = decoded.indexOf(':');
+            const user = await this.userStore.verify(decoded.slice(0, separator), decoded.slice(separator + 1));
+            if (user) {
+                return { id: user.id, role: user.role };
+            }
+            throw authError('用户名或密码错误');
+        }
+
+        throw authError('需要登录');
+    }
+
+    /**
+     * 静态令牌认证
+     * @param {string} token - 令牌
+     */
+    authenticateToken(token) {
+        const userId = this.tokens.get(digest(token));
+        return userId ? this.toUser(userId) : null;
+    }
+
+    /**
+     * 登录令牌认证（local 模式）
+     * 账号被删除或角色变化后立即生效
+     * @param {string} token - 登录令牌
+     */
+    authenticateLogin(token) {
+        const key = digest(token);
+        const login = this.logins.get(key);
+
+        if (!login) {
+            return null;
+        }
+
+        const user = this.userStore.get(login.userId);
+        if (!user || login.expiresAt <= Date.now()) {
+            this.logins.delete(key);
+            return null;
+        }
+
+        return { id: user.id, role: user.role };
+    }
+
+    /**
+     * 反向代理认证：只信任来自可信地址的用户请求头
+     * @param {object} req - 请求对象
+     */
+    authenticateProxy(req) {
+        const address = req.socket.remoteAddress;
+
+        if (!this.proxyTrusted.has(address)) {
+            logger.warn(`拒绝来自非可信代理的请求: ${address}`);
+            throw authError('请求不是来自可信的反向代理', 403);
+        }
+
+        const userId = (req.get(this.proxyHeader) || '').trim();
+
+        if (!userId) {
+            throw authError(`缺少用户请求头: ${this.proxyHeader}`);
+        }
+        if (!isValidUserId(userId)) {
+            throw authError(`用户ID无效: ${userId}`);
+        }
+
+        return this.toUser(userId);
+    }
+
+    /**
+     * 用户名密码登录（local 模式），返回登录令牌
+     * @param {string} username - 用户名
+     * @param {string} password - 密码
+     * @returns {Promise<object>} { token, expiresAt, user }
+     */
+    async login(username, password) {
+        if (this.mode !== 'local') {
+            throw authError(`当前认证方式（${this.mode}）不支持账号登录`, 400);
+        }
+
+        const user = await this.userStore.verify(username, password);
+        if (!user) {
+            logger.warn(`登录失败: ${username}`);
+            throw authError('用户名或密码错误');
+        }
+
+        this.pruneLogins();
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = Date.now() + this.loginTtl;
+        this.logins.set(digest(token), { userId: user.id, expiresAt });
+
+        logger.info(`用户已登录: ${user.id}`);
+        return {
+            token,
+            expiresAt: new Date(expiresAt).toISOString(),
+            user: { id: user.id, role: user.role }
+        };
+    }
+
+    /**
+     * 注销登录令牌
+     * @param {object} req - 请求对象
+     * @returns {boolean} 是否注销
+     */
+    logout(req) {
+        const auth = this.getCredentials(req);
+        return auth?.scheme === 'bearer' && this.logins.delete(digest(auth.credentials));
+    }
+
+    /**
+     * 注销某个用户的全部登录（修改密码、删除账号时）
+     * @param {string} userId - 用户ID
+     */
+    revokeUser(userId) {
+        for (const [key, login] of this.logins.entries()) {
+            if (login.userId === userId) {
+                this.logins.delete(key);
+            }
+        }
+    }
+
+    /**
+     * 清理已过期的登录令牌
+     */
+    pruneLogins() {
+        const now = Date.now();
+
+        for (const [key, login] of this.logins.entries()) {
+            if (login.expiresAt <= now) {
+                this.logins.delete(key);
+            }
+        }
+    }
+
+    /**
+     * 认证中间件（挂载在 /api 和兼容接口的 /v1 上）
+     * 认证通过后注入 req.user，/api 下的公开接口（登录等）跳过认证
+     */
+    middleware() {
+        return async (req, res, next) => {
+            req.auth = this;
+
+            // 公开接口只在 /api 下，兼容接口的同名路径仍需认证（之后的中间件依赖 req.user）
+            if (req.baseUrl === '/api' && PUBLIC_PATHS.has(req.path)) {
+                return next();
+            }
+
+            try {
+                req.user = await this.authenticate(req);
+                next();
+            } catch (error) {
+                if (error.status === 401 && this.mode !== 'proxy') {
+                    res.setHeader('WWW-Authenticate', this.mode === 'local' ? 'Bearer, Basic realm="clever-assistant"' : 'Bearer');
+                }
+                res.status(error.status || 500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
+        };
+    }
+}
+
+export default Authenticator;
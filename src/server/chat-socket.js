@@ -0,0 +1,486 @@
+// src/server/chat-socket.js
+import Config from '../../config.js';
+import logger from '../utils/logger.js';
+import { acceptWebSocket, rejectUpgrade, CLOSE_CODES } from './websocket.js';
+import { parseEventId } from './response-streams.js';
+import { validateStreamOptions } from './event-stream.js';
+
+// WebSocket 接口路径
+export const SOCKET_PATH = '/api/ws';
+
+/**
+ * 创建带 HTTP 状态码的错误
+ * @param {string} message - 错误信息
+ * @param {number} status - 状态码
+ */
+function socketError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * 聊天 WebSocket 服务（GET /api/ws?sessionId=&token=）
+ *
+ * 连接时检查 Origin（只接受本站及 WS_ALLOWED_ORIGINS 中的页面），
+ * 按 HTTP 接口相同的方式认证（浏览器不能设置请求头，令牌通过 token 参数传入）并解析会话。
+ * 消息均为 JSON，客户端发送：
+ *   { type: 'send', requestId, message, options }            发送消息
+ *   { type: 'regenerate', requestId, messageId, options }    重新生成（messageId 省略或为 last 时重新生成最后一条）
+ *   { type: 'edit', requestId, messageId, content, options } 编辑消息并重新对话
+ *   { type: 'cancel', streamId }                             停止生成（按开始时的 options.cancelPolicy 处理部分回复）
+ *   { type: 'resume', lastEventId }                          重连后从最后收到的事件之后继续接收
+ *   { type: 'status' } / { type: 'ping' }
+ * 服务器推送：
+ *   ready（连接成功）、accepted（回复已开始，带 streamId）、
+ *   stream（回复的事件，data 与 SSE 的事件相同，eventId 为 <streamId>:<序号>）、
+ *   status（每次回复结束后的助手状态）、budget（预算变化，如同一用户在其他会话中的花费）、
+ *   heartbeat、pong、error（带 requestId 或 streamId 和 status）
+ * 回复与连接无关：连接断开后继续生成并缓冲，重连后用 resume 继续接收
+ */
+class ChatSocketServer {
+    /**
+     * @param {object} options - 配置项
+     * @param {object} options.app - Express 应用（按 trust proxy 解析客户端IP）
+     * @param {Authenticator} options.auth - 认证
+     * @param {SessionRegistry} options.sessions - 会话注册表
+     * @param {RateLimiter} options.rateLimiter - 限流
+     * @param {ResponseStreams} options.streams - 进行中的流式回复
+     * @param {number} options.heartbeatInterval - 心跳间隔（毫秒）
+     * @param {string} options.allowedOrigins - 允许的其他来源（逗号分隔，如 https://app.example.com）
+     */
+    constructor(options = {}) {
+        this.app = options.app;
+        this.auth = options.auth;
+        this.sessions = options.sessions;
+        this.rateLimiter = options.rateLimiter;
+        this.streams = options.streams;
+        this.heartbeatInterval = options.heartbeatInterval || Config.WS_HEARTBEAT_INTERVAL;
+        this.allowedOrigins = new Set((options.allowedOrigins ?? Config.WS_ALLOWED_ORIGINS)
+            .split(',').map(origin => origin.trim()).filter(Boolean));
+        this.connections = new Set();
+
+        // 定期心跳：上一轮没有收到 pong 的连接视为已断开（不阻止进程退出）
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+        this.heartbeatTimer.unref();
+    }
+
+    /**
+     * 挂载到 HTTP 服务器的 upgrade 事件
+     * @param {http.Server} server - HTTP 服务器
+     */
+    attach(server) {
+        server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+    }
+
+    /**
+     * 检查升级请求的来源
+     * 浏览器不对 WebSocket 执行同源策略，其他网站的页面可以带着用户的 Cookie 连接（跨站 WebSocket 劫持），
+     * 所以只接受与本站同源或在 WS_ALLOWED_ORIGINS 中的页面；没有 Origin 的请求来自非浏览器客户端，按令牌认证
+     * @param {object} req - 升级请求
+     * @returns {boolean} 是否允许
+     */
+    isAllowedOrigin(req) {
+        const origin = req.get('origin');
+
+        if (!origin || this.allowedOrigins.has(origin)) {
+            return true;
+        }
+
+        try {
+            return new URL(origin).host === req.get('host');
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * 处理升级请求：检查来源、按IP限流、认证、解析会话后完成握手
+     * @param {http.IncomingMessage} req - 升级请求
+     * @param {net.Socket} socket - 连接
+     * @param {Buffer} head - 握手之后已收到的数据
+     */
+    async handleUpgrade(req, socket, head) {
+        socket.on('error', () => socket.destroy());
+
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname !== SOCKET_PATH) {
+            return rejectUpgrade(socket, 404, { success: false, error: '未找到请求的资源' });
+        }
+
+        // 使用 Express 的请求对象：req.ip 按 trust proxy 解析，req.get 读取请求头
+        Object.setPrototypeOf(req, this.app.request);
+
+        if (!this.isAllowedOrigin(req)) {
+            logger.warn(`WebSocket 连接被拒绝: ${req.ip} - 不允许的来源 ${req.get('origin')}`);
+            return rejectUpgrade(socket, 403, { success: false, error: '不允许的来源' });
+        }
+
+        const token = url.searchParams.get('token');
+        if (token && !req.headers.authorization) {
+            req.headers.authorization = `Bearer ${token}`;
+        }
+
+        try {
+            await this.rateLimiter.consume(`ip-requests:${req.ip}`, this.rateLimiter.limits.ipRequests, 1, '该IP的请求数');
+
+            const user = await this.auth.authenticate(req);
+            const { session } = this.sessions.resolve(url.searchParams.get('sessionId'), user, req.ip);
+
+            if (socket.destroyed) {
+                return;
+            }
+
+            const ws = acceptWebSocket(req, socket);
+            if (ws) {
+                this.handleConnection(ws, { req, ip: req.ip, user, sessionId: session.id });
+                if (head.length > 0) {
+                    ws.receive(head);
+                }
+            }
+        } catch (error) {
+            logger.warn(`WebSocket 连接被拒绝: ${req.ip} - ${error.message}`);
+            rejectUpgrade(socket, error.status || 500, {
+                success: false,
+                error: error.message,
+                retryAfter: error.retryAfter
+            });
+        }
+    }
+
+    /**
+     * 登记新连接
+     * @param {WebSocketConnection} ws - 连接
+     * @param {object} info - { req, ip, user, sessionId }
+     */
+    handleConnection(ws, info) {
+        const client = {
+            ...info,
+            ws,
+            alive: true,
+            // 正在接收的回复：流ID -> 取消订阅的函数
+            subscriptions: new Map(),
+            // 最近推送的预算（变化时才推送）
+            budget: null
+        };
+
+        this.connections.add(client);
+        logger.info(`WebSocket 已连接: ${info.user.id}/${info.sessionId} (当前 ${this.connections.size} 个)`);
+
+        ws.on('message', (text) => {
+            client.alive = true;
+            this.handleMessage(client, text);
+        });
+        ws.on('pong', () => {
+            client.alive = true;
+        });
+        ws.on('close', () => {
+            this.connections.delete(client);
+            for (const unsubscribe of client.subscriptions.values()) {
+                unsubscribe();
+            }
+            client.subscriptions.clear();
+        });
+
+        this.send(client, { type: 'ready', sessionId: info.sessionId, user: info.user, heartbeatInterval: this.heartbeatInterval });
+        this.sendStatus(client, this.sessions.get(info.sessionId, info.user));
+    }
+
+    /**
+     * 发送消息
+     * @param {object} client - 连接
+     * @param {object} data - 消息
+     */
+    send(client, data) {
+        client.ws.send(JSON.stringify(data));
+    }
+
+    /**
+     * 处理客户端消息，出错时回复 error
+     * @param {object} client - 连接
+     * @param {string} text - 消息文本
+     */
+    async handleMessage(client, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch {
+            return this.send(client, { type: 'error', error: '消息必须是 JSON', status: 400 });
+        }
+
+        try {
+            switch (message?.type) {
+                case 'ping':
+                    return this.send(client, { type: 'pong', time: Date.now() });
+                case 'send':
+                case 'regenerate':
+                case 'edit':
+                    return await this.startStream(client, message);
+                case 'cancel':
+                    return await this.cancelStream(client, message);
+                case 'resume':
+                    return await this.resumeStream(client, message);
+                case 'status': {
+                    const session = await this.getSession(client);
+                    await this.rateLimiter.admit({ ip: client.ip, userId: client.user.id, generation: false });
+                    return this.sendStatus(client, session);
+                }
+                default:
+                    throw socketError(`未知的消息类型: ${message?.type}`);
+            }
+        } catch (error) {
+            if (error.status !== 401 && error.status !== 403) {
+                logger.warn(`WebSocket 请求失败: ${client.user.id} ${message?.type} - ${error.message}`);
+            }
+            this.send(client, {
+                type: 'error',
+                requestId: message?.requestId,
+                streamId: message?.streamId || parseEventId(message?.lastEventId)?.streamId,
+                error: error.message,
+                status: error.status || 500,
+                retryAfter: error.retryAfter
+            });
+        }
+    }
+
+    /**
+     * 重新认证并获取连接的会话（登录失效或账号删除后关闭连接）
+     * @param {object} client - 连接
+     * @returns {Promise<object>} 会话
+     */
+    async getSession(client) {
+        try {
+            client.user = await this.auth.authenticate(client.req);
+        } catch (error) {
+            client.ws.close(CLOSE_CODES.policyViolation, 'unauthorized');
+            throw error;
+        }
+
+        const { session } = this.sessions.resolve(client.sessionId, client.user, client.ip);
+        return session;
+    }
+
+    /**
+     * 按消息类型确定回复的运行方式（先校验消息，避免回复开始后才报错）
+     * @param {object} assistant - 会话的助手
+     * @param {object} message - 客户端消息
+     * @returns {{label: string, run: function}} run 为 (options, send) => Promise<object>
+     */
+    prepareStream(assistant, message) {
+        switch (message.type) {
+            case 'send':
+                if (!message.message) {
+                    throw socketError('消息内容不能为空');
+                }
+                return {
+                    label: '流式聊天',
+                    run: (options, send) => assistant.sendMessageStream(message.message, options, send)
+                };
+
+            case 'regenerate': {
+                const messageId = !message.messageId || message.messageId === 'last'
+                    ? null
+                    : assistant.conversation.getMessage(message.messageId).id;
+                return {
+                    label: '重新生成',
+                    run: (options, send) => assistant.regenerate(messageId, options, send)
+                };
+            }
+
+            case 'edit': {
+                if (!message.content) {
+                    throw socketError('消息内容不能为空');
+                }
+                const messageId = assistant.conversation.getMessage(message.messageId).id;
+                return {
+                    label: '编辑消息',
+                    run: (options, send) => assistant.editMessage(messageId, message.content, options, send)
+                };
+            }
+        }
+    }
+
+    /**
+     * 开始流式回复（与 HTTP 流式接口相同的限流、预算、缓存和Token追踪）
+     * @param {object} client - 连接
+     * @param {object} message - send | regenerate | edit 消息
+     */
+    async startStream(client, message) {
+        const session = await this.getSession(client);
+        const options = message.options || {};
+
+        const invalid = validateStreamOptions(options, session.assistant);
+        if (invalid) {
+            throw socketError(invalid);
+        }
+
+        const { label, run } = this.prepareStream(session.assistant, message);
+        const context = { ip: client.ip, userId: client.user.id };
+
+        await this.rateLimiter.admit({ ...context, body: message, generation: true });
+        const release = this.rateLimiter.acquireGeneration(session.key);
+
+        const stream = this.rateLimiter.run(context, () =>
+            this.streams.start(session.key, label, (send, signal) => run({ ...options, signal }, send))
+        );
+
+        stream.done.then(() => {
+            release();
+            this.broadcastStatus(session);
+        });
+
+        this.send(client, { type: 'accepted', requestId: message.requestId, streamId: stream.id });
+        this.subscribe(client, stream, 0);
+    }
+
+    /**
+     * 停止生成
+     * @param {object} client - 连接
+     * @param {object} message - { streamId }
+     */
+    async cancelStream(client, message) {
+        const session = await this.getSession(client);
+        const stream = this.streams.get(message.streamId, session.key);
+
+        if (!stream) {
+            throw socketError('回复不存在或已过期', 404);
+        }
+
+        this.streams.cancel(stream);
+    }
+
+    /**
+     * 重连后继续接收回复：重放 lastEventId 之后的事件，回复仍在进行时继续推送
+     * @param {object} client - 连接
+     * @param {object} message - { lastEventId }
+     */
+    async resumeStream(client, message) {
+        const session = await this.getSession(client);
+        const position = parseEventId(message.lastEventId);
+
+        if (!position) {
+            throw socketError('lastEventId 格式无效');
+        }
+
+        const stream = this.streams.get(position.streamId, session.key);
+        if (!stream) {
+            throw socketError('回复已结束并过期，无法继续接收', 410);
+        }
+
+        client.subscriptions.get(stream.id)?.();
+        this.send(client, { type: 'resumed', streamId: stream.id, lastEventId: message.lastEventId });
+        this.subscribe(client, stream, position.seq);
+    }
+
+    /**
+     * 把回复的事件推送给连接
+     * @param {object} client - 连接
+     * @param {object} stream - 流
+     * @param {number} afterSeq - 已收到的最后一个事件的序号
+     */
+    subscribe(client, stream, afterSeq) {
+        const unsubscribe = this.streams.subscribe(stream, afterSeq, {
+            onEvent: (event) => this.send(client, { type: 'stream', streamId: stream.id, eventId: event.id, data: event.data }),
+            onEnd: () => client.subscriptions.delete(stream.id)
+        });
+
+        if (!unsubscribe) {
+            throw socketError('需要的事件已超出重放缓冲，无法继续接收', 410);
+        }
+        if (!stream.ended) {
+            client.subscriptions.set(stream.id, unsubscribe);
+        }
+    }
+
+    /**
+     * 推送助手状态（包含预算）
+     * @param {object} client - 连接
+     * @param {object|null} session - 会话
+     */
+    sendStatus(client, session) {
+        if (!session) {
+            return;
+        }
+
+        const status = session.assistant.getStatus();
+        client.budget = JSON.stringify(status.budget);
+        this.send(client, { type: 'status', data: status });
+    }
+
+    /**
+     * 回复结束后向该会话的所有连接推送状态
+     * @param {object} session - 会话
+     */
+    broadcastStatus(session) {
+        for (const client of this.connections) {
+            if (client.user.id === session.user.id && client.sessionId === session.id) {
+                this.sendStatus(client, session);
+            }
+        }
+    }
+
+    /**
+     * 预算变化时推送（同一用户在其他会话中的花费、预算周期切换等）
+     * @param {object} client - 连接
+     */
+    pushBudget(client) {
+        const session = this.sessions.get(client.sessionId, client.user);
+        if (!session) {
+            return;
+        }
+
+        const budget = session.assistant.checkBudget();
+        const snapshot = JSON.stringify(budget);
+
+        if (snapshot !== client.budget) {
+            client.budget = snapshot;
+            this.send(client, { type: 'budget', data: budget });
+        }
+    }
+
+    /**
+     * 心跳：断开上一轮没有回应的连接，其余连接发送 ping 和 heartbeat 消息并检查预算
+     */
+    heartbeat() {
+        for (const client of this.connections) {
+            if (!client.alive) {
+                logger.info(`WebSocket 心跳超时，断开连接: ${client.user.id}/${client.sessionId}`);
+                client.ws.terminate();
+                continue;
+            }
+
+            client.alive = false;
+            client.ws.ping();
+            this.send(client, { type: 'heartbeat', time: Date.now() });
+
+            try {
+                this.pushBudget(client);
+            } catch (error) {
+                logger.warn(`推送预算失败: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * 获取统计信息
+     */
+    getStats() {
+        return {
+            connections: this.connections.size,
+            heartbeatInterval: this.heartbeatInterval
+        };
+    }
+
+    /**
+     * 停止心跳并关闭所有连接
+     */
+    stop() {
+        clearInterval(this.heartbeatTimer);
+
+        for (const client of this.connections) {
+            client.ws.close(CLOSE_CODES.goingAway, 'server shutdown');
+        }
+    }
+}
+
+export default ChatSocketServer;
@@ -0,0 +1,411 @@
+// src/server/compat.js
+import crypto from 'crypto';
+import logger from '../utils/logger.js';
+
+// 统一停止原因与 Chat Completions 的 finish_reason 的对应关系
+const FINISH_REASON_MAP = {
+    end_turn: 'stop',
+    stop_sequence: 'stop',
+    max_tokens: 'length',
+    tool_use: 'tool_calls'
+};
+
+// 按状态码返回的错误类型
+const ERROR_TYPES = {
+    openai: {
+        400: 'invalid_request_error',
+        401: 'authentication_error',
+        403: 'permission_error',
+        404: 'not_found_error',
+        413: 'invalid_request_error',
+        429: 'rate_limit_error'
+    },
+    anthropic: {
+        400: 'invalid_request_error',
+        401: 'authentication_error',
+        403: 'permission_error',
+        404: 'not_found_error',
+        413: 'request_too_large',
+        429: 'rate_limit_error'
+    }
+};
+
+/**
+ * 创建请求格式错误（status = 400）
+ * @param {string} message - 错误信息
+ */
+function requestError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * 生成响应ID（chatcmpl-xxx / msg_xxx 的后缀）
+ */
+export function generateCompatId() {
+    return crypto.randomUUID().replace(/-/g, '').slice(0, 24);
+}
+
+/**
+ * 读取消息内容中的文本
+ * 只支持文本（字符串或 type 为 text 的内容块），图片、工具调用等返回错误
+ * @param {string|Array<object>} content - 消息内容
+ * @returns {string} 文本
+ */
+function readText(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+    if (!Array.isArray(content)) {
+        throw requestError('消息内容必须是字符串或内容块数组');
+    }
+
+    return content.map(block => {
+        if (block?.type !== 'text' || typeof block.text !== 'string') {
+            throw requestError(`不支持的内容类型: ${block?.type}（只支持文本）`);
+        }
+        return block.text;
+    }).join('');
+}
+
+/**
+ * 拆分对话：最后一条必须是用户消息，之前的消息作为历史
+ * @param {Array<object>} messages - { role, content }，content 为文本
+ * @returns {{history: Array<object>, userInput: string}}
+ */
+function splitConversation(messages) {
+    const last = messages[messages.length - 1];
+
+    if (!last || last.role !== 'user') {
+        throw requestError('最后一条消息必须来自 user');
+    }
+    if (!last.content.trim()) {
+        throw requestError('消息内容不能为空');
+    }
+
+    return { history: messages.slice(0, -1), userInput: last.content };
+}
+
+/**
+ * 校验采样参数（未提供时使用模式的设置）
+ * @param {number} maxTokens - 最大输出 tokens
+ * @param {number} temperature - 温度
+ * @param {number} maxTemperature - 温度上限（两种格式不同）
+ * @returns {{maxTokens: number|undefined, temperature: number|undefined}}
+ */
+function readSampling(maxTokens, temperature, maxTemperature) {
+    if (maxTokens !== undefined && maxTokens !== null && !(Number.isInteger(maxTokens) && maxTokens > 0)) {
+        throw requestError('max_tokens 必须是正整数');
+    }
+    if (temperature !== undefined && temperature !== null &&
+        !(typeof temperature === 'number' && temperature >= 0 && temperature <= maxTemperature)) {
+        throw requestError(`temperature 必须在 0-${maxTemperature} 之间`);
+    }
+
+    return { maxTokens: maxTokens ?? undefined, temperature: temperature ?? undefined };
+}
+
+/**
+ * 解析 Chat Completions 请求（POST /v1/chat/completions）
+ * system / developer 消息合并为系统提示，不支持客户端定义的工具
+ * @param {object} body - 请求体
+ * @returns {object} { system, history, userInput, model, maxTokens, temperature, stream, includeUsage }
+ */
+export function parseOpenAIRequest(body = {}) {
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+        throw requestError('messages 不能为空');
+    }
+    if (body.tools?.length || body.functions?.length) {
+        throw requestError('不支持客户端定义的工具（tools）');
+    }
+    if (body.n !== undefined && body.n !== 1) {
+        throw requestError('只支持 n = 1');
+    }
+
+    const system = [];
+    const messages = [];
+
+    for (const message of body.messages) {
+        const role = message?.role;
+
+        if (role === 'system' || role === 'developer') {
+            system.push(readText(message.content));
+        } else if (role === 'user' || role === 'assistant') {
+            messages.push({ role, content: readText(message.content ?? '') });
+        } else {
+            throw requestError(`不支持的消息角色: ${role}`);
+        }
+    }
+
+    return {
+        ...splitConversation(messages),
+        system: system.join('\n\n') || null,
+        ...readSampling(body.max_completion_tokens ?? body.max_tokens, body.temperature, 2),
+        model: body.model || null,
+        stream: body.stream === true,
+        includeUsage: body.stream_options?.include_usage === true
+    };
+}
+
+/**
+ * 解析 Messages 请求（POST /v1/messages）
+ * system 可以是字符串或文本块，不支持工具和助手回复预填
+ * @param {object} body - 请求体
+ * @returns {object} { system, history, userInput, model, maxTokens, temperature, stream }
+ */
+export function parseAnthropicRequest(body = {}) {
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+        throw requestError('messages 不能为空');
+    }
+    if (body.tools?.length) {
+        throw requestError('不支持客户端定义的工具（tools）');
+    }
+
+    const messages = body.messages.map(message => {
+        if (message?.role !== 'user' && message?.role !== 'assistant') {
+            throw requestError(`不支持的消息角色: ${message?.role}`);
+        }
+        return { role: message.role, content: readText(message.content) };
+    });
+
+    return {
+        ...splitConversation(messages),
+        system: body.system ? readText(body.system) : null,
+        ...readSampling(body.max_tokens, body.temperature, 1),
+        model: body.model || null,
+        stream: body.stream === true
+    };
+}
+
+/**
+ * 本次调用的用量（缓存命中时没有消耗，为 0）
+ * @param {object} result - CleverAssistant 的响应
+ */
+function getUsage(result) {
+    return {
+        inputTokens: result.usage?.inputTokens || 0,
+        outputTokens: result.usage?.outputTokens || 0,
+        cacheReadTokens: result.usage?.cacheReadTokens || 0,
+        cacheWriteTokens: result.usage?.cacheWriteTokens || 0
+    };
+}
+
+/**
+ * 转换为 Chat Completions 的 usage
+ * @param {object} result - CleverAssistant 的响应
+ */
+function toOpenAIUsage(result) {
+    const usage = getUsage(result);
+    return {
+        prompt_tokens: usage.inputTokens,
+        completion_tokens: usage.outputTokens,
+        total_tokens: usage.inputTokens + usage.outputTokens
+    };
+}
+
+/**
+ * 转换为 Messages 的 usage
+ * @param {object} result - CleverAssistant 的响应
+ */
+function toAnthropicUsage(result) {
+    const usage = getUsage(result);
+    return {
+        input_tokens: usage.inputTokens,
+        output_tokens: usage.outputTokens,
+        cache_read_input_tokens: usage.cacheReadTokens,
+        cache_creation_input_tokens: usage.cacheWriteTokens
+    };
+}
+
+/**
+ * 统一停止原因转换为 Messages 的 stop_reason
+ * @param {string} stopReason - 停止原因
+ */
+function toAnthropicStopReason(stopReason) {
+    return ['end_turn', 'max_tokens', 'stop_sequence'].includes(stopReason) ? stopReason : 'end_turn';
+}
+
+/**
+ * 非流式响应：Chat Completions 格式
+ * @param {object} result - CleverAssistant 的响应
+ * @param {object} meta - { id, created, model }
+ */
+export function toOpenAICompletion(result, meta) {
+    return {
+        id: `chatcmpl-${meta.id}`,
+        object: 'chat.completion',
+        created: meta.created,
+        model: result.model || meta.model,
+        choices: [{
+            index: 0,
+            message: { role: 'assistant', content: result.content },
+            finish_reason: FINISH_REASON_MAP[result.stopReason] || 'stop'
+        }],
+        usage: toOpenAIUsage(result)
+    };
+}
+
+/**
+ * 非流式响应：Messages 格式
+ * @param {object} result - CleverAssistant 的响应
+ * @param {object} meta - { id, model }
+ */
+export function toAnthropicMessage(result, meta) {
+    return {
+        id: `msg_${meta.id}`,
+        type: 'message',
+        role: 'assistant',
+        model: result.model || meta.model,
+        content: [{ type: 'text', text: result.content }],
+        stop_reason: toAnthropicStopReason(result.stopReason),
+        stop_sequence: null,
+        usage: toAnthropicUsage(result)
+    };
+}
+
+/**
+ * 错误响应体
+ * @param {string} format - openai | anthropic
+ * @param {number} status - 状态码
+ * @param {string} message - 错误信息
+ */
+export function toCompatError(format, status, message) {
+    const type = ERROR_TYPES[format][status] || 'api_error';
+
+    return format === 'openai'
+        ? { error: { message, type, code: null } }
+        : { type: 'error', error: { type, message } };
+}
+
+/**
+ * Chat Completions 流式响应的编码
+ * 依次发送角色、文本增量、finish_reason，按需发送 usage，最后是 [DONE]
+ * @param {object} meta - { id, created, model, includeUsage }
+ */
+function openAIEncoder(meta) {
+    const chunk = (choices, extra = {}) => ({
+        id: `chatcmpl-${meta.id}`,
+        object: 'chat.completion.chunk',
+        created: meta.created,
+        model: meta.model,
+        choices,
+        ...extra
+    });
+    const frame = data => `data: ${JSON.stringify(data)}\n\n`;
+
+    return {
+        start: () => frame(chunk([{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }])),
+        delta: text => frame(chunk([{ index: 0, delta: { content: text }, finish_reason: null }])),
+        finish: result => {
+            let frames = frame(chunk([{ index: 0, delta: {}, finish_reason: FINISH_REASON_MAP[result.stopReason] || 'stop' }]));
+            if (meta.includeUsage) {
+                frames += frame(chunk([], { usage: toOpenAIUsage(result) }));
+            }
+            return `${frames}data: [DONE]\n\n`;
+        },
+        error: (status, message) => frame(toCompatError('openai', status, message))
+    };
+}
+
+/**
+ * Messages 流式响应的编码（message_start → content_block_* → message_delta → message_stop）
+ * 输入 tokens 在调用结束后才知道，随 message_delta 的 usage 一起发送
+ * @param {object} meta - { id, model }
+ */
+function anthropicEncoder(meta) {
+    const frame = data => `event: ${data.type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+    return {
+        start: () => frame({
+            type: 'message_start',
+            message: {
+                id: `msg_${meta.id}`,
+                type: 'message',
+                role: 'assistant',
+                model: meta.model,
+                content: [],
+                stop_reason: null,
+                stop_sequence: null,
+                usage: { input_tokens: 0, output_tokens: 0 }
+            }
+        }) + frame({ type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }),
+        delta: text => frame({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } }),
+        finish: result => frame({ type: 'content_block_stop', index: 0 }) +
+            frame({
+                type: 'message_delta',
+                delta: { stop_reason: toAnthropicStopReason(result.stopReason), stop_sequence: null },
+                usage: toAnthropicUsage(result)
+            }) +
+            frame({ type: 'message_stop' }),
+        error: (status, message) => frame(toCompatError('anthropic', status, message))
+    };
+}
+
+/**
+ * 以兼容格式返回流式响应
+ * 响应头在第一个数据块到达时才发送：预算不足等在生成前失败的请求仍以 JSON 错误和对应状态码返回；
+ * 客户端在响应结束前断开连接时触发 signal，之后不再写入
+ * @param {object} res - Express 响应
+ * @param {string} format - openai | anthropic
+ * @param {object} meta - { id, created, model, includeUsage }
+ * @param {function} run - (onChunk, signal) => Promise<object>，返回 CleverAssistant 的最终响应
+ * @param {function} getFailureStatus - (result) => number，失败响应的状态码
+ */
+export async function streamCompat(res, format, meta, run, getFailureStatus) {
+    const controller = new AbortController();
+    const encoder = format === 'openai' ? openAIEncoder(meta) : anthropicEncoder(meta);
+
+    // 响应结束前连接关闭说明客户端已断开
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            logger.info('兼容接口的客户端已断开，停止生成');
+            controller.abort();
+        }
+    });
+
+    const write = (text) => {
+        if (controller.signal.aborted) {
+            return;
+        }
+        if (!res.headersSent) {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.setHeader('X-Accel-Buffering', 'no');
+            res.write(encoder.start());
+        }
+        res.write(text);
+    };
+
+    const fail = (status, message) => {
+        if (res.headersSent) {
+            write(encoder.error(status, message));
+            res.end();
+        } else {
+            res.status(status).json(toCompatError(format, status, message));
+        }
+    };
+
+    try {
+        const result = await run((chunk) => {
+            if (chunk.type === 'content' && chunk.content) {
+                write(encoder.delta(chunk.content));
+            }
+        }, controller.signal);
+
+        if (controller.signal.aborted) {
+            return res.end();
+        }
+        if (!result.success) {
+            return fail(getFailureStatus(result), result.error);
+        }
+
+        write(encoder.finish(result));
+        res.end();
+
+    } catch (error) {
+        logger.error(`兼容接口流式响应错误: ${error.message}`);
+        fail(error.status || 500, error.message);
+    }
+}
@@ -0,0 +1,144 @@
+// src/server/event-stream.js
+import { parseEventId } from './response-streams.js';
+import logger from '../utils/logger.js';
+
+// 停止生成时部分回复的处理方式
+export const CANCEL_POLICIES = ['keep', 'discard'];
+
+/**
+ * 检查流式请求的参数（在开始流式响应前检查，无效时可以直接返回 400）
+ * @param {object} options - 请求参数
+ * @param {CleverAssistant} assistant - 会话的助手（检查 provider、model 是否允许）
+ * @returns {string|null} 错误信息，参数有效时为 null
+ */
+export function validateStreamOptions(options = {}, assistant = null) {
+    if (options.cancelPolicy && !CANCEL_POLICIES.includes(options.cancelPolicy)) {
+        return `未知的 cancelPolicy: ${options.cancelPolicy}（可选 ${CANCEL_POLICIES.join('、')}）`;
+    }
+
+    try {
+        assistant?.validateTarget(options);
+    } catch (error) {
+        return error.message;
+    }
+    return null;
+}
+
+/**
+ * 设置 SSE 响应头（只在第一次写入前设置，超出重放缓冲时仍可以返回 JSON 错误）
+ * @param {object} res - Express 响应
+ */
+function setEventStreamHeaders(res) {
+    if (res.headersSent) {
+        return;
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+}
+
+/**
+ * 把流的事件写入 SSE 响应（每个事件带 id，用于断线后按 Last-Event-ID 继续），流结束时结束响应
+ * @param {object} req - Express 请求（req.streams）
+ * @param {object} res - Express 响应
+ * @param {object} stream - 流
+ * @param {number} afterSeq - 已收到的最后一个事件的序号
+ * @returns {boolean} 需要的事件已超出重放缓冲时为 false（尚未写入响应）
+ */
+function pipeEvents(req, res, stream, afterSeq) {
+    const unsubscribe = req.streams.subscribe(stream, afterSeq, {
+        onEvent: (event) => {
+            setEventStreamHeaders(res);
+            res.write(`id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`);
+        },
+        onEnd: () => {
+            setEventStreamHeaders(res);
+            res.end();
+        }
+    });
+
+    if (!unsubscribe) {
+        return false;
+    }
+
+    // 客户端断开后停止写入，回复在后台继续，等待重连的时间内没有重连则停止生成
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            logger.info(`客户端已断开，等待重新连接: ${stream.id}`);
+        }
+        unsubscribe();
+    });
+    return true;
+}
+
+/**
+ * 以 SSE 返回流式响应
+ * 依次发送 start、run 推送的数据块和包含最终结果的 end 事件；
+ * 回复在后台运行：客户端断开连接后继续生成并缓冲，STREAM_RESUME_WINDOW 内可以通过 GET /api/chat/stream
+ * 按 Last-Event-ID 继续接收，超时未重连时停止生成；主动停止需要调用 POST /api/chat/stream/:streamId/cancel
+ * @param {object} req - Express 请求（req.streams、req.session）
+ * @param {object} res - Express 响应
+ * @param {string} label - 日志中的接口名称
+ * @param {function} run - (send, signal) => Promise<object>，返回最终结果
+ */
+export function streamResponse(req, res, label, run) {
+    const stream = req.streams.start(req.session.key, label, run);
+
+    // 会话的回复名额在回复结束时释放，而不是在响应关闭时
+    req.generationDone = stream.done;
+
+    res.setHeader('X-Stream-Id', stream.id);
+    pipeEvents(req, res, stream, 0);
+}
+
+/**
+ * 断线后继续接收回复：重放 Last-Event-ID 之后的事件，回复仍在进行时继续推送
+ * 回复已结束并过期（或需要的事件已超出重放缓冲）时返回 410，此时回复已记入对话历史
+ * @param {object} req - Express 请求（Last-Event-ID 请求头，或 lastEventId 查询参数）
+ * @param {object} res - Express 响应
+ */
+export function resumeResponse(req, res) {
+    const position = parseEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+
+    if (!position) {
+        return res.status(400).json({
+            success: false,
+            error: '缺少有效的 Last-Event-ID'
+        });
+    }
+
+    const stream = req.streams.get(position.streamId, req.session.key);
+
+    if (!stream || !pipeEvents(req, res, stream, position.seq)) {
+        res.status(410).json({
+            success: false,
+            error: '回复已结束并过期，无法继续接收'
+        });
+    }
+}
+
+/**
+ * 停止生成（部分回复按开始时的 options.cancelPolicy 处理）
+ * @param {object} req - Express 请求（req.params.streamId）
+ * @param {object} res - Express 响应
+ */
+export function cancelResponse(req, res) {
+    const stream = req.streams.get(req.params.streamId, req.session.key);
+
+    if (!stream) {
+        return res.status(404).json({
+            success: false,
+            error: '回复不存在或已过期'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: {
+            streamId: stream.id,
+            cancelled: req.streams.cancel(stream)
+        }
+    });
+}
@@ -0,0 +1,408 @@
+// src/server/rate-limiter.js
+import { AsyncLocalStorage } from 'async_hooks';
+import RespClient from '../storage/resp-client.js';
+import { contentToText } from '../providers/base-provider.js';
+import Config from '../../config.js';
+import logger from '../utils/logger.js';
+
+// 限流窗口（固定的一分钟窗口）
+const WINDOW_MS = 60000;
+
+// 调用模型的接口（计入 tokens 限流、检查消息长度）
+// 包括兼容接口（/v1 下的 chat/completions 和 messages）
+const GENERATION_PATH = /^\/(chat|chat\/completions|messages|messages\/[^/]+\/(regenerate|edit))(\/stream)?$/;
+
+/**
+ * 内存计数（本进程内有效）
+ */
+export class MemoryRateStore {
+    constructor() {
+        this.name = 'memory';
+        this.counters = new Map(); // key -> { total, expiresAt }
+
+        // 定期清理过期的计数（不阻止进程退出）
+        this.cleanupTimer = setInterval(() => this.prune(), WINDOW_MS);
+        this.cleanupTimer.unref();
+    }
+
+    /**
+     * 增加计数
+     * @param {string} key - 计数键（包含窗口）
+     * @param {number} amount - 增量
+     * @param {number} ttl - 过期时间（毫秒）
+     * @returns {Promise<number>} 增加后的计数
+     */
+    async increment(key, amount, ttl) {
+        const counter = this.counters.get(key);
+
+        if (!counter || counter.expiresAt <= Date.now()) {
+            this.counters.set(key, { total: amount, expiresAt: Date.now() + ttl });
+            return amount;
+        }
+
+        counter.total += amount;
+        return counter.total;
+    }
+
+    prune() {
+        const now = Date.now();
+
+        for (const [key, counter] of this.counters.entries()) {
+            if (counter.expiresAt <= now) {
+                this.counters.delete(key);
+            }
+        }
+    }
+
+    async close() {
+        clearInterval(this.cleanupTimer);
+    }
+}
+
+/**
+ * Redis 计数（多个服务进程共享限流状态）
+ * 每个窗口一个计数键 {prefix}{key}，首次写入时设置过期时间
+ */
+export class RedisRateStore {
+    /**
+     * @param {object} options - 配置项
+     * @param {string} options.url - 连接地址
+     * @param {string} options.prefix - 键前缀
+     * @param {RespClient} options.client - 可注入客户端
+     */
+    constructor(options = {}) {
+        this.name = 'redis';
+        this.prefix = options.prefix || Config.RATE_LIMIT_PREFIX;
+        this.client = options.client || new RespClient({ url: options.url || Config.REDIS_URL });
+    }
+
+    async increment(key, amount, ttl) {
+        const total = await this.client.command('INCRBY', `${this.prefix}${key}`, amount);
+
+        if (total === amount) {
+            await this.client.command('PEXPIRE', `${this.prefix}${key}`, ttl);
+        }
+
+        return total;
+    }
+
+    async close() {
+        await this.client.close();
+    }
+}
+
+/**
+ * 按类型创建限流计数存储
+ * @param {string} type - memory | redis
+ * @param {object} options - 覆盖配置（url、prefix、client）
+ */
+export function createRateStore(type = Config.RATE_LIMIT_STORE, options = {}) {
+    switch (type) {
+        case 'memory':
+            return new MemoryRateStore();
+        case 'redis':
+            return new RedisRateStore(options);
+        default:
+            throw new Error(`未知的限流存储: ${type}（可选 memory、redis）`);
+    }
+}
+
+/**
+ * 创建限流错误（status = 429，retryAfter 为秒）
+ * @param {string} message - 错误信息
+ * @param {number} retryAfter - 建议的重试等待时间（秒）
+ */
+function rateLimitError(message, retryAfter) {
+    const error = new Error(message);
+    error.status = 429;
+    error.retryAfter = Math.max(1, Math.ceil(retryAfter));
+    return error;
+}
+
+/**
+ * API 限流
+ * - 每分钟请求数：按客户端IP（认证之前，也保护登录接口）和按用户
+ * - 每分钟 tokens：按客户端IP和用户累计模型调用实际消耗的 tokens，本窗口已超出时拒绝新的模型调用
+ * - 每个会话同时进行的回复（固定为一个）、兼容接口每个用户同时进行的请求数，以及单条消息的最大长度
+ * 超出限制时返回 429（消息过长为 413）和 Retry-After
+ */
+class RateLimiter {
+    /**
+     * @param {object} options - 配置项（默认按 .env 配置）
+     * @param {object} options.limits - { ipRequests, userRequests, ipTokens, userTokens }，0 表示不限制
+     * @param {number} options.maxConcurrentCompat - 兼容接口每个用户的并发请求数（流式和非流式）
+     * @param {number} options.maxMessageLength - 单条消息的最大字符数
+     * @param {object} options.store - 计数存储（默认按 RATE_LIMIT_STORE 创建）
+     */
+    constructor(options = {}) {
+        this.limits = {
+            ipRequests: Config.RATE_LIMIT_IP_REQUESTS,
+            userRequests: Config.RATE_LIMIT_USER_REQUESTS,
+            ipTokens: Config.RATE_LIMIT_IP_TOKENS,
+            userTokens: Config.RATE_LIMIT_USER_TOKENS,
+            ...options.limits
+        };
+        this.maxConcurrentCompat = options.maxConcurrentCompat ?? Config.MAX_CONCURRENT_COMPAT_REQUESTS;
+        this.maxMessageLength = options.maxMessageLength ?? Config.MAX_MESSAGE_LENGTH;
+        this.store = options.store || createRateStore();
+
+        // 兼容接口每个用户进行中的请求数，以及有进行中回复的会话（只在本进程内计算）
+        this.activeCompat = new Map();
+        this.activeGenerations = new Set();
+        // 当前请求的客户端IP和用户（模型调用记录 tokens 时使用）
+        this.context = new AsyncLocalStorage();
+        this.rejected = 0;
+    }
+
+    /**
+     * 当前窗口的起始时间
+     * @param {number} now - 当前时间
+     */
+    getWindowStart(now = Date.now()) {
+        return now - (now % WINDOW_MS);
+    }
+
+    /**
+     * 增加计数，超出限制时抛出错误
+     * 计数存储不可用时放行请求（限流不应导致服务不可用）
+     * @param {string} name - 计数名称，如 ip-requests:127.0.0.1
+     * @param {number} limit - 每分钟上限（0 表示不限制）
+     * @param {number} amount - 增量（0 表示只检查是否已超出）
+     * @param {string} label - 错误信息中的限制名称
+     */
+    async consume(name, limit, amount, label) {
+        if (!limit) {
+            return;
+        }
+
+        const now = Date.now();
+        const windowStart = this.getWindowStart(now);
+        let total;
+
+        try {
+            total = await this.store.increment(`${name}:${windowStart}`, amount, WINDOW_MS * 2);
+        } catch (error) {
+            logger.warn(`限流计数失败（${this.store.name}）: ${error.message}`);
+            return;
+        }
+
+        // 只检查时计数未变化，达到上限即拒绝；计数时超过上限才拒绝
+        if (amount === 0 ? total >= limit : total > limit) {
+            throw rateLimitError(`${label}已达上限 (${limit}/分钟)，请稍后再试`, (windowStart + WINDOW_MS - now) / 1000);
+        }
+    }
+
+    /**
+     * 记录模型调用消耗的 tokens（TokenTracker 的 onUsage 回调）
+     * 只计入 Web 请求中的调用，计数失败不影响请求
+     * @param {object} record - 调用记录
+     */
+    recordUsage(record) {
+        const context = this.context.getStore();
+        const tokens = record.inputTokens + record.outputTokens;
+
+        if (!context || tokens <= 0) {
+            return;
+        }
+
+        const windowStart = this.getWindowStart();
+        const counters = [
+            this.limits.ipTokens && `ip-tokens:${context.ip}`,
+            this.limits.userTokens && `user-tokens:${context.userId}`
+        ].filter(Boolean);
+
+        for (const name of counters) {
+            this.store.increment(`${name}:${windowStart}`, tokens, WINDOW_MS * 2).catch(error => {
+                logger.warn(`记录 tokens 限流失败（${this.store.name}）: ${error.message}`);
+            });
+        }
+    }
+
+    /**
+     * 发送限流错误响应
+     * @param {object} res - Express 响应
+     * @param {Error} error - 限流错误
+     */
+    reject(res, error) {
+        this.rejected++;
+
+        if (error.retryAfter) {
+            res.setHeader('Retry-After', String(error.retryAfter));
+        }
+
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            retryAfter: error.retryAfter
+        });
+    }
+
+    /**
+     * 按客户端IP限流的中间件（挂载在认证之前）
+     */
+    ipMiddleware() {
+        return async (req, res, next) => {
+            try {
+                await this.consume(`ip-requests:${req.ip}`, this.limits.ipRequests, 1, '该IP的请求数');
+                next();
+            } catch (error) {
+                logger.warn(`请求被限流: ${req.ip} ${req.method} ${req.path} - ${error.message}`);
+                this.reject(res, error);
+            }
+        };
+    }
+
+    /**
+     * 检查一次请求：用户的请求数，模型调用还检查消息长度和 tokens
+     * @param {object} request - { ip, userId, body, generation }
+     * @throws {Error} 超出限制时抛出错误（status = 429 或 413）
+     */
+    async admit({ ip, userId, body, generation }) {
+        if (generation) {
+            this.checkMessageLength(body);
+        }
+
+        await this.consume(`user-requests:${userId}`, this.limits.userRequests, 1, '用户的请求数');
+
+        if (generation) {
+            await this.consume(`ip-tokens:${ip}`, this.limits.ipTokens, 0, '该IP的 tokens 用量');
+            await this.consume(`user-tokens:${userId}`, this.limits.userTokens, 0, '用户的 tokens 用量');
+        }
+    }
+
+    /**
+     * 在请求的上下文中执行（其中的模型调用按该IP和用户累计 tokens）
+     * @param {object} context - { ip, userId }
+     * @param {function} fn - 要执行的函数
+     */
+    run(context, fn) {
+        return this.context.run(context, fn);
+    }
+
+    /**
+     * 按用户和会话限流的中间件（挂载在会话解析之后）
+     * 模型调用接口还检查消息长度、tokens，以及会话中进行中的回复或兼容接口的并发请求数
+     */
+    userMiddleware() {
+        return async (req, res, next) => {
+            const userId = req.user.id;
+            const generation = req.method === 'POST' && GENERATION_PATH.test(req.path);
+
+            try {
+                await this.admit({ ip: req.ip, userId, body: req.body, generation });
+
+                // 会话中的回复共用对话历史，同时只能进行一个（流式或非流式）；
+                // 兼容接口没有会话，按用户计算并发请求（流式和非流式）；
+                // 名额在回复结束时释放（路由把回复的 Promise 设为 req.generationDone），
+                // 客户端提前断开时回复仍在进行，此时释放会让同一会话的下一个请求与它同时修改对话历史
+                const release = !generation ? null
+                    : req.session ? this.acquireGeneration(req.session.key)
+                        : this.acquireCompat(userId);
+                if (release) {
+                    res.once('close', () => Promise.resolve(req.generationDone).then(release, release));
+                }
+            } catch (error) {
+                logger.warn(`请求被限流: ${userId} ${req.method} ${req.path} - ${error.message}`);
+                return this.reject(res, error);
+            }
+
+            this.run({ ip: req.ip, userId }, next);
+        };
+    }
+
+    /**
+     * 检查消息长度（发送消息的 message、编辑消息的 content，或兼容接口 messages 中的最后一条）
+     * @param {object} body - 请求体
+     */
+    checkMessageLength(body = {}) {
+        const last = Array.isArray(body.messages) ? body.messages[body.messages.length - 1]?.content : null;
+        const text = body.message ?? body.content ?? (typeof last === 'string' || Array.isArray(last) ? contentToText(last) : undefined);
+
+        if (typeof text === 'string' && text.length > this.maxMessageLength) {
+            const error = new Error(`消息过长（${text.length} 个字符，最多 ${this.maxMessageLength}）`);
+            error.status = 413;
+            throw error;
+        }
+    }
+
+    /**
+     * 开始会话中的一次回复
+     * 同一会话的回复读写同一份对话历史，并发时会交错写入，失败的回复还会截掉另一个回复的消息，所以同时只允许一个
+     * @param {string} sessionKey - 会话的键
+     * @returns {function} 结束回复的函数（回复结束后调用，重复调用无效）
+     * @throws {Error} 会话已有进行中的回复时抛出错误（status = 429）
+     */
+    acquireGeneration(sessionKey) {
+        if (this.activeGenerations.has(sessionKey)) {
+            throw rateLimitError('当前会话已有进行中的回复，请等待完成或停止后再试', 1);
+        }
+
+        this.activeGenerations.add(sessionKey);
+
+        let released = false;
+        return () => {
+            if (!released) {
+                released = true;
+                this.activeGenerations.delete(sessionKey);
+            }
+        };
+    }
+
+    /**
+     * 会话是否有进行中的回复
+     * @param {string} sessionKey - 会话的键
+     */
+    isGenerating(sessionKey) {
+        return this.activeGenerations.has(sessionKey);
+    }
+
+    /**
+     * 占用用户的一个兼容接口请求名额（每次请求使用独立的对话，流式和非流式共用名额）
+     * @param {string} userId - 用户ID
+     * @returns {function} 释放名额的函数（回复结束时调用，重复调用无效）
+     */
+    acquireCompat(userId) {
+        const active = this.activeCompat.get(userId) || 0;
+
+        if (this.maxConcurrentCompat && active >= this.maxConcurrentCompat) {
+            throw rateLimitError(`已有 ${active} 个进行中的兼容接口请求，请等待完成后再试`, 1);
+        }
+
+        this.activeCompat.set(userId, active + 1);
+
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+
+            const remaining = (this.activeCompat.get(userId) || 1) - 1;
+            if (remaining > 0) {
+                this.activeCompat.set(userId, remaining);
+            } else {
+                this.activeCompat.delete(userId);
+            }
+        };
+    }
+
+    /**
+     * 获取统计信息
+     */
+    getStats() {
+        return {
+            store: this.store.name,
+            limits: this.limits,
+            maxConcurrentCompat: this.maxConcurrentCompat,
+            activeCompat: [...this.activeCompat.values()].reduce((sum, count) => sum + count, 0),
+            activeGenerations: this.activeGenerations.size,
+            rejected: this.rejected
+        };
+    }
+
+    async close() {
+        await this.store.close();
+    }
+}
+
+export default RateLimiter;
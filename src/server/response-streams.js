@@ -0,0 +1,245 @@
+// src/server/response-streams.js
+import crypto from 'crypto';
+import Config from '../../config.js';
+import logger from '../utils/logger.js';
+
+/**
+ * 解析事件ID（<流ID>:<序号>）
+ * @param {string} eventId - 事件ID
+ * @returns {{streamId: string, seq: number}|null} 格式无效时为 null
+ */
+export function parseEventId(eventId) {
+    const separator = typeof eventId === 'string' ? eventId.lastIndexOf(':') : -1;
+    const seq = separator > 0 ? Number(eventId.slice(separator + 1)) : NaN;
+
+    if (!Number.isInteger(seq) || seq < 0) {
+        return null;
+    }
+
+    return { streamId: eventId.slice(0, separator), seq };
+}
+
+/**
+ * 进行中的流式回复及其重放缓冲
+ * 回复在后台运行，与接收它的连接无关：事件按顺序编号（事件ID为 <流ID>:<序号>），
+ * 连接断开后可以从最后收到的事件之后继续接收；结束后缓冲再保留 STREAM_REPLAY_TTL。
+ * 最后一个订阅者离开后，STREAM_RESUME_WINDOW 内没有重新订阅则自动停止生成（避免无人接收的回复继续消耗额度）
+ */
+class ResponseStreams {
+    /**
+     * @param {object} options - 配置项
+     * @param {number} options.replayTtl - 回复结束后保留缓冲的时间（毫秒）
+     * @param {number} options.maxEvents - 每个回复最多缓冲的事件数（超出时丢弃最早的事件）
+     * @param {number} options.resumeWindow - 没有订阅者后等待重连的时间（毫秒），超时后停止生成
+     */
+    constructor(options = {}) {
+        this.replayTtl = options.replayTtl ?? Config.STREAM_REPLAY_TTL;
+        this.maxEvents = options.maxEvents || Config.STREAM_REPLAY_MAX_EVENTS;
+        this.resumeWindow = options.resumeWindow ?? Config.STREAM_RESUME_WINDOW;
+        this.streams = new Map();
+
+        // 定期清理已过期的缓冲（不阻止进程退出）
+        this.cleanupTimer = setInterval(() => this.cleanup(), Math.max(1000, Math.min(this.replayTtl, 60000)));
+        this.cleanupTimer.unref();
+    }
+
+    /**
+     * 在后台开始一个流式回复
+     * 依次记录 start、run 推送的数据块和包含最终结果的 end 事件（出错时为 error 事件）
+     * @param {string} ownerKey - 所属会话的键（只有该会话可以订阅和取消）
+     * @param {string} label - 日志中的名称
+     * @param {function} run - (send, signal) => Promise<object>，返回最终结果
+     * @returns {object} 流 { id, ownerKey, done }
+     */
+    start(ownerKey, label, run) {
+        const stream = {
+            id: crypto.randomUUID(),
+            ownerKey,
+            events: [],
+            nextSeq: 1,
+            ended: false,
+            expiresAt: null,
+            controller: new AbortController(),
+            listeners: new Set(),
+            idleTimer: null
+        };
+
+        this.streams.set(stream.id, stream);
+        stream.done = this.execute(stream, label, run);
+
+        return stream;
+    }
+
+    /**
+     * 运行回复并记录事件
+     * @param {object} stream - 流
+     * @param {string} label - 日志中的名称
+     * @param {function} run - (send, signal) => Promise<object>
+     */
+    async execute(stream, label, run) {
+        const send = (data) => this.append(stream, data);
+
+        try {
+            send({ type: 'start' });
+
+            const response = await run(send, stream.controller.signal);
+
+            send({ type: 'end', ...response });
+        } catch (error) {
+            logger.error(`${label}错误: ${error.message}`);
+            send({ type: 'error', error: error.message });
+        } finally {
+            stream.ended = true;
+            stream.expiresAt = Date.now() + this.replayTtl;
+            clearTimeout(stream.idleTimer);
+
+            for (const listener of stream.listeners) {
+                listener.onEnd?.();
+            }
+            stream.listeners.clear();
+        }
+    }
+
+    /**
+     * 记录事件并推送给订阅者
+     * @param {object} stream - 流
+     * @param {object} data - 事件数据
+     */
+    append(stream, data) {
+        const seq = stream.nextSeq++;
+        const event = { id: `${stream.id}:${seq}`, seq, data };
+
+        stream.events.push(event);
+        if (stream.events.length > this.maxEvents) {
+            stream.events.shift();
+        }
+
+        for (const listener of stream.listeners) {
+            listener.onEvent(event);
+        }
+    }
+
+    /**
+     * 获取流（只返回属于该会话的流）
+     * @param {string} streamId - 流ID
+     * @param {string} ownerKey - 会话的键
+     * @returns {object|null} 流，不存在、已过期或不属于该会话时为 null
+     */
+    get(streamId, ownerKey) {
+        const stream = this.streams.get(streamId);
+
+        if (!stream || stream.ownerKey !== ownerKey || this.isExpired(stream)) {
+            return null;
+        }
+
+        return stream;
+    }
+
+    /**
+     * 订阅流：先重放序号大于 afterSeq 的已缓冲事件，再接收新事件
+     * 取消订阅后如果回复仍在进行且没有其他订阅者，resumeWindow 内没有重新订阅将停止生成
+     * @param {object} stream - 流
+     * @param {number} afterSeq - 已收到的最后一个事件的序号（0 表示从头接收）
+     * @param {object} listener - { onEvent(event), onEnd() }，event 为 { id, seq, data }
+     * @returns {function|null} 取消订阅的函数；需要的事件已被丢弃（超出缓冲）时为 null
+     */
+    subscribe(stream, afterSeq, listener) {
+        const oldest = stream.events.length > 0 ? stream.events[0].seq : stream.nextSeq;
+        if (afterSeq + 1 < oldest) {
+            return null;
+        }
+
+        for (const event of stream.events) {
+            if (event.seq > afterSeq) {
+                listener.onEvent(event);
+            }
+        }
+
+        if (stream.ended) {
+            listener.onEnd?.();
+            return () => {};
+        }
+
+        clearTimeout(stream.idleTimer);
+        stream.idleTimer = null;
+
+        stream.listeners.add(listener);
+        return () => this.unsubscribe(stream, listener);
+    }
+
+    /**
+     * 取消订阅；最后一个订阅者离开时开始等待重连
+     * @param {object} stream - 流
+     * @param {object} listener - subscribe() 传入的 listener
+     */
+    unsubscribe(stream, listener) {
+        if (!stream.listeners.delete(listener) || stream.ended || stream.listeners.size > 0) {
+            return;
+        }
+
+        stream.idleTimer = setTimeout(() => {
+            stream.idleTimer = null;
+            if (stream.listeners.size === 0 && this.cancel(stream)) {
+                logger.info(`${this.resumeWindow}ms 内没有重新连接，已停止生成: ${stream.id}`);
+            }
+        }, this.resumeWindow);
+        stream.idleTimer.unref();
+    }
+
+    /**
+     * 停止生成（已生成的部分按请求的 cancelPolicy 处理）
+     * @param {object} stream - 流
+     * @returns {boolean} 是否仍在进行中
+     */
+    cancel(stream) {
+        if (stream.ended) {
+            return false;
+        }
+
+        stream.controller.abort();
+        return true;
+    }
+
+    isExpired(stream, now = Date.now()) {
+        return stream.ended && stream.expiresAt <= now;
+    }
+
+    /**
+     * 清理已过期的缓冲
+     */
+    cleanup() {
+        const now = Date.now();
+
+        for (const [id, stream] of this.streams.entries()) {
+            if (this.isExpired(stream, now)) {
+                this.streams.delete(id);
+            }
+        }
+    }
+
+    /**
+     * 获取统计信息
+     */
+    getStats() {
+        const streams = [...this.streams.values()];
+
+        return {
+            active: streams.filter(stream => !stream.ended).length,
+            buffered: streams.filter(stream => stream.ended).length,
+            replayTtl: this.replayTtl
+        };
+    }
+
+    /**
+     * 停止清理任务并中止进行中的回复
+     */
+    stop() {
+        clearInterval(this.cleanupTimer);
+
+        for (const stream of this.streams.values()) {
+            this.cancel(stream);
+        }
+    }
+}
+
+export default ResponseStreams;
@@ -0,0 +1,124 @@
+// src/server/routes/auth.js
+import express from 'express';
+import logger from '../../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/auth/config
+ * 获取认证方式（无需登录，网页据此显示登录表单）
+ */
+router.get('/auth/config', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            mode: req.auth.mode
+        }
+    });
+});
+
+/**
+ * POST /api/auth/login
+ * 用户名密码登录（AUTH_MODE=local），返回登录令牌（请求头 Authorization: Bearer <token>）
+ * 请求体: { username, password }
+ */
+router.post('/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+
+        if (!username || !password) {
+            return res.status(400).json({
+                success: false,
+                error: '用户名和密码不能为空'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await req.auth.login(username, password)
+        });
+    } catch (error) {
+        logger.error(`登录错误: ${error.message}`);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * 注销当前的登录令牌
+ */
+router.post('/auth/logout', (req, res) => {
+    try {
+        req.auth.logout(req);
+
+        res.json({
+            success: true,
+            message: '已注销'
+        });
+    } catch (error) {
+        logger.error(`注销错误: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/auth/me
+ * 获取当前用户
+ */
+router.get('/auth/me', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            mode: req.auth.mode,
+            user: req.user
+        }
+    });
+});
+
+/**
+ * PUT /api/auth/password
+ * 修改自己的密码（AUTH_MODE=local），其他登录全部失效，返回新的登录令牌
+ * 请求体: { currentPassword, newPassword }
+ */
+router.put('/auth/password', async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body || {};
+        const auth = req.auth;
+
+        if (auth.mode !== 'local') {
+            return res.status(400).json({
+                success: false,
+                error: `当前认证方式（${auth.mode}）不支持修改密码`
+            });
+        }
+
+        if (!await auth.userStore.verify(req.user.id, currentPassword || '')) {
+            return res.status(403).json({
+                success: false,
+                error: '当前密码错误'
+            });
+        }
+
+        await auth.userStore.setPassword(req.user.id, newPassword);
+        auth.revokeUser(req.user.id);
+
+        res.json({
+            success: true,
+            data: await auth.login(req.user.id, newPassword)
+        });
+    } catch (error) {
+        logger.error(`修改密码错误: ${error.message}`);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+export default router;
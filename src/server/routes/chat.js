@@ -1,6 +1,7 @@
 // src/server/routes/chat.js
 import express from 'express';
 import logger from '../../utils/logger.js';
+import { streamResponse, resumeResponse, cancelResponse, validateStreamOptions } from '../event-stream.js';
 
 const router = express.Router();
 
@@ -20,12 +21,14 @@ router.post('/chat', async (req, res) => {
             });
         }
 
-        const response = await assistant.sendMessage(message, options);
+        // 会话的回复名额在调用结束时释放，而不是在响应关闭时
+        req.generationDone = assistant.sendMessage(message, options);
+        const response = await req.generationDone;
 
         res.json(response);
     } catch (error) {
         logger.error(`聊天API错误: ${error.message}`);
-        res.status(500).json({
+        res.status(error.status || 500).json({
             success: false,
             error: error.message
         });
@@ -34,12 +37,54 @@ router.post('/chat', async (req, res) => {
 
 /**
  * POST /api/chat/stream
- * 发送消息（流式响应，使用 SSE）
+ * 发送消息（流式响应，使用 SSE，每个事件带 id，响应头 X-Stream-Id 为流ID）
+ * 客户端断开连接后回复在后台继续，可以通过 GET /api/chat/stream 继续接收；
+ * 停止生成使用 POST /api/chat/stream/:streamId/cancel，已生成的部分按 options.cancelPolicy（keep | discard）处理
+ */
+router.post('/chat/stream', (req, res) => {
+    const { message, options = {} } = req.body;
+
+    if (!message) {
+        return res.status(400).json({
+            success: false,
+            error: '消息内容不能为空'
+        });
+    }
+
+    const invalid = validateStreamOptions(options, req.assistant);
+    if (invalid) {
+        return res.status(400).json({
+            success: false,
+            error: invalid
+        });
+    }
+
+    // 使用流式聊天（包含预算检查、缓存和Token追踪）
+    streamResponse(req, res, '流式聊天API', (send, signal) =>
+        req.assistant.sendMessageStream(message, { ...options, signal }, send)
+    );
+});
+
+/**
+ * GET /api/chat/stream
+ * 断线后继续接收回复（请求头 Last-Event-ID 为最后收到的事件ID，不需要重新发送消息）
+ * 适用于所有流式接口（包括重新生成、编辑和 WebSocket 开始的回复）；回复结束并过期后返回 410
+ */
+router.get('/chat/stream', resumeResponse);
+
+/**
+ * POST /api/chat/stream/:streamId/cancel
+ * 停止生成
+ */
+router.post('/chat/stream/:streamId/cancel', cancelResponse);
+
+/**
+ * POST /api/estimate
+ * 发送前估算请求成本（不发送请求）
  */
-router.post('/chat/stream', async (req, res) => {
+router.post('/estimate', (req, res) => {
     try {
         const { message, options = {} } = req.body;
-        const assistant = req.assistant;
 
         if (!message) {
             return res.status(400).json({
@@ -48,33 +93,16 @@ router.post('/chat/stream', async (req, res) => {
             });
         }
 
-        // 设置 SSE 响应头
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        res.setHeader('X-Accel-Buffering', 'no');
-
-        // 发送开始事件
-        res.write(`data: ${JSON.stringify({ type: 'start' })}\n\n`);
-
-        // 使用流式聊天
-        const response = await assistant.conversation.chatStream(
-            message,
-            options,
-            (chunk) => {
-                // 发送数据块
-                res.write(`data: ${JSON.stringify(chunk)}\n\n`);
-            }
-        );
-
-        // 发送结束事件
-        res.write(`data: ${JSON.stringify({ type: 'end', ...response })}\n\n`);
-        res.end();
-
+        res.json({
+            success: true,
+            data: req.assistant.previewRequest(message, options)
+        });
     } catch (error) {
-        logger.error(`流式聊天API错误: ${error.message}`);
-        res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-        res.end();
+        logger.error(`估算请求错误: ${error.message}`);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
     }
 });
 
@@ -100,6 +128,54 @@ router.get('/status', (req, res) => {
     }
 });
 
+/**
+ * GET /api/session
+ * 获取当前会话信息
+ */
+router.get('/session', (req, res) => {
+    try {
+        const session = req.session;
+
+        res.json({
+            success: true,
+            data: {
+                sessionId: session.id,
+                user: req.user,
+                createdAt: new Date(session.createdAt).toISOString(),
+                lastActiveAt: new Date(session.lastActiveAt).toISOString(),
+                idleTimeout: req.sessions.idleTimeout
+            }
+        });
+    } catch (error) {
+        logger.error(`获取会话错误: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/session
+ * 结束当前会话（保存对话后释放资源）
+ */
+router.delete('/session', (req, res) => {
+    try {
+        req.sessions.destroy(req.session.key);
+
+        res.json({
+            success: true,
+            message: '会话已结束'
+        });
+    } catch (error) {
+        logger.error(`结束会话错误: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/modes
  * 获取可用模式列表
@@ -122,6 +198,151 @@ router.get('/modes', (req, res) => {
     }
 });
 
+/**
+ * POST /api/modes
+ * 创建自定义模式
+ * 请求体: { id, name, systemPrompt, temperature, maxTokens, model? }，或 { id, cloneFrom, ...覆盖字段 }
+ */
+router.post('/modes', (req, res) => {
+    try {
+        const assistant = req.assistant;
+        const { cloneFrom, ...mode } = req.body || {};
+
+        const created = cloneFrom
+            ? assistant.cloneMode(cloneFrom, mode.id, mode)
+            : assistant.createMode(mode);
+
+        res.status(201).json({
+            success: true,
+            data: created
+        });
+    } catch (error) {
+        logger.error(`创建模式错误: ${error.message}`);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/modes/:id
+ * 更新自定义模式（内置模式只读）
+ */
+router.put('/modes/:id', (req, res) => {
+    try {
+        const assistant = req.assistant;
+        const { id, ...changes } = req.body || {};
+
+        res.json({
+            success: true,
+            data: assistant.updateMode(req.params.id, changes)
+        });
+    } catch (error) {
+        logger.error(`更新模式错误: ${error.message}`);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/modes/:id
+ * 删除自定义模式（内置模式只读）
+ */
+router.delete('/modes/:id', (req, res) => {
+    try {
+        const assistant = req.assistant;
+        assistant.deleteMode(req.params.id);
+
+        res.json({
+            success: true,
+            message: '模式已删除',
+            data: {
+                mode: assistant.currentMode
+            }
+        });
+    } catch (error) {
+        logger.error(`删除模式错误: ${error.message}`);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/tools
+ * 获取已注册的工具列表
+ */
+router.get('/tools', (req, res) => {
+    try {
+        const assistant = req.assistant;
+
+        res.json({
+            success: true,
+            data: assistant.tools ? assistant.tools.list() : []
+        });
+    } catch (error) {
+        logger.error(`获取工具错误: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/providers
+ * 获取已注册的模型提供方
+ */
+router.get('/providers', (req, res) => {
+    try {
+        const assistant = req.assistant;
+
+        res.json({
+            success: true,
+            data: {
+                current: assistant.conversation.provider,
+                model: assistant.conversation.model,
+                providers: assistant.listProviders()
+            }
+        });
+    } catch (error) {
+        logger.error(`获取提供方错误: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/provider/:provider
+ * 切换当前会话的模型提供方（请求体可选 { model }）
+ */
+router.post('/provider/:provider', (req, res) => {
+    try {
+        const assistant = req.assistant;
+        assistant.switchProvider(req.params.provider, req.body?.model);
+
+        res.json({
+            success: true,
+            data: {
+                provider: assistant.conversation.provider,
+                model: assistant.conversation.model
+            }
+        });
+    } catch (error) {
+        logger.error(`切换提供方错误: ${error.message}`);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * POST /api/mode/:mode
  * 切换助手模式
@@ -0,0 +1,196 @@
+// src/server/routes/compat.js
+import express from 'express';
+import {
+    generateCompatId,
+    parseOpenAIRequest,
+    parseAnthropicRequest,
+    toOpenAICompletion,
+    toAnthropicMessage,
+    toCompatError,
+    streamCompat
+} from '../compat.js';
+import logger from '../../utils/logger.js';
+
+const router = express.Router();
+
+// 选择模式的请求头（未指定时 model 为模式ID则使用该模式，否则使用默认模式）
+const MODE_HEADER = 'x-assistant-mode';
+const DEFAULT_MODE = 'learning';
+
+/**
+ * 创建带 HTTP 状态码的错误
+ * @param {string} message - 错误信息
+ * @param {number} status - 状态码
+ */
+function compatError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * 确定本次请求的模式和模型
+ * model 为模式ID时视为选择模式，其他值作为该模式提供方的模型名称（须在允许列表中，见 CleverAssistant.isAllowedModel）
+ * @param {object} req - 请求对象
+ * @param {string|null} model - 请求体中的 model
+ * @returns {{mode: string, model: string|null}}
+ */
+function resolveMode(req, model) {
+    const header = req.get(MODE_HEADER);
+
+    if (header) {
+        if (!req.modeStore.get(header)) {
+            throw compatError(`未知的模式: ${header}`);
+        }
+        return { mode: header, model: model && !req.modeStore.get(model) ? model : null };
+    }
+
+    if (model && req.modeStore.get(model)) {
+        return { mode: model, model: null };
+    }
+
+    return { mode: DEFAULT_MODE, model };
+}
+
+/**
+ * 为本次请求创建助手：应用模式预设，请求中的系统提示和采样参数覆盖预设，再载入请求携带的历史
+ * 助手只用于本次请求（不保存对话），预算、缓存和用量账本与网页会话共享
+ * @param {object} req - 请求对象
+ * @param {string} format - openai | anthropic
+ * @param {object} request - 解析后的请求
+ */
+function prepareAssistant(req, format, request) {
+    const { mode, model } = resolveMode(req, request.model);
+    const assistant = req.createAssistant(mode, `compat-${format}`);
+    const conversation = assistant.conversation;
+
+    if (request.system) {
+        conversation.setSystemPrompt(request.system);
+    }
+    if (request.maxTokens !== undefined) {
+        conversation.maxTokens = request.maxTokens;
+    }
+    if (request.temperature !== undefined) {
+        conversation.temperature = request.temperature;
+    }
+    for (const message of request.history) {
+        conversation.addMessage(message.role, message.content);
+    }
+
+    const options = { temperature: conversation.temperature, cancelPolicy: 'discard' };
+    if (model) {
+        options.model = model;
+    }
+    assistant.validateTarget(options);
+
+    // 两种格式的 temperature 上限不同（OpenAI 为 2），按实际调用的提供方检查，避免上游返回错误
+    const { provider } = conversation.resolveTarget(options);
+    if (request.temperature !== undefined && request.temperature > provider.maxTemperature) {
+        throw compatError(`temperature 必须在 0-${provider.maxTemperature} 之间（${provider.name} 提供方）`);
+    }
+
+    return { assistant, mode, options };
+}
+
+/**
+ * 失败响应的状态码：预算不足为 429，其余为上游调用失败
+ * @param {object} result - CleverAssistant 的响应
+ */
+function getFailureStatus(result) {
+    return result.budget ? 429 : 502;
+}
+
+/**
+ * 处理兼容格式的对话请求
+ * @param {object} req - 请求对象
+ * @param {object} res - 响应对象
+ * @param {string} format - openai | anthropic
+ * @param {function} parse - 请求体解析函数
+ */
+async function handleCompletion(req, res, format, parse) {
+    try {
+        const request = parse(req.body);
+        const { assistant, mode, options } = prepareAssistant(req, format, request);
+        const meta = {
+            id: generateCompatId(),
+            created: Math.floor(Date.now() / 1000),
+            model: assistant.conversation.resolveTarget(options).model,
+            includeUsage: request.includeUsage
+        };
+
+        logger.info(`兼容接口请求 (${format}): ${req.user.id}，${mode} 模式，${request.history.length + 1} 条消息`);
+        res.setHeader('X-Assistant-Mode', mode);
+
+        // 用户的并发请求名额在回复结束时释放，而不是在响应关闭时
+        if (request.stream) {
+            req.generationDone = streamCompat(res, format, meta, (onChunk, signal) =>
+                assistant.sendMessageStream(request.userInput, { ...options, signal }, onChunk),
+            getFailureStatus);
+            return await req.generationDone;
+        }
+
+        req.generationDone = assistant.sendMessage(request.userInput, options);
+        const result = await req.generationDone;
+        if (!result.success) {
+            const status = getFailureStatus(result);
+            return res.status(status).json(toCompatError(format, status, result.error));
+        }
+
+        res.setHeader('X-Assistant-Cache', result.fromCache ? 'hit' : 'miss');
+        res.json(format === 'openai' ? toOpenAICompletion(result, meta) : toAnthropicMessage(result, meta));
+    } catch (error) {
+        logger.error(`兼容接口错误 (${format}): ${error.message}`);
+        res.status(error.status || 500).json(toCompatError(format, error.status || 500, error.message));
+    }
+}
+
+/**
+ * POST /v1/chat/completions
+ * OpenAI Chat Completions 兼容接口（stream: true 时以 SSE 返回 chat.completion.chunk）
+ */
+router.post('/chat/completions', (req, res) => handleCompletion(req, res, 'openai', parseOpenAIRequest));
+
+/**
+ * POST /v1/messages
+ * Anthropic Messages 兼容接口（stream: true 时以 SSE 返回 message_start 等事件）
+ */
+router.post('/messages', (req, res) => handleCompletion(req, res, 'anthropic', parseAnthropicRequest));
+
+/**
+ * GET /v1/models
+ * 以模型列表的形式列出可用模式（带 anthropic-version 请求头时返回 Anthropic 格式）
+ */
+router.get('/models', (req, res) => {
+    try {
+        const modes = req.modeStore.list();
+
+        if (req.get('anthropic-version')) {
+            return res.json({
+                data: modes.map(mode => ({
+                    type: 'model',
+                    id: mode.id,
+                    display_name: mode.name,
+                    created_at: new Date(0).toISOString()
+                })),
+                has_more: false,
+                first_id: modes[0]?.id || null,
+                last_id: modes[modes.length - 1]?.id || null
+            });
+        }
+
+        res.json({
+            object: 'list',
+            data: modes.map(mode => ({
+                id: mode.id,
+                object: 'model',
+                created: 0,
+                owned_by: 'clever-assistant'
+            }))
+        });
+    } catch (error) {
+        logger.error(`兼容接口获取模型列表错误: ${error.message}`);
+        res.status(500).json(toCompatError('openai', 500, error.message));
+    }
+});
+
+export default router;
@@ -0,0 +1,182 @@
+// src/server/routes/conversations.js
+import express from 'express';
+import logger from '../../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/conversations
+ * 获取已保存的对话列表
+ */
+router.get('/conversations', (req, res) => {
+    try {
+        const assistant = req.assistant;
+
+        res.json({
+            success: true,
+            data: {
+                current: assistant.conversation.conversationId,
+                conversations: assistant.listConversations()
+            }
+        });
+    } catch (error) {
+        logger.error(`获取对话列表错误: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/conversations
+ * 保存当前对话
+ */
+router.post('/conversations', (req, res) => {
+    try {
+        const assistant = req.assistant;
+        const filepath = assistant.conversation.saveConversation();
+
+        if (!filepath) {
+            return res.status(500).json({
+                success: false,
+                error: '保存对话失败'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                id: assistant.conversation.conversationId,
+                title: assistant.conversation.title
+            }
+        });
+    } catch (error) {
+        logger.error(`保存对话错误: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/search
+ * 全文检索已保存的对话
+ * 查询参数: q（关键词）、mode、role、from、to（日期）、limit
+ */
+router.get('/search', (req, res) => {
+    try {
+        const { q, mode, role, from, to, limit } = req.query;
+
+        if (!q || !q.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: '搜索关键词不能为空'
+            });
+        }
+
+        if (role && role !== 'user' && role !== 'assistant') {
+            return res.status(400).json({
+                success: false,
+                error: 'role 必须是 user 或 assistant'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: req.searchIndex.search(q, { mode, role, from, to, limit })
+        });
+    } catch (error) {
+        logger.error(`搜索对话错误: ${error.message}`);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/conversations/:id
+ * 获取对话详情（包含消息）
+ */
+router.get('/conversations/:id', (req, res) => {
+    try {
+        const assistant = req.assistant;
+        const data = assistant.conversation.readConversation(req.params.id);
+
+        if (!data) {
+            return res.status(404).json({
+                success: false,
+                error: `对话不存在: ${req.params.id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        logger.error(`获取对话错误: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/conversations/:id/load
+ * 在当前会话中恢复已保存的对话
+ */
+router.post('/conversations/:id/load', (req, res) => {
+    try {
+        const assistant = req.assistant;
+        const summary = assistant.loadConversation(req.params.id);
+
+        res.json({
+            success: true,
+            data: {
+                ...summary,
+                modeName: assistant.getStatus().modeName,
+                messages: assistant.conversation.getActiveBranch()
+            }
+        });
+    } catch (error) {
+        logger.error(`恢复对话错误: ${error.message}`);
+        res.status(404).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/conversations/:id
+ * 删除已保存的对话
+ */
+router.delete('/conversations/:id', (req, res) => {
+    try {
+        const assistant = req.assistant;
+
+        if (!assistant.deleteConversation(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                error: `对话不存在: ${req.params.id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: '对话已删除'
+        });
+    } catch (error) {
+        logger.error(`删除对话错误: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+export default router;
@@ -0,0 +1,186 @@
+// src/server/routes/messages.js
+import express from 'express';
+import logger from '../../utils/logger.js';
+import { streamResponse, validateStreamOptions } from '../event-stream.js';
+
+const router = express.Router();
+
+/**
+ * 路由中的消息ID（重新生成时 last 表示最后一条回复）
+ * 消息不存在时抛出 404，避免流式响应开始后才报错
+ */
+function resolveMessageId(req, allowLast = false) {
+    if (allowLast && req.params.id === 'last') {
+        return null;
+    }
+    return req.assistant.conversation.getMessage(req.params.id).id;
+}
+
+/**
+ * 检查流式请求参数，无效时返回 400
+ * @returns {boolean} 是否已返回错误
+ */
+function rejectInvalidStream(req, res, options) {
+    const invalid = validateStreamOptions(options, req.assistant);
+    if (invalid) {
+        res.status(400).json({
+            success: false,
+            error: invalid
+        });
+    }
+    return Boolean(invalid);
+}
+
+/**
+ * GET /api/messages
+ * 当前分支的消息（每条附带兄弟分支 siblingIds / siblingIndex）
+ */
+router.get('/messages', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                conversationId: req.assistant.conversation.conversationId,
+                messages: req.assistant.conversation.getActiveBranch()
+            }
+        });
+    } catch (error) {
+        logger.error(`获取消息错误: ${error.message}`);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/messages/:id/switch
+ * 切换到该消息所在的分支（之后沿最新的回复到末尾）
+ */
+router.post('/messages/:id/switch', (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                messages: req.assistant.switchBranch(req.params.id)
+            }
+        });
+    } catch (error) {
+        logger.error(`切换分支错误: ${error.message}`);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/messages/:id/regenerate
+ * 重新生成助手回复（:id 为 last 时重新生成最后一条），新回复成为原回复的兄弟分支
+ */
+router.post('/messages/:id/regenerate', async (req, res) => {
+    try {
+        const { options = {} } = req.body;
+        // 会话的回复名额在调用结束时释放，而不是在响应关闭时
+        req.generationDone = req.assistant.regenerate(resolveMessageId(req, true), options);
+        const response = await req.generationDone;
+
+        res.json(response);
+    } catch (error) {
+        logger.error(`重新生成错误: ${error.message}`);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/messages/:id/regenerate/stream
+ * 重新生成助手回复（流式响应，使用 SSE）
+ */
+router.post('/messages/:id/regenerate/stream', (req, res) => {
+    const { options = {} } = req.body;
+    let messageId;
+
+    try {
+        messageId = resolveMessageId(req, true);
+    } catch (error) {
+        return res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    if (rejectInvalidStream(req, res, options)) {
+        return;
+    }
+
+    streamResponse(req, res, '重新生成', (send, signal) =>
+        req.assistant.regenerate(messageId, { ...options, signal }, send)
+    );
+});
+
+/**
+ * POST /api/messages/:id/edit
+ * 编辑用户消息并从这里重新对话，编辑后的消息成为原消息的兄弟分支
+ * 请求体: { content, options }
+ */
+router.post('/messages/:id/edit', async (req, res) => {
+    try {
+        const { content, options = {} } = req.body;
+
+        if (!content) {
+            return res.status(400).json({
+                success: false,
+                error: '消息内容不能为空'
+            });
+        }
+
+        req.generationDone = req.assistant.editMessage(resolveMessageId(req), content, options);
+        const response = await req.generationDone;
+
+        res.json(response);
+    } catch (error) {
+        logger.error(`编辑消息错误: ${error.message}`);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/messages/:id/edit/stream
+ * 编辑用户消息并重新对话（流式响应，使用 SSE）
+ */
+router.post('/messages/:id/edit/stream', (req, res) => {
+    const { content, options = {} } = req.body;
+    let messageId;
+
+    if (!content) {
+        return res.status(400).json({
+            success: false,
+            error: '消息内容不能为空'
+        });
+    }
+
+    try {
+        messageId = resolveMessageId(req);
+    } catch (error) {
+        return res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+
+    if (rejectInvalidStream(req, res, options)) {
+        return;
+    }
+
+    streamResponse(req, res, '编辑消息', (send, signal) =>
+        req.assistant.editMessage(messageId, content, { ...options, signal }, send)
+    );
+});
+
+export default router;
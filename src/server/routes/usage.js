@@ -0,0 +1,92 @@
+// src/server/routes/usage.js
+import express from 'express';
+import { EXPORT_FORMATS, formatUsageReport, getExportFilename } from '../../core/usage-report.js';
+import { buildAnalytics, getAnalyticsRange } from '../../core/usage-analytics.js';
+import logger from '../../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * 用量统计的用户范围：普通用户只能查看自己的用量，管理员可以查看所有用户或按 ?user= 筛选
+ * @returns {string|null} 用户ID，null 表示所有用户
+ */
+function getUsageUserId(req) {
+    if (req.user.role !== 'admin') {
+        return req.user.id;
+    }
+    return req.query.user || null;
+}
+
+/**
+ * GET /api/usage/export?format=csv|json|markdown
+ * 下载Token用量报告（按账本统计）
+ * 筛选参数：from、to（YYYY-MM-DD，包含当天）、mode、model、session（current 表示当前会话）、user（仅管理员）、view（CSV：records | daily）
+ */
+router.get('/usage/export', (req, res) => {
+    try {
+        const { format = 'csv', from, to, mode, model, session, view } = req.query;
+        const tracker = req.assistant.tokenTracker;
+
+        if (!EXPORT_FORMATS[format]) {
+            return res.status(400).json({
+                success: false,
+                error: `不支持的导出格式: ${format}（可选 ${Object.keys(EXPORT_FORMATS).join('、')}）`
+            });
+        }
+
+        const report = tracker.getUsageReport({
+            from,
+            to,
+            mode,
+            model,
+            sessionId: session === 'current' ? req.session.id : session,
+            userId: getUsageUserId(req)
+        });
+        const content = formatUsageReport(report, format, { view, pricing: tracker.pricing });
+
+        res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+        res.attachment(getExportFilename(report, format));
+        res.send(content);
+    } catch (error) {
+        logger.error(`导出用量错误: ${error.message}`);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/analytics?days=30
+ * 用量分析（网页仪表盘）：每日 tokens / 成本 / 缓存命中率 / 平均耗时，
+ * 按模式和模型的分布，以及成本最高的对话
+ * 统计账本中当前用户所有会话的记录（管理员为所有用户，可按 ?user= 筛选），缓存命中率按同样的用户范围统计
+ */
+router.get('/analytics', (req, res) => {
+    try {
+        const range = getAnalyticsRange(req.query.days);
+        const assistant = req.assistant;
+
+        const analytics = buildAnalytics({
+            entries: assistant.tokenTracker.ledger.query({ since: range.since, userId: getUsageUserId(req) }),
+            range,
+            conversations: assistant.listConversations(),
+            cacheTrend: assistant.cache.getHitTrend(range.since, getUsageUserId(req)),
+            modes: assistant.getAvailableModes(),
+            pricing: assistant.tokenTracker.pricing
+        });
+
+        res.json({
+            success: true,
+            data: analytics
+        });
+    } catch (error) {
+        logger.error(`获取用量分析错误: ${error.message}`);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+export default router;
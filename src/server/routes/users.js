@@ -0,0 +1,166 @@
+// src/server/routes/users.js
+import express from 'express';
+import { getAnalyticsRange } from '../../core/usage-analytics.js';
+import { requireAdmin } from '../auth.js';
+import logger from '../../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * 确认使用本地账号（AUTH_MODE=local）
+ * @returns {boolean} 是否已返回错误
+ */
+function rejectWithoutAccounts(req, res) {
+    if (req.auth.userStore) {
+        return false;
+    }
+
+    res.status(400).json({
+        success: false,
+        error: `当前认证方式（${req.auth.mode}）没有本地账号`
+    });
+    return true;
+}
+
+/**
+ * GET /api/users?days=30
+ * 所有用户及其用量（仅管理员）
+ * 本地账号模式下包含尚未使用过的账号；其他模式按账本中出现过的用户统计
+ */
+router.get('/users', requireAdmin, (req, res) => {
+    try {
+        const range = getAnalyticsRange(req.query.days);
+        const tracker = req.assistant.tokenTracker;
+        const users = new Map();
+
+        for (const account of req.auth.userStore?.list() || []) {
+            users.set(account.id, { ...account, calls: 0, inputTokens: 0, outputTokens: 0, cost: 0, lastUsedAt: null });
+        }
+
+        for (const entry of tracker.ledger.query({ since: range.since })) {
+            const userId = entry.userId || 'local';
+            const user = users.get(userId) || {
+                id: userId,
+                role: req.auth.toUser(userId).role,
+                calls: 0,
+                inputTokens: 0,
+                outputTokens: 0,
+                cost: 0,
+                lastUsedAt: null
+            };
+
+            user.calls++;
+            user.inputTokens += entry.inputTokens;
+            user.outputTokens += entry.outputTokens;
+            user.cost += entry.cost;
+            user.lastUsedAt = new Date(entry.timestamp).toISOString();
+            users.set(userId, user);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                range,
+                users: [...users.values()]
+                    .map(user => ({ ...user, display: tracker.pricing.format(user.cost, 4) }))
+                    .sort((a, b) => b.cost - a.cost)
+            }
+        });
+    } catch (error) {
+        logger.error(`获取用户列表错误: ${error.message}`);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/users
+ * 创建本地账号（仅管理员）
+ * 请求体: { username, password, role? }（role: user | admin）
+ */
+router.post('/users', requireAdmin, async (req, res) => {
+    try {
+        if (rejectWithoutAccounts(req, res)) {
+            return;
+        }
+
+        const { username, password, role } = req.body || {};
+
+        res.status(201).json({
+            success: true,
+            data: await req.auth.userStore.create({ username, password, role })
+        });
+    } catch (error) {
+        logger.error(`创建用户错误: ${error.message}`);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/users/:id/password
+ * 重置用户密码（仅管理员），该用户的登录全部失效
+ * 请求体: { password }
+ */
+router.put('/users/:id/password', requireAdmin, async (req, res) => {
+    try {
+        if (rejectWithoutAccounts(req, res)) {
+            return;
+        }
+
+        await req.auth.userStore.setPassword(req.params.id, req.body?.password);
+        req.auth.revokeUser(req.params.id);
+
+        res.json({
+            success: true,
+            message: '密码已重置'
+        });
+    } catch (error) {
+        logger.error(`重置密码错误: ${error.message}`);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/users/:id
+ * 删除本地账号（仅管理员，不能删除自己）
+ * 该用户的会话和登录立即失效；已保存的对话和用量记录保留
+ */
+router.delete('/users/:id', requireAdmin, (req, res) => {
+    try {
+        if (rejectWithoutAccounts(req, res)) {
+            return;
+        }
+
+        if (req.params.id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                error: '不能删除自己的账号'
+            });
+        }
+
+        req.auth.userStore.delete(req.params.id);
+        req.auth.revokeUser(req.params.id);
+        req.sessions.destroyUser(req.params.id);
+
+        res.json({
+            success: true,
+            message: '用户已删除'
+        });
+    } catch (error) {
+        logger.error(`删除用户错误: ${error.message}`);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+export default router;
@@ -3,14 +3,45 @@ import express from 'express';
 import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import CleverAssistant from '../services/clever-assistant.js';
+import CleverAssistant, { ASSISTANT_PRESETS } from '../services/clever-assistant.js';
+import ModeStore from '../services/mode-store.js';
+import { getDefaultProviders } from '../providers/provider-factory.js';
+import CacheManager from '../core/cache-manager.js';
+import UsageLedger from '../core/usage-ledger.js';
+import SearchIndex from '../core/search-index.js';
+import SessionRegistry from './session-registry.js';
+import Authenticator, { getUserDataDir } from './auth.js';
+import RateLimiter from './rate-limiter.js';
+import ResponseStreams from './response-streams.js';
+import ChatSocketServer, { SOCKET_PATH } from './chat-socket.js';
+import authRoutes from './routes/auth.js';
 import chatRoutes from './routes/chat.js';
+import compatRoutes from './routes/compat.js';
+import conversationRoutes from './routes/conversations.js';
+import messageRoutes from './routes/messages.js';
+import usageRoutes from './routes/usage.js';
+import userRoutes from './routes/users.js';
 import Config from '../../config.js';
 import logger from '../utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// 会话ID的请求头与Cookie名称
+const SESSION_HEADER = 'x-session-id';
+const SESSION_COOKIE = 'sessionId';
+
+/**
+ * 解析 TRUST_PROXY 配置为 Express 的 trust proxy 设置
+ * @param {string} value - true | 跳数 | 地址列表（如 loopback）
+ */
+function parseTrustProxy(value) {
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
 /**
  * Express 服务器
  * 提供Web界面和RESTful API
@@ -20,15 +51,41 @@ class WebServer {
         this.port = port;
         this.app = express();
 
-        // 全局单例 CleverAssistant 实例（简化设计，单会话模式）
-        this.assistant = new CleverAssistant({
-            budgetLimit: Config.BUDGET_LIMIT,
-            cache: {
-                maxSize: Config.CACHE_MAX_SIZE,
-                enabled: Config.ENABLE_CACHE
-            }
+        // 所有会话共享同一份缓存存储，每个会话拥有独立的统计视图，缓存键按用户区分
+        this.cache = new CacheManager({
+            maxSize: Config.CACHE_MAX_SIZE,
+            enabled: Config.ENABLE_CACHE
+        });
+
+        // 认证（AUTH_MODE），每个用户拥有独立的对话、自定义模式和全文检索索引
+        this.auth = new Authenticator();
+        // 按IP、用户限制请求数和 tokens，按会话限制并发流
+        this.rateLimiter = new RateLimiter();
+        this.userContexts = new Map();
+
+        // 用量账本（所有会话共享，预算跨会话和重启累计；BUDGET_LIMIT 按用户计算，所有用户的总预算见 BUDGETS 的 global 范围）
+        this.ledger = new UsageLedger();
+
+        // 每个会话拥有独立的 CleverAssistant（对话历史、Token追踪）
+        this.sessions = new SessionRegistry({
+            factory: (sessionId, user) => this.createAssistant(user, { sessionId }),
+            isBusy: session => this.rateLimiter.isGenerating(session.key)
         });
 
+        // 进行中的流式回复（与连接无关，断线重连后可继续接收）
+        this.streams = new ResponseStreams();
+
+        // WebSocket 接口（ENABLE_WEBSOCKET=false 时客户端使用 SSE）
+        this.socketServer = Config.ENABLE_WEBSOCKET
+            ? new ChatSocketServer({
+                app: this.app,
+                auth: this.auth,
+                sessions: this.sessions,
+                rateLimiter: this.rateLimiter,
+                streams: this.streams
+            })
+            : null;
+
         this.setupMiddleware();
         this.setupRoutes();
         this.setupStaticFiles();
@@ -36,11 +93,22 @@ class WebServer {
     }
 
     setupMiddleware() {
-        // CORS 配置
-        this.app.use(cors());
+        // 反向代理之后使用 X-Forwarded-For 中的客户端IP
+        if (Config.TRUST_PROXY) {
+            this.app.set('trust proxy', parseTrustProxy(Config.TRUST_PROXY));
+        }
+
+        // CORS 配置（暴露会话ID和限流的响应头）
+        this.app.use(cors({ exposedHeaders: ['X-Session-Id', 'Retry-After'] }));
+
+        // JSON 解析（限制请求体大小）
+        this.app.use(express.json({ limit: Config.REQUEST_BODY_LIMIT }));
+
+        // 按客户端IP限流（在认证之前，同时限制登录尝试）
+        this.app.use(['/api', '/v1'], this.rateLimiter.ipMiddleware());
 
-        // JSON 解析
-        this.app.use(express.json());
+        // 认证（注入 req.user，AUTH_MODE=none 时所有请求视为本地用户）
+        this.app.use(['/api', '/v1'], this.auth.middleware());
 
         // 请求日志
         this.app.use((req, res, next) => {
@@ -49,22 +117,134 @@ class WebServer {
         });
     }
 
+    /**
+     * 为用户创建助手实例（共享用量账本、缓存存储和用户的自定义模式）
+     * BUDGET_LIMIT 按用户各自计算，缓存只在同一用户的会话间共享（回复可能引用该用户的对话上文）
+     * @param {object} user - 用户
+     * @param {object} options - 会话ID（sessionId）及 CleverAssistant 的其他选项（mode、autoSave）
+     * @returns {CleverAssistant} 助手实例
+     */
+    createAssistant(user, { sessionId, ...options } = {}) {
+        return new CleverAssistant({
+            budgetLimit: Config.BUDGET_LIMIT,
+            budgetScope: 'user',
+            ledger: this.ledger,
+            userId: user.id,
+            onUsage: (record) => this.rateLimiter.recordUsage(record),
+            cacheManager: this.cache.createView({ partition: user.id }),
+            modeStore: this.getUserContext(user).modeStore,
+            ...options,
+            conversation: { sessionId, dataDir: getUserDataDir(user.id) }
+        });
+    }
+
+    /**
+     * 获取用户的自定义模式存储和全文检索索引（同一用户的所有会话共享）
+     * @param {object} user - 用户
+     * @returns {{modeStore: ModeStore, searchIndex: SearchIndex}}
+     */
+    getUserContext(user) {
+        let context = this.userContexts.get(user.id);
+
+        if (!context) {
+            const dataDir = getUserDataDir(user.id);
+            context = {
+                modeStore: new ModeStore({
+                    builtins: ASSISTANT_PRESETS,
+                    providers: getDefaultProviders(),
+                    file: path.join(dataDir, 'modes.json')
+                }),
+                searchIndex: new SearchIndex({ dataDir })
+            };
+            this.userContexts.set(user.id, context);
+        }
+
+        return context;
+    }
+
+    /**
+     * 从请求中读取会话ID（优先请求头，其次Cookie）
+     * @param {object} req - 请求对象
+     * @returns {string|null} 会话ID
+     */
+    getSessionId(req) {
+        const headerId = req.get(SESSION_HEADER);
+        if (headerId) {
+            return headerId;
+        }
+
+        const cookies = req.headers.cookie || '';
+        for (const pair of cookies.split(';')) {
+            const [name, ...rest] = pair.trim().split('=');
+            if (name === SESSION_COOKIE) {
+                return decodeURIComponent(rest.join('='));
+            }
+        }
+
+        return null;
+    }
+
     setupRoutes() {
-        // 将助手实例注入到路由中
-        this.app.use((req, res, next) => {
-            req.assistant = this.assistant;
-            next();
+        // 登录、注销等认证接口（不需要会话）
+        this.app.use('/api', authRoutes);
+
+        // 按用户和会话解析助手实例并注入到路由中
+        this.app.use('/api', (req, res, next) => {
+            try {
+                const { session } = this.sessions.resolve(this.getSessionId(req), req.user, req.ip);
+
+                // 每次请求都重新下发 Cookie：刷新有效期，并在分配新会话时替换客户端的旧ID
+                res.setHeader('X-Session-Id', session.id);
+                res.cookie(SESSION_COOKIE, session.id, {
+                    httpOnly: true,
+                    sameSite: 'lax',
+                    maxAge: this.sessions.idleTimeout
+                });
+
+                req.session = session;
+                req.sessions = this.sessions;
+                req.streams = this.streams;
+                req.searchIndex = this.getUserContext(req.user).searchIndex;
+                req.assistant = session.assistant;
+                next();
+            } catch (error) {
+                logger.warn(`会话解析失败: ${error.message}`);
+                res.status(error.status || 500).json({
+                    success: false,
+                    error: error.message
+                });
+            }
         });
 
+        // 按用户和会话限流（请求数、tokens、并发流、消息长度）
+        this.app.use('/api', this.rateLimiter.userMiddleware());
+
         // API 路由
         this.app.use('/api', chatRoutes);
+        this.app.use('/api', conversationRoutes);
+        this.app.use('/api', messageRoutes);
+        this.app.use('/api', usageRoutes);
+        this.app.use('/api', userRoutes);
+
+        // OpenAI / Anthropic 兼容接口：没有会话，每个请求携带完整对话，按 X-Assistant-Mode 选择模式
+        this.app.use('/v1', (req, res, next) => {
+            req.modeStore = this.getUserContext(req.user).modeStore;
+            req.createAssistant = (mode, sessionId) => this.createAssistant(req.user, { mode, sessionId, autoSave: false });
+            next();
+        });
+        this.app.use('/v1', this.rateLimiter.userMiddleware());
+        this.app.use('/v1', compatRoutes);
 
         // 健康检查
         this.app.get('/health', (req, res) => {
             res.json({
                 status: 'ok',
                 timestamp: new Date().toISOString(),
-                uptime: process.uptime()
+                uptime: process.uptime(),
+                sessions: this.sessions.getStats(),
+                rateLimit: this.rateLimiter.getStats(),
+                streams: this.streams.getStats(),
+                websocket: this.socketServer ? this.socketServer.getStats() : null
             });
         });
     }
@@ -76,10 +256,12 @@ class WebServer {
         this.app.use(express.static(publicDir));
 
         // SPA 路由支持（所有其他路由返回 index.html）
-        this.app.get('*', (req, res) => {
-            // 排除 API 路由
-            if (!req.path.startsWith('/api') && !req.path.startsWith('/health')) {
+        this.app.get('*', (req, res, next) => {
+            // 排除 API 路由（未知的接口交给 404 处理）
+            if (!req.path.startsWith('/api') && !req.path.startsWith('/v1') && !req.path.startsWith('/health')) {
                 res.sendFile(path.join(publicDir, 'index.html'));
+            } else {
+                next();
             }
         });
     }
@@ -93,27 +275,37 @@ class WebServer {
             });
         });
 
-        // 错误处理
+        // 错误处理（请求体过大、JSON 格式错误等带有状态码）
         this.app.use((err, req, res, next) => {
             logger.error(`服务器错误: ${err.message}`);
 
-            res.status(500).json({
+            res.status(err.status || 500).json({
                 success: false,
-                error: err.message || '服务器内部错误'
+                error: err.type === 'entity.too.large'
+                    ? `请求体过大（上限 ${Config.REQUEST_BODY_LIMIT}）`
+                    : err.message || '服务器内部错误'
             });
         });
     }
 
     async start() {
+        await this.auth.bootstrap();
+
         return new Promise((resolve, reject) => {
             try {
                 this.server = this.app.listen(this.port, () => {
                     logger.success(`\n🚀 Web 服务器已启动`);
                     logger.info(`📍 访问地址: http://localhost:${this.port}`);
+                    logger.info(`🔐 认证方式: ${this.auth.mode}`);
+                    if (this.socketServer) {
+                        logger.info(`🔌 WebSocket: ws://localhost:${this.port}${SOCKET_PATH}`);
+                    }
                     logger.info(`💡 按 Ctrl+C 停止服务器\n`);
                     resolve();
                 });
 
+                this.socketServer?.attach(this.server);
+
                 this.server.on('error', (err) => {
                     if (err.code === 'EADDRINUSE') {
                         logger.error(`❌ 端口 ${this.port} 已被占用`);
@@ -130,7 +322,14 @@ class WebServer {
     }
 
     async stop() {
-        return new Promise((resolve) => {
+        // 停止会话清理并保存所有会话的对话
+        this.sessions.stop();
+
+        // 关闭 WebSocket 连接并中止进行中的回复
+        this.socketServer?.stop();
+        this.streams.stop();
+
+        await new Promise((resolve) => {
             if (this.server) {
                 this.server.close(() => {
                     logger.info('服务器已停止');
@@ -140,6 +339,10 @@ class WebServer {
                 resolve();
             }
         });
+
+        // 把缓冲的缓存写入落盘
+        await this.cache.close();
+        await this.rateLimiter.close();
     }
 }
 
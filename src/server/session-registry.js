@@ -0,0 +1,311 @@
+// src/server/session-registry.js
+import crypto from 'crypto';
+import Config from '../../config.js';
+import logger from '../utils/logger.js';
+import { LOCAL_USER } from './auth.js';
+
+// 会话ID格式：字母、数字、下划线、短横线，8-64位
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+/**
+ * 会话注册表
+ * 按用户和会话ID管理独立的助手实例，负责创建、空闲过期和并发数量限制
+ * （达到上限时移除最久未活动且没有进行中回复的会话，而不是拒绝新会话）；
+ * 会话ID只由服务器生成，客户端提供的未知ID不会被采用（防止会话固定），
+ * 不同用户即使使用相同的会话ID也得到各自的会话
+ */
+class SessionRegistry {
+    /**
+     * @param {object} options - 配置项
+     * @param {function} options.factory - 创建助手实例的工厂函数 (sessionId, user) => CleverAssistant
+     * @param {number} options.idleTimeout - 空闲过期时间（毫秒）
+     * @param {number} options.maxSessions - 最大并发会话数
+     * @param {number} options.maxSessionsPerUser - 每个用户（不认证时每个客户端IP）的最大并发会话数，0 表示只受 maxSessions 限制
+     * @param {function} options.isBusy - (session) => boolean，会话是否有进行中的回复（这样的会话不会被移除）
+     * @param {number} options.cleanupInterval - 过期检查间隔（毫秒）
+     */
+    constructor(options = {}) {
+        if (typeof options.factory !== 'function') {
+            throw new Error('SessionRegistry 需要提供 factory 函数');
+        }
+
+        this.factory = options.factory;
+        this.idleTimeout = options.idleTimeout || Config.SESSION_IDLE_TIMEOUT;
+        this.maxSessions = options.maxSessions || Config.MAX_SESSIONS;
+        this.maxSessionsPerUser = options.maxSessionsPerUser ?? Config.MAX_SESSIONS_PER_USER;
+        this.isBusy = options.isBusy || (() => false);
+        this.sessions = new Map();
+
+        // 定期清理空闲会话（不阻止进程退出）
+        const cleanupInterval = options.cleanupInterval || Math.min(this.idleTimeout, 60000);
+        this.cleanupTimer = setInterval(() => this.cleanup(), cleanupInterval);
+        this.cleanupTimer.unref();
+    }
+
+    /**
+     * 生成新的会话ID
+     * @returns {string} 会话ID
+     */
+    generateId() {
+        return crypto.randomUUID();
+    }
+
+    /**
+     * 校验会话ID格式
+     * @param {string} sessionId - 会话ID
+     * @returns {boolean} 是否有效
+     */
+    isValidId(sessionId) {
+        return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+    }
+
+    /**
+     * 会话在注册表中的键（用户ID + 会话ID）
+     * @param {string} sessionId - 会话ID
+     * @param {object} user - 会话所有者
+     */
+    getKey(sessionId, user = LOCAL_USER) {
+        return `${user.id}/${sessionId}`;
+    }
+
+    /**
+     * 判断会话是否已空闲过期
+     * @param {object} session - 会话
+     * @param {number} now - 当前时间
+     */
+    isExpired(session, now = Date.now()) {
+        return now - session.lastActiveAt > this.idleTimeout;
+    }
+
+    /**
+     * 获取已存在的会话
+     * @param {string} sessionId - 会话ID
+     * @param {object} user - 会话所有者
+     * @returns {object|null} 会话或null
+     */
+    get(sessionId, user = LOCAL_USER) {
+        const key = this.getKey(sessionId, user);
+        const session = this.sessions.get(key);
+
+        if (!session) {
+            return null;
+        }
+
+        if (this.isExpired(session)) {
+            this.destroy(key);
+            return null;
+        }
+
+        // 角色可能已变化（如管理员降级），以本次认证结果为准
+        session.user = user;
+
+        session.lastActiveAt = Date.now();
+        return session;
+    }
+
+    /**
+     * 计算每用户会话上限时会话的归属：登录用户按用户ID，不认证时（所有客户端都是本地用户）按客户端IP
+     * @param {object} user - 会话所有者
+     * @param {string|null} ip - 客户端IP
+     */
+    getOwner(user, ip) {
+        return user.id === LOCAL_USER.id && ip ? `ip:${ip}` : `user:${user.id}`;
+    }
+
+    /**
+     * 属于同一归属的全部会话
+     * @param {string} owner - getOwner() 的结果
+     */
+    listOwnerSessions(owner) {
+        return [...this.sessions.values()].filter(session => session.owner === owner);
+    }
+
+    /**
+     * 移除候选中最久未活动、且没有进行中回复的会话（对话已保存，客户端之后会得到新会话）
+     * @param {Array<object>} candidates - 候选会话
+     * @param {string} reason - 移除原因（日志和错误信息）
+     * @throws {Error} 候选会话都有进行中的回复时抛出错误（status = 503）
+     */
+    evictIdle(candidates, reason) {
+        const idle = candidates
+            .filter(session => !this.isBusy(session))
+            .sort((a, b) => a.lastActiveAt - b.lastActiveAt)[0];
+
+        if (!idle) {
+            const error = new Error(`${reason}，且都有进行中的回复，请稍后再试`);
+            error.status = 503;
+            throw error;
+        }
+
+        logger.warn(`${reason}，移除最久未活动的会话: ${idle.key}`);
+        this.destroy(idle.key);
+    }
+
+    /**
+     * 为新会话腾出名额：先回收过期会话，同一用户（或IP）的会话数或总会话数仍达到上限时移除最久未活动的会话
+     * 每用户的上限使一个客户端（如不保存 Cookie 的脚本）反复创建会话时只会挤掉自己的会话
+     * @param {string} owner - 新会话的归属（getOwner() 的结果）
+     */
+    makeRoom(owner) {
+        const ownerFull = () => this.maxSessionsPerUser > 0 && this.listOwnerSessions(owner).length >= this.maxSessionsPerUser;
+
+        if (this.sessions.size >= this.maxSessions || ownerFull()) {
+            this.cleanup();
+        }
+
+        if (ownerFull()) {
+            this.evictIdle(this.listOwnerSessions(owner), `${owner} 的会话数已达上限 (${this.maxSessionsPerUser})`);
+        }
+        if (this.sessions.size >= this.maxSessions) {
+            this.evictIdle([...this.sessions.values()], `活跃会话数已达上限 (${this.maxSessions})`);
+        }
+    }
+
+    /**
+     * 创建新会话（会话ID由服务器生成）
+     * @param {object} user - 会话所有者
+     * @param {string|null} ip - 客户端IP（不认证时按IP计算每用户的会话上限）
+     * @returns {object} 新会话
+     * @throws {Error} 会话数已达上限且都有进行中的回复时抛出错误（status = 503）
+     */
+    create(user = LOCAL_USER, ip = null) {
+        const sessionId = this.generateId();
+        const owner = this.getOwner(user, ip);
+        this.makeRoom(owner);
+
+        const now = Date.now();
+        const session = {
+            id: sessionId,
+            key: this.getKey(sessionId, user),
+            user,
+            owner,
+            assistant: this.factory(sessionId, user),
+            createdAt: now,
+            lastActiveAt: now
+        };
+
+        this.sessions.set(session.key, session);
+        logger.info(`创建会话: ${session.key} (当前 ${this.sessions.size} 个)`);
+
+        return session;
+    }
+
+    /**
+     * 获取会话，不存在时创建
+     * 会话ID未知（客户端自选、已过期或属于其他用户）时创建ID不同的新会话，调用方应把新ID返回给客户端
+     * @param {string} sessionId - 会话ID
+     * @param {object} user - 会话所有者
+     * @param {string|null} ip - 客户端IP（新建会话时使用）
+     * @returns {{session: object, created: boolean}} 会话及是否新建
+     */
+    resolve(sessionId, user = LOCAL_USER, ip = null) {
+        const existing = this.isValidId(sessionId) ? this.get(sessionId, user) : null;
+
+        if (existing) {
+            return { session: existing, created: false };
+        }
+
+        if (sessionId) {
+            logger.info(`未知或已过期的会话ID，分配新会话: ${user.id}`);
+        }
+
+        return { session: this.create(user, ip), created: true };
+    }
+
+    /**
+     * 销毁会话（保存对话后移除）
+     * @param {string} key - 会话的键（session.key）
+     * @returns {boolean} 是否删除
+     */
+    destroy(key) {
+        const session = this.sessions.get(key);
+
+        if (!session) {
+            return false;
+        }
+
+        this.persist(session);
+        this.sessions.delete(key);
+        logger.info(`会话已移除: ${key}`);
+
+        return true;
+    }
+
+    /**
+     * 保存会话中的对话（仅在有消息时）
+     * @param {object} session - 会话
+     */
+    persist(session) {
+        const conversation = session.assistant.conversation;
+
+        if (conversation.conversationHistory.length > 0) {
+            conversation.saveConversation();
+        }
+    }
+
+    /**
+     * 清理空闲过期的会话
+     * @returns {number} 清理数量
+     */
+    cleanup() {
+        const now = Date.now();
+        let cleaned = 0;
+
+        for (const [key, session] of this.sessions.entries()) {
+            if (this.isExpired(session, now)) {
+                this.destroy(key);
+                cleaned++;
+            }
+        }
+
+        if (cleaned > 0) {
+            logger.info(`清理空闲会话: ${cleaned} 个`);
+        }
+
+        return cleaned;
+    }
+
+    /**
+     * 销毁某个用户的全部会话（删除账号时）
+     * @param {string} userId - 用户ID
+     * @returns {number} 销毁数量
+     */
+    destroyUser(userId) {
+        let destroyed = 0;
+
+        for (const [key, session] of this.sessions.entries()) {
+            if (session.user.id === userId) {
+                this.destroy(key);
+                destroyed++;
+            }
+        }
+
+        return destroyed;
+    }
+
+    /**
+     * 获取统计信息
+     */
+    getStats() {
+        return {
+            activeSessions: this.sessions.size,
+            activeUsers: new Set([...this.sessions.values()].map(session => session.user.id)).size,
+            maxSessions: this.maxSessions,
+            maxSessionsPerUser: this.maxSessionsPerUser,
+            idleTimeout: this.idleTimeout
+        };
+    }
+
+    /**
+     * 停止清理任务并保存所有会话
+     */
+    stop() {
+        clearInterval(this.cleanupTimer);
+
+        for (const session of this.sessions.values()) {
+            this.persist(session);
+        }
+    }
+}
+
+export default SessionRegistry;
@@ -0,0 +1,243 @@
+// src/server/user-store.js
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { promisify } from 'util';
+import logger from '../utils/logger.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// 用户ID格式：字母、数字和 _ . @ -，不能以点开头（同时用作数据目录名）
+const USER_ID_PATTERN = /^[A-Za-z0-9_@-][A-Za-z0-9_.@-]{0,63}$/;
+export const USER_ROLES = ['user', 'admin'];
+// 保留给不认证模式的本地用户（数据在 data/ 根目录）
+const RESERVED_USER_IDS = new Set(['local']);
+
+// 密码哈希参数（scrypt）
+const HASH_KEY_LENGTH = 64;
+const HASH_COST = 16384;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * 创建带 HTTP 状态码的错误
+ * @param {string} message - 错误信息
+ * @param {number} status - 状态码
+ */
+function userError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * 校验用户ID（用户名、令牌和代理请求头中的用户）
+ * @param {string} userId - 用户ID
+ * @returns {boolean} 是否有效
+ */
+export function isValidUserId(userId) {
+    return typeof userId === 'string' && USER_ID_PATTERN.test(userId) && !RESERVED_USER_IDS.has(userId);
+}
+
+/**
+ * 计算密码哈希
+ * @param {string} password - 明文密码
+ * @returns {Promise<string>} scrypt$成本$盐$哈希
+ */
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, HASH_KEY_LENGTH, { N: HASH_COST });
+    return `scrypt$${HASH_COST}$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * 校验密码（常量时间比较）
+ * @param {string} password - 明文密码
+ * @param {string} stored - hashPassword 的结果
+ * @returns {Promise<boolean>} 是否匹配
+ */
+export async function verifyPassword(password, stored) {
+    const [scheme, cost, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(password, salt, expected.length, { N: parseInt(cost) });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * 本地账号存储（data/users.json）
+ * 只保存密码哈希；写入方式与自定义模式相同（临时文件 + 重命名）
+ */
+class UserStore {
+    /**
+     * @param {object} options - 配置项
+     * @param {string} options.file - 账号文件路径
+     */
+    constructor(options = {}) {
+        this.file = options.file || path.join(process.cwd(), 'data', 'users.json');
+        this.users = {};
+        // 用户不存在时也计算一次哈希，避免通过响应时间判断用户名是否存在
+        this.dummyHash = null;
+
+        this.load();
+    }
+
+    /**
+     * 从文件加载账号
+     */
+    load() {
+        try {
+            if (fs.existsSync(this.file)) {
+                this.users = JSON.parse(fs.readFileSync(this.file, 'utf8')).users || {};
+            }
+        } catch (error) {
+            logger.error(`加载账号失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 保存账号
+     */
+    save() {
+        const dir = path.dirname(this.file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const data = {
+            version: 1,
+            savedAt: new Date().toISOString(),
+            users: this.users
+        };
+
+        const tmpFile = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2), { encoding: 'utf8', mode: 0o600 });
+        fs.renameSync(tmpFile, this.file);
+    }
+
+    get size() {
+        return Object.keys(this.users).length;
+    }
+
+    /**
+     * 获取账号（不含密码哈希）
+     * @param {string} username - 用户名
+     * @returns {object|null} { id, role, createdAt, updatedAt }
+     */
+    get(username) {
+        const user = Object.prototype.hasOwnProperty.call(this.users, username) ? this.users[username] : null;
+        if (!user) {
+            return null;
+        }
+
+        const { passwordHash, ...profile } = user;
+        return { id: username, ...profile };
+    }
+
+    /**
+     * 列出全部账号（不含密码哈希）
+     */
+    list() {
+        return Object.keys(this.users).map(username => this.get(username));
+    }
+
+    /**
+     * 校验新密码
+     * @param {string} password - 明文密码
+     */
+    validatePassword(password) {
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            throw userError(`密码至少需要 ${MIN_PASSWORD_LENGTH} 个字符`);
+        }
+    }
+
+    /**
+     * 创建账号
+     * @param {object} account - { username, password, role }
+     * @returns {Promise<object>} 新账号
+     */
+    async create({ username, password, role = 'user' }) {
+        if (!isValidUserId(username)) {
+            throw userError('用户名只能包含字母、数字和 _ . @ -（1-64 位，不能以点开头，不能是 local）');
+        }
+        if (!USER_ROLES.includes(role)) {
+            throw userError(`未知的角色: ${role}（可选 ${USER_ROLES.join('、')}）`);
+        }
+        this.validatePassword(password);
+
+        if (this.get(username)) {
+            throw userError(`用户已存在: ${username}`, 409);
+        }
+
+        const now = new Date().toISOString();
+        this.users[username] = {
+            role,
+            passwordHash: await hashPassword(password),
+            createdAt: now,
+            updatedAt: now
+        };
+        this.save();
+
+        logger.info(`已创建用户: ${username} (${role})`);
+        return this.get(username);
+    }
+
+    /**
+     * 修改密码
+     * @param {string} username - 用户名
+     * @param {string} password - 新密码
+     */
+    async setPassword(username, password) {
+        if (!this.get(username)) {
+            throw userError(`未知用户: ${username}`, 404);
+        }
+        this.validatePassword(password);
+
+        this.users[username] = {
+            ...this.users[username],
+            passwordHash: await hashPassword(password),
+            updatedAt: new Date().toISOString()
+        };
+        this.save();
+
+        logger.info(`已修改密码: ${username}`);
+    }
+
+    /**
+     * 删除账号
+     * @param {string} username - 用户名
+     */
+    delete(username) {
+        if (!this.get(username)) {
+            throw userError(`未知用户: ${username}`, 404);
+        }
+
+        delete this.users[username];
+        this.save();
+
+        logger.info(`已删除用户: ${username}`);
+        return true;
+    }
+
+    /**
+     * 校验用户名和密码
+     * @param {string} username - 用户名
+     * @param {string} password - 密码
+     * @returns {Promise<object|null>} 账号，失败时为 null
+     */
+    async verify(username, password) {
+        const user = typeof username === 'string' ? this.get(username) : null;
+
+        if (!user) {
+            this.dummyHash = this.dummyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+            await verifyPassword(String(password), this.dummyHash);
+            return null;
+        }
+
+        return await verifyPassword(String(password), this.users[username].passwordHash) ? user : null;
+    }
+}
+
+export default UserStore;
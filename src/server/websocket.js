@@ -0,0 +1,398 @@
+// src/server/websocket.js
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { STATUS_CODES } from 'http';
+
+// 握手时与 Sec-WebSocket-Key 拼接的固定 GUID（RFC 6455）
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// 帧类型
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xa
+};
+
+// 关闭码
+export const CLOSE_CODES = {
+    normal: 1000,
+    goingAway: 1001,
+    protocolError: 1002,
+    unsupportedData: 1003,
+    noStatus: 1005,
+    invalidPayload: 1007,
+    policyViolation: 1008,
+    messageTooBig: 1009
+};
+
+// 发出关闭帧后等待对方回应的时间，超时直接断开
+const CLOSE_TIMEOUT = 2000;
+
+// 文本消息和关闭原因必须是有效的 UTF-8（无效时以 1007 关闭，而不是替换为 U+FFFD）
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * 按 UTF-8 解码
+ * @param {Buffer} buffer - 数据
+ * @returns {string|null} 不是有效的 UTF-8 时为 null
+ */
+function decodeUtf8(buffer) {
+    try {
+        return utf8Decoder.decode(buffer);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * 对方在关闭帧中可以使用的关闭码（RFC 6455 7.4）
+ * 1005、1006、1015 只用于本地表示，不能出现在关闭帧中；3000-4999 留给库和应用
+ * @param {number} code - 关闭码
+ */
+export function isValidCloseCode(code) {
+    return (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) || (code >= 3000 && code <= 4999);
+}
+
+/**
+ * 计算握手响应的 Sec-WebSocket-Accept
+ * @param {string} key - 请求头 Sec-WebSocket-Key
+ */
+export function getAcceptKey(key) {
+    return crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+}
+
+/**
+ * 在升级请求的连接上返回 HTTP 错误并关闭
+ * @param {net.Socket} socket - 连接
+ * @param {number} status - 状态码
+ * @param {object} body - JSON 响应体
+ */
+export function rejectUpgrade(socket, status, body) {
+    const payload = JSON.stringify(body);
+
+    socket.end([
+        `HTTP/1.1 ${status} ${STATUS_CODES[status] || 'Error'}`,
+        'Content-Type: application/json; charset=utf-8',
+        `Content-Length: ${Buffer.byteLength(payload)}`,
+        'Connection: close',
+        '',
+        payload
+    ].join('\r\n'));
+}
+
+/**
+ * 完成 WebSocket 握手
+ * @param {http.IncomingMessage} req - 升级请求
+ * @param {net.Socket} socket - 连接
+ * @param {object} options - 连接选项（maxPayload）
+ * @returns {WebSocketConnection|null} 连接，请求无效时返回 400 并为 null
+ */
+export function acceptWebSocket(req, socket, options = {}) {
+    const key = req.headers['sec-websocket-key'];
+
+    if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key || req.headers['sec-websocket-version'] !== '13') {
+        rejectUpgrade(socket, 400, { success: false, error: '无效的 WebSocket 握手请求' });
+        return null;
+    }
+
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${getAcceptKey(key)}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new WebSocketConnection(socket, options);
+}
+
+/**
+ * 服务端 WebSocket 连接（RFC 6455 的子集：文本消息、分片、ping/pong、关闭握手，不支持扩展）
+ * 事件：message(text)、pong()、close(code, reason)
+ */
+export class WebSocketConnection extends EventEmitter {
+    /**
+     * @param {net.Socket} socket - 已完成握手的连接
+     * @param {object} options - 配置项
+     * @param {number} options.maxPayload - 单条消息的最大字节数
+     */
+    constructor(socket, options = {}) {
+        super();
+        this.socket = socket;
+        this.maxPayload = options.maxPayload || 1024 * 1024;
+        this.state = 'open';
+        this.buffer = Buffer.alloc(0);
+        // 分片消息：首帧的类型及已收到的数据
+        this.fragments = null;
+        this.closeTimer = null;
+
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('error', () => socket.destroy());
+        socket.on('close', () => this.handleSocketClose());
+    }
+
+    get isOpen() {
+        return this.state === 'open';
+    }
+
+    /**
+     * 接收数据并解析其中完整的帧
+     * @param {Buffer} chunk - 收到的数据
+     */
+    receive(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        while (this.state !== 'closed') {
+            const frame = this.parseFrame();
+            if (!frame) {
+                break;
+            }
+            this.handleFrame(frame);
+        }
+    }
+
+    /**
+     * 从缓冲区读取一个帧（客户端发来的帧必须带掩码）
+     * @returns {object|null} { fin, opcode, payload }，数据不完整或出错时为 null
+     */
+    parseFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) {
+            return null;
+        }
+
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0f;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7f;
+        let offset = 2;
+
+        if ((buffer[0] & 0x70) !== 0 || !masked) {
+            this.fail(CLOSE_CODES.protocolError, '无效的帧');
+            return null;
+        }
+
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+
+        if (length > this.maxPayload) {
+            this.fail(CLOSE_CODES.messageTooBig, '消息过大');
+            return null;
+        }
+        if (buffer.length < offset + 4 + length) {
+            return null;
+        }
+
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+
+    /**
+     * 处理一个帧
+     * @param {object} frame - { fin, opcode, payload }
+     */
+    handleFrame({ fin, opcode, payload }) {
+        // 控制帧不能分片，数据不超过 125 字节
+        if (opcode >= OPCODES.close) {
+            if (opcode > OPCODES.pong) {
+                return this.fail(CLOSE_CODES.protocolError, `未知的帧类型: ${opcode}`);
+            }
+            if (!fin || payload.length > 125) {
+                return this.fail(CLOSE_CODES.protocolError, '无效的控制帧');
+            }
+            return this.handleControl(opcode, payload);
+        }
+
+        if (opcode === OPCODES.continuation) {
+            if (!this.fragments) {
+                return this.fail(CLOSE_CODES.protocolError, '意外的分片');
+            }
+        } else if (opcode === OPCODES.text || opcode === OPCODES.binary) {
+            if (this.fragments) {
+                return this.fail(CLOSE_CODES.protocolError, '上一条分片消息尚未结束');
+            }
+            this.fragments = { opcode, chunks: [], size: 0 };
+        } else {
+            return this.fail(CLOSE_CODES.protocolError, `未知的帧类型: ${opcode}`);
+        }
+
+        this.fragments.chunks.push(payload);
+        this.fragments.size += payload.length;
+        if (this.fragments.size > this.maxPayload) {
+            return this.fail(CLOSE_CODES.messageTooBig, '消息过大');
+        }
+        if (!fin) {
+            return;
+        }
+
+        const { opcode: messageOpcode, chunks } = this.fragments;
+        this.fragments = null;
+
+        if (messageOpcode === OPCODES.binary) {
+            return this.fail(CLOSE_CODES.unsupportedData, '只支持文本消息');
+        }
+
+        const text = decodeUtf8(Buffer.concat(chunks));
+        if (text === null) {
+            return this.fail(CLOSE_CODES.invalidPayload, '无效的 UTF-8 文本');
+        }
+        if (this.isOpen) {
+            this.emit('message', text);
+        }
+    }
+
+    /**
+     * 处理控制帧
+     * @param {number} opcode - 帧类型
+     * @param {Buffer} payload - 数据
+     */
+    handleControl(opcode, payload) {
+        switch (opcode) {
+            case OPCODES.ping:
+                this.sendFrame(OPCODES.pong, payload);
+                break;
+
+            case OPCODES.pong:
+                this.emit('pong');
+                break;
+
+            case OPCODES.close: {
+                // 关闭帧的数据为空，或为 2 字节关闭码加上 UTF-8 原因
+                const code = payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_CODES.noStatus;
+                if (payload.length === 1 || (payload.length >= 2 && !isValidCloseCode(code))) {
+                    return this.fail(CLOSE_CODES.protocolError, '无效的关闭码');
+                }
+
+                const reason = decodeUtf8(payload.subarray(2));
+                if (reason === null) {
+                    return this.fail(CLOSE_CODES.invalidPayload, '无效的 UTF-8 关闭原因');
+                }
+
+                this.closeCode = code;
+                this.closeReason = reason;
+
+                // 对方发起关闭时回应关闭帧，之后由服务端断开连接
+                if (this.isOpen) {
+                    this.sendFrame(OPCODES.close, payload.subarray(0, 2));
+                }
+                this.state = 'closing';
+                this.socket.end();
+                break;
+            }
+        }
+    }
+
+    /**
+     * 发送一个帧（服务端发出的帧不带掩码）
+     * @param {number} opcode - 帧类型
+     * @param {Buffer} payload - 数据
+     */
+    sendFrame(opcode, payload) {
+        if (this.state === 'closed' || this.socket.destroyed) {
+            return false;
+        }
+
+        const length = payload.length;
+        let header;
+
+        if (length < 126) {
+            header = Buffer.from([0x80 | opcode, length]);
+        } else if (length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(length), 2);
+        }
+
+        return this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * 发送文本消息
+     * @param {string} text - 消息
+     * @returns {boolean} 是否已写入（连接关闭后为 false）
+     */
+    send(text) {
+        return this.isOpen && this.sendFrame(OPCODES.text, Buffer.from(text, 'utf8'));
+    }
+
+    /**
+     * 发送 ping（浏览器自动回应 pong）
+     */
+    ping() {
+        return this.isOpen && this.sendFrame(OPCODES.ping, Buffer.alloc(0));
+    }
+
+    /**
+     * 发起关闭握手，对方未及时回应时直接断开
+     * @param {number} code - 关闭码
+     * @param {string} reason - 原因（最多 123 字节）
+     */
+    close(code = CLOSE_CODES.normal, reason = '') {
+        if (!this.isOpen) {
+            return;
+        }
+
+        const reasonBuffer = Buffer.from(reason, 'utf8').subarray(0, 123);
+        const payload = Buffer.alloc(2 + reasonBuffer.length);
+        payload.writeUInt16BE(code, 0);
+        reasonBuffer.copy(payload, 2);
+
+        this.sendFrame(OPCODES.close, payload);
+        this.state = 'closing';
+        this.closeCode = code;
+        this.closeReason = reason;
+
+        this.closeTimer = setTimeout(() => this.socket.destroy(), CLOSE_TIMEOUT);
+        this.closeTimer.unref();
+    }
+
+    /**
+     * 协议错误：发送关闭帧并丢弃之后收到的数据
+     * @param {number} code - 关闭码
+     * @param {string} reason - 原因
+     */
+    fail(code, reason) {
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null;
+        this.close(code, reason);
+        this.state = 'closed';
+        this.socket.end();
+    }
+
+    /**
+     * 直接断开连接（心跳超时等）
+     */
+    terminate() {
+        this.socket.destroy();
+    }
+
+    handleSocketClose() {
+        clearTimeout(this.closeTimer);
+        this.state = 'closed';
+        this.emit('close', this.closeCode || CLOSE_CODES.goingAway, this.closeReason || '');
+    }
+}
@@ -2,13 +2,17 @@
 import ConversationManager from '../core/conversation-manager.js';
 import TokenTracker from '../core/token-tracker.js';
 import CacheManager from '../core/cache-manager.js';
+import ToolRegistry from '../core/tool-registry.js';
+import { resolveCacheContext } from '../core/cache-context.js';
+import { registerBuiltinTools } from '../tools/builtin-tools.js';
+import ModeStore from './mode-store.js';
 import Config from '../../config.js';
 import logger from '../utils/logger.js';
 
 /**
- * 预设的助手角色配置
+ * 预设的助手角色配置（内置模式，只读）
  */
-const ASSISTANT_PRESETS = {
+export const ASSISTANT_PRESETS = {
     coding: {
         name: '编程助手',
         systemPrompt: '你是一个专业的编程助手，擅长多种编程语言，能够帮助用户理解代码、调试问题、编写新功能。请提供清晰、有注释的代码示例。',
@@ -35,16 +39,55 @@ const ASSISTANT_PRESETS = {
     }
 };
 
+// 缓存命中时流式回放的分块大小（字符数）
+const CACHE_REPLAY_CHUNK_SIZE = 20;
+
+/**
+ * 创建请求参数无效的错误（status = 400）
+ * @param {string} message - 错误信息
+ */
+function requestError(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
 /**
  * 智能助手服务
  * 整合对话管理、Token追踪和缓存功能
  */
 class CleverAssistant {
     constructor(options = {}) {
+        // 工具注册表：可外部注入，或按配置启用内置工具
+        this.tools = options.tools ||
+            (Config.ENABLE_TOOLS ? registerBuiltinTools(new ToolRegistry()) : null);
+
         // 初始化核心组件
-        this.conversation = new ConversationManager(options.conversation);
-        this.tokenTracker = new TokenTracker(options.budgetLimit);
-        this.cache = new CacheManager(options.cache);
+        this.conversation = new ConversationManager({
+            ...options.conversation,
+            tools: this.tools
+        });
+        // 预算按持久化账本计算（多会话可注入共享的账本）
+        this.tokenTracker = new TokenTracker(options.budgetLimit, {
+            ledger: options.ledger,
+            budgetScope: options.budgetScope,
+            userId: options.userId,
+            sessionId: this.conversation.sessionId,
+            mode: options.mode || 'learning',
+            onUsage: options.onUsage
+        });
+        // 可注入共享的缓存（如多会话下的 CacheView），否则创建独立实例
+        this.cache = options.cacheManager || new CacheManager(options.cache);
+        // 模式存储：内置模式 + data/modes.json 中的自定义模式
+        this.modes = options.modeStore || new ModeStore({
+            builtins: ASSISTANT_PRESETS,
+            providers: this.conversation.providers
+        });
+        // 模式未指定提供方和模型时使用的默认值
+        this.defaultProvider = this.conversation.provider;
+        this.defaultModel = this.conversation.model;
+        // 是否在每轮对话后保存到对话库（兼容接口的一次性请求不保存）
+        this.autoSaveEnabled = options.autoSave ?? Config.AUTO_SAVE_CONVERSATIONS;
 
         // 当前模式
         this.currentMode = options.mode || 'learning';
@@ -56,80 +99,607 @@ class CleverAssistant {
      * @param {string} mode - 模式名称
      */
     applyPreset(mode) {
-        const preset = ASSISTANT_PRESETS[mode];
+        const preset = this.modes.get(mode);
         if (preset) {
             this.conversation.setSystemPrompt(preset.systemPrompt);
             this.conversation.temperature = preset.temperature;
             this.conversation.maxTokens = preset.maxTokens;
+            this.applyTarget(preset.provider, preset.model);
+            this.conversation.mode = mode;
             this.currentMode = mode;
             logger.info(`已切换到 ${preset.name} 模式`);
         }
     }
 
     /**
-     * 获取可用模式
+     * 设置提供方和模型
+     * 只指定提供方时使用该提供方的默认模型，都未指定时恢复默认值
+     * @param {string} provider - 提供方名称
+     * @param {string} model - 模型名称
+     */
+    applyTarget(provider, model) {
+        if (!provider) {
+            this.conversation.provider = this.defaultProvider;
+            this.conversation.model = model || this.defaultModel;
+            return;
+        }
+
+        const target = this.conversation.providers.get(provider);
+        this.conversation.provider = target.name;
+        this.conversation.model = model || target.defaultModel || this.defaultModel;
+    }
+
+    /**
+     * 切换当前会话的提供方（不清空对话历史）
+     * @param {string} provider - 提供方名称
+     * @param {string} model - 模型名称（可选）
+     */
+    switchProvider(provider, model = null) {
+        this.applyTarget(provider, model);
+        logger.success(`已切换到 ${this.conversation.provider} (${this.conversation.model})`);
+    }
+
+    /**
+     * 列出已注册的提供方
+     */
+    listProviders() {
+        return this.conversation.providers.list();
+    }
+
+    /**
+     * 模型是否允许由客户端指定（请求参数和自定义模式）
+     * 默认模型和各提供方的默认模型总是允许，其他模型须在 ALLOWED_MODELS 中（未设置时须在价格表中）
+     * @param {string} model - 模型名称
+     */
+    isAllowedModel(model) {
+        const name = model.toLowerCase();
+        const configured = [this.defaultModel, ...this.listProviders().map(provider => provider.defaultModel)];
+        if (configured.some(item => item && item.toLowerCase() === name)) {
+            return true;
+        }
+
+        const allowed = Config.ALLOWED_MODELS.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+        return allowed.length > 0 ? allowed.includes(name) : this.tokenTracker.pricing.has(model);
+    }
+
+    /**
+     * 校验请求中指定的提供方和模型（options.provider、options.model）
+     * 提供方须已注册并配置凭据，模型须在允许列表中（见 isAllowedModel）
+     * @param {object} options - 可选参数
+     * @throws {Error} 无效时抛出错误（status = 400）
+     */
+    validateTarget(options = {}) {
+        const { provider, model } = options;
+        const providers = this.conversation.providers;
+
+        if (provider && (typeof provider !== 'string' || !providers.has(provider) || !providers.get(provider).isConfigured())) {
+            throw requestError(`提供方不可用: ${provider}`);
+        }
+        if (model && (typeof model !== 'string' || !this.isAllowedModel(model))) {
+            throw requestError(`不允许使用的模型: ${model}`);
+        }
+    }
+
+    /**
+     * 获取可用模式（内置模式与自定义模式）
      */
     getAvailableModes() {
-        return Object.keys(ASSISTANT_PRESETS).map(key => ({
-            id: key,
-            ...ASSISTANT_PRESETS[key]
-        }));
+        return this.modes.list();
     }
 
     /**
-     * 发送消息
+     * 创建自定义模式
+     * @param {object} mode - 模式配置（id、name、systemPrompt、temperature、maxTokens、model）
+     * @returns {object} 新模式
+     */
+    createMode(mode) {
+        this.validateTarget(mode);
+        return this.modes.create(mode);
+    }
+
+    /**
+     * 复制已有模式为自定义模式
+     * @param {string} sourceId - 源模式ID
+     * @param {string} newId - 新模式ID
+     * @param {object} overrides - 覆盖的字段
+     * @returns {object} 新模式
+     */
+    cloneMode(sourceId, newId, overrides = {}) {
+        this.validateTarget(overrides);
+        return this.modes.clone(sourceId, newId, overrides);
+    }
+
+    /**
+     * 更新自定义模式，当前正在使用时立即应用新参数
+     * @param {string} id - 模式ID
+     * @param {object} changes - 需要修改的字段
+     * @returns {object} 更新后的模式
+     */
+    updateMode(id, changes) {
+        this.validateTarget(changes);
+        const mode = this.modes.update(id, changes);
+
+        if (this.currentMode === id) {
+            this.applyPreset(id);
+        }
+
+        return mode;
+    }
+
+    /**
+     * 删除自定义模式，当前正在使用时切回默认模式
+     * @param {string} id - 模式ID
+     */
+    deleteMode(id) {
+        this.modes.delete(id);
+
+        if (this.currentMode === id) {
+            this.applyPreset('learning');
+        }
+
+        return true;
+    }
+
+    /**
+     * 获取影响回复的参数（作为缓存键和语义查找的作用域）
+     * 对话上文按 CACHE_CONTEXT_POLICY 计入缓存键
      * @param {string} userInput - 用户输入
-     * @param {object} options - 可选参数
-     * @returns {Promise<object>} 响应结果
+     * @param {object} options - 可选参数（可按请求指定 provider、model）
+     * @returns {object|null} 缓存参数，问题依赖上文而不可缓存时为 null
      */
-    async sendMessage(userInput, options = {}) {
-        // 检查预算
-        const budgetStatus = this.tokenTracker.checkBudget();
-        if (budgetStatus.isOverBudget) {
-            return {
-                success: false,
-                error: '已超出预算限制',
-                content: null
-            };
+    getCacheOptions(userInput, options = {}) {
+        const { provider, model } = this.conversation.resolveTarget(options);
+        const { cacheable, context } = resolveCacheContext(
+            userInput,
+            this.conversation.getFormattedHistory(),
+            { summary: this.conversation.summary ? this.conversation.summary.content : null }
+        );
+
+        if (!cacheable) {
+            logger.info('问题依赖对话上文，跳过缓存');
+            return null;
         }
 
-        // 尝试从缓存获取
-        const cacheKey = this.cache.generateKey(userInput, {
-            model: this.conversation.model,
+        return {
+            provider: provider.name,
+            model,
+            maxTokens: options.maxTokens || this.conversation.maxTokens,
             temperature: this.conversation.temperature,
-            systemPrompt: this.conversation.systemPrompt
-        });
+            systemPrompt: this.conversation.systemPrompt,
+            context
+        };
+    }
+
+    /**
+     * 检查预算（模式预算按当前模式计算）
+     * @returns {object} 预算状态
+     */
+    checkBudget() {
+        this.tokenTracker.setContext({ mode: this.currentMode });
+        return this.tokenTracker.checkBudget();
+    }
+
+    /**
+     * 预算检查失败时的响应
+     * @param {object} budgetStatus - 预算状态
+     */
+    overBudgetResponse(budgetStatus) {
+        return {
+            success: false,
+            error: `已超出预算限制: ${this.tokenTracker.describeBlocking(budgetStatus)}`,
+            budget: budgetStatus,
+            content: null
+        };
+    }
+
+    /**
+     * 预计会超出预算而被拒绝的响应
+     * @param {object} plan - planRequest() 的结果
+     */
+    blockedResponse(plan) {
+        const { estimate } = plan;
+        return {
+            success: false,
+            error: plan.reason === 'unpriced'
+                ? `模型 ${estimate.model} 不在价格表中，无法计入预算（请在价格表中添加该模型，或设置 UNPRICED_MODELS=allow）`
+                : `本次请求预计最多花费 ${estimate.displayCost}，超出剩余预算 ${estimate.displayHeadroom}`,
+            estimate,
+            budget: plan.budget,
+            content: null
+        };
+    }
+
+    /**
+     * 估算指定目标下的请求
+     * @param {string} userInput - 用户输入
+     * @param {object} options - 可选参数（provider、model、maxTokens）
+     * @param {object} budgetStatus - 预算状态
+     */
+    estimateRequest(userInput, options, budgetStatus) {
+        const request = this.conversation.estimateRequest(userInput, options);
+        const estimate = this.tokenTracker.estimate(
+            request.inputTokens,
+            request.maxTokens,
+            request.model,
+            budgetStatus
+        );
+
+        return {
+            ...request,
+            ...estimate,
+            requiresConfirmation: Config.CONFIRM_COST_ABOVE > 0 && estimate.estimatedCost >= Config.CONFIRM_COST_ABOVE
+        };
+    }
+
+    /**
+     * 在剩余预算内寻找降级方案
+     * 先尝试 BUDGET_FALLBACK_MODEL，再降低 max_tokens（不低于 BUDGET_MIN_MAX_TOKENS）
+     * @param {object} estimate - 原请求的估算
+     * @returns {object|null} { model, maxTokens }，找不到时为 null
+     */
+    findDegradedTarget(estimate) {
+        // 未定价的备用模型按 0 计价，只在 UNPRICED_MODELS=allow 时使用
+        const fallback = Config.BUDGET_FALLBACK_MODEL && Config.BUDGET_FALLBACK_MODEL !== estimate.model &&
+            (Config.UNPRICED_MODELS === 'allow' || this.tokenTracker.pricing.has(Config.BUDGET_FALLBACK_MODEL))
+            ? Config.BUDGET_FALLBACK_MODEL
+            : null;
+
+        if (fallback) {
+            const cost = this.tokenTracker.calculateSingleCallCost(estimate.inputTokens, estimate.maxTokens, fallback);
+            if (cost <= estimate.headroom) {
+                return { model: fallback, maxTokens: estimate.maxTokens };
+            }
+        }
+
+        for (const model of [estimate.model, fallback].filter(Boolean)) {
+            const affordable = this.tokenTracker.getAffordableOutputTokens(estimate.inputTokens, model, estimate.headroom);
+            if (affordable >= Config.BUDGET_MIN_MAX_TOKENS) {
+                return { model, maxTokens: Math.min(affordable, estimate.maxTokens) };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * 发送前估算成本并应用预算保护（BUDGET_GUARD）
+     * 输入按当前历史和系统提示估算，输出按 max_tokens 计最坏情况
+     * @param {string} userInput - 用户输入
+     * @param {object} options - 可选参数
+     * @param {object} budgetStatus - 预算状态（省略时重新检查）
+     * @returns {object} { action: 'send'|'degrade'|'block', reason, options, estimate, degraded, budget }
+     *   reason 为拒绝原因：over_budget（预计超出预算）| unpriced（模型未定价）
+     */
+    planRequest(userInput, options = {}, budgetStatus = this.checkBudget()) {
+        const estimate = this.estimateRequest(userInput, options, budgetStatus);
+        const plan = { action: 'send', reason: null, options, estimate, degraded: null, budget: budgetStatus };
+
+        // 未定价的模型成本按 0 计算，发送后预算无法约束（不受 BUDGET_GUARD 影响）
+        if (!estimate.priced && Config.UNPRICED_MODELS === 'block') {
+            return { ...plan, action: 'block', reason: 'unpriced' };
+        }
+
+        if (!estimate.wouldExceedBudget || Config.BUDGET_GUARD === 'off') {
+            return plan;
+        }
+
+        const target = Config.BUDGET_GUARD === 'degrade' ? this.findDegradedTarget(estimate) : null;
+        if (!target) {
+            return { ...plan, action: 'block', reason: 'over_budget' };
+        }
+
+        const degradedOptions = { ...options, model: target.model, maxTokens: target.maxTokens };
+        return {
+            ...plan,
+            action: 'degrade',
+            options: degradedOptions,
+            estimate: this.estimateRequest(userInput, degradedOptions, budgetStatus),
+            degraded: {
+                from: { model: estimate.model, maxTokens: estimate.maxTokens },
+                to: target
+            }
+        };
+    }
+
+    /**
+     * 预览下一次请求的估算（供界面在发送前展示，不发送请求）
+     * @param {string} userInput - 用户输入
+     * @param {object} options - 可选参数
+     */
+    previewRequest(userInput, options = {}) {
+        this.validateTarget(options);
+        const { action, reason, estimate, degraded, budget } = this.planRequest(userInput, options);
+        return { action, reason, estimate, degraded, isOverBudget: budget.isOverBudget };
+    }
+
+    /**
+     * 按发送计划调用前的准备：拒绝时返回错误响应，降级时记录日志
+     * @returns {object|null} 拒绝时的响应
+     */
+    applyPlan(plan) {
+        if (plan.action === 'block' && plan.reason === 'unpriced') {
+            logger.warn(`模型 ${plan.estimate.model} 未定价，已拒绝`);
+            return this.blockedResponse(plan);
+        }
+        if (plan.action === 'block') {
+            logger.warn(`请求预计超出预算，已拒绝（预计 ${plan.estimate.displayCost}）`);
+            return this.blockedResponse(plan);
+        }
+        if (plan.action === 'degrade') {
+            const { from, to } = plan.degraded;
+            logger.warn(`预算不足，已降级: ${from.model}/${from.maxTokens} → ${to.model}/${to.maxTokens}`);
+        }
+        return null;
+    }
+
+    /**
+     * 读取缓存响应（精确或语义匹配），命中时写入对话历史
+     * @param {string} userInput - 用户输入
+     * @param {object|null} cacheOptions - 缓存参数
+     * @param {object} options - 可选参数
+     * @returns {Promise<object|null>} 命中结果 { value, match, similarity }，value 为缓存的响应
+     */
+    async readCache(userInput, cacheOptions, options = {}) {
+        if (options.disableCache || !cacheOptions) {
+            return null;
+        }
+
+        const hit = await this.cache.lookup(userInput, cacheOptions);
+        if (hit) {
+            // 旧版本缓存只保存了文本
+            if (typeof hit.value === 'string') {
+                hit.value = { content: hit.value };
+            }
 
-        const cachedResponse = this.cache.get(cacheKey);
-        if (cachedResponse && !options.disableCache) {
             // 即使是缓存响应，也要添加到对话历史
             this.conversation.addMessage('user', userInput);
-            this.conversation.addMessage('assistant', cachedResponse);
-
-            return {
-                success: true,
-                content: cachedResponse,
-                fromCache: true,
-                usage: null
-            };
+            this.conversation.addMessage('assistant', hit.value.content);
+            this.autoSave();
         }
 
-        // 调用API
-        const response = await this.conversation.chat(userInput, options);
+        return hit;
+    }
 
-        if (response.success) {
+    /**
+     * 缓存命中时的响应
+     * usage 为 null（本次未消耗Token），原始用量见 cachedUsage
+     * @param {object} hit - 命中结果
+     */
+    cachedResponse(hit) {
+        const cached = hit.value;
+
+        return {
+            success: true,
+            content: cached.content,
+            fromCache: true,
+            cacheMatch: hit.match,
+            similarity: hit.similarity,
+            model: cached.model,
+            provider: cached.provider,
+            stopReason: cached.stopReason,
+            cachedUsage: cached.usage || null,
+            cachedAt: cached.cachedAt,
+            usage: null
+        };
+    }
+
+    /**
+     * 记录Token使用并缓存成功的响应
+     * 失败的请求如已消耗Token（如工具循环中途出错）同样计入
+     * @param {string} userInput - 用户输入
+     * @param {object|null} cacheOptions - 缓存参数（为 null 时不缓存）
+     * @param {object} response - API响应结果
+     */
+    async recordResponse(userInput, cacheOptions, response) {
+        if (response.usage) {
             // 记录Token使用
             this.tokenTracker.recordCall(
                 response.usage.inputTokens,
                 response.usage.outputTokens,
-                response.model
+                response.model || this.conversation.model,
+                null,
+                response.provider,
+                {
+                    cacheReadTokens: response.usage.cacheReadTokens,
+                    cacheWriteTokens: response.usage.cacheWriteTokens,
+                    latencyMs: response.latencyMs,
+                    conversationId: this.conversation.conversationId
+                }
             );
+        }
+
+        // 缓存响应及其元数据（依赖工具结果的回复和停止生成的部分回复不缓存）
+        if (cacheOptions && response.success && !response.cancelled && !(response.toolCalls && response.toolCalls.length > 0)) {
+            await this.cache.store(userInput, cacheOptions, {
+                content: response.content,
+                model: response.model,
+                provider: response.provider,
+                stopReason: response.stopReason,
+                usage: response.usage,
+                cachedAt: Date.now()
+            });
+        }
+
+        if (response.success) {
+            this.autoSave();
+        }
+    }
+
+    /**
+     * 自动保存当前对话（便于在对话库中浏览和恢复）
+     */
+    autoSave() {
+        if (this.autoSaveEnabled) {
+            this.conversation.saveConversation();
+        }
+    }
+
+    /**
+     * 发送消息
+     * @param {string} userInput - 用户输入
+     * @param {object} options - 可选参数
+     * @returns {Promise<object>} 响应结果
+     */
+    async sendMessage(userInput, options = {}) {
+        this.validateTarget(options);
+
+        // 检查预算
+        const budgetStatus = this.checkBudget();
+        if (budgetStatus.isOverBudget) {
+            return this.overBudgetResponse(budgetStatus);
+        }
+
+        // 尝试从缓存获取
+        const cacheOptions = this.getCacheOptions(userInput, options);
+        const hit = await this.readCache(userInput, cacheOptions, options);
+        if (hit) {
+            return this.cachedResponse(hit);
+        }
+
+        // 发送前估算成本
+        const plan = this.planRequest(userInput, options, budgetStatus);
+        const blocked = this.applyPlan(plan);
+        if (blocked) {
+            return blocked;
+        }
+        const storeOptions = plan.degraded && cacheOptions ? this.getCacheOptions(userInput, plan.options) : cacheOptions;
+
+        // 调用API
+        const startedAt = Date.now();
+        const response = await this.conversation.chat(userInput, plan.options);
+        response.latencyMs = Date.now() - startedAt;
+        await this.recordResponse(userInput, storeOptions, response);
+
+        return { ...response, estimate: plan.estimate, degraded: plan.degraded };
+    }
+
+    /**
+     * 发送消息（流式响应）
+     * 与 sendMessage 使用相同的预算、缓存和Token追踪流程，缓存命中时以流的形式回放
+     * @param {string} userInput - 用户输入
+     * @param {object} options - 可选参数（signal 中止时停止生成，cancelPolicy 指定部分回复保留或丢弃）
+     * @param {function} onChunk - 接收数据块的回调函数
+     * @returns {Promise<object>} 最终响应结果
+     */
+    async sendMessageStream(userInput, options = {}, onChunk = null) {
+        this.validateTarget(options);
+
+        // 检查预算
+        const budgetStatus = this.checkBudget();
+        if (budgetStatus.isOverBudget) {
+            return this.overBudgetResponse(budgetStatus);
+        }
+
+        // 尝试从缓存获取，命中时分块回放
+        const cacheOptions = this.getCacheOptions(userInput, options);
+        const hit = await this.readCache(userInput, cacheOptions, options);
+        if (hit) {
+            if (onChunk) {
+                const content = hit.value.content;
+                for (let i = 0; i < content.length; i += CACHE_REPLAY_CHUNK_SIZE) {
+                    onChunk({
+                        type: 'content',
+                        content: content.slice(i, i + CACHE_REPLAY_CHUNK_SIZE)
+                    });
+                }
+            }
+
+            return this.cachedResponse(hit);
+        }
+
+        // 发送前估算成本
+        const plan = this.planRequest(userInput, options, budgetStatus);
+        const blocked = this.applyPlan(plan);
+        if (blocked) {
+            return blocked;
+        }
+        const storeOptions = plan.degraded && cacheOptions ? this.getCacheOptions(userInput, plan.options) : cacheOptions;
+        if (plan.degraded && onChunk) {
+            onChunk({ type: 'degraded', ...plan.degraded });
+        }
+
+        // 调用API（流式）
+        const startedAt = Date.now();
+        const response = await this.conversation.chatStream(userInput, plan.options, onChunk);
+        response.latencyMs = Date.now() - startedAt;
+        await this.recordResponse(userInput, storeOptions, response);
+
+        return { ...response, estimate: plan.estimate, degraded: plan.degraded };
+    }
+
+    /**
+     * 重新生成回复：按原问题重新请求（不读取缓存），新回复与原回复互为兄弟分支
+     * 请求失败、被预算拒绝或停止后丢弃时回到原分支
+     * @param {string|null} messageId - 助手消息ID（默认当前分支的最后一条回复）
+     * @param {object} options - 可选参数
+     * @param {function} onChunk - 接收数据块的回调函数（提供时使用流式响应）
+     * @returns {Promise<object>} 响应结果
+     */
+    async regenerate(messageId = null, options = {}, onChunk = null) {
+        this.validateTarget(options);
 
-            // 缓存响应
-            this.cache.set(cacheKey, response.content);
+        // 检查预算
+        const budgetStatus = this.checkBudget();
+        if (budgetStatus.isOverBudget) {
+            return this.overBudgetResponse(budgetStatus);
         }
 
-        return response;
+        const rewind = this.conversation.rewindForRegenerate(messageId);
+
+        try {
+            // 发送前估算成本
+            const plan = this.planRequest(null, options, budgetStatus);
+            const blocked = this.applyPlan(plan);
+            if (blocked) {
+                return blocked;
+            }
+            if (plan.degraded && onChunk) {
+                onChunk({ type: 'degraded', ...plan.degraded });
+            }
+
+            const startedAt = Date.now();
+            const response = onChunk
+                ? await this.conversation.chatStream(null, plan.options, onChunk)
+                : await this.conversation.chat(null, plan.options);
+            response.latencyMs = Date.now() - startedAt;
+            await this.recordResponse(null, null, response);
+
+            return { ...response, estimate: plan.estimate, degraded: plan.degraded };
+        } finally {
+            this.conversation.restoreRewind(rewind);
+        }
+    }
+
+    /**
+     * 编辑用户消息并从这里重新对话，编辑后的消息与原消息互为兄弟分支
+     * 与发送新消息的流程相同（预算、缓存、Token追踪），没有产生新消息时回到原分支
+     * @param {string} messageId - 用户消息ID
+     * @param {string} content - 新的消息内容
+     * @param {object} options - 可选参数
+     * @param {function} onChunk - 接收数据块的回调函数（提供时使用流式响应）
+     * @returns {Promise<object>} 响应结果
+     */
+    async editMessage(messageId, content, options = {}, onChunk = null) {
+        const rewind = this.conversation.rewindForEdit(messageId);
+
+        try {
+            return onChunk
+                ? await this.sendMessageStream(content, options, onChunk)
+                : await this.sendMessage(content, options);
+        } finally {
+            this.conversation.restoreRewind(rewind);
+        }
+    }
+
+    /**
+     * 切换到指定消息所在的分支并保存
+     * @param {string} messageId - 消息ID
+     * @returns {Array<object>} 新的当前分支
+     */
+    switchBranch(messageId) {
+        const branch = this.conversation.switchBranch(messageId);
+        this.autoSave();
+        return branch;
     }
 
     /**
@@ -138,11 +708,12 @@ class CleverAssistant {
     getStatus() {
         return {
             mode: this.currentMode,
-            modeName: ASSISTANT_PRESETS[this.currentMode]?.name,
+            modeName: this.modes.get(this.currentMode)?.name,
             conversation: this.conversation.getSummary(),
             tokens: this.tokenTracker.getReport().summary,
-            budget: this.tokenTracker.checkBudget(),
-            cache: this.cache.getStats()
+            budget: this.checkBudget(),
+            cache: this.cache.getStats(),
+            circuits: this.conversation.retryPolicy.getStatus()
         };
     }
 
@@ -156,11 +727,15 @@ class CleverAssistant {
         console.log('🤖 助手状态');
         console.log('='.repeat(60));
         console.log(`   当前模式: ${status.modeName} (${status.mode})`);
+        console.log(`   提供方: ${status.conversation.provider} (${status.conversation.model})`);
         console.log(`   对话轮数: ${status.conversation.rounds}`);
         console.log(`   请求次数: ${status.tokens.totalRequests}`);
         console.log(`   总Tokens: ${status.tokens.totalTokens.toLocaleString()}`);
         console.log(`   当前成本: $${status.budget.currentCost.toFixed(6)}`);
         console.log(`   缓存命中率: ${status.cache.hitRate}`);
+        for (const circuit of status.circuits.filter(c => c.state !== 'closed')) {
+            console.log(`   熔断: ${circuit.target}（${circuit.state}，${Math.ceil(circuit.retryInMs / 1000)} 秒后试探）`);
+        }
         console.log('='.repeat(60) + '\n');
     }
 
@@ -169,8 +744,9 @@ class CleverAssistant {
      * @param {string} mode - 模式名称
      */
     switchMode(mode) {
-        if (!ASSISTANT_PRESETS[mode]) {
-            const available = Object.keys(ASSISTANT_PRESETS).join(', ');
+        const preset = this.modes.get(mode);
+        if (!preset) {
+            const available = this.modes.list().map(m => m.id).join(', ');
             throw new Error(`未知模式: ${mode}。可用模式: ${available}`);
         }
 
@@ -181,7 +757,56 @@ class CleverAssistant {
         this.conversation.clearHistory();
         this.applyPreset(mode);
 
-        logger.success(`已切换到 ${ASSISTANT_PRESETS[mode].name} 模式`);
+        logger.success(`已切换到 ${preset.name} 模式`);
+    }
+
+    /**
+     * 列出已保存的对话
+     */
+    listConversations() {
+        return this.conversation.listSavedConversations();
+    }
+
+    /**
+     * 恢复已保存的对话
+     * 当前对话会先保存，随后按对话记录中的模式恢复参数
+     * @param {string} conversationId - 对话ID
+     * @returns {object} 对话摘要
+     */
+    loadConversation(conversationId) {
+        if (this.conversation.conversationHistory.length > 0) {
+            this.conversation.saveConversation();
+        }
+
+        if (!this.conversation.loadConversation(conversationId)) {
+            throw new Error(`无法加载对话: ${conversationId}`);
+        }
+
+        // 恢复模式参数（系统提示和模型使用对话记录中的内容）
+        const preset = this.modes.get(this.conversation.mode);
+        if (preset) {
+            this.currentMode = this.conversation.mode;
+            this.conversation.temperature = preset.temperature;
+            this.conversation.maxTokens = preset.maxTokens;
+        }
+
+        logger.success(`已恢复对话: ${this.conversation.title || conversationId}`);
+        return this.conversation.getSummary();
+    }
+
+    /**
+     * 删除已保存的对话（删除当前对话时同时清空历史）
+     * @param {string} conversationId - 对话ID
+     * @returns {boolean} 是否删除
+     */
+    deleteConversation(conversationId) {
+        const deleted = this.conversation.deleteConversation(conversationId);
+
+        if (deleted && conversationId === this.conversation.conversationId) {
+            this.conversation.clearHistory();
+        }
+
+        return deleted;
     }
 
     /**
@@ -229,10 +854,20 @@ class CleverAssistant {
                 { command: '/status', description: '查看当前状态' },
                 { command: '/mode', description: '列出可用模式' },
                 { command: '/mode <name>', description: '切换模式' },
+                { command: '/mode create', description: '创建自定义模式' },
+                { command: '/mode edit <name>', description: '编辑自定义模式' },
+                { command: '/mode clone <name> <新ID>', description: '复制模式' },
+                { command: '/mode delete <name>', description: '删除自定义模式' },
+                { command: '/provider [名称] [模型]', description: '列出/切换模型提供方' },
                 { command: '/clear', description: '清空对话历史' },
                 { command: '/save', description: '保存当前对话' },
+                { command: '/history', description: '列出已保存的对话' },
+                { command: '/load <id|序号>', description: '恢复已保存的对话' },
+                { command: '/search <关键词>', description: '搜索已保存的对话' },
                 { command: '/report', description: '显示详细报告' },
+                { command: '/export [格式]', description: '导出Token用量（csv/json/markdown）' },
                 { command: '/reset', description: '重置会话' },
+                { command: '/tools', description: '列出可用工具' },
                 { command: '/quit', description: '退出程序' }
             ],
             modes: this.getAvailableModes()
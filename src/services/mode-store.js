@@ -0,0 +1,285 @@
+// src/services/mode-store.js
+import fs from 'fs';
+import path from 'path';
+import logger from '../utils/logger.js';
+
+// 模式ID格式
+const MODE_ID_PATTERN = /^[a-z0-9_-]{2,32}$/;
+const MODEL_NAME_PATTERN = /^[\w.:/-]{1,100}$/;
+// 与 CLI 子命令（/mode create 等）冲突的保留ID
+const RESERVED_MODE_IDS = new Set(['create', 'edit', 'clone', 'delete']);
+
+/**
+ * 创建带 HTTP 状态码的错误
+ * @param {string} message - 错误信息
+ * @param {number} status - 状态码
+ */
+function modeError(message, status = 400) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * 助手模式存储
+ * 内置模式只读；自定义模式保存在 data/modes.json，多个会话共享并按文件修改时间自动重新加载
+ */
+class ModeStore {
+    /**
+     * @param {object} options - 配置项
+     * @param {object} options.builtins - 内置模式 { id: preset }
+     * @param {string} options.file - 自定义模式文件路径
+     * @param {ProviderRegistry} options.providers - 提供方注册表（用于校验 provider 字段）
+     */
+    constructor(options = {}) {
+        this.builtins = options.builtins || {};
+        this.providers = options.providers || null;
+        this.file = options.file || path.join(process.cwd(), 'data', 'modes.json');
+        this.customModes = {};
+        this.loadedMtime = null;
+
+        this.load();
+    }
+
+    /**
+     * 从文件加载自定义模式（文件未变化时跳过）
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.file)) {
+                this.customModes = {};
+                this.loadedMtime = null;
+                return;
+            }
+
+            const mtime = fs.statSync(this.file).mtimeMs;
+            if (mtime === this.loadedMtime) {
+                return;
+            }
+
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.customModes = data.modes || {};
+            this.loadedMtime = mtime;
+        } catch (error) {
+            logger.error(`加载自定义模式失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 保存自定义模式（先写临时文件再重命名，避免写入中断损坏文件）
+     */
+    save() {
+        const dir = path.dirname(this.file);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        const data = {
+            version: 1,
+            savedAt: new Date().toISOString(),
+            modes: this.customModes
+        };
+
+        const tmpFile = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2), 'utf8');
+        fs.renameSync(tmpFile, this.file);
+        this.loadedMtime = fs.statSync(this.file).mtimeMs;
+    }
+
+    isBuiltin(id) {
+        return Object.prototype.hasOwnProperty.call(this.builtins, id);
+    }
+
+    /**
+     * 获取模式
+     * @param {string} id - 模式ID
+     * @returns {object|null} 模式配置
+     */
+    get(id) {
+        if (this.isBuiltin(id)) {
+            return { id, ...this.builtins[id], builtin: true };
+        }
+
+        this.load();
+        const mode = this.customModes[id];
+        return mode ? { id, ...mode, builtin: false } : null;
+    }
+
+    /**
+     * 列出全部模式（内置在前，自定义在后）
+     */
+    list() {
+        this.load();
+
+        return [
+            ...Object.keys(this.builtins).map(id => ({ id, ...this.builtins[id], builtin: true })),
+            ...Object.keys(this.customModes).map(id => ({ id, ...this.customModes[id], builtin: false }))
+        ];
+    }
+
+    /**
+     * 校验模式配置
+     * @param {object} mode - 模式配置
+     * @returns {object} 规范化后的配置
+     * @throws {Error} 配置无效时抛出错误（status = 400）
+     */
+    validate(mode) {
+        const errors = [];
+
+        if (typeof mode.name !== 'string' || !mode.name.trim() || mode.name.length > 30) {
+            errors.push('name 必须是 1-30 个字符的字符串');
+        }
+        if (typeof mode.systemPrompt !== 'string' || !mode.systemPrompt.trim() || mode.systemPrompt.length > 4000) {
+            errors.push('systemPrompt 必须是 1-4000 个字符的字符串');
+        }
+
+        const temperature = Number(mode.temperature);
+        if (mode.temperature === undefined || isNaN(temperature) || temperature < 0 || temperature > 1) {
+            errors.push('temperature 必须在 0-1 之间');
+        }
+
+        const maxTokens = Number(mode.maxTokens);
+        if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > 8192) {
+            errors.push('maxTokens 必须是 1-8192 之间的整数');
+        }
+
+        if (mode.model && (typeof mode.model !== 'string' || !MODEL_NAME_PATTERN.test(mode.model))) {
+            errors.push('model 格式无效');
+        }
+
+        if (mode.provider && (typeof mode.provider !== 'string' || (this.providers && !this.providers.has(mode.provider)))) {
+            errors.push(`provider 未注册: ${mode.provider}`);
+        }
+
+        if (errors.length > 0) {
+            throw modeError(`模式配置无效: ${errors.join('; ')}`);
+        }
+
+        const normalized = {
+            name: mode.name.trim(),
+            systemPrompt: mode.systemPrompt.trim(),
+            temperature,
+            maxTokens
+        };
+
+        if (mode.provider) {
+            normalized.provider = mode.provider;
+        }
+        if (mode.model) {
+            normalized.model = mode.model;
+        }
+
+        return normalized;
+    }
+
+    /**
+     * 创建自定义模式
+     * @param {object} mode - 模式配置（包含 id）
+     * @returns {object} 新模式
+     */
+    create(mode) {
+        const id = mode.id;
+
+        if (typeof id !== 'string' || !MODE_ID_PATTERN.test(id)) {
+            throw modeError('id 只能包含小写字母、数字、下划线和短横线（2-32 位）');
+        }
+        if (RESERVED_MODE_IDS.has(id)) {
+            throw modeError(`id 为保留字: ${id}`);
+        }
+
+        this.load();
+
+        if (this.isBuiltin(id) || this.customModes[id]) {
+            throw modeError(`模式已存在: ${id}`, 409);
+        }
+
+        const now = new Date().toISOString();
+        this.customModes[id] = {
+            ...this.validate(mode),
+            createdAt: now,
+            updatedAt: now
+        };
+        this.save();
+
+        logger.info(`已创建自定义模式: ${id}`);
+        return this.get(id);
+    }
+
+    /**
+     * 更新自定义模式（内置模式只读）
+     * @param {string} id - 模式ID
+     * @param {object} changes - 需要修改的字段
+     * @returns {object} 更新后的模式
+     */
+    update(id, changes) {
+        this.assertEditable(id);
+
+        const current = this.customModes[id];
+        this.customModes[id] = {
+            ...this.validate({ ...current, ...changes }),
+            createdAt: current.createdAt,
+            updatedAt: new Date().toISOString()
+        };
+        this.save();
+
+        logger.info(`已更新自定义模式: ${id}`);
+        return this.get(id);
+    }
+
+    /**
+     * 复制模式（内置或自定义）为新的自定义模式
+     * @param {string} sourceId - 源模式ID
+     * @param {string} newId - 新模式ID
+     * @param {object} overrides - 覆盖的字段
+     * @returns {object} 新模式
+     */
+    clone(sourceId, newId, overrides = {}) {
+        const source = this.get(sourceId);
+        if (!source) {
+            throw modeError(`未知模式: ${sourceId}`, 404);
+        }
+
+        return this.create({
+            name: `${source.name.slice(0, 25)} (副本)`,
+            systemPrompt: source.systemPrompt,
+            temperature: source.temperature,
+            maxTokens: source.maxTokens,
+            provider: source.provider,
+            model: source.model,
+            ...overrides,
+            id: newId
+        });
+    }
+
+    /**
+     * 删除自定义模式
+     * @param {string} id - 模式ID
+     */
+    delete(id) {
+        this.assertEditable(id);
+
+        delete this.customModes[id];
+        this.save();
+
+        logger.info(`已删除自定义模式: ${id}`);
+        return true;
+    }
+
+    /**
+     * 确认模式存在且可编辑
+     * @param {string} id - 模式ID
+     */
+    assertEditable(id) {
+        if (this.isBuiltin(id)) {
+            throw modeError(`内置模式不可修改: ${id}`, 403);
+        }
+
+        this.load();
+
+        if (!this.customModes[id]) {
+            throw modeError(`未知模式: ${id}`, 404);
+        }
+    }
+}
+
+export default ModeStore;
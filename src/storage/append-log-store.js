@@ -0,0 +1,170 @@
+// src/storage/append-log-store.js
+import fs from 'fs';
+import BaseStore, { ensureDir, writeFileAtomic } from './base-store.js';
+import logger from '../utils/logger.js';
+
+/**
+ * 追加日志后端（data/cache.log）
+ * 每次写入在文件末尾追加一行 JSON（set / del / clear / stats），加载时按顺序重放；
+ * 日志行数超过存活记录数的 compactRatio 倍时压缩为只包含存活记录的新文件
+ */
+class AppendLogStore extends BaseStore {
+    /**
+     * @param {object} options - 配置项
+     * @param {string} options.file - 日志文件路径
+     * @param {number} options.compactRatio - 触发压缩的日志行数 / 存活记录数
+     * @param {number} options.minCompactLines - 日志行数低于此值时不压缩
+     */
+    constructor(options = {}) {
+        super({ name: 'log', ...options });
+        this.file = options.file;
+        this.compactRatio = options.compactRatio ?? 2;
+        this.minCompactLines = options.minCompactLines ?? 200;
+
+        this.records = new Map();
+        this.lineCount = 0;
+        this.handle = null;
+    }
+
+    async load() {
+        let content;
+        try {
+            content = await fs.promises.readFile(this.file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { entries: [], stats: null };
+            }
+            throw error;
+        }
+
+        let corrupted = 0;
+        this.records.clear();
+        this.lineCount = 0;
+
+        for (const line of content.split('\n')) {
+            if (!line.trim()) {
+                continue;
+            }
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                // 崩溃时最后一行可能只写了一半
+                corrupted++;
+                continue;
+            }
+
+            this.lineCount++;
+            this.apply(entry);
+        }
+
+        if (corrupted > 0) {
+            logger.warn(`缓存日志中有 ${corrupted} 行无法解析，已跳过`);
+            await this.enqueue(() => this.compact());
+        }
+
+        return { entries: Array.from(this.records.values()), stats: this.stats };
+    }
+
+    /**
+     * 重放一条日志
+     * @param {object} entry - 日志行
+     */
+    apply(entry) {
+        switch (entry.op) {
+            case 'set':
+                this.records.set(entry.key, entry.record);
+                break;
+            case 'del':
+                this.records.delete(entry.key);
+                break;
+            case 'clear':
+                this.records.clear();
+                break;
+            case 'stats':
+                this.stats = entry.stats;
+                break;
+        }
+    }
+
+    /**
+     * 追加一条日志（必要时压缩）
+     * @param {object} entry - 日志行
+     */
+    append(entry) {
+        this.apply(entry);
+
+        return this.enqueue(async () => {
+            if (!this.handle) {
+                await ensureDir(this.file);
+                this.handle = await fs.promises.open(this.file, 'a');
+            }
+
+            await this.handle.write(JSON.stringify(entry) + '\n');
+            this.lineCount++;
+
+            if (this.lineCount >= this.minCompactLines && this.lineCount > this.records.size * this.compactRatio) {
+                await this.compact();
+            }
+        });
+    }
+
+    async set(key, record) {
+        return this.append({ op: 'set', key, record });
+    }
+
+    async delete(key) {
+        if (this.records.has(key)) {
+            return this.append({ op: 'del', key });
+        }
+    }
+
+    async clear() {
+        return this.append({ op: 'clear' });
+    }
+
+    /**
+     * 压缩日志：用存活记录重写文件（原子替换）
+     * 只在写入队列中调用
+     */
+    async compact() {
+        const lines = Array.from(this.records.entries())
+            .map(([key, record]) => JSON.stringify({ op: 'set', key, record }));
+        if (this.stats) {
+            lines.push(JSON.stringify({ op: 'stats', stats: this.stats }));
+        }
+
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+
+        const before = this.lineCount;
+        await writeFileAtomic(this.file, lines.length > 0 ? lines.join('\n') + '\n' : '');
+        this.lineCount = lines.length;
+
+        logger.info(`缓存日志已压缩: ${before} → ${this.lineCount} 行`);
+    }
+
+    async close() {
+        // 统计信息只在关闭时写入，避免每次命中都追加日志
+        if (this.stats) {
+            await this.append({ op: 'stats', stats: this.stats });
+        }
+
+        await this.enqueue(async () => {
+            if (this.handle) {
+                await this.handle.sync();
+                await this.handle.close();
+                this.handle = null;
+            }
+        });
+    }
+
+    getInfo() {
+        return { name: this.name, file: this.file, lines: this.lineCount };
+    }
+}
+
+export default AppendLogStore;
@@ -0,0 +1,115 @@
+// src/storage/base-store.js
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * 确保文件所在目录存在
+ * @param {string} file - 文件路径
+ */
+export async function ensureDir(file) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+}
+
+/**
+ * 原子写入文件：先写临时文件并刷盘，再重命名覆盖（写入中断不会损坏原文件）
+ * @param {string} file - 目标文件
+ * @param {string|Buffer} data - 文件内容
+ */
+export async function writeFileAtomic(file, data) {
+    await ensureDir(file);
+
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    const handle = await fs.promises.open(tmpFile, 'w');
+    try {
+        await handle.writeFile(data);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    await fs.promises.rename(tmpFile, file);
+}
+
+/**
+ * 缓存存储后端基类
+ * CacheManager 在内存中维护 LRU，并把每次写入同步到后端；后端只负责持久化
+ *
+ * 记录格式: { key, value, createdAt, ttl, hits, meta }
+ * 所有写操作按调用顺序串行执行
+ */
+class BaseStore {
+    /**
+     * @param {object} options - 配置项
+     * @param {string} options.name - 后端名称
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'base';
+        this.stats = null; // 最近一次的统计信息，随写入一并持久化
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * 串行执行写操作
+     * @param {Function} operation - 异步操作
+     * @returns {Promise<any>} 操作结果
+     */
+    enqueue(operation) {
+        const result = this.queue.then(operation);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * 加载全部记录
+     * @returns {Promise<{entries: Array<object>, stats: object|null}>}
+     */
+    async load() {
+        return { entries: [], stats: null };
+    }
+
+    /**
+     * 写入记录
+     * @param {string} key - 缓存键
+     * @param {object} record - 缓存记录
+     */
+    async set(key, record) {}
+
+    /**
+     * 删除记录
+     * @param {string} key - 缓存键
+     */
+    async delete(key) {}
+
+    /**
+     * 删除全部记录
+     */
+    async clear() {}
+
+    /**
+     * 更新统计信息（不单独写入，下次写入时一并保存）
+     * @param {object} stats - 统计信息
+     */
+    setStats(stats) {
+        this.stats = stats;
+    }
+
+    /**
+     * 把缓冲的写入落盘
+     */
+    async flush() {
+        await this.queue;
+    }
+
+    /**
+     * 关闭后端（落盘并释放文件句柄或连接）
+     */
+    async close() {
+        await this.flush();
+    }
+
+    getInfo() {
+        return { name: this.name };
+    }
+}
+
+export default BaseStore;
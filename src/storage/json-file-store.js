@@ -0,0 +1,114 @@
+// src/storage/json-file-store.js
+import fs from 'fs';
+import BaseStore, { writeFileAtomic } from './base-store.js';
+import logger from '../utils/logger.js';
+
+/**
+ * JSON 文件后端（data/cache.json）
+ * 写入先在内存中累积，空闲 flushDelay 毫秒（最长 maxFlushDelay 毫秒）后整体写入；
+ * 写入使用临时文件 + 重命名，进程中途崩溃时原文件保持完整
+ */
+class JsonFileStore extends BaseStore {
+    /**
+     * @param {object} options - 配置项
+     * @param {string} options.file - 缓存文件路径
+     * @param {number} options.flushDelay - 防抖延迟（毫秒）
+     * @param {number} options.maxFlushDelay - 连续写入时的最长延迟（毫秒）
+     */
+    constructor(options = {}) {
+        super({ name: 'json', ...options });
+        this.file = options.file;
+        this.flushDelay = options.flushDelay ?? 1000;
+        this.maxFlushDelay = options.maxFlushDelay ?? 5000;
+
+        this.records = new Map();
+        this.dirty = false;
+        this.timer = null;
+        this.firstPendingAt = null;
+    }
+
+    async load() {
+        let data;
+        try {
+            data = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { entries: [], stats: null };
+            }
+            throw error;
+        }
+
+        this.records = new Map((data.cache || []).map(record => [record.key, record]));
+        this.stats = data.stats || null;
+
+        return { entries: Array.from(this.records.values()), stats: this.stats };
+    }
+
+    async set(key, record) {
+        this.records.set(key, record);
+        this.scheduleFlush();
+    }
+
+    async delete(key) {
+        if (this.records.delete(key)) {
+            this.scheduleFlush();
+        }
+    }
+
+    async clear() {
+        this.records.clear();
+        this.scheduleFlush();
+    }
+
+    /**
+     * 安排一次延迟写入（连续写入会推迟，但不超过 maxFlushDelay）
+     */
+    scheduleFlush() {
+        this.dirty = true;
+
+        const now = Date.now();
+        if (this.firstPendingAt === null) {
+            this.firstPendingAt = now;
+        }
+
+        clearTimeout(this.timer);
+        const delay = Math.max(0, Math.min(this.flushDelay, this.firstPendingAt + this.maxFlushDelay - now));
+        this.timer = setTimeout(() => {
+            this.flush().catch(error => logger.error(`保存缓存失败: ${error.message}`));
+        }, delay);
+    }
+
+    async flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.firstPendingAt = null;
+
+        if (!this.dirty) {
+            return this.queue;
+        }
+        this.dirty = false;
+
+        const data = JSON.stringify({
+            version: 1,
+            savedAt: Date.now(),
+            cache: Array.from(this.records.values()),
+            stats: this.stats
+        }, null, 2);
+
+        return this.enqueue(async () => {
+            try {
+                await writeFileAtomic(this.file, data);
+            } catch (error) {
+                // 下次写入时重试
+                this.dirty = true;
+                throw error;
+            }
+        });
+    }
+
+    getInfo() {
+        return { name: this.name, file: this.file, flushDelay: this.flushDelay };
+    }
+}
+
+export default JsonFileStore;
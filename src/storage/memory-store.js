@@ -0,0 +1,13 @@
+// src/storage/memory-store.js
+import BaseStore from './base-store.js';
+
+/**
+ * 内存后端：不持久化，进程退出后缓存丢失
+ */
+class MemoryStore extends BaseStore {
+    constructor(options = {}) {
+        super({ name: 'memory', ...options });
+    }
+}
+
+export default MemoryStore;
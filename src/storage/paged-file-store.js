@@ -0,0 +1,396 @@
+// src/storage/paged-file-store.js
+import fs from 'fs';
+import BaseStore, { ensureDir, writeFileAtomic } from './base-store.js';
+import logger from '../utils/logger.js';
+
+// 文件格式（类似 SQLite：单个文件、固定大小的页、回滚日志）
+//   第 0 页：文件头（魔数、页大小、页数、统计信息）
+//   其余页：12 字节页头（类型、下一页、已用字节）+ 数据；一条记录占用一页或一串溢出页
+const MAGIC = 'CLEVERCACHEDB v1';
+const JOURNAL_MAGIC = 'CCJ1';
+const PAGE_HEADER_SIZE = 12;
+const FILE_HEADER_SIZE = 32;
+
+const PAGE_FREE = 0;
+const PAGE_RECORD = 1;
+const PAGE_OVERFLOW = 2;
+
+/**
+ * 单文件分页存储后端（data/cache.db）
+ * 每次写入是一个事务：先把将被覆盖的页写入回滚日志（cache.db-journal）并刷盘，
+ * 再原地写入数据页和文件头；打开时发现残留的日志会先回滚，保证文件处于最后一次提交的状态。
+ * 删除的页进入空闲列表供后续写入复用，空闲页过多时在打开时整理文件
+ */
+class PagedFileStore extends BaseStore {
+    /**
+     * @param {object} options - 配置项
+     * @param {string} options.file - 数据文件路径
+     * @param {number} options.pageSize - 页大小（字节）
+     */
+    constructor(options = {}) {
+        super({ name: 'db', ...options });
+        this.file = options.file;
+        this.journalFile = `${this.file}-journal`;
+        this.pageSize = options.pageSize || 4096;
+
+        this.handle = null;
+        this.pageCount = 1;
+        this.index = new Map(); // key -> 页号数组
+        this.freePages = [];
+    }
+
+    get payloadSize() {
+        return this.pageSize - PAGE_HEADER_SIZE;
+    }
+
+    async load() {
+        await this.rollbackJournal();
+
+        let buffer;
+        try {
+            buffer = await fs.promises.readFile(this.file);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { entries: [], stats: null };
+            }
+            throw error;
+        }
+
+        if (buffer.length < FILE_HEADER_SIZE || buffer.toString('latin1', 0, MAGIC.length) !== MAGIC) {
+            throw new Error(`${this.file} 不是有效的缓存数据文件`);
+        }
+
+        this.pageSize = buffer.readUInt32LE(16);
+        this.pageCount = Math.min(buffer.readUInt32LE(20), Math.floor(buffer.length / this.pageSize));
+        this.stats = this.readStats(buffer);
+
+        const entries = [];
+        const used = new Set([0]);
+        this.index.clear();
+
+        for (let pageNo = 1; pageNo < this.pageCount; pageNo++) {
+            if (buffer[pageNo * this.pageSize] !== PAGE_RECORD) {
+                continue;
+            }
+
+            const pages = [];
+            const chunks = [];
+            let current = pageNo;
+            while (current) {
+                const offset = current * this.pageSize;
+                const usedBytes = buffer.readUInt32LE(offset + 8);
+                pages.push(current);
+                chunks.push(buffer.subarray(offset + PAGE_HEADER_SIZE, offset + PAGE_HEADER_SIZE + usedBytes));
+                current = buffer.readUInt32LE(offset + 4);
+            }
+
+            try {
+                const record = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                entries.push(record);
+                this.index.set(record.key, pages);
+                pages.forEach(page => used.add(page));
+            } catch (error) {
+                logger.warn(`缓存数据页 ${pageNo} 无法解析，已跳过: ${error.message}`);
+            }
+        }
+
+        // 未被任何记录引用的页（空闲页、孤立的溢出页）都可复用
+        this.freePages = [];
+        for (let pageNo = this.pageCount - 1; pageNo >= 1; pageNo--) {
+            if (!used.has(pageNo)) {
+                this.freePages.push(pageNo);
+            }
+        }
+
+        if (this.freePages.length > 64 && this.freePages.length > this.pageCount / 2) {
+            await this.enqueue(() => this.vacuum(entries));
+        }
+
+        return { entries, stats: this.stats };
+    }
+
+    readStats(buffer) {
+        const length = buffer.readUInt32LE(24);
+        if (length === 0) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(buffer.toString('utf8', FILE_HEADER_SIZE, FILE_HEADER_SIZE + length));
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * 生成文件头页
+     * @param {number} pageCount - 页数
+     */
+    buildHeader(pageCount) {
+        const page = Buffer.alloc(this.pageSize);
+        page.write(MAGIC, 0, 'latin1');
+        page.writeUInt32LE(this.pageSize, 16);
+        page.writeUInt32LE(pageCount, 20);
+
+        const stats = this.stats ? Buffer.from(JSON.stringify(this.stats), 'utf8') : null;
+        if (stats && stats.length <= this.pageSize - FILE_HEADER_SIZE) {
+            page.writeUInt32LE(stats.length, 24);
+            stats.copy(page, FILE_HEADER_SIZE);
+        }
+
+        return page;
+    }
+
+    /**
+     * 把序列化后的记录切分为页
+     * @param {Buffer} payload - 记录的 JSON
+     * @param {Array<number>} pages - 分配到的页号
+     * @returns {Array<Buffer>} 页内容
+     */
+    buildRecordPages(payload, pages) {
+        return pages.map((pageNo, i) => {
+            const page = Buffer.alloc(this.pageSize);
+            const chunk = payload.subarray(i * this.payloadSize, (i + 1) * this.payloadSize);
+            page[0] = i === 0 ? PAGE_RECORD : PAGE_OVERFLOW;
+            page.writeUInt32LE(pages[i + 1] || 0, 4);
+            page.writeUInt32LE(chunk.length, 8);
+            chunk.copy(page, PAGE_HEADER_SIZE);
+            return page;
+        });
+    }
+
+    /**
+     * 空闲页（全零）
+     */
+    buildFreePage() {
+        const page = Buffer.alloc(this.pageSize);
+        page[0] = PAGE_FREE;
+        return page;
+    }
+
+    async open() {
+        if (this.handle) {
+            return this.handle;
+        }
+
+        try {
+            this.handle = await fs.promises.open(this.file, 'r+');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            await writeFileAtomic(this.file, this.buildHeader(1));
+            this.pageCount = 1;
+            this.handle = await fs.promises.open(this.file, 'r+');
+        }
+
+        return this.handle;
+    }
+
+    /**
+     * 提交一个事务
+     * @param {Map<number, Buffer>} writes - 页号 -> 新内容（不含文件头）
+     * @param {number} pageCount - 提交后的页数
+     */
+    async commit(writes, pageCount) {
+        const handle = await this.open();
+        writes.set(0, this.buildHeader(pageCount));
+
+        // 1. 把将被覆盖的已有页写入回滚日志并刷盘
+        const originals = [];
+        for (const pageNo of writes.keys()) {
+            if (pageNo < this.pageCount) {
+                const page = Buffer.alloc(this.pageSize);
+                await handle.read(page, 0, this.pageSize, pageNo * this.pageSize);
+                originals.push([pageNo, page]);
+            }
+        }
+        await this.writeJournal(originals);
+
+        // 2. 原地写入并刷盘
+        for (const [pageNo, page] of writes) {
+            await handle.write(page, 0, this.pageSize, pageNo * this.pageSize);
+        }
+        await handle.sync();
+
+        // 3. 删除日志即提交完成
+        await fs.promises.unlink(this.journalFile);
+        this.pageCount = pageCount;
+    }
+
+    /**
+     * 写入回滚日志：魔数、页大小、原页数、页数，随后是 [页号, 原内容]
+     */
+    async writeJournal(originals) {
+        const header = Buffer.alloc(16);
+        header.write(JOURNAL_MAGIC, 0, 'latin1');
+        header.writeUInt32LE(this.pageSize, 4);
+        header.writeUInt32LE(this.pageCount, 8);
+        header.writeUInt32LE(originals.length, 12);
+
+        const parts = [header];
+        for (const [pageNo, page] of originals) {
+            const number = Buffer.alloc(4);
+            number.writeUInt32LE(pageNo, 0);
+            parts.push(number, page);
+        }
+
+        await ensureDir(this.journalFile);
+        const journal = await fs.promises.open(this.journalFile, 'w');
+        try {
+            await journal.writeFile(Buffer.concat(parts));
+            await journal.sync();
+        } finally {
+            await journal.close();
+        }
+    }
+
+    /**
+     * 打开时回滚未完成的事务
+     */
+    async rollbackJournal() {
+        let journal;
+        try {
+            journal = await fs.promises.readFile(this.journalFile);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+            throw error;
+        }
+
+        const complete = journal.length >= 16 && journal.toString('latin1', 0, 4) === JOURNAL_MAGIC &&
+            journal.length === 16 + journal.readUInt32LE(12) * (4 + journal.readUInt32LE(4));
+
+        // 日志不完整说明数据文件尚未被修改，直接丢弃
+        if (complete) {
+            const pageSize = journal.readUInt32LE(4);
+            const handle = await fs.promises.open(this.file, 'r+');
+            try {
+                for (let offset = 16; offset < journal.length; offset += 4 + pageSize) {
+                    const pageNo = journal.readUInt32LE(offset);
+                    await handle.write(journal, offset + 4, pageSize, pageNo * pageSize);
+                }
+                await handle.truncate(journal.readUInt32LE(8) * pageSize);
+                await handle.sync();
+            } finally {
+                await handle.close();
+            }
+            logger.warn('缓存数据文件有未完成的写入，已回滚');
+        }
+
+        await fs.promises.unlink(this.journalFile);
+    }
+
+    /**
+     * 分配页：优先复用空闲页
+     * @param {Array<number>} freePages - 空闲页（会被修改）
+     * @param {number} count - 需要的页数
+     * @param {number} pageCount - 当前页数
+     * @returns {{pages: Array<number>, pageCount: number}}
+     */
+    allocate(freePages, count, pageCount) {
+        const pages = [];
+        while (pages.length < count) {
+            pages.push(freePages.length > 0 ? freePages.pop() : pageCount++);
+        }
+        return { pages, pageCount };
+    }
+
+    async set(key, record) {
+        return this.enqueue(async () => {
+            const payload = Buffer.from(JSON.stringify(record), 'utf8');
+            const freePages = [...this.freePages, ...(this.index.get(key) || [])];
+            const { pages, pageCount } = this.allocate(
+                freePages,
+                Math.max(1, Math.ceil(payload.length / this.payloadSize)),
+                this.pageCount
+            );
+
+            const writes = new Map();
+            this.buildRecordPages(payload, pages).forEach((page, i) => writes.set(pages[i], page));
+            for (const pageNo of this.index.get(key) || []) {
+                if (!writes.has(pageNo)) {
+                    writes.set(pageNo, this.buildFreePage());
+                }
+            }
+
+            await this.commit(writes, pageCount);
+            this.index.set(key, pages);
+            this.freePages = freePages;
+        });
+    }
+
+    async delete(key) {
+        return this.enqueue(async () => {
+            const pages = this.index.get(key);
+            if (!pages) {
+                return;
+            }
+
+            const writes = new Map(pages.map(pageNo => [pageNo, this.buildFreePage()]));
+            await this.commit(writes, this.pageCount);
+            this.index.delete(key);
+            this.freePages.push(...pages);
+        });
+    }
+
+    async clear() {
+        return this.enqueue(async () => {
+            await this.closeHandle();
+            await writeFileAtomic(this.file, this.buildHeader(1));
+            this.pageCount = 1;
+            this.index.clear();
+            this.freePages = [];
+        });
+    }
+
+    /**
+     * 整理文件：按记录顺序重写，去掉空闲页
+     * @param {Array<object>} entries - 存活记录
+     */
+    async vacuum(entries) {
+        const before = this.pageCount;
+        const pages = [this.buildHeader(1)];
+        this.index.clear();
+
+        for (const record of entries) {
+            const payload = Buffer.from(JSON.stringify(record), 'utf8');
+            const count = Math.max(1, Math.ceil(payload.length / this.payloadSize));
+            const pageNos = Array.from({ length: count }, (_, i) => pages.length + i);
+            pages.push(...this.buildRecordPages(payload, pageNos));
+            this.index.set(record.key, pageNos);
+        }
+
+        pages[0] = this.buildHeader(pages.length);
+        await this.closeHandle();
+        await writeFileAtomic(this.file, Buffer.concat(pages));
+        this.pageCount = pages.length;
+        this.freePages = [];
+
+        logger.info(`缓存数据文件已整理: ${before} → ${this.pageCount} 页`);
+    }
+
+    async closeHandle() {
+        if (this.handle) {
+            await this.handle.close();
+            this.handle = null;
+        }
+    }
+
+    async close() {
+        await this.flush();
+        await this.enqueue(() => this.closeHandle());
+    }
+
+    getInfo() {
+        return {
+            name: this.name,
+            file: this.file,
+            pages: this.pageCount,
+            freePages: this.freePages.length
+        };
+    }
+}
+
+export default PagedFileStore;
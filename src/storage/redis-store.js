@@ -0,0 +1,116 @@
+// src/storage/redis-store.js
+import BaseStore from './base-store.js';
+import RespClient from './resp-client.js';
+
+/**
+ * Redis 后端（RESP 协议，可连接 Redis 或本地替身 npm run redis:local）
+ * 每条记录保存为 {prefix}item:{key}（带 PX 过期时间），键列表保存在集合 {prefix}keys 中
+ */
+class RedisStore extends BaseStore {
+    /**
+     * @param {object} options - 配置项
+     * @param {string} options.url - 连接地址
+     * @param {string} options.prefix - 键前缀
+     * @param {RespClient} options.client - 可注入客户端
+     */
+    constructor(options = {}) {
+        super({ name: 'redis', ...options });
+        this.url = options.url;
+        this.prefix = options.prefix || 'clever:cache:';
+        this.client = options.client || new RespClient({ url: this.url });
+    }
+
+    itemKey(key) {
+        return `${this.prefix}item:${key}`;
+    }
+
+    get indexKey() {
+        return `${this.prefix}keys`;
+    }
+
+    get statsKey() {
+        return `${this.prefix}stats`;
+    }
+
+    async load() {
+        const keys = await this.client.command('SMEMBERS', this.indexKey);
+        const stats = await this.client.command('GET', this.statsKey);
+        this.stats = stats ? JSON.parse(stats) : null;
+
+        if (keys.length === 0) {
+            return { entries: [], stats: this.stats };
+        }
+
+        const values = await this.client.command('MGET', ...keys.map(key => this.itemKey(key)));
+        const entries = [];
+        const expired = [];
+
+        values.forEach((value, i) => {
+            if (value === null) {
+                expired.push(keys[i]);
+            } else {
+                entries.push(JSON.parse(value));
+            }
+        });
+
+        // 已由 Redis 过期删除的记录从键列表中移除
+        if (expired.length > 0) {
+            await this.client.command('SREM', this.indexKey, ...expired);
+        }
+
+        return { entries, stats: this.stats };
+    }
+
+    /**
+     * 写入统计信息（随每次写入一起发送）
+     */
+    writeStats() {
+        return this.stats
+            ? this.client.command('SET', this.statsKey, JSON.stringify(this.stats))
+            : Promise.resolve();
+    }
+
+    async set(key, record) {
+        return this.enqueue(async () => {
+            const remaining = record.createdAt + record.ttl - Date.now();
+            if (remaining <= 0) {
+                return;
+            }
+
+            await Promise.all([
+                this.client.command('SET', this.itemKey(key), JSON.stringify(record), 'PX', Math.ceil(remaining)),
+                this.client.command('SADD', this.indexKey, key),
+                this.writeStats()
+            ]);
+        });
+    }
+
+    async delete(key) {
+        return this.enqueue(() => Promise.all([
+            this.client.command('DEL', this.itemKey(key)),
+            this.client.command('SREM', this.indexKey, key),
+            this.writeStats()
+        ]));
+    }
+
+    async clear() {
+        return this.enqueue(async () => {
+            const keys = await this.client.command('SMEMBERS', this.indexKey);
+            await this.client.command('DEL', this.indexKey, ...keys.map(key => this.itemKey(key)));
+            await this.writeStats();
+        });
+    }
+
+    async close() {
+        await this.flush();
+        await this.client.close();
+    }
+
+    getInfo() {
+        // 不暴露地址中的密码
+        const url = this.url ? this.url.replace(/\/\/[^@/]*@/, '//') : null;
+        return { name: this.name, url, prefix: this.prefix };
+    }
+}
+
+export default RedisStore;
@@ -0,0 +1,214 @@
+// src/storage/resp-client.js
+import net from 'net';
+
+/**
+ * 把命令编码为 RESP 数组
+ * @param {Array<string|number>} args - 命令及参数
+ * @returns {Buffer} 编码结果
+ */
+export function encodeCommand(args) {
+    const parts = [`*${args.length}\r\n`];
+    for (const arg of args) {
+        const value = String(arg);
+        parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+    }
+    return Buffer.from(parts.join(''), 'utf8');
+}
+
+/**
+ * 从缓冲区解析一个 RESP 值
+ * @param {Buffer} buffer - 缓冲区
+ * @param {number} offset - 起始位置
+ * @returns {{value: any, offset: number}|null} 解析结果，数据不完整时为 null（错误回复的 value 为 Error）
+ */
+export function parseReply(buffer, offset = 0) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) {
+        return null;
+    }
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new Error(line), offset: next };
+        case ':':
+            return { value: parseInt(line, 10), offset: next };
+        case '$': {
+            const length = parseInt(line, 10);
+            if (length === -1) {
+                return { value: null, offset: next };
+            }
+            if (buffer.length < next + length + 2) {
+                return null;
+            }
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = parseInt(line, 10);
+            if (count === -1) {
+                return { value: null, offset: next };
+            }
+            const items = [];
+            let position = next;
+            for (let i = 0; i < count; i++) {
+                const item = parseReply(buffer, position);
+                if (!item) {
+                    return null;
+                }
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new Error(`无法解析的 RESP 回复类型: ${type}`);
+    }
+}
+
+/**
+ * 极简 Redis 协议（RESP2）客户端
+ * 只支持请求-响应命令（不支持订阅），命令按发送顺序排队等待回复；连接断开后下一条命令自动重连
+ */
+class RespClient {
+    /**
+     * @param {object} options - 配置项
+     * @param {string} options.url - 连接地址，如 redis://:password@127.0.0.1:6379/0
+     * @param {number} options.timeout - 连接超时（毫秒）
+     */
+    constructor(options = {}) {
+        const url = new URL(options.url || 'redis://127.0.0.1:6379');
+        this.host = url.hostname || '127.0.0.1';
+        this.port = parseInt(url.port || '6379', 10);
+        this.password = url.password ? decodeURIComponent(url.password) : null;
+        this.username = url.username ? decodeURIComponent(url.username) : null;
+        this.db = parseInt(url.pathname.slice(1) || '0', 10);
+        this.timeout = options.timeout || 5000;
+
+        this.socket = null;
+        this.connecting = null;
+        this.pending = [];
+        this.buffer = Buffer.alloc(0);
+    }
+
+    /**
+     * 建立连接（并执行 AUTH / SELECT）
+     */
+    connect() {
+        if (this.socket) {
+            return Promise.resolve();
+        }
+        if (this.connecting) {
+            return this.connecting;
+        }
+
+        this.connecting = new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            socket.setNoDelay(true);
+            const timer = setTimeout(() => {
+                socket.destroy(new Error(`连接 ${this.host}:${this.port} 超时`));
+            }, this.timeout);
+
+            socket.once('connect', () => {
+                clearTimeout(timer);
+                this.socket = socket;
+                this.connecting = null;
+
+                const setup = [];
+                if (this.password) {
+                    setup.push(this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]));
+                }
+                if (this.db) {
+                    setup.push(this.send(['SELECT', this.db]));
+                }
+                Promise.all(setup).then(() => resolve(), reject);
+            });
+
+            socket.on('data', chunk => this.onData(chunk));
+
+            socket.on('error', error => {
+                clearTimeout(timer);
+                if (this.connecting) {
+                    this.connecting = null;
+                    reject(error);
+                }
+                this.failPending(error);
+            });
+
+            socket.on('close', () => {
+                this.socket = null;
+                this.buffer = Buffer.alloc(0);
+                this.failPending(new Error('Redis 连接已关闭'));
+            });
+        });
+
+        return this.connecting;
+    }
+
+    onData(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        let parsed;
+        while (this.buffer.length > 0 && (parsed = parseReply(this.buffer))) {
+            this.buffer = this.buffer.subarray(parsed.offset);
+            const request = this.pending.shift();
+            if (!request) {
+                continue;
+            }
+            if (parsed.value instanceof Error) {
+                request.reject(parsed.value);
+            } else {
+                request.resolve(parsed.value);
+            }
+        }
+    }
+
+    failPending(error) {
+        const pending = this.pending;
+        this.pending = [];
+        pending.forEach(request => request.reject(error));
+    }
+
+    /**
+     * 在已建立的连接上发送命令
+     */
+    send(args) {
+        return new Promise((resolve, reject) => {
+            this.pending.push({ resolve, reject });
+            this.socket.write(encodeCommand(args));
+        });
+    }
+
+    /**
+     * 执行命令
+     * @param {...(string|number)} args - 命令及参数，如 ('SET', 'key', 'value')
+     * @returns {Promise<any>} 回复
+     */
+    async command(...args) {
+        await this.connect();
+        return this.send(args);
+    }
+
+    /**
+     * 关闭连接
+     */
+    async close() {
+        if (!this.socket) {
+            return;
+        }
+
+        const socket = this.socket;
+        try {
+            await this.send(['QUIT']);
+        } catch {
+            // 连接已断开
+        }
+        socket.end();
+    }
+}
+
+export default RespClient;
@@ -0,0 +1,205 @@
+// src/storage/resp-server.js
+import net from 'net';
+import { parseReply } from './resp-client.js';
+import logger from '../utils/logger.js';
+
+/**
+ * 编码回复
+ * @param {any} value - 回复值（Error 编码为错误回复）
+ */
+function encodeReply(value) {
+    if (value instanceof Error) {
+        return `-${value.message}\r\n`;
+    }
+    if (value === null || value === undefined) {
+        return '$-1\r\n';
+    }
+    if (typeof value === 'number') {
+        return `:${value}\r\n`;
+    }
+    if (Array.isArray(value)) {
+        return `*${value.length}\r\n` + value.map(encodeReply).join('');
+    }
+    if (value === 'OK' || value === 'PONG') {
+        return `+${value}\r\n`;
+    }
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+/**
+ * 本地 Redis 替身
+ * 内存实现缓存后端和限流计数用到的命令子集（字符串、计数、集合、过期时间），用于在没有 Redis 的环境下测试 redis 后端：
+ *   npm run redis:local
+ */
+class RespServer {
+    constructor() {
+        this.data = new Map(); // key -> { value, expiresAt }
+        this.server = net.createServer(socket => this.handleConnection(socket));
+    }
+
+    /**
+     * 读取未过期的键
+     */
+    read(key) {
+        const entry = this.data.get(key);
+        if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.data.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    readSet(key) {
+        const entry = this.read(key);
+        if (entry && !(entry.value instanceof Set)) {
+            throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        }
+        return entry ? entry.value : null;
+    }
+
+    /**
+     * 执行命令
+     * @param {Array<string>} args - 命令及参数
+     * @returns {any} 回复
+     */
+    execute([name, ...args]) {
+        switch ((name || '').toUpperCase()) {
+            case 'PING':
+                return args[0] ?? 'PONG';
+            case 'AUTH':
+            case 'SELECT':
+            case 'QUIT':
+                return 'OK';
+            case 'GET': {
+                const entry = this.read(args[0]);
+                return entry && !(entry.value instanceof Set) ? entry.value : null;
+            }
+            case 'MGET':
+                return args.map(key => {
+                    const entry = this.read(key);
+                    return entry && !(entry.value instanceof Set) ? entry.value : null;
+                });
+            case 'SET': {
+                const [key, value, ...flags] = args;
+                let expiresAt = null;
+                for (let i = 0; i < flags.length; i++) {
+                    const flag = flags[i].toUpperCase();
+                    if (flag === 'PX') expiresAt = Date.now() + parseInt(flags[++i], 10);
+                    if (flag === 'EX') expiresAt = Date.now() + parseInt(flags[++i], 10) * 1000;
+                }
+                this.data.set(key, { value, expiresAt });
+                return 'OK';
+            }
+            case 'INCRBY': {
+                const [key, increment] = args;
+                const entry = this.read(key);
+                if (entry && (entry.value instanceof Set || !/^-?\d+$/.test(entry.value))) {
+                    throw new Error('ERR value is not an integer or out of range');
+                }
+                const value = parseInt(entry ? entry.value : '0', 10) + parseInt(increment, 10);
+                this.data.set(key, { value: String(value), expiresAt: entry ? entry.expiresAt : null });
+                return value;
+            }
+            case 'PEXPIRE': {
+                const entry = this.read(args[0]);
+                if (!entry) return 0;
+                entry.expiresAt = Date.now() + parseInt(args[1], 10);
+                return 1;
+            }
+            case 'DEL':
+                return args.filter(key => this.read(key) && this.data.delete(key)).length;
+            case 'EXISTS':
+                return args.filter(key => this.read(key)).length;
+            case 'SADD': {
+                const [key, ...members] = args;
+                let set = this.readSet(key);
+                if (!set) {
+                    set = new Set();
+                    this.data.set(key, { value: set, expiresAt: null });
+                }
+                const before = set.size;
+                members.forEach(member => set.add(member));
+                return set.size - before;
+            }
+            case 'SREM': {
+                const [key, ...members] = args;
+                const set = this.readSet(key);
+                return set ? members.filter(member => set.delete(member)).length : 0;
+            }
+            case 'SMEMBERS':
+                return Array.from(this.readSet(args[0]) || []);
+            case 'SCARD':
+                return (this.readSet(args[0]) || new Set()).size;
+            case 'FLUSHDB':
+            case 'FLUSHALL':
+                this.data.clear();
+                return 'OK';
+            default:
+                return new Error(`ERR unknown command '${name}'`);
+        }
+    }
+
+    handleConnection(socket) {
+        let buffer = Buffer.alloc(0);
+        // 与 Redis 一样关闭 Nagle 算法，否则流水线命令的每个回复都要等待延迟确认
+        socket.setNoDelay(true);
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            let parsed;
+            try {
+                while (buffer.length > 0 && (parsed = parseReply(buffer))) {
+                    buffer = buffer.subarray(parsed.offset);
+
+                    let reply;
+                    try {
+                        reply = this.execute(parsed.value);
+                    } catch (error) {
+                        reply = error;
+                    }
+                    socket.write(encodeReply(reply));
+
+                    if (parsed.value[0]?.toUpperCase() === 'QUIT') {
+                        socket.end();
+                        return;
+                    }
+                }
+            } catch (error) {
+                socket.end(encodeReply(new Error(`ERR Protocol error: ${error.message}`)));
+            }
+        });
+
+        socket.on('error', () => {});
+    }
+
+    /**
+     * 开始监听
+     * @param {number} port - 端口（0 表示随机端口）
+     * @param {string} host - 地址
+     * @returns {Promise<number>} 实际端口
+     */
+    listen(port = 6379, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => resolve(this.server.address().port));
+        });
+    }
+
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+}
+
+// 直接运行时启动替身服务
+if (process.argv[1] && process.argv[1].endsWith('resp-server.js')) {
+    const port = parseInt(process.argv[2] || process.env.REDIS_PORT || '6379', 10);
+    new RespServer().listen(port).then(actualPort => {
+        logger.info(`本地 Redis 替身已启动: redis://127.0.0.1:${actualPort}`);
+    }).catch(error => {
+        logger.error(`启动失败: ${error.message}`);
+        process.exit(1);
+    });
+}
+
+export default RespServer;
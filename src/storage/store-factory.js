@@ -0,0 +1,48 @@
+// src/storage/store-factory.js
+import path from 'path';
+import MemoryStore from './memory-store.js';
+import JsonFileStore from './json-file-store.js';
+import AppendLogStore from './append-log-store.js';
+import PagedFileStore from './paged-file-store.js';
+import RedisStore from './redis-store.js';
+import Config from '../../config.js';
+
+// 后端类型 -> 实现类
+const STORE_TYPES = {
+    'memory': MemoryStore,
+    'json': JsonFileStore,
+    'log': AppendLogStore,
+    'db': PagedFileStore,
+    'redis': RedisStore
+};
+
+// 文件后端的默认文件名
+const DEFAULT_FILES = {
+    'json': 'cache.json',
+    'log': 'cache.log',
+    'db': 'cache.db'
+};
+
+/**
+ * 按类型创建缓存存储后端
+ * @param {string} type - memory | json | log | db | redis
+ * @param {object} options - 覆盖配置（file、flushDelay、compactRatio、pageSize、url、prefix、client）
+ * @returns {BaseStore} 存储后端
+ */
+export function createCacheStore(type = Config.CACHE_BACKEND, options = {}) {
+    const StoreClass = STORE_TYPES[type];
+
+    if (!StoreClass) {
+        throw new Error(`未知的缓存后端: ${type}。可用后端: ${Object.keys(STORE_TYPES).join(', ')}`);
+    }
+
+    return new StoreClass({
+        file: DEFAULT_FILES[type] ? path.join(process.cwd(), 'data', DEFAULT_FILES[type]) : undefined,
+        flushDelay: Config.CACHE_FLUSH_DELAY,
+        url: Config.REDIS_URL,
+        prefix: Config.REDIS_PREFIX,
+        ...options
+    });
+}
+
+export const CACHE_BACKENDS = Object.keys(STORE_TYPES);
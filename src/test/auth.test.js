@@ -0,0 +1,75 @@
+// src/test/auth.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeUpstream, sendJson, openAICompletion } from './helpers/fake-upstream.js';
+import { startTestServer } from './helpers/test-server.js';
+
+let upstream;
+let app;
+const alice = { Authorization: 'Bearer alice-secret' };
+const bob = { Authorization: 'Bearer bob-secret' };
+
+before(async () => {
+    upstream = await startFakeUpstream((req, res) => sendJson(res, 200, openAICompletion('ok')));
+    app = await startTestServer(upstream.url, {
+        AUTH_MODE: 'token',
+        AUTH_TOKENS: 'alice=alice-secret,bob=bob-secret',
+        ENABLE_CACHE: 'true'
+    });
+});
+
+after(async () => {
+    await app.close();
+    await upstream.close();
+});
+
+test('/api 下的公开接口不需要登录', async () => {
+    const response = await app.request('/api/auth/config');
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).data.mode, 'token');
+});
+
+test('兼容接口下与公开接口同名的路径仍需认证', async () => {
+    for (const [method, path] of [['GET', '/v1/auth/config'], ['POST', '/v1/auth/login']]) {
+        const anonymous = await app.request(path, { method, body: method === 'POST' ? {} : undefined });
+        assert.equal(anonymous.status, 401, `${method} ${path}`);
+        assert.equal((await anonymous.json()).success, false);
+
+        const authenticated = await app.request(path, { method, headers: alice, body: method === 'POST' ? {} : undefined });
+        assert.equal(authenticated.status, 404, `${method} ${path}`);
+    }
+});
+
+test('兼容接口和 /api 接口按令牌认证', async () => {
+    assert.equal((await app.request('/v1/models')).status, 401);
+    assert.equal((await app.request('/api/status')).status, 401);
+    assert.equal((await app.request('/v1/models', { headers: alice })).status, 200);
+
+    const me = await (await app.request('/api/auth/me', { headers: alice })).json();
+    assert.equal(me.data.user.id, 'alice');
+});
+
+test('未知的接口返回 404', async () => {
+    for (const path of ['/api/nothing', '/v1/nothing']) {
+        const response = await app.request(path, { headers: alice });
+        assert.equal(response.status, 404, path);
+        assert.equal((await response.json()).success, false);
+    }
+});
+
+test('响应缓存不在用户之间共享', async () => {
+    const ask = async (headers) => {
+        const response = await app.request('/api/chat', { body: { message: '我的订单号是多少？' }, headers });
+        assert.equal(response.status, 200);
+        return response.json();
+    };
+    const before = upstream.requests.length;
+
+    assert.ok(!(await ask(alice)).fromCache);
+    assert.ok(!(await ask(bob)).fromCache);
+    assert.equal(upstream.requests.length, before + 2);
+
+    // 同一用户的新会话命中自己的缓存
+    assert.equal((await ask(alice)).fromCache, true);
+    assert.equal(upstream.requests.length, before + 2);
+});
@@ -0,0 +1,171 @@
+// src/test/cache-store.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import CacheManager from '../core/cache-manager.js';
+import RespServer from '../storage/resp-server.js';
+import RespClient from '../storage/resp-client.js';
+import { createCacheStore } from '../storage/store-factory.js';
+import { sleep, tempDir } from './helpers/fake-upstream.js';
+
+let resp;
+let redisUrl;
+let prefixes = 0;
+
+before(async () => {
+    resp = new RespServer();
+    redisUrl = `redis://127.0.0.1:${await resp.listen(0)}`;
+});
+
+after(() => resp.close());
+
+/**
+ * 为每个后端准备独立的存储位置，open() 每次创建新的 CacheManager（模拟重启）
+ */
+function backend(t, type) {
+    const dir = tempDir(t);
+    const prefix = `test${++prefixes}:`;
+
+    return ({ maxSize = 10000, ...options } = {}) => new CacheManager({
+        enabled: true,
+        maxSize,
+        store: createCacheStore(type, {
+            file: path.join(dir, `cache.${type}`),
+            url: redisUrl,
+            prefix,
+            flushDelay: 0,
+            ...options
+        })
+    });
+}
+
+async function reopen(cache, open) {
+    await cache.close();
+    const next = open();
+    await next.ready;
+    return next;
+}
+
+for (const type of ['json', 'log', 'db', 'redis']) {
+    test(`${type}：写入、覆盖和删除在重启后保持`, async (t) => {
+        const open = backend(t, type);
+        let cache = open();
+        await cache.ready;
+
+        const large = { content: '长回答'.repeat(3000), usage: { inputTokens: 10, outputTokens: 9000 } };
+        cache.set('a', { content: '第一版' });
+        cache.set('b', { content: 'B', nested: [1, { x: null }] });
+        cache.set('large', large);
+        cache.set('a', { content: '第二版' });
+        cache.set('gone', { content: '将被删除' });
+        cache.delete('gone');
+        assert.deepEqual(cache.get('a'), { content: '第二版' });
+
+        cache = await reopen(cache, open);
+
+        assert.deepEqual([...cache.cache.keys()].sort(), ['a', 'b', 'large']);
+        assert.deepEqual(cache.get('a'), { content: '第二版' });
+        assert.deepEqual(cache.get('b'), { content: 'B', nested: [1, { x: null }] });
+        assert.deepEqual(cache.get('large'), large);
+        assert.equal(cache.get('gone'), null);
+
+        // 统计信息随写入一起保存
+        assert.equal(cache.stats.sets, 5);
+        assert.equal(cache.stats.deletes, 1);
+
+        cache.clear();
+        cache = await reopen(cache, open);
+        assert.equal(cache.cache.size, 0);
+        await cache.close();
+    });
+
+    test(`${type}：过期的记录不再返回，重启后不再加载`, async (t) => {
+        const open = backend(t, type);
+        let cache = open();
+        await cache.ready;
+
+        cache.set('short', { content: '很快过期' }, 50);
+        cache.set('long', { content: '保留' }, 60000);
+        await cache.flush();
+        await sleep(80);
+
+        assert.equal(cache.get('short'), null);
+        assert.deepEqual(cache.get('long'), { content: '保留' });
+
+        cache = await reopen(cache, open);
+        assert.deepEqual([...cache.cache.keys()], ['long']);
+        assert.equal(cache.cache.get('long').ttl, 60000);
+        await cache.close();
+    });
+
+    test(`${type}：容量调小后重新加载只保留最近写入的项`, async (t) => {
+        const open = backend(t, type);
+        let cache = open();
+        await cache.ready;
+
+        for (const key of ['a', 'b', 'c', 'd']) {
+            cache.set(key, { content: key });
+            await sleep(2);
+        }
+
+        await cache.close();
+        cache = open({ maxSize: 2 });
+        await cache.ready;
+        assert.deepEqual([...cache.cache.keys()].sort(), ['c', 'd']);
+        assert.deepEqual(cache.accessOrder, ['c', 'd']);
+        assert.equal(cache.stats.evictions, 2);
+
+        // 淘汰同步到存储后端
+        cache = await reopen(cache, () => open());
+        assert.deepEqual([...cache.cache.keys()].sort(), ['c', 'd']);
+        await cache.close();
+    });
+
+    test(`${type}：大量写入后重新加载得到每个键的最新值`, async (t) => {
+        const open = backend(t, type);
+        let cache = open();
+        await cache.ready;
+
+        for (let round = 0; round < 3; round++) {
+            for (let i = 0; i < 300; i++) {
+                cache.set(`key-${i}`, { content: `值 ${i} 第 ${round} 轮` });
+            }
+        }
+        for (let i = 0; i < 300; i += 3) {
+            cache.delete(`key-${i}`);
+        }
+
+        cache = await reopen(cache, open);
+
+        assert.equal(cache.cache.size, 200);
+        for (let i = 0; i < 300; i++) {
+            const value = cache.get(`key-${i}`);
+            assert.deepEqual(value, i % 3 === 0 ? null : { content: `值 ${i} 第 2 轮` }, `key-${i}`);
+        }
+        await cache.close();
+    });
+}
+
+test('redis：Redis 过期删除的记录从键列表中移除', async (t) => {
+    const open = backend(t, 'redis');
+    const cache = open();
+    await cache.ready;
+    const prefix = cache.storage.prefix;
+
+    cache.set('short', { content: '很快过期' }, 50);
+    cache.set('long', { content: '保留' }, 60000);
+    await cache.flush();
+
+    const client = new RespClient({ url: redisUrl });
+    t.after(() => client.close());
+    assert.ok(await client.command('GET', `${prefix}item:short`));
+    await sleep(80);
+    assert.equal(await client.command('GET', `${prefix}item:short`), null);
+    assert.deepEqual((await client.command('SMEMBERS', `${prefix}keys`)).sort(), ['long', 'short']);
+
+    const reopened = await reopen(cache, open);
+    assert.deepEqual([...reopened.cache.keys()], ['long']);
+    await reopened.flush();
+    assert.deepEqual(await client.command('SMEMBERS', `${prefix}keys`), ['long']);
+    await reopened.close();
+});
@@ -0,0 +1,65 @@
+// src/test/chat-socket.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeUpstream, streamOpenAI } from './helpers/fake-upstream.js';
+import { startTestServer } from './helpers/test-server.js';
+import { openWebSocket, encodeFrame } from './helpers/ws-client.js';
+
+let upstream;
+let app;
+let port;
+
+before(async () => {
+    upstream = await startFakeUpstream((req, res) => streamOpenAI(res, ['hello ', 'there']));
+    app = await startTestServer(upstream.url, { WS_ALLOWED_ORIGINS: 'https://app.example.com, https://other.example.com' });
+    port = Number(new URL(app.url).port);
+});
+
+after(async () => {
+    await app.close();
+    await upstream.close();
+});
+
+test('拒绝其他网站页面发起的连接', async () => {
+    for (const origin of ['https://evil.example.com', 'http://127.0.0.1:1', 'null', 'not a url']) {
+        const rejected = await openWebSocket(port, '/api/ws', { Origin: origin });
+        assert.equal(rejected.status, 403, origin);
+        assert.equal(rejected.body.success, false);
+    }
+});
+
+test('接受同源、允许列表中的页面和不带 Origin 的客户端', async () => {
+    for (const origin of [`http://127.0.0.1:${port}`, 'https://app.example.com', 'https://other.example.com', null]) {
+        const client = await openWebSocket(port, '/api/ws', { Origin: origin });
+        assert.equal(client.status, 101, String(origin));
+        assert.equal((await client.nextMessage(m => m.type === 'ready')).type, 'ready');
+        client.close();
+    }
+});
+
+test('通过 WebSocket 发送消息并接收回复', async () => {
+    const client = await openWebSocket(port, '/api/ws', { Origin: `http://127.0.0.1:${port}` });
+    const ready = await client.nextMessage(m => m.type === 'ready');
+
+    client.sendRaw(encodeFrame(0x1, JSON.stringify({ type: 'send', requestId: 'r1', message: 'hi' })));
+    const accepted = await client.nextMessage(m => m.type === 'accepted');
+    assert.equal(accepted.requestId, 'r1');
+
+    let content = '';
+    for (;;) {
+        const message = await client.nextMessage(m => m.type === 'stream');
+        assert.ok(message.eventId.startsWith(`${accepted.streamId}:`));
+        if (message.data.type === 'content') {
+            content += message.data.content;
+        }
+        if (message.data.type === 'end') {
+            assert.equal(message.data.success, true);
+            break;
+        }
+    }
+    assert.equal(content, 'hello there');
+
+    const messages = (await (await app.request('/api/messages', { headers: { 'X-Session-Id': ready.sessionId } })).json()).data.messages;
+    assert.deepEqual(messages.map(m => m.content), ['hi', 'hello there']);
+    client.close();
+});
@@ -0,0 +1,339 @@
+// src/test/compat.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeUpstream, sendJson, openAICompletion, streamOpenAI, sleep } from './helpers/fake-upstream.js';
+import { startTestServer } from './helpers/test-server.js';
+import { parseOpenAIRequest, parseAnthropicRequest, toCompatError } from '../server/compat.js';
+import { openWebSocket, encodeFrame } from './helpers/ws-client.js';
+
+let upstream;
+let app;
+let port;
+
+before(async () => {
+    // 最后一条消息为 slow 时延迟回复
+    upstream = await startFakeUpstream(async (req, res, body) => {
+        if (body.messages.at(-1).content === 'slow') {
+            await sleep(300);
+        }
+        return body.stream ? streamOpenAI(res, ['你', '好']) : sendJson(res, 200, openAICompletion('你好'));
+    });
+    // anthropic 提供方不配置凭据（不受运行测试的环境影响），glm 已配置（只用于检查 temperature，不会发出请求）
+    app = await startTestServer(upstream.url, {
+        ANTHROPIC_API_KEY: '',
+        ANTHROPIC_AUTH_TOKEN: '',
+        GLM_AUTH_TOKEN: 'test',
+        GLM_BASE_URL: upstream.url
+    });
+    port = Number(new URL(app.url).port);
+});
+
+after(async () => {
+    await app.close();
+    await upstream.close();
+});
+
+/**
+ * 期望请求被拒绝（400）且没有调用上游
+ */
+async function expectRejected(response, pattern) {
+    const sent = upstream.requests.length;
+    assert.equal(response.status, 400);
+    const body = await response.json();
+    assert.match(JSON.stringify(body), pattern);
+    assert.equal(upstream.requests.length, sent);
+    return body;
+}
+
+test('兼容接口只接受模式ID和允许列表中的模型', async () => {
+    const openai = await expectRejected(await app.request('/v1/chat/completions', {
+        body: { model: 'gpt-9-ultra', messages: [{ role: 'user', content: 'hi' }] }
+    }), /不允许使用的模型: gpt-9-ultra/);
+    assert.equal(openai.error.type, 'invalid_request_error');
+
+    const anthropic = await expectRejected(await app.request('/v1/messages', {
+        body: { model: 'gpt-9-ultra', max_tokens: 100, messages: [{ role: 'user', content: 'hi' }] }
+    }), /不允许使用的模型/);
+    assert.equal(anthropic.type, 'error');
+    assert.equal(anthropic.error.type, 'invalid_request_error');
+
+    // 模式ID、默认模型（已定价）可以使用
+    for (const model of ['coding', 'fake-model']) {
+        const response = await app.request('/v1/chat/completions', {
+            body: { model, messages: [{ role: 'user', content: 'hi' }] }
+        });
+        assert.equal(response.status, 200, model);
+        assert.equal((await response.json()).model, 'fake-model');
+    }
+});
+
+test('网页接口的 options.model / options.provider 同样校验', async () => {
+    const routes = [
+        ['/api/chat', { message: 'hi' }],
+        ['/api/chat/stream', { message: 'hi' }],
+        ['/api/estimate', { message: 'hi' }],
+        ['/api/messages/last/regenerate', {}],
+        ['/api/messages/last/regenerate/stream', {}]
+    ];
+    const id = (await (await app.request('/api/session')).json()).data.sessionId;
+    const headers = { 'X-Session-Id': id };
+
+    // 先产生一条回复，重新生成才有目标
+    assert.equal((await app.request('/api/chat', { body: { message: 'hi' }, headers })).status, 200);
+
+    for (const [route, body] of routes) {
+        await expectRejected(await app.request(route, { body: { ...body, options: { model: 'gpt-9-ultra' } }, headers }), /不允许使用的模型/);
+        // anthropic 已注册但没有配置凭据
+        await expectRejected(await app.request(route, { body: { ...body, options: { provider: 'anthropic' } }, headers }), /提供方不可用: anthropic/);
+        await expectRejected(await app.request(route, { body: { ...body, options: { provider: 'nowhere' } }, headers }), /提供方不可用: nowhere/);
+    }
+
+    // 被拒绝的重新生成不改变当前分支
+    const messages = (await (await app.request('/api/messages', { headers })).json()).data.messages;
+    assert.deepEqual(messages.map(m => m.content), ['hi', '你好']);
+
+    const estimate = await app.request('/api/estimate', { body: { message: 'hi', options: { model: 'fake-model' } }, headers });
+    assert.equal(estimate.status, 200);
+});
+
+test('自定义模式的模型同样须在允许列表中', async () => {
+    const mode = { id: 'pricey', name: '贵', systemPrompt: '你好', temperature: 0.5, maxTokens: 100 };
+
+    await expectRejected(await app.request('/api/modes', { body: { ...mode, model: 'gpt-9-ultra' } }), /不允许使用的模型/);
+    await expectRejected(await app.request('/api/modes', { body: { id: 'copy', cloneFrom: 'coding', model: 'gpt-9-ultra' } }), /不允许使用的模型/);
+
+    assert.equal((await app.request('/api/modes', { body: { ...mode, model: 'fake-model' } })).status, 201);
+});
+
+test('WebSocket 发送消息时同样校验', async () => {
+    const client = await openWebSocket(port, '/api/ws');
+    await client.nextMessage(m => m.type === 'ready');
+
+    client.sendRaw(encodeFrame(0x1, JSON.stringify({ type: 'send', requestId: 'r1', message: 'hi', options: { model: 'gpt-9-ultra' } })));
+    const error = await client.nextMessage(m => m.type === 'error');
+    assert.equal(error.requestId, 'r1');
+    assert.equal(error.status, 400);
+    assert.match(error.error, /不允许使用的模型/);
+    client.close();
+});
+
+test('解析 Chat Completions 请求', () => {
+    const request = parseOpenAIRequest({
+        model: 'coding',
+        messages: [
+            { role: 'system', content: '系统一' },
+            { role: 'developer', content: [{ type: 'text', text: '系统' }, { type: 'text', text: '二' }] },
+            { role: 'user', content: '第一问' },
+            { role: 'assistant', content: '第一答' },
+            { role: 'user', content: [{ type: 'text', text: '第二问' }] }
+        ],
+        max_tokens: 100,
+        max_completion_tokens: 200,
+        temperature: 1.5,
+        stream: true,
+        stream_options: { include_usage: true }
+    });
+
+    assert.deepEqual(request, {
+        system: '系统一\n\n系统二',
+        history: [{ role: 'user', content: '第一问' }, { role: 'assistant', content: '第一答' }],
+        userInput: '第二问',
+        maxTokens: 200,
+        temperature: 1.5,
+        model: 'coding',
+        stream: true,
+        includeUsage: true
+    });
+
+    const minimal = parseOpenAIRequest({ messages: [{ role: 'user', content: 'hi' }] });
+    assert.equal(minimal.system, null);
+    assert.equal(minimal.model, null);
+    assert.equal(minimal.maxTokens, undefined);
+    assert.equal(minimal.temperature, undefined);
+    assert.equal(minimal.stream, false);
+    assert.equal(minimal.includeUsage, false);
+});
+
+test('解析 Messages 请求', () => {
+    const request = parseAnthropicRequest({
+        model: 'translator',
+        system: [{ type: 'text', text: '只翻译' }],
+        messages: [
+            { role: 'user', content: 'Hello' },
+            { role: 'assistant', content: [{ type: 'text', text: '你好' }] },
+            { role: 'user', content: 'Bye' }
+        ],
+        max_tokens: 50,
+        temperature: 0
+    });
+
+    assert.deepEqual(request, {
+        system: '只翻译',
+        history: [{ role: 'user', content: 'Hello' }, { role: 'assistant', content: '你好' }],
+        userInput: 'Bye',
+        maxTokens: 50,
+        temperature: 0,
+        model: 'translator',
+        stream: false
+    });
+});
+
+test('无效的请求以 400 拒绝', () => {
+    const user = [{ role: 'user', content: 'hi' }];
+    const cases = [
+        [parseOpenAIRequest, {}, /messages 不能为空/],
+        [parseOpenAIRequest, { messages: user, tools: [{ type: 'function' }] }, /不支持客户端定义的工具/],
+        [parseOpenAIRequest, { messages: user, n: 2 }, /只支持 n = 1/],
+        [parseOpenAIRequest, { messages: [{ role: 'tool', content: 'x' }] }, /不支持的消息角色: tool/],
+        [parseOpenAIRequest, { messages: [...user, { role: 'assistant', content: 'x' }] }, /最后一条消息必须来自 user/],
+        [parseOpenAIRequest, { messages: [{ role: 'user', content: '  ' }] }, /消息内容不能为空/],
+        [parseOpenAIRequest, { messages: [{ role: 'user', content: [{ type: 'image_url' }] }] }, /不支持的内容类型: image_url/],
+        [parseOpenAIRequest, { messages: user, max_tokens: 0 }, /max_tokens 必须是正整数/],
+        [parseOpenAIRequest, { messages: user, temperature: 2.5 }, /temperature 必须在 0-2 之间/],
+        [parseAnthropicRequest, { messages: user, temperature: 1.5 }, /temperature 必须在 0-1 之间/],
+        [parseAnthropicRequest, { messages: [{ role: 'system', content: 'x' }] }, /不支持的消息角色: system/],
+        [parseAnthropicRequest, { messages: [{ role: 'user', content: 42 }] }, /消息内容必须是字符串或内容块数组/]
+    ];
+
+    for (const [parse, body, pattern] of cases) {
+        assert.throws(() => parse(body), error => pattern.test(error.message) && error.status === 400, pattern);
+    }
+});
+
+test('错误响应按格式映射状态码和错误类型', () => {
+    assert.deepEqual(toCompatError('openai', 429, '太多了'), {
+        error: { message: '太多了', type: 'rate_limit_error', code: null }
+    });
+    assert.deepEqual(toCompatError('anthropic', 401, '未认证'), {
+        type: 'error',
+        error: { type: 'authentication_error', message: '未认证' }
+    });
+    assert.equal(toCompatError('openai', 413, '').error.type, 'invalid_request_error');
+    assert.equal(toCompatError('anthropic', 413, '').error.type, 'request_too_large');
+    assert.equal(toCompatError('openai', 502, '').error.type, 'api_error');
+    assert.equal(toCompatError('anthropic', 500, '').error.type, 'api_error');
+});
+
+test('temperature 按实际调用的提供方检查', async () => {
+    const mode = { id: 'glm-mode', name: '智谱', systemPrompt: '你好', temperature: 0.5, maxTokens: 100, provider: 'glm' };
+    assert.equal((await app.request('/api/modes', { body: mode })).status, 201);
+
+    // Chat Completions 格式允许到 2，但 glm 是 Anthropic 兼容接口
+    const rejected = await expectRejected(await app.request('/v1/chat/completions', {
+        body: { model: 'glm-mode', temperature: 1.5, messages: [{ role: 'user', content: 'hi' }] }
+    }), /temperature 必须在 0-1 之间（glm 提供方）/);
+    assert.equal(rejected.error.type, 'invalid_request_error');
+
+    const accepted = await app.request('/v1/chat/completions', {
+        body: { model: 'fake-model', temperature: 1.5, messages: [{ role: 'user', content: 'hi' }] }
+    });
+    assert.equal(accepted.status, 200);
+    assert.equal(upstream.requests.at(-1).body.temperature, 1.5);
+});
+
+/**
+ * 读取 SSE 响应的数据帧（event 为 Messages 格式的事件名）
+ */
+async function readFrames(response) {
+    const text = await response.text();
+    return text.split('\n\n').filter(Boolean).map(block => ({
+        event: block.match(/^event: (.*)$/m)?.[1] || null,
+        data: block.match(/^data: (.*)$/m)[1]
+    }));
+}
+
+test('Chat Completions 流式响应的数据块', async () => {
+    const response = await app.request('/v1/chat/completions', {
+        body: { model: 'coding', stream: true, stream_options: { include_usage: true }, messages: [{ role: 'user', content: '流式' }] }
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+    const frames = await readFrames(response);
+    assert.equal(frames.at(-1).data, '[DONE]');
+
+    const chunks = frames.slice(0, -1).map(frame => JSON.parse(frame.data));
+    const id = chunks[0].id;
+    assert.match(id, /^chatcmpl-/);
+    for (const chunk of chunks) {
+        assert.equal(chunk.id, id);
+        assert.equal(chunk.object, 'chat.completion.chunk');
+        assert.equal(chunk.model, 'fake-model');
+    }
+
+    assert.deepEqual(chunks.map(chunk => chunk.choices[0]?.delta), [
+        { role: 'assistant', content: '' },
+        { content: '你' },
+        { content: '好' },
+        {},
+        undefined
+    ]);
+    assert.equal(chunks[3].choices[0].finish_reason, 'stop');
+    assert.deepEqual(chunks[4].choices, []);
+    const { usage } = chunks[4];
+    assert.deepEqual(Object.keys(usage).sort(), ['completion_tokens', 'prompt_tokens', 'total_tokens']);
+    assert.equal(usage.total_tokens, usage.prompt_tokens + usage.completion_tokens);
+});
+
+test('Messages 流式响应的事件', async () => {
+    const response = await app.request('/v1/messages', {
+        body: { model: 'translator', max_tokens: 100, stream: true, messages: [{ role: 'user', content: '流式' }] }
+    });
+    assert.equal(response.status, 200);
+
+    const frames = await readFrames(response);
+    const events = frames.map(frame => ({ event: frame.event, ...JSON.parse(frame.data) }));
+    for (const event of events) {
+        assert.equal(event.event, event.type);
+    }
+
+    assert.deepEqual(events.map(event => event.type), [
+        'message_start',
+        'content_block_start',
+        'content_block_delta',
+        'content_block_delta',
+        'content_block_stop',
+        'message_delta',
+        'message_stop'
+    ]);
+    assert.match(events[0].message.id, /^msg_/);
+    assert.equal(events[0].message.role, 'assistant');
+    assert.deepEqual(events[1].content_block, { type: 'text', text: '' });
+    assert.deepEqual(events.slice(2, 4).map(event => event.delta), [
+        { type: 'text_delta', text: '你' },
+        { type: 'text_delta', text: '好' }
+    ]);
+    assert.equal(events[5].delta.stop_reason, 'end_turn');
+    assert.equal(typeof events[5].usage.output_tokens, 'number');
+});
+
+test('兼容接口的流式和非流式请求共用每个用户的并发名额', async () => {
+    const request = (content, stream = false, signal = undefined) => app.request('/v1/chat/completions', {
+        body: { model: 'coding', stream, messages: [{ role: 'user', content }] },
+        signal
+    });
+
+    const slow = request('slow');
+    await sleep(100);
+    for (const stream of [false, true]) {
+        const overlapping = await request('hi', stream);
+        assert.equal(overlapping.status, 429, `stream: ${stream}`);
+        assert.ok(Number(overlapping.headers.get('retry-after')) > 0);
+    }
+    assert.equal((await slow).status, 200);
+
+    // 客户端断开后，名额在回复结束时才释放
+    const controller = new AbortController();
+    const aborted = request('slow', false, controller.signal);
+    await sleep(100);
+    controller.abort();
+    await assert.rejects(aborted, { name: 'AbortError' });
+    await sleep(50);
+    assert.equal((await request('hi')).status, 429);
+
+    await sleep(300);
+    assert.equal((await request('hi', true)).status, 200);
+
+    const health = await (await app.request('/health')).json();
+    assert.equal(health.rateLimit.activeCompat, 0);
+});
@@ -0,0 +1,94 @@
+// src/test/conversations.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import ConversationManager, { CONVERSATION_FORMAT_VERSION } from '../core/conversation-manager.js';
+import ProviderRegistry from '../core/provider-registry.js';
+import OpenAIProvider from '../providers/openai-provider.js';
+import { tempDir } from './helpers/fake-upstream.js';
+
+/**
+ * 不发起请求的对话管理器（只读写对话文件）
+ */
+function createManager(dataDir) {
+    const providers = new ProviderRegistry()
+        .register(new OpenAIProvider({ name: 'fake', baseURL: 'http://127.0.0.1:9', apiKey: 'test', defaultModel: 'fake-model' }));
+    return new ConversationManager({ providers, dataDir });
+}
+
+const ids = messages => messages.map(msg => msg.id);
+
+test('旧版对话文件加载为一条分支，保存后升级为当前格式', (t) => {
+    const dataDir = tempDir(t);
+    fs.writeFileSync(path.join(dataDir, 'conversation-legacy-1.json'), JSON.stringify({
+        sessionId: 'legacy-1',
+        model: 'fake-model',
+        createdAt: '2024-01-01T00:00:00.000Z',
+        messages: [
+            { role: 'user', content: '你好', timestamp: 1 },
+            { role: 'assistant', content: '你好！', timestamp: 2 },
+            { role: 'user', content: '再见', timestamp: 3 }
+        ]
+    }));
+
+    const manager = createManager(dataDir);
+    assert.equal(manager.loadConversation('legacy-1'), true);
+    assert.equal(manager.conversationId, 'legacy-1');
+    assert.equal(manager.provider, 'fake');
+    assert.equal(manager.title, '你好');
+    assert.deepEqual(manager.conversationHistory.map(msg => msg.parentId), [null, ...ids(manager.conversationHistory).slice(0, 2)]);
+    assert.equal(manager.messageTree.size, 3);
+    assert.deepEqual(manager.getActiveBranch().map(msg => msg.siblingIds.length), [1, 1, 1]);
+
+    const loadedIds = ids(manager.conversationHistory);
+    manager.saveConversation();
+    const saved = JSON.parse(fs.readFileSync(path.join(dataDir, 'conversation-legacy-1.json'), 'utf8'));
+    assert.equal(saved.formatVersion, CONVERSATION_FORMAT_VERSION);
+
+    const reloaded = createManager(dataDir);
+    assert.equal(reloaded.loadConversation('legacy-1'), true);
+    assert.deepEqual(ids(reloaded.conversationHistory), loadedIds);
+});
+
+test('保存并重新加载有分支的对话，其他分支和当前分支都保留', (t) => {
+    const dataDir = tempDir(t);
+    const manager = createManager(dataDir);
+    manager.addMessage('user', '问题一');
+    manager.addMessage('assistant', '回答一');
+    const original = manager.addMessage('user', '问题二');
+    manager.addMessage('assistant', '回答二');
+
+    // 编辑第二个问题，原问题和回答保留为另一个分支
+    manager.rewindForEdit(original.id);
+    const edited = manager.addMessage('user', '修改后的问题二');
+    manager.addMessage('assistant', '新的回答二');
+    manager.saveConversation();
+
+    const reloaded = createManager(dataDir);
+    assert.equal(reloaded.loadConversation(manager.conversationId), true);
+    assert.equal(reloaded.messageTree.size, 6);
+    assert.deepEqual(ids(reloaded.conversationHistory), ids(manager.conversationHistory));
+    assert.deepEqual(reloaded.getActiveBranch()[2].siblingIds.sort(), [original.id, edited.id].sort());
+
+    const branch = reloaded.switchBranch(original.id);
+    assert.deepEqual(branch.map(msg => msg.content), ['问题一', '回答一', '问题二', '回答二']);
+});
+
+test('对话文件格式错误时加载失败，当前对话保持不变', (t) => {
+    const dataDir = tempDir(t);
+    const manager = createManager(dataDir);
+    manager.addMessage('user', '问题');
+    manager.addMessage('assistant', '回答');
+    const before = { conversationId: manager.conversationId, model: manager.model, title: manager.title, history: manager.conversationHistory };
+
+    for (const data of [{ conversationId: 'broken-1', model: 'other', title: '损坏', messages: null }, { conversationId: 'broken-1', messages: [null] }]) {
+        fs.writeFileSync(path.join(dataDir, 'conversation-broken-1.json'), JSON.stringify(data));
+        assert.equal(manager.loadConversation('broken-1'), false);
+        assert.deepEqual(
+            { conversationId: manager.conversationId, model: manager.model, title: manager.title, history: manager.conversationHistory },
+            before
+        );
+        assert.equal(manager.messageTree.size, 2);
+    }
+});
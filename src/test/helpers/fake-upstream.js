@@ -0,0 +1,133 @@
+// src/test/helpers/fake-upstream.js
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * 等待指定时间
+ * @param {number} ms - 毫秒
+ */
+export function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 创建临时目录（测试结束后删除）
+ * @param {object} t - node:test 的测试上下文
+ */
+export function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clever-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * 写入 SSE 事件
+ * @param {http.ServerResponse} res - 响应
+ * @param {object|string} data - 数据（字符串原样写入）
+ * @param {string} event - 事件名（Anthropic 格式需要）
+ */
+export function writeSse(res, data, event = null) {
+    if (!res.headersSent) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    }
+    const payload = typeof data === 'string' ? data : JSON.stringify(data);
+    res.write(`${event ? `event: ${event}\n` : ''}data: ${payload}\n\n`);
+}
+
+/**
+ * 返回 JSON 响应
+ * @param {http.ServerResponse} res - 响应
+ * @param {number} status - 状态码
+ * @param {object} body - 响应体
+ * @param {object} headers - 额外的响应头
+ */
+export function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * OpenAI Chat Completions 的非流式响应体
+ */
+export function openAICompletion(text, usage = { prompt_tokens: 10, completion_tokens: 5 }, model = 'fake-model') {
+    return {
+        id: 'chatcmpl-test',
+        object: 'chat.completion',
+        model,
+        choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+        usage
+    };
+}
+
+/**
+ * 以 OpenAI 流式格式逐块返回文本
+ * @param {http.ServerResponse} res - 响应
+ * @param {Array<string>} chunks - 文本块
+ * @param {object} options - { delay（每块间隔毫秒）, usage, model }
+ */
+export async function streamOpenAI(res, chunks, options = {}) {
+    const model = options.model || 'fake-model';
+
+    for (const text of chunks) {
+        if (res.destroyed) {
+            return;
+        }
+        writeSse(res, { model, choices: [{ index: 0, delta: { content: text } }] });
+        if (options.delay) {
+            await sleep(options.delay);
+        }
+    }
+
+    writeSse(res, { model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] });
+    writeSse(res, { model, choices: [], usage: options.usage || { prompt_tokens: 10, completion_tokens: chunks.length } });
+    writeSse(res, '[DONE]');
+    res.end();
+}
+
+/**
+ * 本地假上游：按顺序调用脚本中的处理函数（用完后重复最后一个），记录收到的请求
+ * @param {Array<function>|function} script - (req, res, body) 处理函数
+ * @returns {Promise<object>} { url, requests, aborted, close }，aborted 为响应未完成时客户端断开的次数
+ */
+export async function startFakeUpstream(script) {
+    const handlers = Array.isArray(script) ? script : [script];
+    const upstream = { requests: [], aborted: 0 };
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            let body = null;
+            try {
+                body = raw ? JSON.parse(raw) : null;
+            } catch {
+                body = raw;
+            }
+
+            const index = upstream.requests.length;
+            upstream.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            res.on('close', () => {
+                if (!res.writableEnded) {
+                    upstream.aborted++;
+                }
+            });
+
+            const handler = handlers[Math.min(index, handlers.length - 1)];
+            Promise.resolve(handler(req, res, body)).catch(error => {
+                res.destroy(error);
+            });
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    upstream.url = `http://127.0.0.1:${server.address().port}`;
+    upstream.close = () => new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+    });
+
+    return upstream;
+}
@@ -0,0 +1,80 @@
+// src/test/helpers/test-server.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * 在临时目录中启动 Web 服务器，模型调用发送到假上游（OpenAI 兼容接口）
+ * 配置在 config.js 首次加载时读取，所以必须在测试文件导入任何依赖配置的模块之前调用，每个测试文件只能启动一次
+ * @param {string} upstreamUrl - 假上游地址
+ * @param {object} env - 额外的环境变量
+ * @returns {Promise<object>} { url, server, dataDir, request, close }
+ */
+export async function startTestServer(upstreamUrl, env = {}) {
+    const cwd = process.cwd();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clever-server-'));
+
+    // 假上游的模型需要定价（未定价的模型默认被拒绝）
+    const pricesFile = path.join(dir, 'prices.json');
+    fs.writeFileSync(pricesFile, JSON.stringify({
+        currency: 'USD',
+        models: { 'fake-model': { prices: [{ input: 1, output: 2 }] } }
+    }));
+
+    Object.assign(process.env, {
+        DEFAULT_PROVIDER: 'openai',
+        DEFAULT_MODEL: 'fake-model',
+        OPENAI_API_KEY: 'test',
+        OPENAI_BASE_URL: upstreamUrl,
+        PRICES_FILE: pricesFile,
+        RETRY_MAX_ATTEMPTS: '1',
+        ...env
+    });
+
+    // 数据和日志写入临时目录
+    process.chdir(dir);
+    const { default: WebServer } = await import('../../server/server.js');
+
+    const server = new WebServer(0);
+    await server.start();
+    const url = `http://127.0.0.1:${server.server.address().port}`;
+
+    return {
+        url,
+        server,
+        dataDir: path.join(dir, 'data'),
+
+        /**
+         * 发送请求（body 为对象时按 JSON 发送）
+         */
+        request(pathname, { body, headers = {}, ...options } = {}) {
+            return fetch(`${url}${pathname}`, {
+                method: body === undefined ? 'GET' : 'POST',
+                ...options,
+                headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+                body: body === undefined ? undefined : JSON.stringify(body)
+            });
+        },
+
+        async close() {
+            server.server.closeAllConnections();
+            await server.stop();
+            process.chdir(cwd);
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * 读取 SSE 响应中的全部事件
+ * @param {Response} response - fetch 响应
+ * @returns {Promise<Array<{id: string, data: object}>>} 事件
+ */
+export async function readEvents(response) {
+    const text = await response.text();
+
+    return text.split('\n\n').filter(Boolean).map(block => ({
+        id: block.match(/^id: ?(.*)$/m)?.[1] || null,
+        data: JSON.parse(block.match(/^data: ?(.*)$/m)[1])
+    }));
+}
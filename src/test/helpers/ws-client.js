@@ -0,0 +1,204 @@
+// src/test/helpers/ws-client.js
+import net from 'net';
+import crypto from 'crypto';
+
+/**
+ * 编码客户端帧（默认带掩码）
+ * @param {number} opcode - 帧类型
+ * @param {Buffer|string} payload - 数据
+ * @param {object} options - { fin, mask, rsv }
+ */
+export function encodeFrame(opcode, payload = Buffer.alloc(0), { fin = true, mask = true, rsv = 0 } = {}) {
+    const data = Buffer.from(payload);
+    const first = (fin ? 0x80 : 0) | (rsv << 4) | opcode;
+    let header;
+
+    if (data.length < 126) {
+        header = Buffer.from([first, data.length]);
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = first;
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = first;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+
+    if (!mask) {
+        return Buffer.concat([header, data]);
+    }
+
+    header[1] |= 0x80;
+    const key = crypto.randomBytes(4);
+    const masked = Buffer.from(data.map((byte, i) => byte ^ key[i % 4]));
+    return Buffer.concat([header, key, masked]);
+}
+
+/**
+ * 关闭帧的数据：2 字节关闭码加上原因
+ */
+export function closePayload(code, reason = '') {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    return Buffer.concat([payload, Buffer.from(reason)]);
+}
+
+/**
+ * 用原始 TCP 连接完成握手，便于发送任意（包括不合规的）帧
+ * @param {number} port - 端口
+ * @param {string} path - 请求路径
+ * @param {object} headers - 额外的请求头（值为 null 时不发送该请求头）
+ * @returns {Promise<object>} 握手被拒绝时为 { status, body }；
+ *   成功时为 { status: 101, headers, send(opcode, payload, options), sendRaw(buffer), nextFrame(), nextMessage(), ended, close() }
+ */
+export function openWebSocket(port, path, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1');
+        const requestHeaders = {
+            Host: `127.0.0.1:${port}`,
+            Upgrade: 'websocket',
+            Connection: 'Upgrade',
+            'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+            'Sec-WebSocket-Version': '13',
+            ...headers
+        };
+
+        socket.write(`GET ${path} HTTP/1.1\r\n${Object.entries(requestHeaders)
+            .filter(([, value]) => value !== null)
+            .map(([name, value]) => `${name}: ${value}\r\n`).join('')}\r\n`);
+
+        let buffer = Buffer.alloc(0);
+        let client = null;
+        let rejected = false;
+        const frames = [];
+        const waiters = [];
+        let ended = false;
+
+        const flush = () => {
+            while (waiters.length > 0 && (frames.length > 0 || ended)) {
+                waiters.shift()(frames.shift() || null);
+            }
+        };
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+
+            if (rejected) {
+                return;
+            }
+            if (!client) {
+                const end = buffer.indexOf('\r\n\r\n');
+                if (end < 0) {
+                    return;
+                }
+                const [statusLine, ...lines] = buffer.subarray(0, end).toString().split('\r\n');
+                const status = Number(statusLine.split(' ')[1]);
+                const responseHeaders = Object.fromEntries(lines.map(line => {
+                    const index = line.indexOf(':');
+                    return [line.slice(0, index).toLowerCase(), line.slice(index + 1).trim()];
+                }));
+                buffer = buffer.subarray(end + 4);
+
+                if (status !== 101) {
+                    rejected = true;
+                    socket.on('end', () => resolve({ status, headers: responseHeaders, body: JSON.parse(buffer.toString() || 'null') }));
+                    return;
+                }
+
+                client = createClient(socket, responseHeaders, frames, (resolveFrame) => {
+                    waiters.push(resolveFrame);
+                    flush();
+                }, () => ended);
+                resolve(client);
+            }
+
+            // 服务端发出的帧不带掩码
+            while (buffer.length >= 2) {
+                let length = buffer[1] & 0x7f;
+                let offset = 2;
+                if (length === 126) {
+                    if (buffer.length < 4) break;
+                    length = buffer.readUInt16BE(2);
+                    offset = 4;
+                } else if (length === 127) {
+                    if (buffer.length < 10) break;
+                    length = Number(buffer.readBigUInt64BE(2));
+                    offset = 10;
+                }
+                if (buffer.length < offset + length) {
+                    break;
+                }
+
+                frames.push({
+                    fin: (buffer[0] & 0x80) !== 0,
+                    opcode: buffer[0] & 0x0f,
+                    masked: (buffer[1] & 0x80) !== 0,
+                    payload: buffer.subarray(offset, offset + length)
+                });
+                buffer = buffer.subarray(offset + length);
+            }
+            flush();
+        });
+
+        socket.on('close', () => {
+            ended = true;
+            flush();
+        });
+        socket.on('error', reject);
+    });
+}
+
+function createClient(socket, headers, frames, wait, isEnded) {
+    return {
+        status: 101,
+        headers,
+        socket,
+
+        send(opcode, payload, options) {
+            socket.write(encodeFrame(opcode, payload, options));
+        },
+
+        sendRaw(buffer) {
+            socket.write(buffer);
+        },
+
+        /**
+         * 下一个帧，连接已关闭时为 null
+         */
+        nextFrame() {
+            return new Promise(resolve => wait(resolve));
+        },
+
+        /**
+         * 下一条 JSON 文本消息（跳过 ping 等控制帧）
+         */
+        async nextMessage(predicate = () => true) {
+            for (;;) {
+                const frame = await this.nextFrame();
+                if (!frame) {
+                    return null;
+                }
+                if (frame.opcode === 0x1) {
+                    const message = JSON.parse(frame.payload.toString());
+                    if (predicate(message)) {
+                        return message;
+                    }
+                }
+            }
+        },
+
+        /**
+         * 等待服务器断开连接
+         */
+        ended() {
+            return isEnded() ? Promise.resolve() : new Promise(resolve => socket.once('close', resolve));
+        },
+
+        close() {
+            socket.destroy();
+        }
+    };
+}
@@ -0,0 +1,144 @@
+// src/test/price-table.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import PriceTable from '../core/price-table.js';
+import UsageLedger from '../core/usage-ledger.js';
+import CacheManager from '../core/cache-manager.js';
+import ProviderRegistry from '../core/provider-registry.js';
+import OpenAIProvider from '../providers/openai-provider.js';
+import CleverAssistant, { ASSISTANT_PRESETS } from '../services/clever-assistant.js';
+import ModeStore from '../services/mode-store.js';
+import Config from '../../config.js';
+import { tempDir } from './helpers/fake-upstream.js';
+
+const table = new PriceTable({
+    currency: 'USD',
+    table: {
+        currency: 'USD',
+        models: {
+            'model-a': {
+                name: 'Model A',
+                aliases: ['model-a-latest'],
+                prices: [
+                    { effectiveFrom: '2025-06-01', input: 2, output: 8 },
+                    { effectiveFrom: '2025-01-01', input: 4, output: 16, cacheWrite: 5, cacheRead: 0.4 }
+                ]
+            },
+            'local-model': { prices: [{ input: 0, output: 0 }] }
+        }
+    }
+});
+
+test('模型名称和别名不区分大小写', () => {
+    assert.equal(table.resolve('model-a').id, 'model-a');
+    assert.equal(table.resolve('MODEL-A-Latest').id, 'model-a');
+    assert.equal(table.resolve('model-a').name, 'Model A');
+    assert.equal(table.resolve('local-model').name, 'local-model');
+    assert.equal(table.resolve('model-b'), null);
+    assert.equal(table.resolve(null), null);
+    assert.equal(table.has('local-model'), true);
+});
+
+test('按调用时间选择生效的价格版本', () => {
+    const at = date => Date.parse(date);
+
+    assert.equal(table.resolve('model-a', at('2025-03-01')).input, 4);
+    assert.equal(table.resolve('model-a', at('2025-06-01')).input, 2);
+    assert.equal(table.resolve('model-a', at('2026-01-01')).input, 2);
+    // 早于最早版本时使用最早版本
+    assert.equal(table.resolve('model-a', at('2024-01-01')).input, 4);
+});
+
+test('提示缓存的读取和写入按各自价格计算，未配置时按输入价格', () => {
+    const usage = { inputTokens: 1_000_000, outputTokens: 1_000_000, cacheWriteTokens: 1_000_000, cacheReadTokens: 1_000_000 };
+
+    const early = table.calculate(usage, 'model-a', Date.parse('2025-03-01'));
+    assert.deepEqual(early.breakdown, { input: 4, output: 16, cacheWrite: 5, cacheRead: 0.4 });
+    assert.equal(early.cost, 25.4);
+    assert.equal(early.priced, true);
+    // 缓存 tokens 按输入价格应为 8，实际 5.4
+    assert.ok(Math.abs(early.cacheSavings - 2.6) < 1e-9);
+
+    const late = table.calculate(usage, 'model-a', Date.parse('2025-07-01'));
+    assert.deepEqual(late.breakdown, { input: 2, output: 8, cacheWrite: 2, cacheRead: 2 });
+    assert.equal(late.cacheSavings, 0);
+
+    const unpriced = table.calculate(usage, 'model-b');
+    assert.equal(unpriced.cost, 0);
+    assert.equal(unpriced.priced, false);
+});
+
+test('无效的价格表在加载时报错', () => {
+    assert.throws(() => new PriceTable({ table: { models: { x: { prices: [] } } } }), /没有配置价格/);
+    assert.throws(() => new PriceTable({ table: { models: { x: { prices: [{ input: -1, output: 1 }] } } } }), /input 价格无效/);
+    assert.throws(() => new PriceTable({ table: { models: { x: { prices: [{ effectiveFrom: 'soon', input: 1, output: 1 }] } } } }), /生效日期无效/);
+});
+
+test('自带的价格表收录各提供方的默认模型', () => {
+    const prices = new PriceTable();
+
+    for (const model of ['claude-3-5-sonnet-20241022', 'claude-sonnet-4-5', 'GLM-4.7', 'gpt-4o-mini', 'gpt-4o-mini-2024-07-18', 'llama3.1', 'llama3.1:latest']) {
+        assert.ok(prices.has(model), model);
+    }
+});
+
+/**
+ * 使用自带价格表的助手（不发送请求，只估算）
+ */
+function createAssistant(t) {
+    const dir = tempDir(t);
+    const providers = new ProviderRegistry()
+        .register(new OpenAIProvider({ name: 'openai', baseURL: 'http://127.0.0.1:9', apiKey: 'test', defaultModel: 'gpt-4o-mini' }))
+        .setDefault('openai');
+
+    return new CleverAssistant({
+        budgetLimit: 1,
+        ledger: new UsageLedger({ persist: false }),
+        cacheManager: new CacheManager({ enabled: false, persist: false }),
+        modeStore: new ModeStore({ builtins: ASSISTANT_PRESETS, providers, file: path.join(dir, 'modes.json') }),
+        conversation: { providers, provider: 'openai', model: 'gpt-4o-mini', dataDir: dir },
+        autoSave: false
+    });
+}
+
+test('未定价的模型默认在发送前被拒绝，不能当作免费', (t) => {
+    const assistant = createAssistant(t);
+
+    const priced = assistant.planRequest('你好', { model: 'gpt-4o-mini' });
+    assert.equal(priced.action, 'send');
+    assert.equal(priced.estimate.priced, true);
+    assert.ok(priced.estimate.estimatedCost > 0);
+
+    const unpriced = assistant.planRequest('你好', { model: 'gpt-9-ultra' });
+    assert.equal(unpriced.action, 'block');
+    assert.equal(unpriced.reason, 'unpriced');
+    assert.match(assistant.applyPlan(unpriced).error, /gpt-9-ultra 不在价格表中/);
+    assert.equal(assistant.tokenTracker.getAffordableOutputTokens(100, 'gpt-9-ultra', 1), 0);
+
+    const original = Config.UNPRICED_MODELS;
+    t.after(() => { Config.UNPRICED_MODELS = original; });
+    Config.UNPRICED_MODELS = 'allow';
+
+    assert.equal(assistant.planRequest('你好', { model: 'gpt-9-ultra' }).action, 'send');
+    assert.equal(assistant.tokenTracker.getAffordableOutputTokens(100, 'gpt-9-ultra', 1), Infinity);
+});
+
+test('预算不足时不降级到未定价的备用模型', (t) => {
+    const assistant = createAssistant(t);
+    const original = { fallback: Config.BUDGET_FALLBACK_MODEL, guard: Config.BUDGET_GUARD };
+    t.after(() => {
+        Config.BUDGET_FALLBACK_MODEL = original.fallback;
+        Config.BUDGET_GUARD = original.guard;
+    });
+    Config.BUDGET_GUARD = 'degrade';
+    Config.BUDGET_FALLBACK_MODEL = 'free-but-unknown';
+
+    // 剩余额度不足以支付输入
+    const plan = assistant.planRequest('你好'.repeat(20000), { model: 'gpt-4o', maxTokens: 4000 }, {
+        ...assistant.checkBudget(),
+        budgets: [{ policy: 'hard', remaining: 0.000001 }]
+    });
+    assert.equal(plan.action, 'block');
+    assert.equal(plan.reason, 'over_budget');
+});
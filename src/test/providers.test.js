@@ -0,0 +1,341 @@
+// src/test/providers.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createProvider } from '../providers/provider-factory.js';
+import { classifyError } from '../core/retry-policy.js';
+import { startFakeUpstream, sendJson, writeSse } from './helpers/fake-upstream.js';
+
+const tools = [{
+    name: 'get_weather',
+    description: '查询天气',
+    input_schema: { type: 'object', properties: { city: { type: 'string' } } }
+}];
+
+const params = {
+    model: 'test-model',
+    max_tokens: 100,
+    system: '你是助手',
+    messages: [{ role: 'user', content: '北京天气如何？' }]
+};
+
+/**
+ * 启动假上游并创建指向它的提供方（测试结束后关闭）
+ */
+async function setup(t, type, script, options = {}) {
+    const upstream = await startFakeUpstream(script);
+    t.after(() => upstream.close());
+    const provider = createProvider({ type, name: options.name || type, baseURL: upstream.url, apiKey: 'test-key', ...options });
+    return { upstream, provider };
+}
+
+async function collect(stream) {
+    const events = [];
+    for await (const event of stream) {
+        events.push(event);
+    }
+    return events;
+}
+
+/**
+ * Anthropic 格式的流式事件（事件名与 type 相同）
+ */
+function writeAnthropicEvents(res, events) {
+    for (const event of events) {
+        writeSse(res, event, event.type);
+    }
+    res.end();
+}
+
+test('OpenAI：转换请求，统一响应中的工具调用、停止原因和用量', async (t) => {
+    const { upstream, provider } = await setup(t, 'openai', (req, res) => sendJson(res, 200, {
+        model: 'test-model-0613',
+        choices: [{
+            index: 0,
+            message: {
+                role: 'assistant',
+                content: '我查一下',
+                tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"北京"}' } }]
+            },
+            finish_reason: 'tool_calls'
+        }],
+        usage: { prompt_tokens: 30, completion_tokens: 12 }
+    }));
+
+    const response = await provider.createMessage({ ...params, tools, temperature: 0.2 });
+
+    const request = upstream.requests[0];
+    assert.equal(request.url, '/chat/completions');
+    assert.equal(request.headers.authorization, 'Bearer test-key');
+    assert.deepEqual(request.body.messages, [
+        { role: 'system', content: '你是助手' },
+        { role: 'user', content: '北京天气如何？' }
+    ]);
+    assert.equal(request.body.temperature, 0.2);
+    assert.equal(request.body.tools[0].function.name, 'get_weather');
+
+    assert.deepEqual(response, {
+        content: [
+            { type: 'text', text: '我查一下' },
+            { type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: '北京' } }
+        ],
+        model: 'test-model-0613',
+        stopReason: 'tool_use',
+        usage: { inputTokens: 30, outputTokens: 12 }
+    });
+});
+
+test('OpenAI：流式事件按 start、text、usage、tool_use、stop 统一', async (t) => {
+    const { upstream, provider } = await setup(t, 'openai', (req, res) => {
+        const chunk = (delta, extra = {}) => ({ model: 'test-model', choices: [{ index: 0, delta, ...extra }] });
+        writeSse(res, chunk({ role: 'assistant', content: '' }));
+        writeSse(res, chunk({ content: '晴，' }));
+        writeSse(res, chunk({ content: '25 度' }));
+        // 工具参数分片到达
+        writeSse(res, chunk({ tool_calls: [{ index: 0, id: 'call_1', function: { name: 'get_weather', arguments: '{"ci' } }] }));
+        writeSse(res, chunk({ tool_calls: [{ index: 0, function: { arguments: 'ty":"北京"}' } }] }));
+        writeSse(res, chunk({}, { finish_reason: 'length' }));
+        writeSse(res, { model: 'test-model', choices: [], usage: { prompt_tokens: 30, completion_tokens: 8 } });
+        writeSse(res, '[DONE]');
+        res.end();
+    });
+
+    const events = await collect(provider.streamMessage({ ...params, tools }));
+
+    assert.equal(upstream.requests[0].body.stream, true);
+    assert.deepEqual(upstream.requests[0].body.stream_options, { include_usage: true });
+    assert.deepEqual(events, [
+        { type: 'start', model: 'test-model' },
+        { type: 'text', text: '晴，' },
+        { type: 'text', text: '25 度' },
+        { type: 'usage', inputTokens: 30, outputTokens: 8 },
+        { type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: '北京' } },
+        { type: 'stop', stopReason: 'max_tokens' }
+    ]);
+});
+
+test('OpenAI：错误响应带上状态码、错误信息和 retry-after', async (t) => {
+    const { provider } = await setup(t, 'openai', [
+        (req, res) => sendJson(res, 429, { error: { message: 'Rate limit reached' } }, { 'Retry-After': '2' }),
+        (req, res) => sendJson(res, 400, { error: { message: 'Invalid model' } }),
+        (req, res) => {
+            writeSse(res, { model: 'test-model', choices: [{ index: 0, delta: { content: '部分' } }] });
+            writeSse(res, { error: { message: 'upstream overloaded' } });
+            res.end();
+        }
+    ]);
+
+    await assert.rejects(provider.createMessage(params), error => {
+        assert.equal(error.provider, 'openai');
+        assert.equal(error.status, 429);
+        assert.equal(error.retryAfter, 2000);
+        assert.match(error.message, /HTTP 429: Rate limit reached/);
+        assert.equal(classifyError(error).category, 'rate_limit');
+        return true;
+    });
+
+    await assert.rejects(collect(provider.streamMessage(params)), error => {
+        assert.equal(error.status, 400);
+        assert.equal(classifyError(error).retryable, false);
+        return true;
+    });
+
+    // 流中途的错误事件
+    await assert.rejects(collect(provider.streamMessage(params)), /upstream overloaded/);
+});
+
+test('Ollama：转换请求，统一非流式和 NDJSON 流式响应', async (t) => {
+    const { upstream, provider } = await setup(t, 'ollama', [
+        (req, res) => sendJson(res, 200, {
+            model: 'llama3',
+            message: { role: 'assistant', content: '晴' },
+            done: true,
+            done_reason: 'stop',
+            prompt_eval_count: 20,
+            eval_count: 3
+        }),
+        (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+            res.write(JSON.stringify({ model: 'llama3', message: { content: '晴，' }, done: false }) + '\n');
+            res.write(JSON.stringify({
+                model: 'llama3',
+                message: { content: '', tool_calls: [{ function: { name: 'get_weather', arguments: { city: '北京' } } }] },
+                done: false
+            }) + '\n');
+            res.end(JSON.stringify({ model: 'llama3', message: { content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 20, eval_count: 7 }));
+        }
+    ]);
+
+    const response = await provider.createMessage({ ...params, temperature: 0 });
+    const request = upstream.requests[0];
+    assert.equal(request.url, '/api/chat');
+    assert.equal(request.body.stream, false);
+    assert.deepEqual(request.body.options, { num_predict: 100, temperature: 0 });
+    assert.equal(request.body.messages[0].role, 'system');
+    assert.deepEqual(response, {
+        content: [{ type: 'text', text: '晴' }],
+        model: 'llama3',
+        stopReason: 'end_turn',
+        usage: { inputTokens: 20, outputTokens: 3 }
+    });
+
+    const events = await collect(provider.streamMessage({ ...params, tools }));
+    assert.equal(upstream.requests[1].body.tools[0].function.name, 'get_weather');
+
+    const toolUse = events.find(event => event.type === 'tool_use');
+    assert.match(toolUse.id, /^toolu_ollama_/);
+    assert.deepEqual(events.map(event => (event.type === 'tool_use' ? { ...event, id: null } : event)), [
+        { type: 'start', model: 'llama3' },
+        { type: 'text', text: '晴，' },
+        { type: 'tool_use', id: null, name: 'get_weather', input: { city: '北京' } },
+        { type: 'usage', inputTokens: 20, outputTokens: 7 },
+        { type: 'stop', stopReason: 'tool_use' }
+    ]);
+});
+
+test('Ollama：错误响应和流中的错误', async (t) => {
+    const { provider } = await setup(t, 'ollama', [
+        (req, res) => sendJson(res, 404, { error: 'model "llama9" not found' }),
+        (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+            res.end(JSON.stringify({ error: 'out of memory' }) + '\n');
+        }
+    ]);
+
+    await assert.rejects(provider.createMessage(params), error => {
+        assert.equal(error.status, 404);
+        assert.match(error.message, /\[ollama\] HTTP 404: model "llama9" not found/);
+        return true;
+    });
+    await assert.rejects(collect(provider.streamMessage(params)), /\[ollama\] out of memory/);
+});
+
+test('Anthropic：统一响应中的用量和提示缓存 tokens', async (t) => {
+    const { upstream, provider } = await setup(t, 'anthropic', (req, res) => sendJson(res, 200, {
+        id: 'msg_1',
+        type: 'message',
+        role: 'assistant',
+        model: 'claude-test',
+        content: [{ type: 'text', text: '晴' }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 15, output_tokens: 4, cache_read_input_tokens: 100, cache_creation_input_tokens: 0 }
+    }));
+
+    const response = await provider.createMessage(params);
+
+    const request = upstream.requests[0];
+    assert.equal(request.url, '/v1/messages');
+    assert.equal(request.headers['x-api-key'], 'test-key');
+    assert.equal(request.body.system, '你是助手');
+    assert.deepEqual(response, {
+        content: [{ type: 'text', text: '晴' }],
+        model: 'claude-test',
+        stopReason: 'end_turn',
+        usage: { inputTokens: 15, outputTokens: 4, cacheReadTokens: 100, cacheWriteTokens: 0 }
+    });
+});
+
+test('Anthropic：流式事件统一文本、工具参数、用量和停止原因', async (t) => {
+    const { provider } = await setup(t, 'anthropic', (req, res) => writeAnthropicEvents(res, [
+        {
+            type: 'message_start',
+            message: {
+                id: 'msg_1', type: 'message', role: 'assistant', model: 'claude-test', content: [],
+                usage: { input_tokens: 15, output_tokens: 1, cache_creation_input_tokens: 200 }
+            }
+        },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'ping' },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: '我查' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: '一下' } },
+        { type: 'content_block_stop', index: 0 },
+        { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: {} } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"city":' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"北京"}' } },
+        { type: 'content_block_stop', index: 1 },
+        { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 20 } },
+        { type: 'message_stop' }
+    ]));
+
+    const events = await collect(provider.streamMessage({ ...params, tools }));
+
+    assert.deepEqual(events, [
+        { type: 'start', model: 'claude-test' },
+        { type: 'usage', inputTokens: 15, cacheReadTokens: 0, cacheWriteTokens: 200 },
+        { type: 'text', text: '我查' },
+        { type: 'text', text: '一下' },
+        { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: '北京' } },
+        { type: 'usage', outputTokens: 20 },
+        { type: 'stop', stopReason: 'tool_use' }
+    ]);
+});
+
+test('GLM（Anthropic 兼容接口）：Bearer 认证，没有 content_block_start 的文本按文本处理', async (t) => {
+    const { upstream, provider } = await setup(t, 'anthropic-compatible', (req, res) => writeAnthropicEvents(res, [
+        { type: 'message_start', message: { model: 'glm-4.6', usage: { input_tokens: 9, output_tokens: 0 } } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: '你好' } },
+        { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } },
+        { type: 'message_stop' }
+    ]), { name: 'glm', apiKey: null, authToken: 'glm-token' });
+
+    assert.equal(provider.supportsPromptCaching, false);
+
+    const events = await collect(provider.streamMessage(params));
+
+    assert.equal(upstream.requests[0].headers.authorization, 'Bearer glm-token');
+    assert.deepEqual(events, [
+        { type: 'start', model: 'glm-4.6' },
+        { type: 'usage', inputTokens: 9, cacheReadTokens: 0, cacheWriteTokens: 0 },
+        { type: 'text', text: '你好' },
+        { type: 'usage', outputTokens: 2 },
+        { type: 'stop', stopReason: 'end_turn' }
+    ]);
+});
+
+test('Anthropic/GLM：SDK 错误转换为带状态码和 retry-after 的提供方错误', async (t) => {
+    const { provider } = await setup(t, 'anthropic-compatible', [
+        (req, res) => sendJson(res, 429, { type: 'error', error: { type: 'rate_limit_error', message: 'Too many requests' } }, { 'Retry-After': '3' }),
+        (req, res) => sendJson(res, 529, { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }),
+        (req, res) => sendJson(res, 401, { type: 'error', error: { type: 'authentication_error', message: 'invalid token' } })
+    ], { name: 'glm', apiKey: null, authToken: 'glm-token' });
+
+    await assert.rejects(provider.createMessage(params), error => {
+        assert.equal(error.provider, 'glm');
+        assert.equal(error.status, 429);
+        assert.equal(error.retryAfter, 3000);
+        assert.equal(classifyError(error).category, 'rate_limit');
+        return true;
+    });
+
+    await assert.rejects(collect(provider.streamMessage(params)), error => {
+        assert.equal(error.status, 529);
+        assert.match(error.message, /^\[glm\] .*Overloaded/);
+        assert.deepEqual(classifyError(error), { category: 'overloaded', retryable: true, status: 529 });
+        return true;
+    });
+
+    await assert.rejects(provider.createMessage(params), error => {
+        assert.equal(classifyError(error).category, 'auth');
+        assert.equal(classifyError(error).retryable, false);
+        return true;
+    });
+});
+
+test('Anthropic：流中途的 error 事件转换为提供方错误', async (t) => {
+    const { provider } = await setup(t, 'anthropic', (req, res) => writeAnthropicEvents(res, [
+        { type: 'message_start', message: { model: 'claude-test', usage: { input_tokens: 5, output_tokens: 0 } } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: '部分' } },
+        { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+    ]));
+
+    const events = [];
+    await assert.rejects(async () => {
+        for await (const event of provider.streamMessage(params)) {
+            events.push(event);
+        }
+    }, error => {
+        assert.equal(error.provider, 'anthropic');
+        assert.equal(classifyError(error).category, 'overloaded');
+        return true;
+    });
+    assert.deepEqual(events.map(event => event.type), ['start', 'usage', 'text']);
+});
@@ -0,0 +1,164 @@
+// src/test/response-streams.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import ResponseStreams, { parseEventId } from '../server/response-streams.js';
+import ConversationManager from '../core/conversation-manager.js';
+import ProviderRegistry from '../core/provider-registry.js';
+import RetryPolicy from '../core/retry-policy.js';
+import OpenAIProvider from '../providers/openai-provider.js';
+import { startFakeUpstream, streamOpenAI, sleep, tempDir } from './helpers/fake-upstream.js';
+
+// 假上游慢速输出 50 块，约 1 秒
+const CHUNKS = Array.from({ length: 50 }, (_, i) => `w${i} `);
+
+/**
+ * 连接到慢速假上游的对话管理器
+ */
+async function createSlowManager(t) {
+    const upstream = await startFakeUpstream((req, res) => streamOpenAI(res, CHUNKS, { delay: 20 }));
+    t.after(upstream.close);
+
+    const providers = new ProviderRegistry()
+        .register(new OpenAIProvider({ name: 'fake', baseURL: upstream.url, apiKey: 'test', defaultModel: 'fake-model' }));
+    const manager = new ConversationManager({
+        providers,
+        retryPolicy: new RetryPolicy({ maxAttempts: 1, breakerThreshold: 0 }),
+        dataDir: tempDir(t)
+    });
+
+    return { upstream, manager };
+}
+
+function createStreams(t, options) {
+    const streams = new ResponseStreams({ replayTtl: 1000, maxEvents: 100, ...options });
+    t.after(() => streams.stop());
+    return streams;
+}
+
+/**
+ * 订阅并收集事件，收到 count 个内容事件后 resolve
+ */
+function collect(streams, stream, afterSeq, count) {
+    const events = [];
+    let unsubscribe;
+    const reached = new Promise(resolve => {
+        unsubscribe = streams.subscribe(stream, afterSeq, {
+            onEvent: (event) => {
+                events.push(event);
+                if (events.filter(e => e.data.type === 'content').length === count) {
+                    resolve();
+                }
+            }
+        });
+    });
+    return { events, reached, unsubscribe };
+}
+
+test('parseEventId 解析 <流ID>:<序号>', () => {
+    assert.deepEqual(parseEventId('abc:12'), { streamId: 'abc', seq: 12 });
+    assert.equal(parseEventId('abc'), null);
+    assert.equal(parseEventId('abc:-1'), null);
+    assert.equal(parseEventId(undefined), null);
+});
+
+test('断开后在等待时间内没有重新订阅则中止上游请求', async (t) => {
+    const { upstream, manager } = await createSlowManager(t);
+    const streams = createStreams(t, { resumeWindow: 100 });
+
+    const stream = streams.start('session-a', '测试', (send, signal) =>
+        manager.chatStream('hi', { signal, cancelPolicy: 'keep' }, send));
+    const first = collect(streams, stream, 0, 3);
+    await first.reached;
+    first.unsubscribe();
+
+    // 等待时间内仍在生成
+    await sleep(50);
+    assert.equal(stream.ended, false);
+    assert.equal(upstream.aborted, 0);
+
+    await stream.done;
+    await sleep(20);
+
+    assert.equal(upstream.aborted, 1);
+    assert.equal(stream.controller.signal.aborted, true);
+
+    const end = stream.events.at(-1).data;
+    assert.equal(end.type, 'end');
+    assert.equal(end.cancelled, true);
+    assert.equal(end.kept, true);
+    assert.ok(end.content.length > 0 && end.content.length < CHUNKS.join('').length);
+    assert.equal(manager.conversationHistory.at(-1).stopReason, 'user_cancelled');
+});
+
+test('等待时间内重新订阅时继续生成并补发错过的事件', async (t) => {
+    const { upstream, manager } = await createSlowManager(t);
+    const streams = createStreams(t, { resumeWindow: 200 });
+
+    const stream = streams.start('session-a', '测试', (send, signal) => manager.chatStream('hi', { signal }, send));
+    const first = collect(streams, stream, 0, 3);
+    await first.reached;
+    first.unsubscribe();
+    first.unsubscribe();
+
+    await sleep(100);
+    const lastSeq = first.events.at(-1).seq;
+    const resumed = collect(streams, stream, lastSeq, -1);
+    await stream.done;
+
+    assert.equal(upstream.aborted, 0);
+    assert.equal(resumed.events[0].seq, lastSeq + 1);
+
+    const content = [...first.events, ...resumed.events]
+        .filter(event => event.data.type === 'content')
+        .map(event => event.data.content)
+        .join('');
+    assert.equal(content, CHUNKS.join(''));
+    assert.equal(resumed.events.at(-1).data.success, true);
+    assert.equal(resumed.events.at(-1).data.cancelled, undefined);
+});
+
+test('仍有其他订阅者时不停止生成', async (t) => {
+    const streams = createStreams(t, { resumeWindow: 10 });
+    let finish;
+
+    const stream = streams.start('session-a', '测试', () => new Promise(resolve => { finish = resolve; }));
+    const a = collect(streams, stream, 0, -1);
+    const b = collect(streams, stream, 0, -1);
+
+    a.unsubscribe();
+    await sleep(30);
+    assert.equal(stream.controller.signal.aborted, false);
+
+    b.unsubscribe();
+    await sleep(30);
+    assert.equal(stream.controller.signal.aborted, true);
+    finish({ success: true });
+    await stream.done;
+});
+
+test('只有所属会话可以获取流，超出重放缓冲时无法订阅', async (t) => {
+    const streams = createStreams(t, { maxEvents: 3, replayTtl: 50 });
+
+    const stream = streams.start('session-a', '测试', async (send) => {
+        for (let i = 0; i < 5; i++) {
+            send({ type: 'content', content: `${i}` });
+        }
+        return { success: true };
+    });
+    await stream.done;
+
+    assert.equal(streams.get(stream.id, 'session-b'), null);
+    assert.equal(streams.get(stream.id, 'session-a'), stream);
+    assert.equal(streams.subscribe(stream, 0, { onEvent: () => {} }), null);
+
+    const replayed = [];
+    let ended = false;
+    assert.ok(streams.subscribe(stream, 4, { onEvent: e => replayed.push(e.seq), onEnd: () => { ended = true; } }));
+    assert.deepEqual(replayed, [5, 6, 7]);
+    assert.equal(ended, true);
+
+    await sleep(60);
+    assert.equal(streams.get(stream.id, 'session-a'), null);
+    streams.cleanup();
+    assert.deepEqual(streams.getStats(), { active: 0, buffered: 0, replayTtl: 50 });
+});
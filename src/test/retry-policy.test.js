@@ -0,0 +1,247 @@
+// src/test/retry-policy.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import RetryPolicy, { CircuitBreaker, classifyError } from '../core/retry-policy.js';
+import ConversationManager from '../core/conversation-manager.js';
+import ProviderRegistry from '../core/provider-registry.js';
+import OpenAIProvider from '../providers/openai-provider.js';
+import { startFakeUpstream, sendJson, openAICompletion, streamOpenAI, writeSse, sleep, tempDir } from './helpers/fake-upstream.js';
+
+/**
+ * 连接到假上游的 OpenAI 兼容提供方
+ */
+function fakeProvider(upstream, name = 'primary', defaultModel = 'primary-model') {
+    return new OpenAIProvider({ name, baseURL: upstream.url, apiKey: 'test', defaultModel, timeout: 5000 });
+}
+
+/**
+ * 调用一次假上游，出错时抛出提供方错误
+ */
+function callOnce(provider) {
+    return target => provider.createMessage({
+        model: target.model,
+        max_tokens: 16,
+        messages: [{ role: 'user', content: 'hi' }]
+    });
+}
+
+const rateLimited = (req, res) => sendJson(res, 429, { error: { message: 'Rate limit reached' } }, { 'retry-after': '0.2' });
+const overloaded = (req, res) => sendJson(res, 529, { error: { type: 'overloaded_error', message: 'Overloaded' } });
+const serverError = (req, res) => sendJson(res, 503, { error: { message: 'Service Unavailable' } });
+const ok = (text) => (req, res) => sendJson(res, 200, openAICompletion(text));
+
+test('classifyError 区分可重试的错误类别', () => {
+    assert.equal(classifyError({ status: 429, message: 'slow down' }).category, 'rate_limit');
+    assert.equal(classifyError({ status: 429, message: 'You exceeded your current quota' }).category, 'quota');
+    assert.equal(classifyError({ status: 529, message: 'x' }).category, 'overloaded');
+    assert.equal(classifyError({ status: 503, message: 'x' }).category, 'server');
+    assert.equal(classifyError({ status: 401, message: 'x' }).retryable, false);
+    assert.equal(classifyError({ status: 400, message: 'bad' }).category, 'invalid_request');
+    assert.equal(classifyError({ message: 'terminated' }).category, 'network');
+});
+
+test('getDelay 指数退避并遵守 retry-after', () => {
+    const policy = new RetryPolicy({ baseDelay: 100, maxDelay: 1000 });
+
+    for (let attempt = 1; attempt <= 6; attempt++) {
+        const exponential = Math.min(1000, 100 * 2 ** (attempt - 1));
+        const delay = policy.getDelay(attempt);
+        assert.ok(delay >= exponential / 2 && delay <= exponential, `attempt ${attempt}: ${delay}`);
+    }
+
+    assert.equal(policy.getDelay(1, 300), 300);
+    assert.equal(policy.getDelay(1, 5000), null);
+});
+
+test('429 按 retry-after 等待后重试成功', async (t) => {
+    const upstream = await startFakeUpstream([rateLimited, ok('hello')]);
+    t.after(upstream.close);
+
+    const provider = fakeProvider(upstream);
+    const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 1, maxDelay: 1000, breakerThreshold: 0 });
+    const retries = [];
+
+    const startedAt = Date.now();
+    const run = await policy.execute([{ provider, model: 'primary-model' }], callOnce(provider), {
+        onRetry: info => retries.push(info)
+    });
+
+    assert.equal(upstream.requests.length, 2);
+    assert.ok(Date.now() - startedAt >= 200);
+    assert.equal(run.result.content[0].text, 'hello');
+    assert.equal(run.failover, false);
+    assert.deepEqual(run.attempts.map(a => a.success), [false, true]);
+    assert.equal(run.attempts[0].status, 429);
+    assert.equal(run.attempts[0].category, 'rate_limit');
+    assert.equal(run.attempts[0].retryInMs, 200);
+    assert.equal(retries.length, 1);
+    assert.equal(retries[0].type, 'retry');
+});
+
+test('retry-after 超过最大等待时间时不重试', async (t) => {
+    const upstream = await startFakeUpstream((req, res) => sendJson(res, 429, { error: { message: 'later' } }, { 'retry-after': '60' }));
+    t.after(upstream.close);
+
+    const provider = fakeProvider(upstream);
+    const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 1, maxDelay: 1000, breakerThreshold: 0 });
+
+    await assert.rejects(
+        policy.execute([{ provider, model: 'primary-model' }], callOnce(provider)),
+        error => error.status === 429 && error.category === 'rate_limit' && error.attempts.length === 1
+    );
+    assert.equal(upstream.requests.length, 1);
+});
+
+test('overloaded 与 5xx 错误重试，参数错误不重试', async (t) => {
+    const upstream = await startFakeUpstream([overloaded, serverError, ok('recovered')]);
+    t.after(upstream.close);
+
+    const provider = fakeProvider(upstream);
+    const policy = new RetryPolicy({ maxAttempts: 3, baseDelay: 1, maxDelay: 10, breakerThreshold: 0 });
+
+    const run = await policy.execute([{ provider, model: 'primary-model' }], callOnce(provider));
+    assert.deepEqual(run.attempts.map(a => a.category), ['overloaded', 'server', undefined]);
+    assert.equal(upstream.requests.length, 3);
+
+    const invalid = await startFakeUpstream((req, res) => sendJson(res, 400, { error: { message: 'bad request' } }));
+    t.after(invalid.close);
+    const invalidProvider = fakeProvider(invalid);
+
+    await assert.rejects(
+        policy.execute([{ provider: invalidProvider, model: 'primary-model' }], callOnce(invalidProvider)),
+        error => error.category === 'invalid_request'
+    );
+    assert.equal(invalid.requests.length, 1);
+});
+
+test('熔断器连续失败后打开，冷却后半开放行一次试探', async (t) => {
+    const upstream = await startFakeUpstream([serverError, serverError, serverError, ok('back')]);
+    t.after(upstream.close);
+
+    const provider = fakeProvider(upstream);
+    const policy = new RetryPolicy({ maxAttempts: 1, baseDelay: 1, breakerThreshold: 2, breakerCooldown: 100 });
+    const targets = [{ provider, model: 'primary-model' }];
+    const breaker = policy.getBreaker('primary', 'primary-model');
+
+    await assert.rejects(policy.execute(targets, callOnce(provider)));
+    assert.equal(breaker.state, 'closed');
+    await assert.rejects(policy.execute(targets, callOnce(provider)));
+    assert.equal(breaker.state, 'open');
+
+    // 熔断期间不访问上游
+    await assert.rejects(policy.execute(targets, callOnce(provider)), error => error.category === 'circuit_open');
+    assert.equal(upstream.requests.length, 2);
+    assert.equal(policy.getStatus()[0].state, 'open');
+
+    // 冷却后试探失败，重新打开
+    await sleep(120);
+    await assert.rejects(policy.execute(targets, callOnce(provider)), error => error.category === 'server');
+    assert.equal(upstream.requests.length, 3);
+    assert.equal(breaker.state, 'open');
+
+    // 再次冷却后试探成功，恢复
+    await sleep(120);
+    const run = await policy.execute(targets, callOnce(provider));
+    assert.equal(run.result.content[0].text, 'back');
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.failures, 0);
+});
+
+test('半开状态同时只放行一次试探', () => {
+    const breaker = new CircuitBreaker({ threshold: 1, cooldown: 0 });
+
+    assert.equal(breaker.recordFailure(), true);
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.state, 'half_open');
+    assert.equal(breaker.allowRequest(), false);
+
+    breaker.release();
+    assert.equal(breaker.allowRequest(), true);
+});
+
+/**
+ * 主提供方与备用提供方的对话管理器（备用目标来自 FAILOVER_PROVIDER/FAILOVER_MODEL 对应的选项）
+ */
+function createManager(t, primary, backup, policyOptions = {}) {
+    const providers = new ProviderRegistry()
+        .register(fakeProvider(primary))
+        .register(fakeProvider(backup, 'backup', 'backup-default'));
+    const retryPolicy = new RetryPolicy({
+        maxAttempts: 2,
+        baseDelay: 1,
+        maxDelay: 10,
+        breakerThreshold: 0,
+        failoverProvider: 'backup',
+        failoverModel: 'backup-model',
+        ...policyOptions
+    });
+
+    return new ConversationManager({ providers, retryPolicy, dataDir: tempDir(t), sessionId: 'test-session' });
+}
+
+test('主目标不可用时切换到备用提供方和模型', async (t) => {
+    const primary = await startFakeUpstream(serverError);
+    const backup = await startFakeUpstream((req, res, body) => sendJson(res, 200, openAICompletion(`from ${body.model}`, undefined, body.model)));
+    t.after(primary.close);
+    t.after(backup.close);
+
+    const manager = createManager(t, primary, backup);
+    const result = await manager.chat('hi');
+
+    assert.equal(result.success, true);
+    assert.equal(result.provider, 'backup');
+    assert.equal(result.model, 'backup-model');
+    assert.equal(result.content, 'from backup-model');
+    assert.equal(result.failover, true);
+    assert.equal(primary.requests.length, 2);
+    assert.equal(backup.requests.length, 1);
+    assert.deepEqual(result.attempts.map(a => a.provider), ['primary', 'primary', 'backup']);
+    assert.equal(manager.conversationHistory.length, 2);
+});
+
+test('流式切换到备用模型时推送 retry 和 failover 事件', async (t) => {
+    const primary = await startFakeUpstream(rateLimited);
+    const backup = await startFakeUpstream((req, res) => streamOpenAI(res, ['fall', 'back'], { model: 'backup-model' }));
+    t.after(primary.close);
+    t.after(backup.close);
+
+    const manager = createManager(t, primary, backup, { maxDelay: 1000 });
+    const chunks = [];
+    const result = await manager.chatStream('hi', {}, chunk => chunks.push(chunk));
+
+    assert.equal(result.success, true);
+    assert.equal(result.content, 'fallback');
+    assert.equal(result.failover, true);
+
+    const types = chunks.map(chunk => chunk.type);
+    assert.equal(types.indexOf('retry'), 0);
+    assert.equal(types.indexOf('failover'), 1);
+    assert.deepEqual(chunks[1].to, { provider: 'backup', model: 'backup-model' });
+    assert.equal(chunks[1].category, 'rate_limit');
+});
+
+test('流式已输出部分内容后中断时不重试也不切换', async (t) => {
+    const primary = await startFakeUpstream((req, res) => {
+        writeSse(res, { model: 'primary-model', choices: [{ index: 0, delta: { content: 'partial' } }] });
+        setTimeout(() => res.destroy(), 20);
+    });
+    const backup = await startFakeUpstream(ok('unused'));
+    t.after(primary.close);
+    t.after(backup.close);
+
+    const manager = createManager(t, primary, backup);
+    const chunks = [];
+    const result = await manager.chatStream('hi', {}, chunk => chunks.push(chunk));
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorCategory, 'network');
+    assert.equal(primary.requests.length, 1);
+    assert.equal(backup.requests.length, 0);
+    assert.equal(result.attempts.length, 1);
+    assert.ok(chunks.some(chunk => chunk.type === 'content' && chunk.content === 'partial'));
+    assert.equal(chunks.at(-1).type, 'error');
+    assert.ok(!chunks.some(chunk => chunk.type === 'retry' || chunk.type === 'failover'));
+
+    // 本轮的用户消息已移除
+    assert.equal(manager.conversationHistory.length, 0);
+});
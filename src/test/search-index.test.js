@@ -0,0 +1,111 @@
+// src/test/search-index.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import SearchIndex, { tokenize } from '../core/search-index.js';
+import { tempDir } from './helpers/fake-upstream.js';
+
+/**
+ * 写入对话文件
+ */
+function writeConversation(dataDir, id, data) {
+    fs.writeFileSync(path.join(dataDir, `conversation-${id}.json`), JSON.stringify({ conversationId: id, ...data }));
+}
+
+/**
+ * 本地时间的时间戳
+ */
+function at(date, time = '12:00:00') {
+    return new Date(`${date}T${time}`).getTime();
+}
+
+test('分词：英文去掉停用词和复数 s，中文按二元组切分', () => {
+    assert.deepEqual(tokenize('The Caches of Tokens and classes'), ['cache', 'token', 'classe']);
+    assert.deepEqual(tokenize('gas is 42'), ['gas', '42']);
+    assert.deepEqual(tokenize('缓存命中率'), ['缓存', '存命', '命中', '中率']);
+    assert.deepEqual(tokenize('用 Redis 做缓存！好'), ['用', 'redi', '做缓', '缓存', '好']);
+    assert.deepEqual(tokenize('ひらがな'), ['ひら', 'らが', 'がな']);
+    assert.deepEqual(tokenize(''), []);
+    assert.deepEqual(tokenize(null), []);
+    assert.deepEqual(tokenize('!!! --- ...'), []);
+});
+
+test('搜索按模式、角色和日期过滤，结束日期包含当天', (t) => {
+    const dataDir = tempDir(t);
+    writeConversation(dataDir, 'c1', {
+        title: '缓存设计',
+        mode: 'coding',
+        messages: [
+            { role: 'user', content: '怎么设计缓存？', timestamp: at('2024-03-01') },
+            { role: 'assistant', content: [{ type: 'text', text: '缓存可以用 LRU 策略' }, { type: 'tool_use', name: 'calc', input: {} }], timestamp: at('2024-03-01', '12:00:01') }
+        ]
+    });
+    writeConversation(dataDir, 'c2', {
+        title: '学习缓存',
+        mode: 'learning',
+        messages: [
+            { role: 'user', content: '缓存是什么', timestamp: at('2024-03-05', '23:59:00') },
+            { role: 'assistant', content: '缓存保存计算结果', timestamp: at('2024-03-06', '00:00:01') }
+        ]
+    });
+    const index = new SearchIndex({ dataDir });
+    const found = (query, filters) => index.search(query, filters).results.map(result => `${result.conversationId}#${result.messageIndex}`).sort();
+
+    assert.deepEqual(found('缓存'), ['c1#0', 'c1#1', 'c2#0', 'c2#1']);
+    assert.deepEqual(found('缓存', { mode: 'coding' }), ['c1#0', 'c1#1']);
+    assert.deepEqual(found('缓存', { role: 'assistant' }), ['c1#1', 'c2#1']);
+    assert.deepEqual(found('缓存', { mode: 'learning', role: 'user' }), ['c2#0']);
+    assert.deepEqual(found('缓存', { from: '2024-03-02' }), ['c2#0', 'c2#1']);
+    assert.deepEqual(found('缓存', { to: '2024-03-05' }), ['c1#0', 'c1#1', 'c2#0']);
+    assert.deepEqual(found('缓存', { from: '2024-03-05', to: '2024-03-05' }), ['c2#0']);
+    assert.deepEqual(found('缓存', { mode: 'writing' }), []);
+
+    // 工具调用块不参与检索
+    assert.deepEqual(found('calc'), []);
+    assert.deepEqual(found('LRU'), ['c1#1']);
+
+    const limited = index.search('缓存', { limit: 1 });
+    assert.equal(limited.total, 4);
+    assert.equal(limited.results.length, 1);
+
+    assert.throws(() => index.search('缓存', { from: 'yesterday' }), /无效的日期/);
+    assert.deepEqual(index.search('the of'), { total: 0, results: [] });
+});
+
+test('匹配更多查询词的消息排在前面，摘要标出命中位置', (t) => {
+    const dataDir = tempDir(t);
+    writeConversation(dataDir, 'c1', {
+        messages: [
+            { role: 'user', content: 'redis cluster setup', timestamp: 1 },
+            { role: 'user', content: 'redis redis redis', timestamp: 2 }
+        ]
+    });
+    const index = new SearchIndex({ dataDir });
+
+    const { results } = index.search('Redis cluster');
+    assert.deepEqual(results.map(result => result.messageIndex), [0, 1]);
+    assert.equal(results[0].title, 'redis cluster setup');
+    assert.equal(results[0].snippet, 'redis cluster setup');
+    // 高亮的是归一后的词项（redis 归一为 redi）
+    assert.deepEqual(results[0].highlights, [[0, 4], [6, 13]]);
+});
+
+test('索引随对话文件的修改和删除更新', (t) => {
+    const dataDir = tempDir(t);
+    writeConversation(dataDir, 'c1', { messages: [{ role: 'user', content: '第一版内容', timestamp: 1 }] });
+    const index = new SearchIndex({ dataDir });
+    assert.equal(index.search('第一版').total, 1);
+
+    writeConversation(dataDir, 'c1', { messages: [{ role: 'user', content: '第二版内容', timestamp: 1 }] });
+    const later = new Date(Date.now() + 10000);
+    fs.utimesSync(path.join(dataDir, 'conversation-c1.json'), later, later);
+    assert.equal(index.search('第一版').total, 0);
+    assert.equal(index.search('第二版').total, 1);
+
+    fs.unlinkSync(path.join(dataDir, 'conversation-c1.json'));
+    assert.equal(index.search('内容').total, 0);
+    assert.equal(index.documents.size, 0);
+    assert.equal(index.postings.size, 0);
+    assert.equal(index.totalLength, 0);
+});
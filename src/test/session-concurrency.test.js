@@ -0,0 +1,110 @@
+// src/test/session-concurrency.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeUpstream, sendJson, openAICompletion, streamOpenAI, writeSse, sleep } from './helpers/fake-upstream.js';
+import { startTestServer, readEvents } from './helpers/test-server.js';
+
+let upstream;
+let app;
+
+// 上游依次：非流式回复、输出两块后中断的流、正常的流、较慢的非流式回复、非流式回复
+before(async () => {
+    upstream = await startFakeUpstream([
+        (req, res) => sendJson(res, 200, openAICompletion('first answer')),
+        async (req, res) => {
+            writeSse(res, { model: 'fake-model', choices: [{ index: 0, delta: { content: 'par' } }] });
+            await sleep(150);
+            writeSse(res, { model: 'fake-model', choices: [{ index: 0, delta: { content: 'tial' } }] });
+            await sleep(150);
+            res.destroy();
+        },
+        (req, res) => streamOpenAI(res, ['third ', 'answer']),
+        async (req, res) => {
+            await sleep(300);
+            sendJson(res, 200, openAICompletion('slow answer'));
+        },
+        (req, res) => sendJson(res, 200, openAICompletion('next answer'))
+    ]);
+    app = await startTestServer(upstream.url);
+});
+
+after(async () => {
+    await app.close();
+    await upstream.close();
+});
+
+test('会话中同时只能进行一个回复，失败的回复不影响对话历史', async () => {
+    const first = await app.request('/api/chat', { body: { message: 'one' } });
+    assert.equal(first.status, 200);
+    const headers = { 'X-Session-Id': first.headers.get('x-session-id') };
+
+    const failing = await app.request('/api/chat/stream', { body: { message: 'two' }, headers });
+    assert.equal(failing.status, 200);
+    const failingEvents = readEvents(failing);
+    await sleep(50);
+
+    // 进行中时同一会话的流式和非流式请求都被拒绝
+    const overlapping = await app.request('/api/chat/stream', { body: { message: 'overlap' }, headers });
+    assert.equal(overlapping.status, 429);
+    assert.ok(Number(overlapping.headers.get('retry-after')) > 0);
+    assert.equal((await overlapping.json()).success, false);
+
+    const blocking = await app.request('/api/chat', { body: { message: 'overlap' }, headers });
+    assert.equal(blocking.status, 429);
+
+    const regenerate = await app.request('/api/messages/last/regenerate/stream', { body: {}, headers });
+    assert.equal(regenerate.status, 429);
+
+    // 其他会话不受影响
+    const other = await app.request('/api/status');
+    assert.equal(other.status, 200);
+
+    const end = (await failingEvents).at(-1).data;
+    assert.equal(end.type, 'end');
+    assert.equal(end.success, false);
+
+    let messages = (await (await app.request('/api/messages', { headers })).json()).data.messages;
+    assert.deepEqual(messages.map(m => [m.role, m.content]), [['user', 'one'], ['assistant', 'first answer']]);
+
+    // 失败的回复结束后可以继续对话
+    const third = await app.request('/api/chat/stream', { body: { message: 'three' }, headers });
+    assert.equal(third.status, 200);
+    assert.equal((await readEvents(third)).at(-1).data.success, true);
+
+    messages = (await (await app.request('/api/messages', { headers })).json()).data.messages;
+    assert.deepEqual(messages.map(m => [m.role, m.content]), [
+        ['user', 'one'],
+        ['assistant', 'first answer'],
+        ['user', 'three'],
+        ['assistant', 'third answer']
+    ]);
+    assert.equal(upstream.requests.length, 3);
+
+    const health = await (await app.request('/health')).json();
+    assert.equal(health.rateLimit.activeGenerations, 0);
+});
+
+test('客户端断开非流式请求后，名额在调用结束时才释放', async () => {
+    const headers = { 'X-Session-Id': (await (await app.request('/api/session')).json()).data.sessionId };
+
+    const controller = new AbortController();
+    const aborted = app.request('/api/chat', { body: { message: 'slow' }, headers, signal: controller.signal });
+    await sleep(100);
+    controller.abort();
+    await assert.rejects(aborted, { name: 'AbortError' });
+    await sleep(50);
+
+    // 调用仍在进行，同一会话的下一个请求被拒绝
+    const overlapping = await app.request('/api/chat', { body: { message: 'overlap' }, headers });
+    assert.equal(overlapping.status, 429);
+
+    await sleep(300);
+    const next = await app.request('/api/chat', { body: { message: 'next' }, headers });
+    assert.equal(next.status, 200);
+
+    const messages = (await (await app.request('/api/messages', { headers })).json()).data.messages;
+    assert.deepEqual(messages.map(m => m.content), ['slow', 'slow answer', 'next', 'next answer']);
+
+    const health = await (await app.request('/health')).json();
+    assert.equal(health.rateLimit.activeGenerations, 0);
+});
@@ -0,0 +1,147 @@
+// src/test/sessions.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startFakeUpstream, sendJson, openAICompletion } from './helpers/fake-upstream.js';
+import { startTestServer } from './helpers/test-server.js';
+import { openWebSocket } from './helpers/ws-client.js';
+
+let upstream;
+let app;
+let port;
+
+before(async () => {
+    upstream = await startFakeUpstream((req, res) => sendJson(res, 200, openAICompletion('ok')));
+    app = await startTestServer(upstream.url);
+    port = new URL(app.url).port;
+});
+
+after(async () => {
+    await app.close();
+    await upstream.close();
+});
+
+/**
+ * 请求 /api/session，返回 { id（X-Session-Id 响应头）, cookie（下发的 sessionId Cookie）, session（响应中的会话） }
+ */
+async function getSession(headers = {}) {
+    const response = await app.request('/api/session', { headers });
+    assert.equal(response.status, 200);
+
+    const setCookie = response.headers.getSetCookie().find(cookie => cookie.startsWith('sessionId='));
+    return {
+        id: response.headers.get('x-session-id'),
+        cookie: setCookie,
+        session: (await response.json()).data
+    };
+}
+
+test('没有会话ID时由服务器分配，并下发 Cookie', async () => {
+    const { id, cookie, session } = await getSession();
+
+    assert.match(id, /^[0-9a-f-]{36}$/);
+    assert.equal(session.sessionId, id);
+    assert.match(cookie, new RegExp(`^sessionId=${id};`));
+    assert.match(cookie, /HttpOnly/);
+    assert.match(cookie, /Max-Age=\d+/);
+});
+
+test('不采用客户端自选的会话ID（防止会话固定）', async () => {
+    const chosen = 'attacker-chosen-id';
+
+    const first = await getSession({ 'X-Session-Id': chosen });
+    assert.notEqual(first.id, chosen);
+    assert.match(first.cookie, new RegExp(`^sessionId=${first.id};`));
+
+    // 再次使用同一个自选ID仍然得到新会话，不会进入别人先前用它打开的会话
+    const second = await getSession({ Cookie: `sessionId=${chosen}` });
+    assert.notEqual(second.id, chosen);
+    assert.notEqual(second.id, first.id);
+
+    const ws = await openWebSocket(port, `/api/ws?sessionId=${chosen}`);
+    const ready = await ws.nextMessage(message => message.type === 'ready');
+    assert.notEqual(ready.sessionId, chosen);
+    ws.close();
+});
+
+test('服务器分配的会话ID通过请求头或 Cookie 继续使用，每次请求都重新下发 Cookie', async () => {
+    const { id } = await getSession();
+
+    const chat = await app.request('/api/chat', { body: { message: '你好' }, headers: { 'X-Session-Id': id } });
+    assert.equal(chat.status, 200);
+    assert.equal(chat.headers.get('x-session-id'), id);
+    assert.ok(chat.headers.getSetCookie().some(cookie => cookie.startsWith(`sessionId=${id};`)));
+
+    const byCookie = await getSession({ Cookie: `sessionId=${id}` });
+    assert.equal(byCookie.id, id);
+    assert.match(byCookie.cookie, new RegExp(`^sessionId=${id};`));
+
+    const messages = (await (await app.request('/api/messages', { headers: { Cookie: `sessionId=${id}` } })).json()).data.messages;
+    assert.deepEqual(messages.map(m => m.content), ['你好', 'ok']);
+
+    const ws = await openWebSocket(port, `/api/ws?sessionId=${id}`);
+    assert.equal((await ws.nextMessage(message => message.type === 'ready')).sessionId, id);
+    ws.close();
+});
+
+test('已结束的会话ID不再有效', async () => {
+    const { id } = await getSession();
+
+    const ended = await app.request('/api/session', { method: 'DELETE', headers: { 'X-Session-Id': id } });
+    assert.equal(ended.status, 200);
+
+    const next = await getSession({ 'X-Session-Id': id });
+    assert.notEqual(next.id, id);
+});
+
+test('会话数达到上限时移除最久未活动且没有进行中回复的会话', async (t) => {
+    // 配置已由测试服务器加载，这里直接使用注册表
+    const { default: SessionRegistry } = await import('../server/session-registry.js');
+    const busy = new Set();
+    const registry = new SessionRegistry({
+        factory: () => ({ conversation: { conversationHistory: [] } }),
+        maxSessions: 3,
+        maxSessionsPerUser: 2,
+        isBusy: session => busy.has(session.key)
+    });
+    t.after(() => registry.stop());
+
+    const alice = { id: 'alice', role: 'user' };
+    const bob = { id: 'bob', role: 'user' };
+    const ids = user => registry.listOwnerSessions(`user:${user.id}`).map(session => session.id).sort();
+
+    // 同一用户达到上限时只挤掉自己最久未活动的会话
+    const a1 = registry.create(alice);
+    const a2 = registry.create(alice);
+    a1.lastActiveAt = Date.now() + 1000;
+    const a3 = registry.create(alice);
+    assert.deepEqual(ids(alice), [a1.id, a3.id].sort());
+    assert.equal(registry.get(a2.id, alice), null);
+
+    // 总数达到上限时移除所有用户中最久未活动的空闲会话，进行中的会话保留
+    const b1 = registry.create(bob);
+    busy.add(a3.key);
+    b1.lastActiveAt = a1.lastActiveAt + 1000;
+    const b2 = registry.create(bob);
+    assert.deepEqual(ids(alice), [a3.id]);
+    assert.deepEqual(ids(bob), [b1.id, b2.id].sort());
+
+    // 全部会话都在回复时拒绝
+    busy.add(b1.key);
+    busy.add(b2.key);
+    assert.throws(() => registry.create(bob), error => error.status === 503 && /进行中的回复/.test(error.message));
+    assert.throws(() => registry.create(alice), error => error.status === 503);
+    assert.equal(registry.sessions.size, 3);
+
+    // 不认证时（本地用户）按客户端IP计算每用户的上限
+    const local = new SessionRegistry({
+        factory: () => ({ conversation: { conversationHistory: [] } }),
+        maxSessions: 10,
+        maxSessionsPerUser: 1
+    });
+    t.after(() => local.stop());
+    const first = local.create(undefined, '10.0.0.1');
+    local.create(undefined, '10.0.0.2');
+    local.create(undefined, '10.0.0.1');
+    assert.equal(local.sessions.size, 2);
+    assert.equal(local.get(first.id), null);
+});
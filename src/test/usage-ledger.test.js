@@ -0,0 +1,100 @@
+// src/test/usage-ledger.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import UsageLedger, { BUDGET_PERIODS, getPeriodStart } from '../core/usage-ledger.js';
+import { tempDir } from './helpers/fake-upstream.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 生成一条记录
+ */
+function entry(daysAgo, userId, mode, cost, now = Date.now()) {
+    return { timestamp: now - daysAgo * DAY_MS, userId, mode, model: 'm', inputTokens: 10, outputTokens: 5, cost };
+}
+
+/**
+ * 按记录逐条统计（与按周期累计的合计对照）
+ */
+function expectTotals(ledger, now = Date.now()) {
+    for (const period of BUDGET_PERIODS) {
+        for (const scope of [{}, { userId: 'alice' }, { userId: 'bob' }, { mode: 'coding' }]) {
+            const expected = ledger.sum({ since: getPeriodStart(period, now), ...scope });
+            assert.deepEqual(ledger.getPeriodTotals(period, scope, now), expected, `${period} ${JSON.stringify(scope)}`);
+        }
+    }
+}
+
+test('按周期、用户和模式累计的合计与逐条统计一致，包括其他写入者追加的记录', (t) => {
+    const file = path.join(tempDir(t), 'ledger.jsonl');
+    const ledger = new UsageLedger({ file, retentionDays: 0 });
+    const other = new UsageLedger({ file, retentionDays: 0 });
+
+    ledger.append(entry(0, 'alice', 'coding', 1));
+    ledger.append(entry(0, 'bob', 'learning', 2));
+    other.append(entry(3, 'alice', 'learning', 4));
+    other.append(entry(40, 'bob', 'coding', 8));
+
+    assert.equal(ledger.getPeriodTotals('total').cost, 15);
+    assert.equal(ledger.getPeriodTotals('total', { userId: 'alice' }).calls, 2);
+    expectTotals(ledger);
+    expectTotals(other);
+
+    // 不持久化时同样累计
+    const memory = new UsageLedger({ persist: false });
+    memory.append(entry(0, 'alice', 'coding', 1));
+    assert.equal(memory.getPeriodTotals('daily', { mode: 'coding' }).cost, 1);
+});
+
+test('超出保留期的记录按月归档，累计预算和更早范围的查询不受影响', (t) => {
+    const dir = tempDir(t);
+    const file = path.join(dir, 'ledger.jsonl');
+    const now = Date.now();
+    const entries = [
+        entry(200, 'alice', 'coding', 1, now),
+        entry(120, 'bob', 'coding', 2, now),
+        entry(100, 'alice', 'learning', 4, now),
+        entry(10, 'alice', 'coding', 8, now),
+        entry(0, 'bob', 'learning', 16, now)
+    ];
+    fs.writeFileSync(file, entries.map(item => JSON.stringify(item)).join('\n') + '\n');
+
+    // 另一个进程在轮转前已经读取了账本
+    const other = new UsageLedger({ file, retentionDays: 0 });
+    const ledger = new UsageLedger({ file, retentionDays: 32 });
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.filter(line => line.type !== 'rollup').map(line => line.cost), [8, 16]);
+    assert.deepEqual(lines.filter(line => line.type === 'rollup').map(line => [line.userId, line.mode, line.cost, line.calls]).sort(), [
+        ['alice', 'coding', 1, 1],
+        ['alice', 'learning', 4, 1],
+        ['bob', 'coding', 2, 1]
+    ]);
+
+    const archives = fs.readdirSync(dir).filter(name => /^ledger-\d{4}-\d{2}\.jsonl$/.test(name));
+    const archived = archives.flatMap(name => fs.readFileSync(path.join(dir, name), 'utf8').trim().split('\n'));
+    assert.equal(archived.length, 3);
+
+    // 内存中只保留保留期内的明细，合计仍包含全部用量
+    assert.equal(ledger.entries.length, 2);
+    for (const instance of [ledger, other]) {
+        assert.equal(instance.getPeriodTotals('total').cost, 31);
+        assert.equal(instance.getPeriodTotals('total', { userId: 'alice' }).cost, 13);
+        assert.equal(instance.getPeriodTotals('total', { mode: 'coding' }).calls, 3);
+        expectTotals(instance, now);
+    }
+
+    // 查询早于保留期的范围时读取归档
+    assert.deepEqual(ledger.query({ since: now - 150 * DAY_MS }).map(item => item.cost), [2, 4, 8, 16]);
+    assert.deepEqual(ledger.query({ since: now - 150 * DAY_MS, until: now - 50 * DAY_MS, userId: 'alice' }).map(item => item.cost), [4]);
+    assert.deepEqual(ledger.query({ since: now - 20 * DAY_MS }).map(item => item.cost), [8, 16]);
+
+    // 再次轮转时合并已有的汇总，不重复计入
+    ledger.append(entry(0, 'alice', 'coding', 32, now));
+    ledger.rotate(now + 60 * DAY_MS);
+    assert.equal(ledger.getPeriodTotals('total').cost, 63);
+    assert.equal(ledger.query({}).length, 6);
+    assert.equal(other.getPeriodTotals('total').cost, 63);
+});
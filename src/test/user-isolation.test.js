@@ -0,0 +1,88 @@
+// src/test/user-isolation.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import CacheManager from '../core/cache-manager.js';
+import TokenTracker from '../core/token-tracker.js';
+import UsageLedger from '../core/usage-ledger.js';
+import { NgramEmbedder } from '../core/semantic-index.js';
+import JsonFileStore from '../storage/json-file-store.js';
+import { tempDir } from './helpers/fake-upstream.js';
+
+const options = { provider: 'openai', model: 'fake-model', context: null };
+const answer = { content: '只属于 alice 的回答', model: 'fake-model' };
+
+test('缓存视图只读写自己分区的缓存项（包括语义查找）', async () => {
+    const cache = new CacheManager({
+        enabled: true,
+        persist: false,
+        semantic: { enabled: true, embedder: new NgramEmbedder(), threshold: 0.5 }
+    });
+    const alice = cache.createView({ partition: 'alice' });
+    const aliceOther = cache.createView({ partition: 'alice' });
+    const bob = cache.createView({ partition: 'bob' });
+    const shared = cache.createView();
+
+    await alice.store('我的订单号是多少？', options, answer);
+
+    assert.equal(await bob.lookup('我的订单号是多少？', options), null);
+    assert.equal(await bob.lookup('我的订单号是多少', options), null);
+    assert.equal(await shared.lookup('我的订单号是多少？', options), null);
+    assert.notEqual(alice.generateKey('问题', options), bob.generateKey('问题', options));
+
+    // 同一用户的其他会话仍然共享
+    const hit = await aliceOther.lookup('我的订单号是多少？', options);
+    assert.equal(hit.match, 'exact');
+    assert.deepEqual(hit.value, answer);
+    assert.equal((await aliceOther.lookup('我的订单号是多少', options)).match, 'semantic');
+
+    // 没有分区时缓存键不变
+    assert.equal(shared.generateKey('问题', options), cache.generateKey('问题', options));
+});
+
+test('缓存命中率趋势按分区统计，重新加载后保留', async (t) => {
+    const file = `${tempDir(t)}/cache.json`;
+    const cache = new CacheManager({ enabled: true, store: new JsonFileStore({ file, flushDelay: 0 }) });
+    const alice = cache.createView({ partition: 'alice' });
+    const bob = cache.createView({ partition: 'bob' });
+
+    await alice.store('问题', options, answer);
+    await alice.lookup('问题', options);
+    alice.get(alice.generateKey('问题', options));
+    await bob.lookup('问题', options);
+
+    const counts = trend => trend.map(({ hits, misses }) => [hits, misses]);
+    assert.deepEqual(counts(alice.getHitTrend()), [[2, 0]]);
+    assert.deepEqual(counts(bob.getHitTrend()), [[0, 1]]);
+    assert.deepEqual(counts(alice.getHitTrend(0, null)), [[2, 1]]);
+    assert.deepEqual(counts(cache.getHitTrend(0, 'bob')), [[0, 1]]);
+    assert.deepEqual(cache.getHitTrend(0, 'carol'), []);
+
+    await cache.close();
+    const reloaded = new CacheManager({ enabled: true, store: new JsonFileStore({ file, flushDelay: 0 }) });
+    await reloaded.ready;
+    assert.deepEqual(counts(reloaded.getHitTrend(0, 'alice')), [[2, 0]]);
+    assert.deepEqual(counts(reloaded.getHitTrend()), [[2, 1]]);
+    await reloaded.close();
+});
+
+test('budgetScope 为 user 时 BUDGET_LIMIT 按用户各自计算', () => {
+    const ledger = new UsageLedger({ persist: false });
+    const budgets = { ledger, budgetScope: 'user' };
+    const alice = new TokenTracker(0.01, { ...budgets, userId: 'alice' });
+    const bob = new TokenTracker(0.01, { ...budgets, userId: 'bob' });
+
+    alice.recordCall(1000000, 1000000, 'claude-3-5-sonnet-20241022');
+
+    const aliceStatus = alice.checkBudget();
+    assert.equal(aliceStatus.isOverBudget, true);
+    assert.deepEqual(aliceStatus.blocking, ['user=alice:' + aliceStatus.budgets[0].period]);
+
+    const bobStatus = bob.checkBudget();
+    assert.equal(bobStatus.isOverBudget, false);
+    assert.equal(bobStatus.currentCost, 0);
+    assert.equal(bobStatus.budgets[0].target, 'bob');
+
+    // 默认（CLI）仍是所有用量共享的全局预算
+    const global = new TokenTracker(0.01, { ledger, userId: 'bob' });
+    assert.equal(global.checkBudget().isOverBudget, true);
+});
@@ -0,0 +1,262 @@
+// src/test/websocket.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { acceptWebSocket, getAcceptKey, isValidCloseCode, CLOSE_CODES } from '../server/websocket.js';
+import { openWebSocket, encodeFrame, closePayload } from './helpers/ws-client.js';
+
+const TEXT = 0x1;
+const BINARY = 0x2;
+const CONTINUATION = 0x0;
+const CLOSE = 0x8;
+const PING = 0x9;
+const PONG = 0xa;
+
+let server;
+let port;
+// 服务端最近的连接（回显收到的文本消息）
+const connections = [];
+
+before(async () => {
+    server = http.createServer();
+    server.on('upgrade', (req, socket) => {
+        const ws = acceptWebSocket(req, socket, { maxPayload: 100000 });
+        if (!ws) {
+            return;
+        }
+
+        const record = { ws, messages: [], pongs: 0, closed: null };
+        connections.push(record);
+        ws.on('message', text => {
+            record.messages.push(text);
+            if (text === 'close me') {
+                ws.close(CLOSE_CODES.goingAway, '再见');
+            } else {
+                ws.send(text);
+            }
+        });
+        ws.on('pong', () => record.pongs++);
+        ws.on('close', (code, reason) => {
+            record.closed = { code, reason };
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+});
+
+after(() => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+}));
+
+async function connect() {
+    const client = await openWebSocket(port, '/');
+    assert.equal(client.status, 101);
+    return client;
+}
+
+/**
+ * 期望服务端以 code 发送关闭帧并断开连接
+ */
+async function expectClose(client, code) {
+    const frame = await client.nextFrame();
+    assert.ok(frame, '连接在关闭帧之前断开');
+    assert.equal(frame.opcode, CLOSE);
+    assert.equal(frame.payload.readUInt16BE(0), code);
+    await client.ended();
+}
+
+test('握手按 RFC 6455 计算 Sec-WebSocket-Accept', async () => {
+    assert.equal(getAcceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+
+    const client = await openWebSocket(port, '/', { 'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==' });
+    assert.equal(client.headers['sec-websocket-accept'], 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+    client.close();
+
+    const invalid = await openWebSocket(port, '/', { 'Sec-WebSocket-Version': '8' });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.success, false);
+});
+
+test('收发 7 位、16 位和 64 位长度的文本帧', async () => {
+    const client = await connect();
+
+    for (const size of [5, 300, 70000]) {
+        const text = 'é'.repeat(size / 2) + 'x'.repeat(size % 2);
+        client.send(TEXT, text);
+
+        const frame = await client.nextFrame();
+        assert.equal(frame.opcode, TEXT);
+        assert.equal(frame.fin, true);
+        assert.equal(frame.masked, false);
+        assert.equal(frame.payload.toString(), text);
+    }
+    client.close();
+});
+
+test('合并分片消息，分片之间可以穿插控制帧', async () => {
+    const client = await connect();
+
+    // “€” 的 3 个字节跨越分片边界
+    const euro = Buffer.from('€');
+    client.send(TEXT, Buffer.concat([Buffer.from('Hel'), euro.subarray(0, 1)]), { fin: false });
+    client.send(PING, 'probe');
+    client.send(CONTINUATION, euro.subarray(1), { fin: false });
+    client.send(CONTINUATION, 'lo');
+
+    const pong = await client.nextFrame();
+    assert.equal(pong.opcode, PONG);
+    assert.equal(pong.payload.toString(), 'probe');
+
+    const message = await client.nextFrame();
+    assert.equal(message.payload.toString(), 'Hel€lo');
+    client.close();
+});
+
+test('一次写入多个帧或一个帧分多次到达', async () => {
+    const client = await connect();
+
+    client.sendRaw(Buffer.concat([encodeFrame(TEXT, 'a'), encodeFrame(TEXT, 'b')]));
+    assert.equal((await client.nextFrame()).payload.toString(), 'a');
+    assert.equal((await client.nextFrame()).payload.toString(), 'b');
+
+    const frame = encodeFrame(TEXT, 'split');
+    client.sendRaw(frame.subarray(0, 3));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    client.sendRaw(frame.subarray(3));
+    assert.equal((await client.nextFrame()).payload.toString(), 'split');
+    client.close();
+});
+
+test('回应 ping，并把 pong 通知给上层', async () => {
+    const client = await connect();
+    const record = connections.at(-1);
+
+    client.send(PING, 'hello');
+    const pong = await client.nextFrame();
+    assert.equal(pong.opcode, PONG);
+    assert.equal(pong.payload.toString(), 'hello');
+
+    record.ws.ping();
+    assert.equal((await client.nextFrame()).opcode, PING);
+    client.send(PONG);
+    client.send(TEXT, 'sync');
+    await client.nextFrame();
+    assert.equal(record.pongs, 1);
+    client.close();
+});
+
+test('协议错误以 1002 关闭', async (t) => {
+    const cases = {
+        '没有掩码的帧': [encodeFrame(TEXT, 'x', { mask: false })],
+        '设置了保留位': [encodeFrame(TEXT, 'x', { rsv: 0x4 })],
+        '没有开始的分片': [encodeFrame(CONTINUATION, 'x')],
+        '分片消息未结束时开始新消息': [encodeFrame(TEXT, 'a', { fin: false }), encodeFrame(TEXT, 'b')],
+        '未知的数据帧类型': [encodeFrame(0x3, 'x')],
+        '未知的控制帧类型': [encodeFrame(0xb)],
+        '分片的控制帧': [encodeFrame(PING, 'x', { fin: false })],
+        '超过 125 字节的控制帧': [encodeFrame(PING, 'x'.repeat(126))],
+        '只有 1 字节的关闭帧': [encodeFrame(CLOSE, Buffer.from([0x03]))]
+    };
+
+    for (const [name, frames] of Object.entries(cases)) {
+        await t.test(name, async () => {
+            const client = await connect();
+            client.sendRaw(Buffer.concat(frames));
+            await expectClose(client, CLOSE_CODES.protocolError);
+            assert.equal(connections.at(-1).messages.length, 0);
+        });
+    }
+});
+
+test('无效的关闭码以 1002 关闭', async (t) => {
+    for (const code of [0, 999, 1004, 1005, 1006, 1015, 2000, 2999, 5000]) {
+        await t.test(String(code), async () => {
+            const client = await connect();
+            client.send(CLOSE, closePayload(code));
+            await expectClose(client, CLOSE_CODES.protocolError);
+        });
+    }
+
+    assert.ok([1000, 1001, 1003, 1007, 1011, 1014, 3000, 4999].every(isValidCloseCode));
+});
+
+test('无效的 UTF-8 以 1007 关闭', async (t) => {
+    const cases = {
+        '文本消息': [encodeFrame(TEXT, Buffer.from([0x48, 0xff, 0x49]))],
+        '分片消息结束时仍不完整的字符': [encodeFrame(TEXT, Buffer.from('€').subarray(0, 2))],
+        '代理对编码': [encodeFrame(TEXT, Buffer.from([0xed, 0xa0, 0x80]))],
+        '过长编码': [encodeFrame(TEXT, Buffer.from([0xc0, 0xaf]))],
+        '关闭原因': [encodeFrame(CLOSE, Buffer.concat([closePayload(1000), Buffer.from([0xff])]))]
+    };
+
+    for (const [name, frames] of Object.entries(cases)) {
+        await t.test(name, async () => {
+            const client = await connect();
+            client.sendRaw(Buffer.concat(frames));
+            await expectClose(client, CLOSE_CODES.invalidPayload);
+            assert.equal(connections.at(-1).messages.length, 0);
+        });
+    }
+});
+
+test('二进制消息以 1003 关闭，过大的消息以 1009 关闭', async () => {
+    let client = await connect();
+    client.send(BINARY, Buffer.from([1, 2, 3]));
+    await expectClose(client, CLOSE_CODES.unsupportedData);
+
+    client = await connect();
+    client.send(TEXT, 'x'.repeat(100001));
+    await expectClose(client, CLOSE_CODES.messageTooBig);
+
+    // 每个分片都不超过上限，合计超过
+    client = await connect();
+    client.send(TEXT, 'x'.repeat(60000), { fin: false });
+    client.send(CONTINUATION, 'x'.repeat(60000));
+    await expectClose(client, CLOSE_CODES.messageTooBig);
+});
+
+test('客户端发起关闭时回应相同的关闭码并断开', async () => {
+    const client = await connect();
+    const record = connections.at(-1);
+
+    client.send(CLOSE, closePayload(CLOSE_CODES.normal, '完成'));
+    await expectClose(client, CLOSE_CODES.normal);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepEqual(record.closed, { code: CLOSE_CODES.normal, reason: '完成' });
+});
+
+test('没有关闭码的关闭帧回应空的关闭帧', async () => {
+    const client = await connect();
+    const record = connections.at(-1);
+
+    client.send(CLOSE);
+    const frame = await client.nextFrame();
+    assert.equal(frame.opcode, CLOSE);
+    assert.equal(frame.payload.length, 0);
+    await client.ended();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal(record.closed.code, CLOSE_CODES.noStatus);
+});
+
+test('服务端发起关闭后等待客户端回应，之后不再发送消息', async () => {
+    const client = await connect();
+    const record = connections.at(-1);
+
+    client.send(TEXT, 'close me');
+    const frame = await client.nextFrame();
+    assert.equal(frame.opcode, CLOSE);
+    assert.equal(frame.payload.readUInt16BE(0), CLOSE_CODES.goingAway);
+    assert.equal(frame.payload.subarray(2).toString(), '再见');
+
+    // 关闭中收到的数据消息不再回显
+    assert.equal(record.ws.send('late'), false);
+    client.send(TEXT, 'ignored');
+    client.send(CLOSE, frame.payload.subarray(0, 2));
+    await client.ended();
+
+    // 关闭码和原因取自收到的关闭帧（RFC 6455 7.1.5）
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.deepEqual(record.closed, { code: CLOSE_CODES.goingAway, reason: '' });
+    assert.deepEqual(record.messages, ['close me']);
+});
@@ -0,0 +1,268 @@
+// src/tools/builtin-tools.js
+import fs from 'fs';
+import path from 'path';
+import Config from '../../config.js';
+
+// 读取文件的最大字节数
+const MAX_FILE_BYTES = 100 * 1024;
+
+// 计算器支持的函数和常量
+const MATH_FUNCTIONS = {
+    sqrt: Math.sqrt,
+    abs: Math.abs,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    log: Math.log10,
+    ln: Math.log,
+    exp: Math.exp,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    min: Math.min,
+    max: Math.max,
+    pow: Math.pow
+};
+
+const MATH_CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+};
+
+/**
+ * 安全计算数学表达式（递归下降解析，不使用 eval）
+ * 支持 + - * / % ^、括号、一元负号以及常用函数
+ * @param {string} expression - 表达式
+ * @returns {number} 计算结果
+ */
+export function evaluateExpression(expression) {
+    const tokens = expression.match(/\d+(?:\.\d+)?(?:e[+-]?\d+)?|[a-zA-Z_]+|[-+*/%^(),]|\S/g) || [];
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (token) => {
+        if (next() !== token) {
+            throw new Error(`表达式语法错误: 缺少 "${token}"`);
+        }
+    };
+
+    // 表达式: 项 (('+' | '-') 项)*
+    const parseExpression = () => {
+        let value = parseTerm();
+        while (peek() === '+' || peek() === '-') {
+            value = next() === '+' ? value + parseTerm() : value - parseTerm();
+        }
+        return value;
+    };
+
+    // 项: 一元 (('*' | '/' | '%') 一元)*
+    const parseTerm = () => {
+        let value = parseUnary();
+        while (peek() === '*' || peek() === '/' || peek() === '%') {
+            const operator = next();
+            const right = parseUnary();
+            if (operator === '*') value *= right;
+            else if (operator === '/') value /= right;
+            else value %= right;
+        }
+        return value;
+    };
+
+    // 一元: ('-' | '+') 一元 | 幂（-2^2 = -4）
+    const parseUnary = () => {
+        if (peek() === '-') {
+            next();
+            return -parseUnary();
+        }
+        if (peek() === '+') {
+            next();
+            return parseUnary();
+        }
+        return parsePower();
+    };
+
+    // 幂: 基本项 ('^' 一元)?（右结合）
+    const parsePower = () => {
+        const base = parsePrimary();
+        if (peek() === '^') {
+            next();
+            return Math.pow(base, parseUnary());
+        }
+        return base;
+    };
+
+    const parsePrimary = () => {
+        const token = next();
+
+        if (token === undefined) {
+            throw new Error('表达式意外结束');
+        }
+
+        if (/^\d/.test(token)) {
+            return parseFloat(token);
+        }
+
+        if (token === '(') {
+            const value = parseExpression();
+            expect(')');
+            return value;
+        }
+
+        const name = token.toLowerCase();
+
+        if (MATH_FUNCTIONS[name]) {
+            expect('(');
+            const args = [parseExpression()];
+            while (peek() === ',') {
+                next();
+                args.push(parseExpression());
+            }
+            expect(')');
+            return MATH_FUNCTIONS[name](...args);
+        }
+
+        if (MATH_CONSTANTS[name] !== undefined) {
+            return MATH_CONSTANTS[name];
+        }
+
+        throw new Error(`无法识别的符号: ${token}`);
+    };
+
+    const result = parseExpression();
+
+    if (position < tokens.length) {
+        throw new Error(`无法识别的符号: ${tokens[position]}`);
+    }
+    if (!Number.isFinite(result)) {
+        throw new Error('计算结果不是有限数值');
+    }
+
+    return result;
+}
+
+/**
+ * 计算器工具
+ */
+export const calculatorTool = {
+    name: 'calculator',
+    description: '计算数学表达式。支持 + - * / % ^、括号，以及 sqrt、abs、sin、cos、tan、log、ln、exp、round、floor、ceil、min、max、pow 函数和 pi、e 常量。',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            expression: { type: 'string', description: '数学表达式，例如 "(3 + 4) * sqrt(16)"' }
+        },
+        required: ['expression']
+    },
+    handler: async ({ expression }) => {
+        const result = evaluateExpression(expression);
+        return `${expression} = ${result}`;
+    }
+};
+
+/**
+ * 当前时间工具
+ */
+export const currentTimeTool = {
+    name: 'current_time',
+    description: '获取当前日期和时间，可指定 IANA 时区（例如 Asia/Shanghai）。',
+    inputSchema: {
+        type: 'object',
+        properties: {
+            timezone: { type: 'string', description: 'IANA 时区名称，默认使用服务器时区' }
+        }
+    },
+    handler: async ({ timezone }) => {
+        const now = new Date();
+        const options = { dateStyle: 'full', timeStyle: 'long' };
+        if (timezone) {
+            options.timeZone = timezone;
+        }
+
+        return {
+            iso: now.toISOString(),
+            local: now.toLocaleString('zh-CN', options),
+            timezone: timezone || Intl.DateTimeFormat().resolvedOptions().timeZone
+        };
+    }
+};
+
+/**
+ * 创建沙箱文件读取工具
+ * 只允许读取 sandboxDir 内的文件，禁止路径穿越和符号链接逃逸
+ * @param {string} sandboxDir - 沙箱目录
+ * @returns {object} 工具定义
+ */
+export function createFileReaderTool(sandboxDir = Config.TOOL_SANDBOX_DIR) {
+    const root = path.resolve(sandboxDir);
+
+    const isInside = (base, target) => {
+        const relative = path.relative(base, target);
+        return !relative.startsWith('..') && !path.isAbsolute(relative);
+    };
+
+    const resolveInSandbox = (relativePath) => {
+        const target = path.resolve(root, relativePath);
+
+        // 先做路径检查，再解析符号链接后复查
+        if (!isInside(root, target)) {
+            throw new Error(`不允许访问沙箱目录之外的路径: ${relativePath}`);
+        }
+        if (!fs.existsSync(target)) {
+            throw new Error(`文件不存在: ${relativePath}`);
+        }
+        if (!isInside(fs.realpathSync(root), fs.realpathSync(target))) {
+            throw new Error(`不允许访问沙箱目录之外的路径: ${relativePath}`);
+        }
+
+        return fs.realpathSync(target);
+    };
+
+    return {
+        name: 'read_file',
+        description: '读取沙箱目录中的文本文件；如果路径是目录，则列出其中的文件。',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                path: { type: 'string', description: '相对于沙箱目录的路径，"." 表示沙箱根目录' }
+            },
+            required: ['path']
+        },
+        handler: async ({ path: relativePath }) => {
+            if (!fs.existsSync(root)) {
+                throw new Error('沙箱目录不存在');
+            }
+
+            const filepath = resolveInSandbox(relativePath);
+            const stats = fs.statSync(filepath);
+
+            if (stats.isDirectory()) {
+                return {
+                    directory: relativePath,
+                    entries: fs.readdirSync(filepath, { withFileTypes: true })
+                        .map(entry => entry.isDirectory() ? `${entry.name}/` : entry.name)
+                };
+            }
+
+            if (stats.size > MAX_FILE_BYTES) {
+                throw new Error(`文件过大 (${stats.size} 字节)，上限为 ${MAX_FILE_BYTES} 字节`);
+            }
+
+            return fs.readFileSync(filepath, 'utf8');
+        }
+    };
+}
+
+/**
+ * 注册所有内置工具
+ * @param {ToolRegistry} registry - 工具注册表
+ * @param {object} options - 配置项
+ * @param {string} options.sandboxDir - 文件读取工具的沙箱目录
+ * @returns {ToolRegistry} 注册表
+ */
+export function registerBuiltinTools(registry, options = {}) {
+    registry.register(calculatorTool);
+    registry.register(currentTimeTool);
+    registry.register(createFileReaderTool(options.sandboxDir));
+    return registry;
+}
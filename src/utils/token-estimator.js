@@ -0,0 +1,67 @@
+// src/utils/token-estimator.js
+
+// 每条消息的格式开销（角色标记等）
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// 中日韩字符（大约每个字符 1 个 token）
+const CJK_PATTERN = /[\u3000-\u303f\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uff00-\uffef]/g;
+
+/**
+ * 估算文本的 token 数
+ * 中日韩字符按 1 token/字，其余字符按约 4 字符/token 估算
+ * @param {string} text - 文本
+ * @returns {number} 估算的 token 数
+ */
+export function estimateTokens(text) {
+    if (!text) {
+        return 0;
+    }
+
+    const cjkCount = (text.match(CJK_PATTERN) || []).length;
+    const otherCount = text.length - cjkCount;
+
+    return cjkCount + Math.ceil(otherCount / 4);
+}
+
+/**
+ * 估算消息内容的 token 数（支持字符串或内容块数组）
+ * @param {string|Array<object>} content - 消息内容
+ * @returns {number} 估算的 token 数
+ */
+export function estimateContentTokens(content) {
+    if (typeof content === 'string') {
+        return estimateTokens(content);
+    }
+
+    return (content || []).reduce((sum, block) => {
+        if (block.type === 'text') {
+            return sum + estimateTokens(block.text);
+        }
+        if (block.type === 'tool_result') {
+            return sum + estimateTokens(typeof block.content === 'string' ? block.content : JSON.stringify(block.content));
+        }
+        return sum + estimateTokens(JSON.stringify(block));
+    }, 0);
+}
+
+/**
+ * 估算一次请求的输入 token 数
+ * @param {object} params - 请求参数
+ * @param {string} params.system - 系统提示
+ * @param {Array<object>} params.messages - 消息列表
+ * @param {Array<object>} params.tools - 工具定义
+ * @returns {number} 估算的 token 数
+ */
+export function estimatePromptTokens({ system = null, messages = [], tools = null } = {}) {
+    let total = estimateTokens(system);
+
+    for (const message of messages) {
+        total += MESSAGE_OVERHEAD_TOKENS + estimateContentTokens(message.content);
+    }
+
+    if (tools && tools.length > 0) {
+        total += estimateTokens(JSON.stringify(tools));
+    }
+
+    return total;
+}